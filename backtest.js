@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Headless backtest runner for StockFake
+ * Replays a strategy module over historical game prices and prints the
+ * trades, equity curve and performance stats as JSON. The game database is
+ * never opened.
+ *
+ * Usage:
+ *   node backtest.js <strategy.js> --symbols IBM,XOM --from 1980-01-01 --to 1985-12-31 [--cash 10000] [--out results.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const backtester = require('./helpers/backtester');
+
+function parseArgs(argv) {
+  const args = { strategy: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else if (!args.strategy) {
+      args.strategy = argv[i];
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.strategy || !args.symbols || !args.from || !args.to) {
+    console.error('Usage: node backtest.js <strategy.js> --symbols IBM,XOM --from 1980-01-01 --to 1985-12-31 [--cash 10000] [--out results.json]');
+    process.exit(1);
+  }
+
+  const strategy = require(path.resolve(args.strategy));
+  const result = backtester.runBacktest(strategy, {
+    symbols: args.symbols.split(','),
+    from: args.from,
+    to: args.to,
+    startingCash: args.cash
+  });
+
+  if (!result.success) {
+    console.error(`Backtest failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  const output = JSON.stringify({ strategy: path.basename(args.strategy), ...result }, null, 2);
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    console.error(`Wrote ${result.trades.length} trades and ${result.equityCurve.length} days to ${args.out}`);
+  } else {
+    console.log(output);
+  }
+}
+
+main();
@@ -1,6 +1,8 @@
 // Company information including products, intellectual property, financials, assets, and employees
 // This data represents realistic company information from 1970s onwards
 
+const gameSeed = require('../helpers/gameSeed');
+
 const companyData = {
   'IBM': {
     name: 'International Business Machines',
@@ -199,6 +201,9 @@ function getCompanyInfo(symbol) {
 function generateDynamicCompanyInfo(symbol, stockInfo, currentYear) {
   if (!stockInfo) return null;
   
+  // Same made-up figures for a symbol every time in a game
+  const random = gameSeed.createRandom('company', symbol);
+  
   // Estimate founding year based on when stock first appeared
   const estimatedFounded = Math.max(1800, currentYear - 50);
   
@@ -217,16 +222,16 @@ function generateDynamicCompanyInfo(symbol, stockInfo, currentYear) {
       }
     ],
     intellectualProperty: {
-      patents: Math.floor(100 + Math.random() * 400), // Random between 100-500
+      patents: Math.floor(100 + random() * 400), // Random between 100-500
       trademarks: [stockInfo.name]
     },
     financials: {
-      revenue: Math.floor(500 + Math.random() * 4500), // Random revenue
-      netIncome: Math.floor(50 + Math.random() * 450), // Random net income
-      assets: Math.floor(800 + Math.random() * 4200), // Random assets
+      revenue: Math.floor(500 + random() * 4500), // Random revenue
+      netIncome: Math.floor(50 + random() * 450), // Random net income
+      assets: Math.floor(800 + random() * 4200), // Random assets
       year: currentYear
     },
-    employees: Math.floor(5000 + Math.random() * 45000), // Random employee count
+    employees: Math.floor(5000 + random() * 45000), // Random employee count
     employeeYear: currentYear,
     isAvailable: true,
     isDynamic: true // Flag to indicate this is generated data
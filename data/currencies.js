@@ -0,0 +1,208 @@
+// Foreign currencies that can be held in cash wallets next to US dollars
+// Rates are quoted as units of the currency per US dollar. Anchors are rough
+// historical levels; the game fills in the moves between them.
+
+const currencies = {
+  'GBP': {
+    code: 'GBP',
+    name: 'British Pound',
+    symbol: '£',
+    availableFrom: '1970-01-01',
+    floatingFrom: '1972-06-23', // Sterling left the Smithsonian band
+    spread: 0.004, // Full bid/ask spread as a share of the mid rate
+    dailyVolatility: 0.005,
+    anchors: [
+      { date: '1970-01-01', rate: 0.4167 }, // $2.40 Bretton Woods parity
+      { date: '1971-08-13', rate: 0.4167 }, // Nixon closes the gold window
+      { date: '1971-12-18', rate: 0.3838 }, // Smithsonian Agreement: $2.6057
+      { date: '1976-10-28', rate: 0.6369 }, // IMF crisis
+      { date: '1980-10-27', rate: 0.4082 },
+      { date: '1985-02-26', rate: 0.9302 }, // Record low against the dollar
+      { date: '1988-01-04', rate: 0.5319 },
+      { date: '1992-09-16', rate: 0.5780 }, // Black Wednesday
+      { date: '1993-01-04', rate: 0.6579 },
+      { date: '2000-01-04', rate: 0.6173 },
+      { date: '2007-11-08', rate: 0.4785 },
+      { date: '2009-01-23', rate: 0.7299 },
+      { date: '2016-06-27', rate: 0.7519 }, // Brexit referendum
+      { date: '2022-09-26', rate: 0.9346 },
+      { date: '2024-12-31', rate: 0.7985 }
+    ]
+  },
+  'JPY': {
+    code: 'JPY',
+    name: 'Japanese Yen',
+    symbol: '¥',
+    availableFrom: '1970-01-01',
+    floatingFrom: '1973-02-14',
+    spread: 0.004,
+    dailyVolatility: 0.006,
+    anchors: [
+      { date: '1970-01-01', rate: 360 },
+      { date: '1971-08-13', rate: 360 },
+      { date: '1971-12-18', rate: 308 },
+      { date: '1973-03-01', rate: 265 },
+      { date: '1978-10-31', rate: 176 },
+      { date: '1982-11-01', rate: 278 },
+      { date: '1985-09-20', rate: 242 }, // Before the Plaza Accord
+      { date: '1988-01-04', rate: 121 },
+      { date: '1990-04-02', rate: 158 },
+      { date: '1995-04-19', rate: 80 },
+      { date: '1998-08-11', rate: 147 },
+      { date: '2000-01-04', rate: 102 },
+      { date: '2007-06-22', rate: 124 },
+      { date: '2011-10-31', rate: 76 },
+      { date: '2015-06-05', rate: 125 },
+      { date: '2020-01-02', rate: 108 },
+      { date: '2022-10-21', rate: 150 },
+      { date: '2024-12-31', rate: 157 }
+    ]
+  },
+  'CHF': {
+    code: 'CHF',
+    name: 'Swiss Franc',
+    symbol: 'Fr',
+    availableFrom: '1970-01-01',
+    floatingFrom: '1973-01-23',
+    spread: 0.004,
+    dailyVolatility: 0.006,
+    anchors: [
+      { date: '1970-01-01', rate: 4.37 },
+      { date: '1971-05-07', rate: 4.37 }, // Revalued as the Mark floated
+      { date: '1971-12-18', rate: 3.84 },
+      { date: '1973-03-01', rate: 3.20 },
+      { date: '1978-10-31', rate: 1.45 },
+      { date: '1980-01-02', rate: 1.60 },
+      { date: '1985-02-26', rate: 2.92 },
+      { date: '1988-01-04', rate: 1.28 },
+      { date: '1995-04-19', rate: 1.13 },
+      { date: '2000-10-26', rate: 1.82 },
+      { date: '2008-03-17', rate: 0.98 },
+      { date: '2011-08-09', rate: 0.73 },
+      { date: '2015-01-15', rate: 0.86 }, // SNB drops the euro floor
+      { date: '2016-12-15', rate: 1.03 },
+      { date: '2024-12-31', rate: 0.91 }
+    ]
+  },
+  'CAD': {
+    code: 'CAD',
+    name: 'Canadian Dollar',
+    symbol: 'C$',
+    availableFrom: '1970-01-01',
+    floatingFrom: '1970-06-01', // Canada floated ahead of the Bretton Woods collapse
+    spread: 0.003,
+    dailyVolatility: 0.003,
+    anchors: [
+      { date: '1970-01-01', rate: 1.075 },
+      { date: '1976-06-01', rate: 0.97 },
+      { date: '1986-02-03', rate: 1.42 },
+      { date: '1991-11-01', rate: 1.12 },
+      { date: '2002-01-21', rate: 1.61 },
+      { date: '2007-11-07', rate: 0.92 },
+      { date: '2009-03-09', rate: 1.30 },
+      { date: '2011-07-21', rate: 0.95 },
+      { date: '2016-01-20', rate: 1.46 },
+      { date: '2021-06-01', rate: 1.21 },
+      { date: '2024-12-31', rate: 1.44 }
+    ]
+  },
+  'AUD': {
+    code: 'AUD',
+    name: 'Australian Dollar',
+    symbol: 'A$',
+    availableFrom: '1970-01-01',
+    floatingFrom: '1983-12-12', // Hawke government floats the dollar
+    spread: 0.005,
+    dailyVolatility: 0.007,
+    anchors: [
+      { date: '1970-01-01', rate: 0.893 },
+      { date: '1971-12-18', rate: 0.893 },
+      { date: '1974-09-25', rate: 0.671 },
+      { date: '1983-12-12', rate: 1.11 },
+      { date: '1986-07-28', rate: 1.69 },
+      { date: '1989-01-03', rate: 1.15 },
+      { date: '2001-04-02', rate: 2.07 },
+      { date: '2008-07-15', rate: 1.04 },
+      { date: '2008-10-27', rate: 1.65 },
+      { date: '2011-07-27', rate: 0.91 },
+      { date: '2020-03-19', rate: 1.74 },
+      { date: '2021-02-25', rate: 1.26 },
+      { date: '2024-12-31', rate: 1.61 }
+    ]
+  },
+  'DEM': {
+    code: 'DEM',
+    name: 'Deutsche Mark',
+    symbol: 'DM',
+    availableFrom: '1970-01-01',
+    availableUntil: '2001-12-31', // Euro notes and coins replaced it
+    floatingFrom: '1973-03-19',
+    spread: 0.004,
+    dailyVolatility: 0.006,
+    // Irrevocably fixed to the euro when the euro launched
+    peggedTo: { currency: 'EUR', rate: 1.95583, from: '1999-01-01' },
+    anchors: [
+      { date: '1970-01-01', rate: 3.66 },
+      { date: '1971-05-07', rate: 3.66 }, // Floated briefly against speculation
+      { date: '1971-12-18', rate: 3.22 },
+      { date: '1973-07-06', rate: 2.27 },
+      { date: '1980-01-02', rate: 1.72 },
+      { date: '1985-02-26', rate: 3.45 },
+      { date: '1987-12-31', rate: 1.58 },
+      { date: '1989-09-01', rate: 1.98 },
+      { date: '1995-04-19', rate: 1.36 },
+      { date: '1997-08-05', rate: 1.88 },
+      { date: '1998-12-31', rate: 1.67 }
+    ]
+  },
+  'EUR': {
+    code: 'EUR',
+    name: 'Euro',
+    symbol: '€',
+    availableFrom: '1999-01-01',
+    floatingFrom: '1999-01-01',
+    spread: 0.003,
+    dailyVolatility: 0.005,
+    anchors: [
+      { date: '1999-01-04', rate: 0.849 },
+      { date: '2000-10-26', rate: 1.210 },
+      { date: '2002-01-02', rate: 1.121 },
+      { date: '2008-07-15', rate: 0.627 },
+      { date: '2010-06-07', rate: 0.840 },
+      { date: '2014-05-06', rate: 0.718 },
+      { date: '2015-03-16', rate: 0.954 },
+      { date: '2021-01-06', rate: 0.812 },
+      { date: '2022-09-27', rate: 1.042 },
+      { date: '2024-12-31', rate: 0.966 }
+    ]
+  }
+};
+
+// Get a currency by code
+function getCurrency(code) {
+  return currencies[code] || null;
+}
+
+// Check whether a currency can be held at a given date
+function isCurrencyAvailable(code, currentDate) {
+  const currency = currencies[code];
+  if (!currency) return false;
+
+  if (currentDate < new Date(currency.availableFrom)) return false;
+  if (currency.availableUntil && currentDate > new Date(`${currency.availableUntil}T23:59:59`)) return false;
+  return true;
+}
+
+// Get all currencies that can be held at a given date
+function getAvailableCurrencies(currentDate) {
+  return Object.values(currencies).filter(currency =>
+    isCurrencyAvailable(currency.code, currentDate)
+  );
+}
+
+module.exports = {
+  currencies,
+  getCurrency,
+  isCurrencyAvailable,
+  getAvailableCurrencies
+};
@@ -10,6 +10,8 @@
  * These indicators impact stock market growth to prevent excessive gains after 2025
  */
 
+const gameSeed = require('../helpers/gameSeed');
+
 /**
  * Historical Federal Funds Rate (%)
  * Source: Federal Reserve Economic Data (FRED)
@@ -106,10 +108,10 @@ const ECONOMIC_CONFIG = {
 };
 
 /**
- * Seeded random number generator for deterministic generation
+ * Seeded random number generator for deterministic generation, salted with the game seed
  */
 function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
+  const x = Math.sin(gameSeed.salt(seed)) * 10000;
   return x - Math.floor(x);
 }
 
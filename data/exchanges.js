@@ -0,0 +1,283 @@
+// Stock exchanges, their trading sessions and holiday calendars
+// Game time is New York wall-clock time; each exchange trades on its own
+// local clock and calendar. Session hours changed over the decades, so each
+// exchange lists eras of sessions (local 'HH:MM' times, with a lunch break
+// where the exchange had one). US exchanges also list extended sessions, the
+// pre-market and after-hours trading on electronic networks. Eras and holiday
+// rules are rough historical approximations.
+
+const HOME_EXCHANGE = 'NYSE';
+
+// Holiday rules. Each rule has a name and one of:
+//   month + day               fixed date
+//   month + weekday + nth     nth weekday of the month (nth -1 is the last)
+//   easterOffset              days from Easter Sunday
+//   equinox                   'vernal' or 'autumnal' (Japan)
+//   date                      special closure on a 'YYYY-MM-DD' date
+// plus optional from/until years. Fixed dates that land on a weekend move
+// according to the exchange's observance unless the rule sets observed: false.
+
+const US_HOLIDAYS = [
+  { name: "New Year's Day", month: 1, day: 1 },
+  { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3, from: 1998 },
+  { name: "Washington's Birthday", month: 2, day: 22, until: 1970 },
+  { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3, from: 1971 }, // Uniform Monday Holiday Act
+  { name: 'Good Friday', easterOffset: -2 },
+  { name: 'Memorial Day', month: 5, day: 30, until: 1970 },
+  { name: 'Memorial Day', month: 5, weekday: 1, nth: -1, from: 1971 },
+  { name: 'Juneteenth', month: 6, day: 19, from: 2022 },
+  { name: 'Independence Day', month: 7, day: 4 },
+  { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+  { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+  { name: 'Christmas Day', month: 12, day: 25 },
+  // Special closures
+  { name: 'Presidential Election Day', date: '1972-11-07' }, // Closed for presidential elections until 1980
+  { name: 'Funeral of President Truman', date: '1972-12-28' },
+  { name: 'Funeral of President Johnson', date: '1973-01-25' },
+  { name: 'Presidential Election Day', date: '1976-11-02' },
+  { name: 'New York City Blackout', date: '1977-07-14' },
+  { name: 'Presidential Election Day', date: '1980-11-04' },
+  { name: 'Hurricane Gloria', date: '1985-09-27' },
+  { name: 'Funeral of President Nixon', date: '1994-04-27' },
+  { name: 'September 11 Attacks', date: '2001-09-11' },
+  { name: 'September 11 Attacks', date: '2001-09-12' },
+  { name: 'September 11 Attacks', date: '2001-09-13' },
+  { name: 'September 11 Attacks', date: '2001-09-14' },
+  { name: 'Funeral of President Reagan', date: '2004-06-11' },
+  { name: 'Funeral of President Ford', date: '2007-01-02' },
+  { name: 'Hurricane Sandy', date: '2012-10-29' },
+  { name: 'Hurricane Sandy', date: '2012-10-30' },
+  { name: 'Funeral of President George H. W. Bush', date: '2018-12-05' },
+  { name: 'Funeral of President Carter', date: '2025-01-09' }
+];
+
+const UK_HOLIDAYS = [
+  { name: "New Year's Day", month: 1, day: 1, from: 1974 },
+  { name: 'Good Friday', easterOffset: -2 },
+  { name: 'Easter Monday', easterOffset: 1 },
+  { name: 'Early May Bank Holiday', month: 5, weekday: 1, nth: 1, from: 1978 },
+  { name: 'Spring Bank Holiday', month: 5, weekday: 1, nth: -1 },
+  { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1 },
+  { name: 'Christmas Day', month: 12, day: 25 },
+  { name: 'Boxing Day', month: 12, day: 26 },
+  { name: 'Royal Wedding', date: '1973-11-14' },
+  { name: 'Silver Jubilee', date: '1977-06-07' },
+  { name: 'Royal Wedding', date: '1981-07-29' },
+  { name: 'Millennium Holiday', date: '1999-12-31' },
+  { name: 'Royal Wedding', date: '2011-04-29' },
+  { name: 'Diamond Jubilee', date: '2012-06-05' },
+  { name: 'Platinum Jubilee', date: '2022-06-03' },
+  { name: 'State Funeral of Queen Elizabeth II', date: '2022-09-19' },
+  { name: 'Coronation of King Charles III', date: '2023-05-08' }
+];
+
+const JAPAN_HOLIDAYS = [
+  { name: 'New Year Holidays', month: 1, day: 1, observed: false },
+  { name: 'New Year Holidays', month: 1, day: 2, observed: false },
+  { name: 'New Year Holidays', month: 1, day: 3, observed: false },
+  { name: 'Coming of Age Day', month: 1, day: 15, until: 1999 },
+  { name: 'Coming of Age Day', month: 1, weekday: 1, nth: 2, from: 2000 },
+  { name: 'National Foundation Day', month: 2, day: 11 },
+  { name: "Emperor's Birthday", month: 2, day: 23, from: 2020 },
+  { name: 'Vernal Equinox Day', equinox: 'vernal' },
+  { name: 'Showa Day', month: 4, day: 29 },
+  { name: 'Constitution Memorial Day', month: 5, day: 3 },
+  { name: 'Greenery Day', month: 5, day: 4, from: 1988 },
+  { name: "Children's Day", month: 5, day: 5 },
+  { name: 'Marine Day', month: 7, day: 20, from: 1996, until: 2002 },
+  { name: 'Marine Day', month: 7, weekday: 1, nth: 3, from: 2003 },
+  { name: 'Mountain Day', month: 8, day: 11, from: 2016 },
+  { name: 'Respect for the Aged Day', month: 9, day: 15, until: 2002 },
+  { name: 'Respect for the Aged Day', month: 9, weekday: 1, nth: 3, from: 2003 },
+  { name: 'Autumnal Equinox Day', equinox: 'autumnal' },
+  { name: 'Sports Day', month: 10, day: 10, until: 1999 },
+  { name: 'Sports Day', month: 10, weekday: 1, nth: 2, from: 2000 },
+  { name: 'Culture Day', month: 11, day: 3 },
+  { name: 'Labor Thanksgiving Day', month: 11, day: 23 },
+  { name: "Emperor's Birthday", month: 12, day: 23, from: 1989, until: 2018 },
+  { name: 'Year-End Holiday', month: 12, day: 31, observed: false },
+  { name: 'Funeral of Emperor Showa', date: '1989-02-24' },
+  { name: 'Enthronement Ceremony', date: '1990-11-12' },
+  { name: 'Royal Wedding', date: '1993-06-09' },
+  { name: 'Imperial Transition Holiday', date: '2019-04-30' },
+  { name: 'Enthronement of Emperor Naruhito', date: '2019-05-01' },
+  { name: 'Imperial Transition Holiday', date: '2019-05-02' },
+  { name: 'Enthronement Ceremony', date: '2019-10-22' }
+];
+
+// Frankfurt closed on German public holidays until electronic trading moved
+// it to the shorter exchange calendar
+const GERMANY_HOLIDAYS = [
+  { name: "New Year's Day", month: 1, day: 1 },
+  { name: 'Good Friday', easterOffset: -2 },
+  { name: 'Easter Monday', easterOffset: 1 },
+  { name: 'Labour Day', month: 5, day: 1 },
+  { name: 'Ascension Day', easterOffset: 39, until: 1999 },
+  { name: 'Whit Monday', easterOffset: 50, until: 1999 },
+  { name: 'Corpus Christi', easterOffset: 60, until: 1999 },
+  { name: 'Day of German Unity', month: 6, day: 17, until: 1990 },
+  { name: 'Day of German Unity', month: 10, day: 3, from: 1990, until: 1999 },
+  { name: 'Christmas Eve', month: 12, day: 24 },
+  { name: 'Christmas Day', month: 12, day: 25 },
+  { name: 'Boxing Day', month: 12, day: 26 },
+  { name: "New Year's Eve", month: 12, day: 31 }
+];
+
+// Paris kept the French public holidays until Euronext's harmonized calendar
+const FRANCE_HOLIDAYS = [
+  { name: "New Year's Day", month: 1, day: 1 },
+  { name: 'Good Friday', easterOffset: -2 },
+  { name: 'Easter Monday', easterOffset: 1 },
+  { name: 'Labour Day', month: 5, day: 1 },
+  { name: 'Victory in Europe Day', month: 5, day: 8, from: 1982, until: 1999 },
+  { name: 'Ascension Day', easterOffset: 39, until: 1999 },
+  { name: 'Whit Monday', easterOffset: 50, until: 1999 },
+  { name: 'Bastille Day', month: 7, day: 14, until: 1999 },
+  { name: 'Assumption Day', month: 8, day: 15, until: 1999 },
+  { name: "All Saints' Day", month: 11, day: 1, until: 1999 },
+  { name: 'Armistice Day', month: 11, day: 11, until: 1999 },
+  { name: 'Christmas Day', month: 12, day: 25 },
+  { name: 'Boxing Day', month: 12, day: 26, from: 2000 }
+];
+
+// Pre-market and after-hours sessions. Electronic networks opened them to
+// retail brokers in 1999; pre-market trading reached back to 4:00 by 2003.
+const US_EXTENDED_SESSIONS = [
+  { from: '1999-06-01', hours: [['08:00', '09:30'], ['16:00', '20:00']] },
+  { from: '2003-01-02', hours: [['04:00', '09:30'], ['16:00', '20:00']] }
+];
+
+// Weekend observance of fixed-date holidays:
+//   nearestWeekday  Saturday moves to Friday, Sunday to Monday (US)
+//   nextWeekday     moves to the next weekday that is not already a holiday (UK)
+//   sundayToNext    only Sunday holidays move, to the next non-holiday (Japan)
+const exchanges = {
+  'NYSE': {
+    id: 'NYSE',
+    name: 'New York Stock Exchange',
+    city: 'New York',
+    timeZone: 'America/New_York',
+    tradingFrom: '1970-01-01',
+    sessions: [
+      { from: '1970-01-01', hours: [['09:30', '16:00']] }
+    ],
+    extendedSessions: US_EXTENDED_SESSIONS,
+    holidays: US_HOLIDAYS,
+    observance: 'nearestWeekday'
+  },
+  'NASDAQ': {
+    id: 'NASDAQ',
+    name: 'NASDAQ',
+    city: 'New York',
+    timeZone: 'America/New_York',
+    tradingFrom: '1971-02-08',
+    sessions: [
+      { from: '1970-01-01', hours: [['09:30', '16:00']] }
+    ],
+    extendedSessions: US_EXTENDED_SESSIONS,
+    holidays: US_HOLIDAYS,
+    observance: 'nearestWeekday'
+  },
+  'LSE': {
+    id: 'LSE',
+    name: 'London Stock Exchange',
+    city: 'London',
+    timeZone: 'Europe/London',
+    tradingFrom: '1970-01-01',
+    sessions: [
+      { from: '1970-01-01', hours: [['09:30', '15:30']] },
+      { from: '1997-10-20', hours: [['08:00', '16:30']] } // SETS order book
+    ],
+    holidays: UK_HOLIDAYS,
+    observance: 'nextWeekday'
+  },
+  'TSE': {
+    id: 'TSE',
+    name: 'Tokyo Stock Exchange',
+    city: 'Tokyo',
+    timeZone: 'Asia/Tokyo',
+    tradingFrom: '1970-01-01',
+    sessions: [
+      { from: '1970-01-01', hours: [['09:00', '11:00'], ['13:00', '15:00']] },
+      { from: '1991-04-30', hours: [['09:00', '11:00'], ['12:30', '15:00']] },
+      { from: '2011-11-21', hours: [['09:00', '11:30'], ['12:30', '15:00']] },
+      { from: '2024-11-05', hours: [['09:00', '11:30'], ['12:30', '15:30']] }
+    ],
+    holidays: JAPAN_HOLIDAYS,
+    observance: 'sundayToNext'
+  },
+  'FWB': {
+    id: 'FWB',
+    name: 'Frankfurt Stock Exchange',
+    city: 'Frankfurt',
+    timeZone: 'Europe/Berlin',
+    tradingFrom: '1970-01-01',
+    sessions: [
+      { from: '1970-01-01', hours: [['10:30', '13:30']] }, // Floor trading
+      { from: '1997-11-28', hours: [['08:30', '17:00']] }, // Xetra
+      { from: '2003-11-03', hours: [['09:00', '17:30']] }
+    ],
+    holidays: GERMANY_HOLIDAYS,
+    observance: null
+  },
+  'EPA': {
+    id: 'EPA',
+    name: 'Paris Bourse (Euronext Paris)',
+    city: 'Paris',
+    timeZone: 'Europe/Paris',
+    tradingFrom: '1970-01-01',
+    sessions: [
+      { from: '1970-01-01', hours: [['10:00', '17:00']] },
+      { from: '2000-01-03', hours: [['09:00', '17:30']] }
+    ],
+    holidays: FRANCE_HOLIDAYS,
+    observance: null
+  }
+};
+
+// Primary listings outside the NYSE; every other symbol trades in New York.
+// Prices stay in US dollars whatever the listing.
+const stockListings = {
+  // NASDAQ
+  'AAPL': 'NASDAQ', 'MSFT': 'NASDAQ', 'INTC': 'NASDAQ', 'CSCO': 'NASDAQ', 'DELL': 'NASDAQ',
+  'AMZN': 'NASDAQ', 'GOOGL': 'NASDAQ', 'META': 'NASDAQ', 'NFLX': 'NASDAQ', 'NVDA': 'NASDAQ',
+  'ADBE': 'NASDAQ', 'PYPL': 'NASDAQ', 'TSLA': 'NASDAQ', 'AMGN': 'NASDAQ',
+  'GILD': 'NASDAQ', 'COST': 'NASDAQ', 'SBUX': 'NASDAQ', 'TMUS': 'NASDAQ', 'CMCSA': 'NASDAQ',
+  'WDC': 'NASDAQ', 'STX': 'NASDAQ', 'NTAP': 'NASDAQ', 'FFIV': 'NASDAQ', 'AMAT': 'NASDAQ',
+  'KLAC': 'NASDAQ', 'LRCX': 'NASDAQ', 'MCHP': 'NASDAQ', 'MU': 'NASDAQ', 'QCOM': 'NASDAQ',
+  'SWKS': 'NASDAQ', 'XLNX': 'NASDAQ', 'AVGO': 'NASDAQ', 'QRVO': 'NASDAQ', 'WDAY': 'NASDAQ',
+  'TEAM': 'NASDAQ', 'ZM': 'NASDAQ', 'DOCU': 'NASDAQ', 'COIN': 'NASDAQ', 'ABNB': 'NASDAQ',
+  // London
+  'BP': 'LSE',
+  'RDS': 'LSE',
+  // Paris
+  'TOT': 'EPA',
+  // Tokyo
+  'TM': 'TSE',
+  'HMC': 'TSE',
+  'SNE': 'TSE'
+};
+
+// Get an exchange by id
+function getExchange(id) {
+  return Object.prototype.hasOwnProperty.call(exchanges, id) ? exchanges[id] : null;
+}
+
+// Get the ids of every exchange
+function getExchangeIds() {
+  return Object.keys(exchanges);
+}
+
+// Get the exchange a stock is listed on
+function getStockExchange(symbol) {
+  return Object.prototype.hasOwnProperty.call(stockListings, symbol) ? stockListings[symbol] : HOME_EXCHANGE;
+}
+
+module.exports = {
+  HOME_EXCHANGE,
+  exchanges,
+  stockListings,
+  getExchange,
+  getExchangeIds,
+  getStockExchange
+};
@@ -0,0 +1,151 @@
+// Futures contract specifications for index funds and commodities
+// Each contract is tradable from the date its exchange first listed it
+
+const futuresContracts = {
+  // Index futures settle in cash against the index fund's price
+  'SPX500': {
+    symbol: 'SPX500',
+    name: 'S&P 500 Index Futures',
+    type: 'index',
+    underlying: 'SPX500',
+    exchange: 'CME',
+    listedFrom: '1982-04-21', // CME launched S&P 500 futures
+    multiplier: 1000, // Dollars per point of the fund price
+    cycle: [3, 6, 9, 12], // Quarterly: March, June, September, December
+    initialMarginRate: 0.10,
+    maintenanceMarginRate: 0.08,
+    carryYield: 0.03, // Dividend yield of the constituents
+    description: 'Quarterly cash-settled futures on the S&P 500 index fund'
+  },
+  'NASDAQ100': {
+    symbol: 'NASDAQ100',
+    name: 'NASDAQ-100 Index Futures',
+    type: 'index',
+    underlying: 'NASDAQ100',
+    exchange: 'CME',
+    listedFrom: '1996-04-10',
+    multiplier: 1000,
+    cycle: [3, 6, 9, 12],
+    initialMarginRate: 0.12,
+    maintenanceMarginRate: 0.10,
+    carryYield: 0.01,
+    description: 'Quarterly cash-settled futures on the NASDAQ-100 index fund'
+  },
+  'DJIA30': {
+    symbol: 'DJIA30',
+    name: 'Dow Jones Industrial Average Futures',
+    type: 'index',
+    underlying: 'DJIA30',
+    exchange: 'CBOT',
+    listedFrom: '1997-10-06',
+    multiplier: 1000,
+    cycle: [3, 6, 9, 12],
+    initialMarginRate: 0.10,
+    maintenanceMarginRate: 0.08,
+    carryYield: 0.025,
+    description: 'Quarterly cash-settled futures on the Dow Jones index fund'
+  },
+  'RUSSELL2K': {
+    symbol: 'RUSSELL2K',
+    name: 'Russell 2000 Index Futures',
+    type: 'index',
+    underlying: 'RUSSELL2K',
+    exchange: 'CME',
+    listedFrom: '1993-02-04',
+    multiplier: 1000,
+    cycle: [3, 6, 9, 12],
+    initialMarginRate: 0.12,
+    maintenanceMarginRate: 0.10,
+    carryYield: 0.015,
+    description: 'Quarterly cash-settled futures on the Russell 2000 index fund'
+  },
+
+  // Commodity futures are cash-settled here rather than delivered
+  'GC': {
+    symbol: 'GC',
+    name: 'Gold Futures',
+    type: 'commodity',
+    unit: 'troy ounce',
+    exchange: 'COMEX',
+    listedFrom: '1974-12-31', // Private gold ownership legalized in the US
+    multiplier: 100, // 100 troy ounces
+    cycle: [2, 4, 6, 8, 10, 12],
+    initialMarginRate: 0.06,
+    maintenanceMarginRate: 0.05,
+    carryYield: 0.01, // Gold lease rate
+    baseVolatility: 0.012, // Daily
+    description: 'Bi-monthly futures on 100 troy ounces of gold'
+  },
+  'SI': {
+    symbol: 'SI',
+    name: 'Silver Futures',
+    type: 'commodity',
+    unit: 'troy ounce',
+    exchange: 'COMEX',
+    listedFrom: '1970-01-01', // Traded on COMEX since 1933
+    multiplier: 5000,
+    cycle: [3, 5, 7, 9, 12],
+    initialMarginRate: 0.08,
+    maintenanceMarginRate: 0.065,
+    carryYield: 0.005,
+    baseVolatility: 0.02,
+    description: 'Futures on 5,000 troy ounces of silver'
+  },
+  'CL': {
+    symbol: 'CL',
+    name: 'Crude Oil Futures',
+    type: 'commodity',
+    unit: 'barrel',
+    exchange: 'NYMEX',
+    listedFrom: '1983-03-30', // NYMEX launched light sweet crude futures
+    multiplier: 1000, // 1,000 barrels
+    cycle: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    initialMarginRate: 0.10,
+    maintenanceMarginRate: 0.08,
+    carryYield: 0.04, // Convenience yield of holding physical oil
+    baseVolatility: 0.025,
+    description: 'Monthly futures on 1,000 barrels of WTI crude oil'
+  },
+  'ZC': {
+    symbol: 'ZC',
+    name: 'Corn Futures',
+    type: 'commodity',
+    unit: 'bushel',
+    exchange: 'CBOT',
+    listedFrom: '1970-01-01', // Traded on the CBOT since the 1870s
+    multiplier: 5000, // 5,000 bushels
+    cycle: [3, 5, 7, 9, 12],
+    initialMarginRate: 0.06,
+    maintenanceMarginRate: 0.05,
+    carryYield: -0.02, // Storage costs put deferred months at a premium
+    baseVolatility: 0.015,
+    description: 'Futures on 5,000 bushels of corn'
+  }
+};
+
+// Get a futures contract specification by symbol
+function getFuturesContract(symbol) {
+  return futuresContracts[symbol] || null;
+}
+
+// Check whether a futures contract is listed at a given date
+function isFuturesListed(symbol, currentDate) {
+  const contract = futuresContracts[symbol];
+  if (!contract) return false;
+
+  return currentDate >= new Date(contract.listedFrom);
+}
+
+// Get all futures contracts listed at a given date
+function getListedFutures(currentDate) {
+  return Object.values(futuresContracts).filter(contract =>
+    isFuturesListed(contract.symbol, currentDate)
+  );
+}
+
+module.exports = {
+  futuresContracts,
+  getFuturesContract,
+  isFuturesListed,
+  getListedFutures
+};
@@ -1,5 +1,6 @@
 // Historical news events - focusing on business/economic events with less public details
 const stocks = require('./stocks');
+const gameSeed = require('../helpers/gameSeed');
 
 const newsEvents = [
   // 1970s - Oil Crisis Era
@@ -892,7 +893,14 @@ function calculateVolatility(symbol, currentDateKey) {
   return count > 0 ? totalChange / count : 0;
 }
 
+// Template picks are drawn from the game seed, keyed by the story and its day
+function createNewsRandom(kind, subject, date) {
+  const day = Math.floor(new Date(date).getTime() / (1000 * 60 * 60 * 24));
+  return gameSeed.createRandom('news', kind, subject, day);
+}
+
 function createMarketMovementNews(stock, change, date) {
+  const random = createNewsRandom('movement', stock.symbol, date);
   const direction = change > 0 ? 'surges' : 'plunges';
   const action = change > 0 ? 'gains' : 'losses';
   const absChange = Math.abs(change).toFixed(1);
@@ -915,25 +923,26 @@ function createMarketMovementNews(stock, change, date) {
   
   const isMajor = Math.abs(change) >= MAJOR_MOVE_THRESHOLD;
   const bodies = isMajor ? [
-    `${stock.name} (${stock.symbol}) experienced dramatic price movement today, ${change > 0 ? 'gaining' : 'losing'} ${absChange}%. ${reasons[Math.floor(Math.random() * reasons.length)]} Traders watch closely for potential continuation or reversal.`,
-    `Shares of ${stock.name} saw exceptional volatility, ending the session ${change > 0 ? 'up' : 'down'} ${absChange}%. ${reasons[Math.floor(Math.random() * reasons.length)]} ${stock.sector} sector showing mixed signals.`,
-    `${stock.name} stock ${change > 0 ? 'surged' : 'tumbled'} ${absChange}% in active trading. ${reasons[Math.floor(Math.random() * reasons.length)]} Options traders betting on continued movement.`
+    `${stock.name} (${stock.symbol}) experienced dramatic price movement today, ${change > 0 ? 'gaining' : 'losing'} ${absChange}%. ${reasons[Math.floor(random() * reasons.length)]} Traders watch closely for potential continuation or reversal.`,
+    `Shares of ${stock.name} saw exceptional volatility, ending the session ${change > 0 ? 'up' : 'down'} ${absChange}%. ${reasons[Math.floor(random() * reasons.length)]} ${stock.sector} sector showing mixed signals.`,
+    `${stock.name} stock ${change > 0 ? 'surged' : 'tumbled'} ${absChange}% in active trading. ${reasons[Math.floor(random() * reasons.length)]} Options traders betting on continued movement.`
   ] : [
-    `${stock.name} (${stock.symbol}) ${change > 0 ? 'advanced' : 'declined'} ${absChange}% today. ${reasons[Math.floor(Math.random() * reasons.length)]} Watch for potential trend development.`,
-    `${stock.name} shares moved ${absChange}% ${change > 0 ? 'higher' : 'lower'}. ${reasons[Math.floor(Math.random() * reasons.length)]} Company fundamentals under review by analysts.`
+    `${stock.name} (${stock.symbol}) ${change > 0 ? 'advanced' : 'declined'} ${absChange}% today. ${reasons[Math.floor(random() * reasons.length)]} Watch for potential trend development.`,
+    `${stock.name} shares moved ${absChange}% ${change > 0 ? 'higher' : 'lower'}. ${reasons[Math.floor(random() * reasons.length)]} Company fundamentals under review by analysts.`
   ];
   
   return {
     id: nextDynamicNewsId++,
     date: new Date(date),
-    headline: headlines[Math.floor(Math.random() * headlines.length)],
-    body: bodies[Math.floor(Math.random() * bodies.length)],
+    headline: headlines[Math.floor(random() * headlines.length)],
+    body: bodies[Math.floor(random() * bodies.length)],
     isDynamic: true,
     symbol: stock.symbol
   };
 }
 
 function createVolatilityNews(stock, volatility, date) {
+  const random = createNewsRandom('volatility', stock.symbol, date);
   const headlines = [
     `${stock.name} Trading Shows Increased Volatility`,
     `${stock.name} Shares Experience Choppy Price Action`,
@@ -948,8 +957,8 @@ function createVolatilityNews(stock, volatility, date) {
   return {
     id: nextDynamicNewsId++,
     date: new Date(date),
-    headline: headlines[Math.floor(Math.random() * headlines.length)],
-    body: bodies[Math.floor(Math.random() * bodies.length)],
+    headline: headlines[Math.floor(random() * headlines.length)],
+    body: bodies[Math.floor(random() * bodies.length)],
     isDynamic: true,
     symbol: stock.symbol
   };
@@ -996,6 +1005,7 @@ function generateSectorNews(currentTime, currentStocks, yesterdayKey) {
 }
 
 function createSectorNews(sector, avgChange, stockCount, date) {
+  const random = createNewsRandom('sector', sector, date);
   const direction = avgChange > 0 ? 'Rally' : 'Decline';
   const action = avgChange > 0 ? 'Strength' : 'Weakness';
   const absChange = Math.abs(avgChange).toFixed(1);
@@ -1014,8 +1024,8 @@ function createSectorNews(sector, avgChange, stockCount, date) {
   return {
     id: nextDynamicNewsId++,
     date: new Date(date),
-    headline: headlines[Math.floor(Math.random() * headlines.length)],
-    body: bodies[Math.floor(Math.random() * bodies.length)],
+    headline: headlines[Math.floor(random() * headlines.length)],
+    body: bodies[Math.floor(random() * bodies.length)],
     isDynamic: true,
     sector: sector
   };
@@ -1,6 +1,8 @@
 // Dynamic share availability management
 // Tracks outstanding shares and available float for each company
 
+const gameSeed = require('../helpers/gameSeed');
+
 // Total outstanding shares per company (in millions, then converted to actual shares)
 // This represents the public float available for trading
 const companyShares = {
@@ -83,18 +85,24 @@ const companyShares = {
 // Typically 50-80% of shares are in the public float
 const shareAvailability = {};
 
-for (const [symbol, sharesInMillions] of Object.entries(companyShares)) {
-  const totalShares = sharesInMillions * 1000000; // Convert to actual shares
-  const publicFloat = totalShares * (0.5 + Math.random() * 0.3); // 50-80% public float
-  
-  shareAvailability[symbol] = {
-    totalOutstanding: Math.floor(totalShares),
-    publicFloat: Math.floor(publicFloat),
-    availableForTrading: Math.floor(publicFloat), // Initially all public float is available
-    playerOwned: 0
-  };
+// Floats are drawn from the game seed, so a new seed starts them over
+function initializeShareAvailability() {
+  for (const [symbol, sharesInMillions] of Object.entries(companyShares)) {
+    const totalShares = sharesInMillions * 1000000; // Convert to actual shares
+    const publicFloat = totalShares * (0.5 + gameSeed.random('float', symbol) * 0.3); // 50-80% public float
+    
+    shareAvailability[symbol] = {
+      totalOutstanding: Math.floor(totalShares),
+      publicFloat: Math.floor(publicFloat),
+      availableForTrading: Math.floor(publicFloat), // Initially all public float is available
+      playerOwned: 0
+    };
+  }
 }
 
+initializeShareAvailability();
+gameSeed.onChange(initializeShareAvailability);
+
 // Get available shares for a symbol
 function getAvailableShares(symbol) {
   return shareAvailability[symbol] || null;
@@ -191,11 +199,11 @@ function processBuybacks(currentTime, marketSentiment = 0.5) {
     const buybackProbability = Math.max(0, (marketSentiment - 0.3) * 0.15); // 0-10.5% monthly chance
     
     // Use deterministic random
-    const random = Math.abs(Math.sin(seed + symbol.charCodeAt(0)) * 10000) % 1;
+    const random = Math.abs(Math.sin(gameSeed.salt(seed + symbol.charCodeAt(0))) * 10000) % 1;
     
     if (random < buybackProbability) {
       // Calculate buyback amount (0.5% to 2% of public float)
-      const buybackRandomFactor = Math.abs(Math.sin(seed * 2 + symbol.charCodeAt(0)) * 10000) % 1;
+      const buybackRandomFactor = Math.abs(Math.sin(gameSeed.salt(seed * 2 + symbol.charCodeAt(0))) * 10000) % 1;
       const buybackPercentage = 0.005 + (buybackRandomFactor * 0.015); // 0.5% to 2%
       const sharesToBuyBack = Math.floor(availability.publicFloat * buybackPercentage);
       
@@ -241,11 +249,11 @@ function processShareIssuance(currentTime, marketSentiment = 0) {
     // Higher probability of issuance when market is weak
     const issuanceProbability = marketSentiment < 0 ? 0.05 : 0.02; // 5% or 2% quarterly
     
-    const random = Math.abs(Math.sin(seed * 3 + symbol.charCodeAt(0)) * 10000) % 1;
+    const random = Math.abs(Math.sin(gameSeed.salt(seed * 3 + symbol.charCodeAt(0))) * 10000) % 1;
     
     if (random < issuanceProbability) {
       // Calculate issuance amount (1% to 5% of current outstanding)
-      const issuanceRandomFactor = Math.abs(Math.sin(seed * 4 + symbol.charCodeAt(0)) * 10000) % 1;
+      const issuanceRandomFactor = Math.abs(Math.sin(gameSeed.salt(seed * 4 + symbol.charCodeAt(0))) * 10000) % 1;
       const issuancePercentage = 0.01 + (issuanceRandomFactor * 0.04); // 1% to 5%
       const sharesToIssue = Math.floor(availability.totalOutstanding * issuancePercentage);
       
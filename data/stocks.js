@@ -3,6 +3,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const exchangeData = require('./exchanges');
+const marketHours = require('../helpers/marketHours');
+const tickSizes = require('./tick-sizes');
+const marketImpact = require('../helpers/marketImpact');
+const gameSeed = require('../helpers/gameSeed');
 
 // Load crash simulation module for price impact calculation
 let crashSimModule = null;
@@ -68,7 +73,7 @@ function getAnnualGrowthRate(year, sector = null) {
   // Base market cycle using deterministic seed from year
   // This creates consistent but variable returns across years
   const yearSeed = year * 2654435761; // Large multiplier for better hash distribution
-  const marketCycleRandom = Math.abs(Math.sin(yearSeed) * 10000) % 1;
+  const marketCycleRandom = Math.abs(Math.sin(gameSeed.salt(yearSeed)) * 10000) % 1;
   
   // Define market regime based on year cycle
   // Create a 7-10 year business cycle pattern
@@ -90,7 +95,7 @@ function getAnnualGrowthRate(year, sector = null) {
   
   // Add year-specific variation (good years vs bad years)
   const yearVariationSeed = year * 1103515245;
-  const yearVariation = (Math.abs(Math.sin(yearVariationSeed) * 10000) % 1) - 0.5;
+  const yearVariation = (Math.abs(Math.sin(gameSeed.salt(yearVariationSeed)) * 10000) % 1) - 0.5;
   
   // Some years are particularly good or bad
   let yearAdjustment = yearVariation * 0.15; // ±7.5%
@@ -106,7 +111,7 @@ function getAnnualGrowthRate(year, sector = null) {
   // Add sector-specific performance if sector provided
   if (sector) {
     const sectorSeed = year * 16807 + sector.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-    const sectorRandom = Math.abs(Math.sin(sectorSeed) * 10000) % 1;
+    const sectorRandom = Math.abs(Math.sin(gameSeed.salt(sectorSeed)) * 10000) % 1;
     
     // Sector rotation - different sectors perform better in different years
     const sectorCycle = (year % 5) / 5; // 5-year sector rotation
@@ -198,35 +203,30 @@ function getYearMarketStats(year) {
   };
 }
 
-// Price cache for when market is closed
+// Price cache for when a stock's market is closed
 let priceCache = {};
-let lastMarketState = null;
+const lastMarketStates = {}; // Open state by exchange id
 
-// Stock market hours (NYSE) - same as server.js
-const MARKET_OPEN_HOUR = 9;
-const MARKET_OPEN_MINUTE = 30;
-const MARKET_CLOSE_HOUR = 16;
-const MARKET_CLOSE_MINUTE = 0;
+// Drop every cached price, e.g. when a new game starts
+function clearPriceCache() {
+  priceCache = {};
+}
 
-// Check if market is open
-function isMarketOpen(date) {
-  const day = date.getDay();
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  
-  // Weekend check
-  if (day === 0 || day === 6) return false;
-  
-  // Time check
-  const currentMinutes = hours * 60 + minutes;
-  const openMinutes = MARKET_OPEN_HOUR * 60 + MARKET_OPEN_MINUTE;
-  const closeMinutes = MARKET_CLOSE_HOUR * 60 + MARKET_CLOSE_MINUTE;
-  
-  return currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+// Cached prices belong to the seed they were drawn with
+gameSeed.onChange(clearPriceCache);
+
+// Get the exchange a stock is listed on
+function getStockExchange(symbol) {
+  return exchangeData.getStockExchange(symbol);
+}
+
+// Check if a stock's exchange is open
+function isMarketOpen(date, symbol) {
+  return marketHours.isExchangeOpen(getStockExchange(symbol), date);
 }
 
 // Deterministic pseudo-random function based on time and symbol
-// This ensures the same time always produces the same price
+// This ensures the same time always produces the same price for a game seed
 function seededRandom(symbol, time) {
   // Create a hash from symbol and time (rounded to nearest minute for stability)
   const MILLISECONDS_PER_MINUTE = 60000;
@@ -242,7 +242,7 @@ function seededRandom(symbol, time) {
     hash = hash & hash; // Convert to 32bit integer
   }
   // Convert hash to a value between 0 and 1
-  return Math.abs(Math.sin(hash) * 10000) % 1;
+  return Math.abs(Math.sin(gameSeed.salt(hash)) * 10000) % 1;
 }
 
 // Volatility scaling constants (DEPRECATED - no longer used)
@@ -300,23 +300,29 @@ function getStockPrice(symbol, currentTime, timeMultiplier, isPaused, bypassCach
   const stockData = historicalData[symbol];
   if (!stockData) return null;
   
-  const marketOpen = isMarketOpen(currentTime);
+  const exchange = getStockExchange(symbol);
+  const marketOpen = isMarketOpen(currentTime, symbol);
   const currentMarketState = marketOpen;
   
-  // Check if market state has changed
-  if (lastMarketState !== null && lastMarketState !== currentMarketState) {
+  // Check if this exchange's market state has changed
+  const lastMarketState = lastMarketStates[exchange];
+  if (lastMarketState !== undefined && lastMarketState !== currentMarketState) {
     if (!currentMarketState) {
       // Market just closed - keep cache as is
     } else {
-      // Market just opened - clear cache
-      priceCache = {};
+      // Market just opened - clear the cached prices of its stocks
+      for (const cachedSymbol of Object.keys(priceCache)) {
+        if (priceCache[cachedSymbol].exchange === exchange) {
+          delete priceCache[cachedSymbol];
+        }
+      }
     }
   }
-  lastMarketState = currentMarketState;
+  lastMarketStates[exchange] = currentMarketState;
   
   // If game is paused OR market is closed, return cached price if available (unless bypassCache is true)
   if (!bypassCache && (isPaused || !marketOpen) && priceCache[symbol]) {
-    return priceCache[symbol];
+    return quotePrice(priceCache[symbol], currentTime);
   }
   
   // Find the two data points to interpolate between
@@ -447,10 +453,11 @@ function getStockPrice(symbol, currentTime, timeMultiplier, isPaused, bypassCach
     
     const result = {
       symbol,
-      price: parseFloat(finalPrice.toFixed(2)),
+      price: finalPrice,
       change: parseFloat(change.toFixed(2)),
       name: getStockName(symbol),
-      sector: getStockSector(symbol)
+      sector: getStockSector(symbol),
+      exchange
     };
     
     // Cache if market is closed (and not bypassing cache)
@@ -458,7 +465,7 @@ function getStockPrice(symbol, currentTime, timeMultiplier, isPaused, bypassCach
       priceCache[symbol] = result;
     }
     
-    return result;
+    return quotePrice(result, currentTime);
   }
   
   // Linear interpolation
@@ -485,10 +492,11 @@ function getStockPrice(symbol, currentTime, timeMultiplier, isPaused, bypassCach
   
   const result = {
     symbol,
-    price: parseFloat(price.toFixed(2)),
+    price,
     change: parseFloat(change.toFixed(2)),
     name: getStockName(symbol),
-    sector: getStockSector(symbol)
+    sector: getStockSector(symbol),
+    exchange
   };
   
   // Cache if market is closed or game is paused (and not bypassing cache)
@@ -496,7 +504,18 @@ function getStockPrice(symbol, currentTime, timeMultiplier, isPaused, bypassCach
     priceCache[symbol] = result;
   }
   
-  return result;
+  return quotePrice(result, currentTime);
+}
+
+// Quote a computed price: the player's own market impact (see helpers/marketImpact)
+// moves it, and it is rounded to the tick. The cache keeps prices without impact,
+// so trades made while it holds a price still show up.
+function quotePrice(result, currentTime) {
+  const adjustment = marketImpact.getPriceAdjustment(result.symbol, currentTime);
+  return {
+    ...result,
+    price: tickSizes.roundToTick(result.price * (1 + adjustment), currentTime)
+  };
 }
 
 function getStockName(symbol) {
@@ -523,6 +542,8 @@ module.exports = {
   getStockPrice,
   getStockData,
   getAvailableStocks,
+  getStockExchange,
+  clearPriceCache,
   getAnnualGrowthRate,
   getYearMarketStats
 };
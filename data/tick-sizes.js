@@ -0,0 +1,39 @@
+// Minimum price increments (tick sizes) for US stock quotes
+// Stocks were quoted in eighths of a dollar until the NYSE moved to
+// sixteenths in June 1997, and in pennies after decimalization in 2001.
+// public/common.js keeps the same eras, read as UTC dates too, for display.
+
+const TICK_SIZE_ERAS = [
+  { from: '1970-01-01', tickSize: 1 / 8 },
+  { from: '1997-06-24', tickSize: 1 / 16 },
+  { from: '2001-01-29', tickSize: 0.01 } // Decimalization
+];
+
+// Era start times, parsed once (prices are looked up constantly). Game times
+// hold New York time in their UTC fields, so the dates are read as UTC.
+const eraStarts = TICK_SIZE_ERAS.map(era => Date.parse(`${era.from}T00:00:00Z`));
+
+// Get the tick size in force at a game time
+function getTickSize(currentDate) {
+  const time = currentDate.getTime();
+  let tickSize = TICK_SIZE_ERAS[0].tickSize;
+  for (let i = 0; i < TICK_SIZE_ERAS.length; i++) {
+    if (time >= eraStarts[i]) {
+      tickSize = TICK_SIZE_ERAS[i].tickSize;
+    }
+  }
+  return tickSize;
+}
+
+// Round a price to the nearest tick in force at a game time (at least one tick)
+function roundToTick(price, currentDate) {
+  const tickSize = getTickSize(currentDate);
+  const ticks = Math.max(Math.round(price / tickSize), 1);
+  return parseFloat((ticks * tickSize).toFixed(4));
+}
+
+module.exports = {
+  TICK_SIZE_ERAS,
+  getTickSize,
+  roundToTick
+};
@@ -1,5 +1,11 @@
 // Historical trade halts during market crises
 // These are periods when trading was suspended or significantly restricted
+// A halt covers the exchanges in its `exchanges` list (the US markets when omitted),
+// so stocks listed abroad keep trading through a New York halt
+
+const exchangeData = require('./exchanges');
+
+const US_EXCHANGES = ['NYSE', 'NASDAQ'];
 
 const tradeHalts = [
   // 1970s
@@ -143,7 +149,13 @@ const tradeHalts = [
 
 // Check if trading is halted at a given time
 function isTradingHalted(currentTime, symbol = null) {
+  const exchange = symbol ? exchangeData.getStockExchange(symbol) : null;
+  
   for (const halt of tradeHalts) {
+    if (exchange && !(halt.exchanges || US_EXCHANGES).includes(exchange)) {
+      continue;
+    }
+    
     if (currentTime >= halt.startDate && currentTime < halt.endDate) {
       // If it's a full halt, all trading is stopped
       if (halt.type === 'full') {
@@ -7,6 +7,35 @@ const db = new Database(dbPath);
 // Enable WAL mode for better concurrency
 db.pragma('journal_mode = WAL');
 
+// Add a column to an existing table if it is missing (for databases created by older versions)
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Rows created before multi-user accounts belong to the first registered player
+const LEGACY_USER_ID = 1;
+
+// Create a per-user table. SQLite cannot change a primary key or CHECK constraint in place,
+// so a table left over from the single-player schema is rebuilt and its rows given to LEGACY_USER_ID.
+function createUserTable(table, createSql) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (columns.length === 0 || columns.includes('user_id')) {
+    db.exec(createSql);
+    return;
+  }
+
+  const copied = columns.filter(c => c !== 'id').join(', ');
+  db.transaction(() => {
+    db.exec(`ALTER TABLE ${table} RENAME TO ${table}_single_player`);
+    db.exec(createSql);
+    db.exec(`INSERT INTO ${table} (user_id, ${copied}) SELECT ${LEGACY_USER_ID}, ${copied} FROM ${table}_single_player`);
+    db.exec(`DROP TABLE ${table}_single_player`);
+  })();
+}
+
 // Initialize database schema
 function initializeDatabase() {
   // Create game_state table
@@ -25,10 +54,37 @@ function initializeDatabase() {
     )
   `);
 
-  // Create user_account table
+  // Seed every stochastic module draws from (helpers/gameSeed)
+  addColumnIfMissing('game_state', 'seed', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Price impact of the players' trades (helpers/marketImpact), as JSON
+  addColumnIfMissing('game_state', 'market_impact', 'TEXT');
+
+  // Create users table for player logins
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      password_salt TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  // Create sessions table (token is the value of the session cookie)
   db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create user_account table
+  createUserTable('user_account', `
     CREATE TABLE IF NOT EXISTS user_account (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
+      user_id INTEGER PRIMARY KEY,
       cash REAL NOT NULL DEFAULT 10000,
       credit_score INTEGER NOT NULL DEFAULT 750,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -37,29 +93,35 @@ function initializeDatabase() {
   `);
 
   // Create portfolio table
-  db.exec(`
+  createUserTable('portfolio', `
     CREATE TABLE IF NOT EXISTS portfolio (
-      symbol TEXT PRIMARY KEY,
-      shares INTEGER NOT NULL DEFAULT 0
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      shares INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
   // Create index_fund_holdings table
-  db.exec(`
+  createUserTable('index_fund_holdings', `
     CREATE TABLE IF NOT EXISTS index_fund_holdings (
-      symbol TEXT PRIMARY KEY,
-      shares REAL NOT NULL DEFAULT 0
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      shares REAL NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
   // Create short_positions table
-  db.exec(`
+  createUserTable('short_positions', `
     CREATE TABLE IF NOT EXISTS short_positions (
-      symbol TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
       shares INTEGER NOT NULL DEFAULT 0,
       borrow_price REAL NOT NULL,
       borrow_date TEXT NOT NULL,
-      last_fee_date TEXT
+      last_fee_date TEXT,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
@@ -127,10 +189,12 @@ function initializeDatabase() {
   `);
 
   // Create shareholder_influence table
-  db.exec(`
+  createUserTable('shareholder_influence', `
     CREATE TABLE IF NOT EXISTS shareholder_influence (
-      symbol TEXT PRIMARY KEY,
-      shares INTEGER NOT NULL DEFAULT 0
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      shares INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
@@ -167,9 +231,9 @@ function initializeDatabase() {
   `);
 
   // Create margin_account table
-  db.exec(`
+  createUserTable('margin_account', `
     CREATE TABLE IF NOT EXISTS margin_account (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
+      user_id INTEGER PRIMARY KEY,
       margin_balance REAL NOT NULL DEFAULT 0,
       margin_interest_rate REAL NOT NULL DEFAULT 0.08,
       last_margin_interest_date TEXT,
@@ -193,9 +257,9 @@ function initializeDatabase() {
   `);
 
   // Create risk_controls table
-  db.exec(`
+  createUserTable('risk_controls', `
     CREATE TABLE IF NOT EXISTS risk_controls (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
+      user_id INTEGER PRIMARY KEY,
       max_leverage REAL NOT NULL DEFAULT 2.0,
       max_position_size REAL NOT NULL DEFAULT 0.30,
       maintenance_margin_ratio REAL NOT NULL DEFAULT 0.30,
@@ -204,10 +268,12 @@ function initializeDatabase() {
   `);
 
   // Create last_trade_time table
-  db.exec(`
+  createUserTable('last_trade_time', `
     CREATE TABLE IF NOT EXISTS last_trade_time (
-      symbol TEXT PRIMARY KEY,
-      last_trade_time TEXT NOT NULL
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      last_trade_time TEXT NOT NULL,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
@@ -227,6 +293,25 @@ function initializeDatabase() {
     )
   `);
 
+  // Conditional order columns (limit, stop, stop-limit and trailing-stop orders)
+  addColumnIfMissing('pending_orders', 'price_type', "TEXT NOT NULL DEFAULT 'market'");
+  addColumnIfMissing('pending_orders', 'limit_price', 'REAL');
+  addColumnIfMissing('pending_orders', 'stop_price', 'REAL');
+  addColumnIfMissing('pending_orders', 'trail_amount', 'REAL');
+  addColumnIfMissing('pending_orders', 'trail_percent', 'REAL');
+  addColumnIfMissing('pending_orders', 'trail_reference', 'REAL');
+  addColumnIfMissing('pending_orders', 'triggered_at', 'TEXT');
+
+  // Time-in-force columns (DAY, GTC, GTD, IOC, FOK)
+  addColumnIfMissing('pending_orders', 'time_in_force', "TEXT NOT NULL DEFAULT 'DAY'");
+  addColumnIfMissing('pending_orders', 'expires_at', 'TEXT');
+  addColumnIfMissing('pending_orders', 'filled_shares', 'REAL');
+
+  // Bracket/OCO group columns (group_role is 'parent', 'take_profit' or 'stop_loss')
+  addColumnIfMissing('pending_orders', 'group_id', 'INTEGER');
+  addColumnIfMissing('pending_orders', 'parent_id', 'INTEGER');
+  addColumnIfMissing('pending_orders', 'group_role', 'TEXT');
+
   // Create index_fund_constituents table for tracking constituent weights over time
   db.exec(`
     CREATE TABLE IF NOT EXISTS index_fund_constituents (
@@ -425,13 +510,15 @@ function initializeDatabase() {
   `);
 
   // Create crypto_holdings table for tracking cryptocurrency positions
-  db.exec(`
+  createUserTable('crypto_holdings', `
     CREATE TABLE IF NOT EXISTS crypto_holdings (
-      symbol TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
       quantity REAL NOT NULL DEFAULT 0,
       last_staking_reward_date TEXT,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, symbol)
     )
   `);
 
@@ -450,6 +537,9 @@ function initializeDatabase() {
     )
   `);
 
+  // Tax lots a sale consumed, as JSON [{ lotId, quantity }] where lotId is the buy's id
+  addColumnIfMissing('crypto_transactions', 'lots', 'TEXT');
+
   // Create staking_rewards table for tracking staking income
   db.exec(`
     CREATE TABLE IF NOT EXISTS staking_rewards (
@@ -463,6 +553,156 @@ function initializeDatabase() {
     )
   `);
 
+  // Create leaderboard_snapshots table for month-end net worth of each player
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      period TEXT NOT NULL,
+      snapshot_date TEXT NOT NULL,
+      net_worth REAL NOT NULL,
+      real_net_worth REAL NOT NULL,
+      cumulative_inflation REAL NOT NULL,
+      risk_free_rate REAL NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, period)
+    )
+  `);
+
+  // Create account_snapshots table for each player's daily closing account value
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS account_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      snapshot_date TEXT NOT NULL,
+      cash REAL NOT NULL,
+      stock_value REAL NOT NULL DEFAULT 0,
+      index_fund_value REAL NOT NULL DEFAULT 0,
+      bond_value REAL NOT NULL DEFAULT 0,
+      crypto_value REAL NOT NULL DEFAULT 0,
+      margin_debt REAL NOT NULL DEFAULT 0,
+      loan_balance REAL NOT NULL DEFAULT 0,
+      short_liability REAL NOT NULL DEFAULT 0,
+      net_worth REAL NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, snapshot_date)
+    )
+  `);
+
+  // Money added or removed from outside the game that day (debug cheats), kept out of returns
+  addColumnIfMissing('account_snapshots', 'external_flow', 'REAL NOT NULL DEFAULT 0');
+
+  // Market value of option positions (written options count against it)
+  addColumnIfMissing('account_snapshots', 'option_value', 'REAL NOT NULL DEFAULT 0');
+
+  // Dollar value of foreign currency wallets
+  addColumnIfMissing('account_snapshots', 'foreign_cash_value', 'REAL NOT NULL DEFAULT 0');
+
+  // Create competitions table for trading contests with fixed dates and rules
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS competitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      starting_cash REAL NOT NULL,
+      allowed_assets TEXT NOT NULL,
+      time_multiplier INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled' CHECK(status IN ('scheduled', 'active', 'finished')),
+      created_by INTEGER,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT,
+      standings TEXT
+    )
+  `);
+
+  // Create competition_entries table for enrolled players and their results
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS competition_entries (
+      user_id INTEGER NOT NULL,
+      competition_id INTEGER NOT NULL,
+      enrolled_at TEXT NOT NULL,
+      final_net_worth REAL,
+      final_rank INTEGER,
+      PRIMARY KEY (competition_id, user_id),
+      FOREIGN KEY (competition_id) REFERENCES competitions(id)
+    )
+  `);
+
+  // Create trading_bots table for player-written strategies run by the game clock
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trading_bots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      code TEXT NOT NULL,
+      trigger_event TEXT NOT NULL CHECK(trigger_event IN ('tick', 'open', 'close')),
+      symbols TEXT NOT NULL DEFAULT '[]',
+      time_limit_ms INTEGER NOT NULL,
+      max_orders_per_run INTEGER NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 0,
+      last_run_at TEXT,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  // Create option_positions table for open stock option contracts (negative contracts are written options)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS option_positions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      option_type TEXT NOT NULL CHECK(option_type IN ('call', 'put')),
+      strike REAL NOT NULL,
+      expiration_date TEXT NOT NULL,
+      contracts INTEGER NOT NULL,
+      average_premium REAL NOT NULL,
+      opened_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (user_id, symbol, option_type, strike, expiration_date)
+    )
+  `);
+
+  // Create futures_positions table for open futures contracts (negative contracts are short)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS futures_positions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      contract_month TEXT NOT NULL,
+      contracts INTEGER NOT NULL,
+      average_price REAL NOT NULL,
+      settlement_price REAL NOT NULL,
+      auto_roll INTEGER NOT NULL DEFAULT 0,
+      opened_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (user_id, symbol, contract_month)
+    )
+  `);
+
+  // Create currency_balances table for foreign cash wallets (US dollars stay in user_account.cash)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS currency_balances (
+      user_id INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      balance REAL NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, currency)
+    )
+  `);
+
+  // Owner of each history row (append-only tables keep their ids, so a column is enough)
+  for (const table of [
+    'purchase_history', 'transactions', 'dividends', 'taxes', 'fees', 'loans', 'loan_history',
+    'margin_calls', 'pending_orders', 'emails', 'bond_holdings', 'bond_interest_payments',
+    'crypto_transactions', 'staking_rewards'
+  ]) {
+    addColumnIfMissing(table, 'user_id', `INTEGER NOT NULL DEFAULT ${LEGACY_USER_ID}`);
+  }
+
   // Insert default market state if not exists
   const marketStateCount = db.prepare('SELECT COUNT(*) as count FROM market_state').get();
   if (marketStateCount.count === 0) {
@@ -481,32 +721,8 @@ function initializeDatabase() {
     `).run(new Date('1970-01-01T09:30:00').toISOString());
   }
 
-  // Insert default user account if not exists
-  const userCount = db.prepare('SELECT COUNT(*) as count FROM user_account').get();
-  if (userCount.count === 0) {
-    db.prepare(`
-      INSERT INTO user_account (id, cash, credit_score)
-      VALUES (1, 10000, 750)
-    `).run();
-  }
-
-  // Insert default margin account if not exists
-  const marginCount = db.prepare('SELECT COUNT(*) as count FROM margin_account').get();
-  if (marginCount.count === 0) {
-    db.prepare(`
-      INSERT INTO margin_account (id, margin_balance, margin_interest_rate, has_margin_enabled)
-      VALUES (1, 0, 0.08, 0)
-    `).run();
-  }
-
-  // Insert default risk controls if not exists
-  const riskCount = db.prepare('SELECT COUNT(*) as count FROM risk_controls').get();
-  if (riskCount.count === 0) {
-    db.prepare(`
-      INSERT INTO risk_controls (id, max_leverage, max_position_size, maintenance_margin_ratio, concentration_warning_threshold)
-      VALUES (1, 2.0, 0.30, 0.30, 0.20)
-    `).run();
-  }
+  // Insert default account rows for the first player if not exists
+  initializeUserAccount(LEGACY_USER_ID);
 
   // Insert default data retention config if not exists
   const retentionCount = db.prepare('SELECT COUNT(*) as count FROM data_retention_config').get();
@@ -533,111 +749,145 @@ function initializeDatabase() {
   }
 }
 
+// Create the default account, margin and risk control rows for a player
+function initializeUserAccount(userId) {
+  db.prepare(`
+    INSERT OR IGNORE INTO user_account (user_id, cash, credit_score)
+    VALUES (?, 10000, 750)
+  `).run(userId);
+  db.prepare(`
+    INSERT OR IGNORE INTO margin_account (user_id, margin_balance, margin_interest_rate, has_margin_enabled)
+    VALUES (?, 0, 0.08, 0)
+  `).run(userId);
+  db.prepare(`
+    INSERT OR IGNORE INTO risk_controls (user_id, max_leverage, max_position_size, maintenance_margin_ratio, concentration_warning_threshold)
+    VALUES (?, 2.0, 0.30, 0.30, 0.20)
+  `).run(userId);
+}
+
 // Initialize database tables on module load
 initializeDatabase();
 
+// User functions
+const getUserById = db.prepare('SELECT * FROM users WHERE id = ?');
+const getUserByUsername = db.prepare('SELECT * FROM users WHERE username = ?');
+const getAllUsers = db.prepare('SELECT id, username, created_at FROM users ORDER BY id ASC');
+const insertUser = db.prepare(`
+  INSERT INTO users (username, password_hash, password_salt, created_at)
+  VALUES (?, ?, ?, ?)
+`);
+
+// Session functions
+const getSession = db.prepare('SELECT * FROM sessions WHERE token = ?');
+const insertSession = db.prepare('INSERT INTO sessions (token, user_id, created_at) VALUES (?, ?, ?)');
+const deleteSession = db.prepare('DELETE FROM sessions WHERE token = ?');
+const deleteExpiredSessions = db.prepare('DELETE FROM sessions WHERE created_at < ?');
+
 // Game state functions
 const getGameState = db.prepare('SELECT * FROM game_state WHERE id = 1');
 const updateGameState = db.prepare(`
   UPDATE game_state 
   SET game_time = ?, is_paused = ?, time_multiplier = ?, 
       last_dividend_quarter = ?, last_monthly_fee_check = ?, last_inflation_check = ?, 
-      cumulative_inflation = ?, updated_at = CURRENT_TIMESTAMP
+      cumulative_inflation = ?, seed = ?, updated_at = CURRENT_TIMESTAMP
   WHERE id = 1
 `);
+const updateMarketImpactState = db.prepare('UPDATE game_state SET market_impact = ? WHERE id = 1');
 
 // User account functions
-const getUserAccount = db.prepare('SELECT * FROM user_account WHERE id = 1');
+const getUserAccount = db.prepare('SELECT * FROM user_account WHERE user_id = ?');
 const updateUserAccount = db.prepare(`
   UPDATE user_account 
   SET cash = ?, credit_score = ?, updated_at = CURRENT_TIMESTAMP
-  WHERE id = 1
+  WHERE user_id = ?
 `);
 
 // Portfolio functions
-const getPortfolio = db.prepare('SELECT * FROM portfolio');
-const getPortfolioItem = db.prepare('SELECT * FROM portfolio WHERE symbol = ?');
+const getPortfolio = db.prepare('SELECT * FROM portfolio WHERE user_id = ?');
+const getPortfolioItem = db.prepare('SELECT * FROM portfolio WHERE user_id = ? AND symbol = ?');
+const getPortfolioHolders = db.prepare('SELECT * FROM portfolio WHERE symbol = ?');
 const upsertPortfolio = db.prepare(`
-  INSERT INTO portfolio (symbol, shares) VALUES (?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET shares = excluded.shares
+  INSERT INTO portfolio (user_id, symbol, shares) VALUES (?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET shares = excluded.shares
 `);
-const deletePortfolio = db.prepare('DELETE FROM portfolio WHERE symbol = ?');
+const deletePortfolio = db.prepare('DELETE FROM portfolio WHERE user_id = ? AND symbol = ?');
 
 // Index fund holdings functions
-const getIndexFundHoldings = db.prepare('SELECT * FROM index_fund_holdings');
-const getIndexFundHolding = db.prepare('SELECT * FROM index_fund_holdings WHERE symbol = ?');
+const getIndexFundHoldings = db.prepare('SELECT * FROM index_fund_holdings WHERE user_id = ?');
+const getIndexFundHolding = db.prepare('SELECT * FROM index_fund_holdings WHERE user_id = ? AND symbol = ?');
 const upsertIndexFundHolding = db.prepare(`
-  INSERT INTO index_fund_holdings (symbol, shares) VALUES (?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET shares = excluded.shares
+  INSERT INTO index_fund_holdings (user_id, symbol, shares) VALUES (?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET shares = excluded.shares
 `);
-const deleteIndexFundHolding = db.prepare('DELETE FROM index_fund_holdings WHERE symbol = ?');
+const deleteIndexFundHolding = db.prepare('DELETE FROM index_fund_holdings WHERE user_id = ? AND symbol = ?');
 
 // Short positions functions
-const getShortPositions = db.prepare('SELECT * FROM short_positions');
-const getShortPosition = db.prepare('SELECT * FROM short_positions WHERE symbol = ?');
+const getShortPositions = db.prepare('SELECT * FROM short_positions WHERE user_id = ?');
+const getShortPosition = db.prepare('SELECT * FROM short_positions WHERE user_id = ? AND symbol = ?');
+const getShortPositionHolders = db.prepare('SELECT * FROM short_positions WHERE symbol = ?');
 const upsertShortPosition = db.prepare(`
-  INSERT INTO short_positions (symbol, shares, borrow_price, borrow_date, last_fee_date)
-  VALUES (?, ?, ?, ?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET 
+  INSERT INTO short_positions (user_id, symbol, shares, borrow_price, borrow_date, last_fee_date)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET 
     shares = excluded.shares,
     borrow_price = excluded.borrow_price,
     borrow_date = excluded.borrow_date,
     last_fee_date = excluded.last_fee_date
 `);
-const deleteShortPosition = db.prepare('DELETE FROM short_positions WHERE symbol = ?');
+const deleteShortPosition = db.prepare('DELETE FROM short_positions WHERE user_id = ? AND symbol = ?');
 
 // Purchase history functions
-const getPurchaseHistory = db.prepare('SELECT * FROM purchase_history WHERE symbol = ? AND asset_type = ? ORDER BY date ASC');
+const getPurchaseHistory = db.prepare('SELECT * FROM purchase_history WHERE user_id = ? AND symbol = ? AND asset_type = ? ORDER BY date ASC');
 const insertPurchaseHistory = db.prepare(`
-  INSERT INTO purchase_history (symbol, date, shares, price_per_share, asset_type)
-  VALUES (?, ?, ?, ?, ?)
+  INSERT INTO purchase_history (user_id, symbol, date, shares, price_per_share, asset_type)
+  VALUES (?, ?, ?, ?, ?, ?)
 `);
 const deletePurchaseHistoryItem = db.prepare('DELETE FROM purchase_history WHERE id = ?');
 
 // Transaction functions
-const getTransactions = db.prepare('SELECT * FROM transactions ORDER BY date DESC LIMIT ?');
+const getTransactions = db.prepare('SELECT * FROM transactions WHERE user_id = ? ORDER BY date DESC LIMIT ?');
 const insertTransaction = db.prepare(`
-  INSERT INTO transactions (date, type, symbol, shares, price_per_share, trading_fee, tax, total, data)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO transactions (user_id, date, type, symbol, shares, price_per_share, trading_fee, tax, total, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 // Dividend functions
-const getDividends = db.prepare('SELECT * FROM dividends ORDER BY date DESC LIMIT ?');
+const getDividends = db.prepare('SELECT * FROM dividends WHERE user_id = ? ORDER BY date DESC LIMIT ?');
 const insertDividend = db.prepare(`
-  INSERT INTO dividends (date, quarter, gross_amount, tax, net_amount, details)
-  VALUES (?, ?, ?, ?, ?, ?)
+  INSERT INTO dividends (user_id, date, quarter, gross_amount, tax, net_amount, details)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
 `);
 
 // Tax functions
-const getTaxes = db.prepare('SELECT * FROM taxes ORDER BY date DESC LIMIT ?');
-const getAllTaxes = db.prepare('SELECT * FROM taxes ORDER BY date DESC');
+const getTaxes = db.prepare('SELECT * FROM taxes WHERE user_id = ? ORDER BY date DESC LIMIT ?');
+const getAllTaxes = db.prepare('SELECT * FROM taxes WHERE user_id = ? ORDER BY date DESC');
 const insertTax = db.prepare(`
-  INSERT INTO taxes (date, type, amount, description)
-  VALUES (?, ?, ?, ?)
+  INSERT INTO taxes (user_id, date, type, amount, description)
+  VALUES (?, ?, ?, ?, ?)
 `);
 
 // Fee functions
-const getFees = db.prepare('SELECT * FROM fees ORDER BY date DESC LIMIT ?');
+const getFees = db.prepare('SELECT * FROM fees WHERE user_id = ? ORDER BY date DESC LIMIT ?');
 const insertFee = db.prepare(`
-  INSERT INTO fees (date, type, amount, description)
-  VALUES (?, ?, ?, ?)
+  INSERT INTO fees (user_id, date, type, amount, description)
+  VALUES (?, ?, ?, ?, ?)
 `);
 
 // Shareholder influence functions
-const getShareholderInfluence = db.prepare('SELECT * FROM shareholder_influence');
+const getShareholderInfluence = db.prepare('SELECT * FROM shareholder_influence WHERE user_id = ?');
 const upsertShareholderInfluence = db.prepare(`
-  INSERT INTO shareholder_influence (symbol, shares) VALUES (?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET shares = excluded.shares
+  INSERT INTO shareholder_influence (user_id, symbol, shares) VALUES (?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET shares = excluded.shares
 `);
-const deleteShareholderInfluence = db.prepare('DELETE FROM shareholder_influence WHERE symbol = ?');
+const deleteShareholderInfluence = db.prepare('DELETE FROM shareholder_influence WHERE user_id = ? AND symbol = ?');
 
 // Loan functions
-const getLoans = db.prepare('SELECT * FROM loans');
+const getLoans = db.prepare('SELECT * FROM loans WHERE user_id = ?');
 const getLoan = db.prepare('SELECT * FROM loans WHERE id = ?');
 const insertLoan = db.prepare(`
-  INSERT INTO loans (id, company_id, company_name, principal, balance, interest_rate, start_date, due_date, 
+  INSERT INTO loans (user_id, id, company_id, company_name, principal, balance, interest_rate, start_date, due_date, 
                      last_payment_date, last_interest_accrual, missed_payments, status, marked_as_missed, term_days)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 const updateLoan = db.prepare(`
   UPDATE loans SET balance = ?, last_payment_date = ?, last_interest_accrual = ?, 
@@ -646,57 +896,91 @@ const updateLoan = db.prepare(`
 `);
 
 // Loan history functions
-const getLoanHistory = db.prepare('SELECT * FROM loan_history ORDER BY date DESC LIMIT ?');
+const getLoanHistory = db.prepare('SELECT * FROM loan_history WHERE user_id = ? ORDER BY date DESC LIMIT ?');
 const insertLoanHistory = db.prepare(`
-  INSERT INTO loan_history (date, type, loan_id, company_id, data)
-  VALUES (?, ?, ?, ?, ?)
+  INSERT INTO loan_history (user_id, date, type, loan_id, company_id, data)
+  VALUES (?, ?, ?, ?, ?, ?)
 `);
 
 // Margin account functions
-const getMarginAccount = db.prepare('SELECT * FROM margin_account WHERE id = 1');
+const getMarginAccount = db.prepare('SELECT * FROM margin_account WHERE user_id = ?');
 const updateMarginAccount = db.prepare(`
   UPDATE margin_account 
   SET margin_balance = ?, margin_interest_rate = ?, last_margin_interest_date = ?, has_margin_enabled = ?
-  WHERE id = 1
+  WHERE user_id = ?
 `);
 
 // Margin call functions
-const getMarginCalls = db.prepare('SELECT * FROM margin_calls ORDER BY issue_date DESC LIMIT ?');
+const getMarginCalls = db.prepare('SELECT * FROM margin_calls WHERE user_id = ? ORDER BY issue_date DESC LIMIT ?');
 const insertMarginCall = db.prepare(`
-  INSERT INTO margin_calls (issue_date, due_date, amount_needed, current_ratio, required_ratio, status, met_date, liquidation_date)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO margin_calls (user_id, issue_date, due_date, amount_needed, current_ratio, required_ratio, status, met_date, liquidation_date)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 const updateMarginCall = db.prepare(`
   UPDATE margin_calls SET status = ?, met_date = ?, liquidation_date = ?
   WHERE id = ?
 `);
-const getActiveMarginCall = db.prepare(`SELECT * FROM margin_calls WHERE status = 'active' ORDER BY issue_date DESC LIMIT 1`);
+const getActiveMarginCall = db.prepare(`SELECT * FROM margin_calls WHERE user_id = ? AND status = 'active' ORDER BY issue_date DESC LIMIT 1`);
 
 // Risk controls functions
-const getRiskControls = db.prepare('SELECT * FROM risk_controls WHERE id = 1');
+const getRiskControls = db.prepare('SELECT * FROM risk_controls WHERE user_id = ?');
 
 // Last trade time functions
-const getLastTradeTime = db.prepare('SELECT * FROM last_trade_time WHERE symbol = ?');
+const getLastTradeTime = db.prepare('SELECT * FROM last_trade_time WHERE user_id = ? AND symbol = ?');
 const upsertLastTradeTime = db.prepare(`
-  INSERT INTO last_trade_time (symbol, last_trade_time) VALUES (?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET last_trade_time = excluded.last_trade_time
+  INSERT INTO last_trade_time (user_id, symbol, last_trade_time) VALUES (?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET last_trade_time = excluded.last_trade_time
 `);
 
 // Pending orders functions
 const getPendingOrders = db.prepare('SELECT * FROM pending_orders WHERE status = ? ORDER BY created_at ASC');
-const getAllPendingOrders = db.prepare('SELECT * FROM pending_orders ORDER BY created_at DESC');
+const getUserPendingOrders = db.prepare('SELECT * FROM pending_orders WHERE user_id = ? AND status = ? ORDER BY created_at ASC');
+const getAllPendingOrders = db.prepare('SELECT * FROM pending_orders WHERE user_id = ? ORDER BY created_at DESC');
 const getPendingOrder = db.prepare('SELECT * FROM pending_orders WHERE id = ?');
 const insertPendingOrder = db.prepare(`
-  INSERT INTO pending_orders (symbol, action, shares, order_type, created_at, status)
-  VALUES (?, ?, ?, ?, ?, ?)
+  INSERT INTO pending_orders (user_id, symbol, action, shares, order_type, created_at, status)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const insertTradeOrder = db.prepare(`
+  INSERT INTO pending_orders (user_id, symbol, action, shares, order_type, created_at, status,
+                              price_type, limit_price, stop_price, trail_amount, trail_percent, trail_reference,
+                              time_in_force, expires_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const updatePendingOrderTrigger = db.prepare(`
+  UPDATE pending_orders 
+  SET stop_price = ?, trail_reference = ?, triggered_at = ?
+  WHERE id = ?
 `);
 const updatePendingOrderStatus = db.prepare(`
   UPDATE pending_orders 
   SET status = ?, executed_at = ?, execution_price = ?, error = ?
   WHERE id = ?
 `);
+const updatePendingOrderFilledShares = db.prepare('UPDATE pending_orders SET filled_shares = ? WHERE id = ?');
+const updatePendingOrderGroup = db.prepare(`
+  UPDATE pending_orders 
+  SET group_id = ?, parent_id = ?, group_role = ?
+  WHERE id = ?
+`);
+const getOpenGroupOrders = db.prepare(`
+  SELECT * FROM pending_orders 
+  WHERE group_id = ? AND status IN ('pending', 'held')
+  ORDER BY id ASC
+`);
+const activateChildOrders = db.prepare(`
+  UPDATE pending_orders 
+  SET status = 'pending', shares = ?
+  WHERE parent_id = ? AND status IN ('held', 'pending')
+`);
 const deletePendingOrder = db.prepare('DELETE FROM pending_orders WHERE id = ?');
 
+// Email functions
+const insertEmail = db.prepare(`
+  INSERT INTO emails (user_id, from_address, subject, body, date, is_read, spam, category)
+  VALUES (?, ?, ?, ?, ?, 0, 0, ?)
+`);
+
 // Index fund constituents functions
 const getIndexFundConstituents = db.prepare(`
   SELECT * FROM index_fund_constituents 
@@ -824,12 +1108,13 @@ const updateDataRetentionConfig = db.prepare(`
 `);
 
 // Bond holdings functions
-const getBondHoldings = db.prepare('SELECT * FROM bond_holdings ORDER BY maturity_date ASC');
-const getBondHolding = db.prepare('SELECT * FROM bond_holdings WHERE id = ?');
-const getBondHoldingsByType = db.prepare('SELECT * FROM bond_holdings WHERE bond_type = ? ORDER BY maturity_date ASC');
+const getBondHoldings = db.prepare('SELECT * FROM bond_holdings WHERE user_id = ? ORDER BY maturity_date ASC');
+const getAllUsersBondHoldings = db.prepare('SELECT * FROM bond_holdings ORDER BY maturity_date ASC');
+const getBondHolding = db.prepare('SELECT * FROM bond_holdings WHERE user_id = ? AND id = ?');
+const getBondHoldingsByType = db.prepare('SELECT * FROM bond_holdings WHERE user_id = ? AND bond_type = ? ORDER BY maturity_date ASC');
 const insertBondHolding = db.prepare(`
-  INSERT INTO bond_holdings (bond_type, issuer, face_value, coupon_rate, purchase_price, purchase_date, maturity_date, credit_rating, quantity)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO bond_holdings (user_id, bond_type, issuer, face_value, coupon_rate, purchase_price, purchase_date, maturity_date, credit_rating, quantity)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 const updateBondQuantity = db.prepare(`
   UPDATE bond_holdings 
@@ -840,48 +1125,238 @@ const deleteBondHolding = db.prepare('DELETE FROM bond_holdings WHERE id = ?');
 
 // Bond interest payment functions
 const getBondInterestPayments = db.prepare('SELECT * FROM bond_interest_payments WHERE bond_id = ? ORDER BY payment_date DESC');
-const getAllBondInterestPayments = db.prepare('SELECT * FROM bond_interest_payments ORDER BY payment_date DESC LIMIT ?');
+const getAllBondInterestPayments = db.prepare('SELECT * FROM bond_interest_payments WHERE user_id = ? ORDER BY payment_date DESC LIMIT ?');
 const insertBondInterestPayment = db.prepare(`
-  INSERT INTO bond_interest_payments (bond_id, payment_date, amount)
-  VALUES (?, ?, ?)
+  INSERT INTO bond_interest_payments (user_id, bond_id, payment_date, amount)
+  VALUES (?, ?, ?, ?)
 `);
 
 // Crypto holdings functions
-const getCryptoHoldings = db.prepare('SELECT * FROM crypto_holdings ORDER BY symbol ASC');
-const getCryptoHolding = db.prepare('SELECT * FROM crypto_holdings WHERE symbol = ?');
+const getCryptoHoldings = db.prepare('SELECT * FROM crypto_holdings WHERE user_id = ? ORDER BY symbol ASC');
+const getCryptoHolding = db.prepare('SELECT * FROM crypto_holdings WHERE user_id = ? AND symbol = ?');
 const upsertCryptoHolding = db.prepare(`
-  INSERT INTO crypto_holdings (symbol, quantity, last_staking_reward_date, updated_at)
-  VALUES (?, ?, ?, ?)
-  ON CONFLICT(symbol) DO UPDATE SET
+  INSERT INTO crypto_holdings (user_id, symbol, quantity, last_staking_reward_date, updated_at)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, symbol) DO UPDATE SET
     quantity = excluded.quantity,
     last_staking_reward_date = excluded.last_staking_reward_date,
     updated_at = excluded.updated_at
 `);
-const deleteCryptoHolding = db.prepare('DELETE FROM crypto_holdings WHERE symbol = ?');
+const deleteCryptoHolding = db.prepare('DELETE FROM crypto_holdings WHERE user_id = ? AND symbol = ?');
 
 // Crypto transaction functions
-const getCryptoTransactions = db.prepare('SELECT * FROM crypto_transactions WHERE symbol = ? ORDER BY transaction_date DESC LIMIT ?');
-const getAllCryptoTransactions = db.prepare('SELECT * FROM crypto_transactions ORDER BY transaction_date DESC LIMIT ?');
+const getCryptoTransactions = db.prepare('SELECT * FROM crypto_transactions WHERE user_id = ? AND symbol = ? ORDER BY transaction_date DESC LIMIT ?');
+const getAllCryptoTransactions = db.prepare('SELECT * FROM crypto_transactions WHERE user_id = ? ORDER BY transaction_date DESC LIMIT ?');
+const getCryptoTransactionHistory = db.prepare('SELECT * FROM crypto_transactions WHERE user_id = ? AND symbol = ? ORDER BY transaction_date ASC, id ASC');
+const getCryptoTransactionSymbols = db.prepare('SELECT DISTINCT symbol FROM crypto_transactions WHERE user_id = ?');
+const getFirstCryptoTransactionDate = db.prepare('SELECT MIN(transaction_date) AS date FROM crypto_transactions WHERE user_id = ?');
 const insertCryptoTransaction = db.prepare(`
-  INSERT INTO crypto_transactions (symbol, transaction_type, quantity, price_per_unit, trading_fee, total, transaction_date)
-  VALUES (?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO crypto_transactions (user_id, symbol, transaction_type, quantity, price_per_unit, trading_fee, total, transaction_date, lots)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 // Staking rewards functions
-const getStakingRewards = db.prepare('SELECT * FROM staking_rewards WHERE symbol = ? ORDER BY reward_date DESC LIMIT ?');
-const getAllStakingRewards = db.prepare('SELECT * FROM staking_rewards ORDER BY reward_date DESC LIMIT ?');
+const getStakingRewards = db.prepare('SELECT * FROM staking_rewards WHERE user_id = ? AND symbol = ? ORDER BY reward_date DESC LIMIT ?');
+const getAllStakingRewards = db.prepare('SELECT * FROM staking_rewards WHERE user_id = ? ORDER BY reward_date DESC LIMIT ?');
 const insertStakingReward = db.prepare(`
-  INSERT INTO staking_rewards (symbol, quantity, reward_date, price_at_reward, total_value)
-  VALUES (?, ?, ?, ?, ?)
+  INSERT INTO staking_rewards (user_id, symbol, quantity, reward_date, price_at_reward, total_value)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+// Leaderboard snapshot functions
+const getLeaderboardSnapshots = db.prepare(`
+  SELECT s.*, u.username
+  FROM leaderboard_snapshots s
+  LEFT JOIN users u ON u.id = s.user_id
+  ORDER BY s.user_id ASC, s.period ASC
+`);
+const upsertLeaderboardSnapshot = db.prepare(`
+  INSERT INTO leaderboard_snapshots (user_id, period, snapshot_date, net_worth, real_net_worth, cumulative_inflation, risk_free_rate)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, period) DO UPDATE SET
+    snapshot_date = excluded.snapshot_date,
+    net_worth = excluded.net_worth,
+    real_net_worth = excluded.real_net_worth,
+    cumulative_inflation = excluded.cumulative_inflation,
+    risk_free_rate = excluded.risk_free_rate
+`);
+
+// Account snapshot functions
+const getAccountSnapshots = db.prepare(`
+  SELECT * FROM account_snapshots
+  WHERE user_id = ? AND snapshot_date >= ? AND snapshot_date <= ?
+  ORDER BY snapshot_date ASC
+`);
+const upsertAccountSnapshot = db.prepare(`
+  INSERT INTO account_snapshots (
+    user_id, snapshot_date, cash, stock_value, index_fund_value, bond_value,
+    crypto_value, margin_debt, loan_balance, short_liability, net_worth, external_flow, option_value,
+    foreign_cash_value
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, snapshot_date) DO UPDATE SET
+    cash = excluded.cash,
+    stock_value = excluded.stock_value,
+    index_fund_value = excluded.index_fund_value,
+    bond_value = excluded.bond_value,
+    crypto_value = excluded.crypto_value,
+    margin_debt = excluded.margin_debt,
+    loan_balance = excluded.loan_balance,
+    short_liability = excluded.short_liability,
+    net_worth = excluded.net_worth,
+    external_flow = account_snapshots.external_flow + excluded.external_flow,
+    option_value = excluded.option_value,
+    foreign_cash_value = excluded.foreign_cash_value
 `);
 
+// Competition functions
+const getCompetition = db.prepare('SELECT * FROM competitions WHERE id = ?');
+const getAllCompetitions = db.prepare('SELECT * FROM competitions ORDER BY created_at DESC, id DESC');
+const getCompetitionsByStatus = db.prepare('SELECT * FROM competitions WHERE status = ? ORDER BY start_date ASC');
+const insertCompetition = db.prepare(`
+  INSERT INTO competitions (name, start_date, end_date, starting_cash, allowed_assets, time_multiplier, created_by, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const startCompetition = db.prepare(`
+  UPDATE competitions SET status = 'active', started_at = ? WHERE id = ?
+`);
+const finishCompetition = db.prepare(`
+  UPDATE competitions SET status = 'finished', finished_at = ?, standings = ? WHERE id = ?
+`);
+
+// Competition entry functions
+const getCompetitionEntries = db.prepare(`
+  SELECT e.*, u.username
+  FROM competition_entries e
+  LEFT JOIN users u ON u.id = e.user_id
+  WHERE e.competition_id = ?
+  ORDER BY e.enrolled_at ASC
+`);
+const getCompetitionEntry = db.prepare('SELECT * FROM competition_entries WHERE user_id = ? AND competition_id = ?');
+const insertCompetitionEntry = db.prepare(`
+  INSERT INTO competition_entries (user_id, competition_id, enrolled_at)
+  VALUES (?, ?, ?)
+`);
+const updateCompetitionEntryResult = db.prepare(`
+  UPDATE competition_entries SET final_net_worth = ?, final_rank = ? WHERE competition_id = ? AND user_id = ?
+`);
+
+// Trading bot functions
+const getTradingBots = db.prepare('SELECT * FROM trading_bots WHERE user_id = ? ORDER BY id ASC');
+const getTradingBot = db.prepare('SELECT * FROM trading_bots WHERE user_id = ? AND id = ?');
+const getEnabledTradingBots = db.prepare('SELECT * FROM trading_bots WHERE enabled = 1 AND trigger_event = ? ORDER BY id ASC');
+const insertTradingBot = db.prepare(`
+  INSERT INTO trading_bots (
+    user_id, name, code, trigger_event, symbols, time_limit_ms, max_orders_per_run, created_at, updated_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const updateTradingBot = db.prepare(`
+  UPDATE trading_bots
+  SET name = ?, code = ?, trigger_event = ?, symbols = ?, time_limit_ms = ?, max_orders_per_run = ?,
+      last_error = NULL, updated_at = ?
+  WHERE id = ? AND user_id = ?
+`);
+const setTradingBotEnabled = db.prepare('UPDATE trading_bots SET enabled = ?, last_error = ? WHERE id = ?');
+const updateTradingBotRun = db.prepare('UPDATE trading_bots SET last_run_at = ?, last_error = ? WHERE id = ?');
+const deleteTradingBot = db.prepare('DELETE FROM trading_bots WHERE user_id = ? AND id = ?');
+
+// Option position functions
+const getOptionPositions = db.prepare('SELECT * FROM option_positions WHERE user_id = ? ORDER BY symbol ASC, expiration_date ASC, strike ASC');
+const getOptionPosition = db.prepare(`
+  SELECT * FROM option_positions WHERE user_id = ? AND symbol = ? AND option_type = ? AND strike = ? AND expiration_date = ?
+`);
+const upsertOptionPosition = db.prepare(`
+  INSERT INTO option_positions (
+    user_id, symbol, option_type, strike, expiration_date, contracts, average_premium, opened_at, updated_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, symbol, option_type, strike, expiration_date) DO UPDATE SET
+    contracts = excluded.contracts,
+    average_premium = excluded.average_premium,
+    opened_at = excluded.opened_at,
+    updated_at = excluded.updated_at
+`);
+const deleteOptionPosition = db.prepare('DELETE FROM option_positions WHERE id = ? AND user_id = ?');
+const getOptionPositionsBySymbol = db.prepare('SELECT * FROM option_positions WHERE symbol = ? ORDER BY user_id ASC, id ASC');
+const getOptionPositionsExpiringBy = db.prepare('SELECT * FROM option_positions WHERE expiration_date <= ? ORDER BY expiration_date ASC, user_id ASC, id ASC');
+
+// Futures position functions
+const getFuturesPositions = db.prepare('SELECT * FROM futures_positions WHERE user_id = ? ORDER BY symbol ASC, contract_month ASC');
+const getFuturesPosition = db.prepare('SELECT * FROM futures_positions WHERE user_id = ? AND symbol = ? AND contract_month = ?');
+const getAllFuturesPositions = db.prepare('SELECT * FROM futures_positions ORDER BY user_id ASC, symbol ASC, contract_month ASC');
+const upsertFuturesPosition = db.prepare(`
+  INSERT INTO futures_positions (
+    user_id, symbol, contract_month, contracts, average_price, settlement_price, auto_roll, opened_at, updated_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(user_id, symbol, contract_month) DO UPDATE SET
+    contracts = excluded.contracts,
+    average_price = excluded.average_price,
+    settlement_price = excluded.settlement_price,
+    auto_roll = excluded.auto_roll,
+    opened_at = excluded.opened_at,
+    updated_at = excluded.updated_at
+`);
+const updateFuturesSettlement = db.prepare('UPDATE futures_positions SET settlement_price = ?, updated_at = ? WHERE id = ?');
+const updateFuturesAutoRoll = db.prepare('UPDATE futures_positions SET auto_roll = ?, updated_at = ? WHERE id = ? AND user_id = ?');
+const deleteFuturesPosition = db.prepare('DELETE FROM futures_positions WHERE id = ? AND user_id = ?');
+
+// Currency wallet functions
+const getCurrencyBalances = db.prepare('SELECT * FROM currency_balances WHERE user_id = ? ORDER BY currency ASC');
+const getCurrencyBalance = db.prepare('SELECT * FROM currency_balances WHERE user_id = ? AND currency = ?');
+const getCurrencyBalancesByCurrency = db.prepare('SELECT * FROM currency_balances WHERE currency = ? ORDER BY user_id ASC');
+const upsertCurrencyBalance = db.prepare(`
+  INSERT INTO currency_balances (user_id, currency, balance, updated_at)
+  VALUES (?, ?, ?, ?)
+  ON CONFLICT(user_id, currency) DO UPDATE SET
+    balance = excluded.balance,
+    updated_at = excluded.updated_at
+`);
+const deleteCurrencyBalance = db.prepare('DELETE FROM currency_balances WHERE user_id = ? AND currency = ?');
+
+// Account reset functions (used when a player starts a competition)
+const deleteUserBondInterestPayments = db.prepare(`
+  DELETE FROM bond_interest_payments WHERE bond_id IN (SELECT id FROM bond_holdings WHERE user_id = ?)
+`);
+const deleteUserBondHoldings = db.prepare('DELETE FROM bond_holdings WHERE user_id = ?');
+const deleteUserCryptoHoldings = db.prepare('DELETE FROM crypto_holdings WHERE user_id = ?');
+const deleteUserOptionPositions = db.prepare('DELETE FROM option_positions WHERE user_id = ?');
+const deleteUserFuturesPositions = db.prepare('DELETE FROM futures_positions WHERE user_id = ?');
+const deleteUserCurrencyBalances = db.prepare('DELETE FROM currency_balances WHERE user_id = ?');
+const cancelUserPendingOrders = db.prepare(`
+  UPDATE pending_orders
+  SET status = 'cancelled', executed_at = ?, error = ?
+  WHERE user_id = ? AND status IN ('pending', 'held')
+`);
+
+// Game reset functions (used with the account reset functions when a new game starts)
+const deleteUserCryptoTransactions = db.prepare('DELETE FROM crypto_transactions WHERE user_id = ?');
+const deleteUserStakingRewards = db.prepare('DELETE FROM staking_rewards WHERE user_id = ?');
+const deleteUserTransactions = db.prepare('DELETE FROM transactions WHERE user_id = ?');
+const deleteUserTaxes = db.prepare('DELETE FROM taxes WHERE user_id = ?');
+const deleteUserFees = db.prepare('DELETE FROM fees WHERE user_id = ?');
+const deleteUserAccountSnapshots = db.prepare('DELETE FROM account_snapshots WHERE user_id = ?');
+const deleteUserLeaderboardSnapshots = db.prepare('DELETE FROM leaderboard_snapshots WHERE user_id = ?');
+
 module.exports = {
   db,
   initializeDatabase,
+  initializeUserAccount,
+  LEGACY_USER_ID,
+  
+  // Users
+  getUserById,
+  getUserByUsername,
+  getAllUsers,
+  insertUser,
+  
+  // Sessions
+  getSession,
+  insertSession,
+  deleteSession,
+  deleteExpiredSessions,
   
   // Game state
   getGameState,
   updateGameState,
+  updateMarketImpactState,
   
   // User account
   getUserAccount,
@@ -890,6 +1365,7 @@ module.exports = {
   // Portfolio
   getPortfolio,
   getPortfolioItem,
+  getPortfolioHolders,
   upsertPortfolio,
   deletePortfolio,
   
@@ -902,6 +1378,7 @@ module.exports = {
   // Short positions
   getShortPositions,
   getShortPosition,
+  getShortPositionHolders,
   upsertShortPosition,
   deleteShortPosition,
   
@@ -961,12 +1438,22 @@ module.exports = {
   
   // Pending orders
   getPendingOrders,
+  getUserPendingOrders,
   getAllPendingOrders,
   getPendingOrder,
   insertPendingOrder,
+  insertTradeOrder,
+  updatePendingOrderTrigger,
   updatePendingOrderStatus,
+  updatePendingOrderFilledShares,
+  updatePendingOrderGroup,
+  getOpenGroupOrders,
+  activateChildOrders,
   deletePendingOrder,
   
+  // Emails
+  insertEmail,
+  
   // Index fund constituents
   getIndexFundConstituents,
   insertConstituent,
@@ -1016,6 +1503,7 @@ module.exports = {
   
   // Bond holdings
   getBondHoldings,
+  getAllUsersBondHoldings,
   getBondHolding,
   getBondHoldingsByType,
   insertBondHolding,
@@ -1036,10 +1524,87 @@ module.exports = {
   // Crypto transactions
   getCryptoTransactions,
   getAllCryptoTransactions,
+  getCryptoTransactionHistory,
+  getCryptoTransactionSymbols,
+  getFirstCryptoTransactionDate,
   insertCryptoTransaction,
   
   // Staking rewards
   getStakingRewards,
   getAllStakingRewards,
-  insertStakingReward
+  insertStakingReward,
+  
+  // Leaderboard snapshots
+  getLeaderboardSnapshots,
+  upsertLeaderboardSnapshot,
+  
+  // Account snapshots
+  getAccountSnapshots,
+  upsertAccountSnapshot,
+  
+  // Competitions
+  getCompetition,
+  getAllCompetitions,
+  getCompetitionsByStatus,
+  insertCompetition,
+  startCompetition,
+  finishCompetition,
+  
+  // Competition entries
+  getCompetitionEntries,
+  getCompetitionEntry,
+  insertCompetitionEntry,
+  updateCompetitionEntryResult,
+  
+  // Trading bots
+  getTradingBots,
+  getTradingBot,
+  getEnabledTradingBots,
+  insertTradingBot,
+  updateTradingBot,
+  setTradingBotEnabled,
+  updateTradingBotRun,
+  deleteTradingBot,
+  
+  // Option positions
+  getOptionPositions,
+  getOptionPosition,
+  upsertOptionPosition,
+  deleteOptionPosition,
+  getOptionPositionsBySymbol,
+  getOptionPositionsExpiringBy,
+  
+  // Futures positions
+  getFuturesPositions,
+  getFuturesPosition,
+  getAllFuturesPositions,
+  upsertFuturesPosition,
+  updateFuturesSettlement,
+  updateFuturesAutoRoll,
+  deleteFuturesPosition,
+  
+  // Currency wallets
+  getCurrencyBalances,
+  getCurrencyBalance,
+  getCurrencyBalancesByCurrency,
+  upsertCurrencyBalance,
+  deleteCurrencyBalance,
+  
+  // Account reset
+  deleteUserBondInterestPayments,
+  deleteUserBondHoldings,
+  deleteUserCryptoHoldings,
+  deleteUserOptionPositions,
+  deleteUserFuturesPositions,
+  deleteUserCurrencyBalances,
+  cancelUserPendingOrders,
+  
+  // Game reset
+  deleteUserCryptoTransactions,
+  deleteUserStakingRewards,
+  deleteUserTransactions,
+  deleteUserTaxes,
+  deleteUserFees,
+  deleteUserAccountSnapshots,
+  deleteUserLeaderboardSnapshots
 };
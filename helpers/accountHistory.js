@@ -0,0 +1,171 @@
+/**
+ * Account History Module
+ *
+ * Daily snapshots of each player's account taken at the market close, broken
+ * down by asset class and liability. Together they form the equity curve of
+ * a run.
+ *
+ * Intervals:
+ * - day: every snapshot
+ * - week: the last snapshot of each week (weeks start on Sunday)
+ * - month: the last snapshot of each month
+ *
+ * Each snapshot also carries the day's external flow: money added or removed
+ * from outside the game (debug cheats). Downsampled snapshots carry the total
+ * flow of their period so returns can be measured net of it.
+ *
+ * Usage:
+ *   const accountHistory = require('./helpers/accountHistory');
+ *   accountHistory.recordSnapshot(userId, closeTime, breakdown);
+ *   const query = accountHistory.validateHistoryParams(req.query);
+ *   const history = accountHistory.getHistory(userId, query);
+ */
+
+const dbModule = require('../database');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Get the snapshot date key for a game time
+ * @param {Date} date - Game time
+ * @returns {string} Date key, e.g. '1987-10-19'
+ */
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Store a player's closing account value for the day
+ * @param {number} userId - Player id
+ * @param {Date} date - Game time of the snapshot
+ * @param {Object} breakdown - { cash, stockValue, indexFundValue, bondValue, cryptoValue,
+ *   optionValue, foreignCashValue, marginDebt, loanBalance, shortLiability, netWorth, externalFlow }
+ */
+function recordSnapshot(userId, date, breakdown) {
+  dbModule.upsertAccountSnapshot.run(
+    userId,
+    getDateKey(date),
+    breakdown.cash,
+    breakdown.stockValue,
+    breakdown.indexFundValue,
+    breakdown.bondValue,
+    breakdown.cryptoValue,
+    breakdown.marginDebt,
+    breakdown.loanBalance,
+    breakdown.shortLiability,
+    breakdown.netWorth,
+    breakdown.externalFlow || 0,
+    breakdown.optionValue || 0,
+    breakdown.foreignCashValue || 0
+  );
+}
+
+/**
+ * Validate history query parameters
+ * @param {Object} query - { from, to, interval }
+ * @returns {Object} { valid, error } or { valid, from, to, interval } with date keys
+ */
+function validateHistoryParams(query) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { valid: false, error: `Invalid interval. Must be one of: ${INTERVALS.join(', ')}` };
+  }
+
+  const range = {};
+  for (const name of ['from', 'to']) {
+    if (!query[name]) {
+      range[name] = null;
+      continue;
+    }
+    const date = new Date(query[name]);
+    if (isNaN(date.getTime())) {
+      return { valid: false, error: `${name} must be a valid date` };
+    }
+    range[name] = date;
+  }
+
+  if (range.from && range.to && range.from > range.to) {
+    return { valid: false, error: 'from must be before to' };
+  }
+
+  return {
+    valid: true,
+    interval,
+    from: range.from ? getDateKey(range.from) : '0000-01-01',
+    to: range.to ? getDateKey(range.to) : '9999-12-31'
+  };
+}
+
+function getBucketKey(dateKey, interval) {
+  if (interval === 'month') {
+    return dateKey.slice(0, 7);
+  }
+  if (interval === 'week') {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    date.setDate(date.getDate() - date.getDay());
+    return getDateKey(date);
+  }
+  return dateKey;
+}
+
+function formatSnapshot(row) {
+  return {
+    date: row.snapshot_date,
+    cash: row.cash,
+    stockValue: row.stock_value,
+    indexFundValue: row.index_fund_value,
+    bondValue: row.bond_value,
+    cryptoValue: row.crypto_value,
+    optionValue: row.option_value,
+    foreignCashValue: row.foreign_cash_value,
+    marginDebt: row.margin_debt,
+    loanBalance: row.loan_balance,
+    shortLiability: row.short_liability,
+    netWorth: row.net_worth,
+    externalFlow: row.external_flow
+  };
+}
+
+/**
+ * Reduce daily snapshots to one per interval (the last one in each period,
+ * carrying the period's total external flow)
+ * @param {Array} rows - account_snapshots rows ordered by date
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Array} Rows kept for the interval
+ */
+function downsample(rows, interval) {
+  if (interval === 'day') {
+    return rows;
+  }
+
+  const buckets = new Map();
+  for (const row of rows) {
+    const key = getBucketKey(row.snapshot_date, interval);
+    const flow = (buckets.has(key) ? buckets.get(key).external_flow : 0) + (row.external_flow || 0);
+    buckets.set(key, { ...row, external_flow: flow });
+  }
+  return Array.from(buckets.values());
+}
+
+/**
+ * Get a player's account history
+ * @param {number} userId - Player id
+ * @param {Object} query - Output of validateHistoryParams
+ * @returns {Array} Snapshots in date order
+ */
+function getHistory(userId, query) {
+  const rows = dbModule.getAccountSnapshots.all(userId, query.from, query.to);
+  return downsample(rows, query.interval).map(formatSnapshot);
+}
+
+module.exports = {
+  INTERVALS,
+  getDateKey,
+  recordSnapshot,
+  validateHistoryParams,
+  downsample,
+  getHistory
+};
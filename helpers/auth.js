@@ -0,0 +1,235 @@
+/**
+ * Authentication Module
+ *
+ * Player registration, password checks and cookie sessions. Every player
+ * gets their own account (cash, holdings, history) while sharing the single
+ * game clock with everyone else on the server.
+ *
+ * Passwords are hashed with scrypt and a per-user random salt. A session is
+ * a random token stored in the sessions table and sent to the browser in an
+ * HttpOnly cookie.
+ *
+ * Usage:
+ *   const auth = require('./helpers/auth');
+ *   const result = auth.registerUser('alice', 'hunter22');
+ *   const user = auth.authenticate('alice', 'hunter22');
+ *   const token = auth.createSession(user.id);
+ *   res.setHeader('Set-Cookie', auth.buildSessionCookie(token));
+ *   const sessionUser = auth.getSessionUser(auth.getSessionToken(req));
+ */
+
+const crypto = require('crypto');
+const dbModule = require('../database');
+
+const SESSION_COOKIE = 'stockfake_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Sessions last 30 real days
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const HASH_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex encoded salt
+ * @returns {string} Hex encoded hash
+ */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, HASH_LENGTH).toString('hex');
+}
+
+/**
+ * Validate a username and password before registration
+ * @param {string} username - Requested username
+ * @param {string} password - Requested password
+ * @returns {Object} { valid, error }
+ */
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return { valid: false, error: 'Username must be 3-20 letters, numbers, dashes or underscores' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { valid: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Register a new player and create their account rows
+ * @param {string} username - Requested username (case-insensitive, unique)
+ * @param {string} password - Plain text password
+ * @returns {Object} { success, user } or { success, error }
+ */
+function registerUser(username, password) {
+  const check = validateCredentials(username, password);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  if (dbModule.getUserByUsername.get(username)) {
+    return { success: false, error: 'Username is already taken' };
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const createUser = dbModule.db.transaction(() => {
+    const result = dbModule.insertUser.run(username, hashPassword(password, salt), salt, new Date().toISOString());
+    dbModule.initializeUserAccount(result.lastInsertRowid);
+    return result.lastInsertRowid;
+  });
+
+  const userId = createUser();
+  return { success: true, user: toPublicUser(dbModule.getUserById.get(userId)) };
+}
+
+/**
+ * Check a username and password
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Object|null} Public user fields, or null if the credentials are wrong
+ */
+function authenticate(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return null;
+  }
+
+  const user = dbModule.getUserByUsername.get(username);
+  if (!user) {
+    return null;
+  }
+
+  const expected = Buffer.from(user.password_hash, 'hex');
+  const actual = Buffer.from(hashPassword(password, user.password_salt), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return toPublicUser(user);
+}
+
+/**
+ * Start a session for a player
+ * @param {number} userId - User id
+ * @returns {string} Session token for the cookie
+ */
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  dbModule.insertSession.run(token, userId, new Date().toISOString());
+  return token;
+}
+
+/**
+ * Look up the player behind a session token
+ * @param {string|null} token - Session token from the cookie
+ * @returns {Object|null} Public user fields, or null if the session is missing or expired
+ */
+function getSessionUser(token) {
+  if (!token) {
+    return null;
+  }
+
+  const session = dbModule.getSession.get(token);
+  if (!session) {
+    return null;
+  }
+
+  if (Date.now() - new Date(session.created_at).getTime() > SESSION_MAX_AGE_MS) {
+    dbModule.deleteSession.run(token);
+    return null;
+  }
+
+  const user = dbModule.getUserById.get(session.user_id);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * End a session
+ * @param {string|null} token - Session token from the cookie
+ */
+function destroySession(token) {
+  if (token) {
+    dbModule.deleteSession.run(token);
+  }
+}
+
+/**
+ * Remove sessions older than the maximum session age
+ * @returns {number} Number of sessions removed
+ */
+function pruneExpiredSessions() {
+  const cutoff = new Date(Date.now() - SESSION_MAX_AGE_MS).toISOString();
+  return dbModule.deleteExpiredSessions.run(cutoff).changes;
+}
+
+/**
+ * Parse a Cookie request header
+ * @param {string|undefined} header - Raw Cookie header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Get the session token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Build the Set-Cookie header value for a new session
+ * @param {string} token - Session token
+ * @returns {string} Set-Cookie header value
+ */
+function buildSessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_MAX_AGE_MS / 1000}`;
+}
+
+/**
+ * Build the Set-Cookie header value that clears the session cookie
+ * @returns {string} Set-Cookie header value
+ */
+function buildClearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.created_at
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  validateCredentials,
+  registerUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  destroySession,
+  pruneExpiredSessions,
+  parseCookies,
+  getSessionToken,
+  buildSessionCookie,
+  buildClearedSessionCookie
+};
@@ -0,0 +1,336 @@
+/**
+ * Backtester Module
+ *
+ * Replays a trading strategy over historical game prices without a server
+ * or database. Each trading day the strategy sees the closing prices, their
+ * history, the technical indicator functions and a copy of its account, and
+ * returns the orders it wants filled. Orders fill at that day's close with
+ * the game's trading fees and capital gains taxes, the same way market orders
+ * fill in executeStockOrder. Margin, dividends and loans are not simulated.
+ *
+ * Strategy:
+ *   module.exports = function (context) {
+ *     // context: { date, prices, history, indicators, account, state }
+ *     return [{ symbol: 'IBM', action: 'buy', shares: 10 }];
+ *   };
+ *
+ * Actions: buy, sell, short, cover
+ *
+ * Usage:
+ *   const backtester = require('./helpers/backtester');
+ *   const result = backtester.runBacktest(strategy, {
+ *     symbols: ['IBM', 'XOM'], from: '1980-01-01', to: '1985-12-31', startingCash: 10000
+ *   });
+ */
+
+const constants = require('./constants');
+const technicalIndicators = require('./technicalIndicators');
+const performanceAnalytics = require('./performanceAnalytics');
+
+const ACTIONS = ['buy', 'sell', 'short', 'cover'];
+const DEFAULT_STARTING_CASH = 10000;
+const CLOSE_HOUR = 16;
+
+// Price a symbol at a game time from the historical data, or null before it listed
+function getHistoricalPrice(symbol, date) {
+  const stocks = require('../data/stocks');
+  const stockPrice = stocks.getStockPrice(symbol, date, 1, true, true);
+  return stockPrice ? stockPrice.price : null;
+}
+
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Validate and normalize backtest options
+ * @param {Object} options - { symbols, from, to, startingCash }
+ * @returns {Object} { valid, error } or { valid, symbols, from, to, startingCash }
+ */
+function validateOptions(options) {
+  const symbols = Array.isArray(options.symbols) ? options.symbols.map(s => String(s).toUpperCase()) : [];
+  if (symbols.length === 0) {
+    return { valid: false, error: 'symbols must be a non-empty array' };
+  }
+
+  const from = new Date(options.from);
+  const to = new Date(options.to);
+  if (!options.from || isNaN(from.getTime())) {
+    return { valid: false, error: 'from must be a valid date' };
+  }
+  if (!options.to || isNaN(to.getTime())) {
+    return { valid: false, error: 'to must be a valid date' };
+  }
+  if (to < from) {
+    return { valid: false, error: 'to must not be before from' };
+  }
+
+  const startingCash = options.startingCash === undefined ? DEFAULT_STARTING_CASH : parseFloat(options.startingCash);
+  if (isNaN(startingCash) || startingCash <= 0) {
+    return { valid: false, error: 'startingCash must be a positive number' };
+  }
+
+  return { valid: true, symbols: Array.from(new Set(symbols)), from, to, startingCash };
+}
+
+/**
+ * List the trading days (weekdays, at the close) in a date range
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Array<Date>} Closing times
+ */
+function getTradingDays(from, to) {
+  const days = [];
+  const date = new Date(from.getFullYear(), from.getMonth(), from.getDate(), CLOSE_HOUR);
+  const last = new Date(to.getFullYear(), to.getMonth(), to.getDate(), CLOSE_HOUR);
+  while (date <= last) {
+    if (date.getDay() !== 0 && date.getDay() !== 6) {
+      days.push(new Date(date));
+    }
+    date.setDate(date.getDate() + 1);
+  }
+  return days;
+}
+
+function createAccount(startingCash) {
+  return {
+    cash: startingCash,
+    positions: {}, // symbol -> shares
+    lots: {}, // symbol -> [{ date, shares, pricePerShare }] oldest first
+    shortPositions: {}, // symbol -> { shares, borrowPrice, borrowDate }
+    feesPaid: 0,
+    taxesPaid: 0
+  };
+}
+
+function valueAccount(account, prices) {
+  let positionsValue = 0;
+  let shortLiability = 0;
+  for (const [symbol, shares] of Object.entries(account.positions)) {
+    positionsValue += (prices[symbol] || 0) * shares;
+  }
+  for (const [symbol, position] of Object.entries(account.shortPositions)) {
+    shortLiability += (prices[symbol] || 0) * position.shares;
+  }
+  return {
+    cash: account.cash,
+    positionsValue,
+    shortLiability,
+    netWorth: account.cash + positionsValue - shortLiability
+  };
+}
+
+// Capital gains tax on a gain held since openedAt, at the rates for the sale year
+function calculateGainTax(gain, openedAt, date) {
+  if (gain <= 0) {
+    return 0;
+  }
+  const holdingDays = (date - new Date(openedAt)) / (1000 * 60 * 60 * 24);
+  const taxRates = constants.getTaxRates(date.getFullYear());
+  return gain * (holdingDays >= 365 ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate);
+}
+
+/**
+ * Fill an order against the account at a price
+ * @param {Object} account - Backtest account (modified in place)
+ * @param {Object} order - { symbol, action, shares }
+ * @param {number} price - Fill price
+ * @param {Date} date - Fill time
+ * @returns {Object} { success, trade } or { success, error }
+ */
+function fillOrder(account, order, price, date) {
+  const { symbol, action, shares } = order;
+  const tradeValue = price * shares;
+  const tradingFee = constants.getTradingFee(tradeValue, date);
+  let tax = 0;
+  let cashChange;
+
+  if (action === 'buy') {
+    cashChange = -(tradeValue + tradingFee);
+    if (account.cash + cashChange < 0) {
+      return { success: false, error: 'Insufficient funds (including trading fee)' };
+    }
+    account.positions[symbol] = (account.positions[symbol] || 0) + shares;
+    if (!account.lots[symbol]) {
+      account.lots[symbol] = [];
+    }
+    account.lots[symbol].push({ date: new Date(date), shares, pricePerShare: price });
+  } else if (action === 'sell') {
+    if ((account.positions[symbol] || 0) < shares) {
+      return { success: false, error: 'Insufficient shares' };
+    }
+    // First in, first out, as in the game
+    let remaining = shares;
+    const lots = account.lots[symbol];
+    while (remaining > 0 && lots.length > 0) {
+      const lot = lots[0];
+      const sold = Math.min(remaining, lot.shares);
+      tax += calculateGainTax(sold * (price - lot.pricePerShare), lot.date, date);
+      lot.shares -= sold;
+      if (lot.shares <= 0) {
+        lots.shift();
+      }
+      remaining -= sold;
+    }
+    account.positions[symbol] -= shares;
+    if (account.positions[symbol] <= 0) {
+      delete account.positions[symbol];
+      delete account.lots[symbol];
+    }
+    cashChange = tradeValue - tradingFee - tax;
+  } else if (action === 'short') {
+    const position = account.shortPositions[symbol] || { shares: 0, borrowPrice: 0, borrowDate: new Date(date) };
+    const totalShares = position.shares + shares;
+    position.borrowPrice = (position.shares * position.borrowPrice + tradeValue) / totalShares;
+    position.shares = totalShares;
+    account.shortPositions[symbol] = position;
+    cashChange = tradeValue - tradingFee;
+  } else {
+    const position = account.shortPositions[symbol];
+    if (!position || position.shares < shares) {
+      return { success: false, error: 'Insufficient short position to cover' };
+    }
+    tax = calculateGainTax((position.borrowPrice - price) * shares, position.borrowDate, date);
+    cashChange = -(tradeValue + tradingFee + tax);
+    if (account.cash + cashChange < 0) {
+      return { success: false, error: 'Insufficient funds to cover short position' };
+    }
+    position.shares -= shares;
+    if (position.shares <= 0) {
+      delete account.shortPositions[symbol];
+    }
+  }
+
+  account.cash += cashChange;
+  account.feesPaid += tradingFee;
+  account.taxesPaid += tax;
+
+  return {
+    success: true,
+    trade: {
+      date: getDateKey(date),
+      symbol,
+      action,
+      shares,
+      pricePerShare: price,
+      tradingFee,
+      tax,
+      cashChange
+    }
+  };
+}
+
+function validateOrder(order, prices) {
+  if (!order || !ACTIONS.includes(order.action)) {
+    return `action must be one of: ${ACTIONS.join(', ')}`;
+  }
+  if (typeof order.shares !== 'number' || !Number.isInteger(order.shares) || order.shares <= 0) {
+    return 'shares must be a positive whole number';
+  }
+  if (!Object.prototype.hasOwnProperty.call(prices, order.symbol)) {
+    return 'symbol is not part of this backtest';
+  }
+  if (prices[order.symbol] === null) {
+    return 'No price for this symbol on this date';
+  }
+  return null;
+}
+
+/**
+ * Run a strategy over a date range
+ * @param {Function} strategy - Called once per trading day with the context; returns orders
+ * @param {Object} options - { symbols, from, to, startingCash, getPrice(symbol, date) }
+ * @returns {Object} { success, error } or { success, symbols, from, to, startingCash, trades,
+ *   rejectedOrders, equityCurve, stats, finalAccount }
+ */
+function runBacktest(strategy, options) {
+  if (typeof strategy !== 'function') {
+    return { success: false, error: 'strategy must be a function' };
+  }
+  const check = validateOptions(options);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  const getPrice = options.getPrice || getHistoricalPrice;
+  const account = createAccount(check.startingCash);
+  const history = {};
+  for (const symbol of check.symbols) {
+    history[symbol] = [];
+  }
+  const lastPrices = {}; // Positions are valued at their last known price on days a symbol has none
+  const state = {};
+  const trades = [];
+  const rejectedOrders = [];
+  const equityCurve = [];
+
+  for (const date of getTradingDays(check.from, check.to)) {
+    const prices = {};
+    for (const symbol of check.symbols) {
+      prices[symbol] = getPrice(symbol, date);
+      if (prices[symbol] !== null) {
+        history[symbol].push(prices[symbol]);
+        lastPrices[symbol] = prices[symbol];
+      }
+    }
+
+    const orders = strategy({
+      date: new Date(date),
+      prices: { ...prices },
+      history,
+      indicators: technicalIndicators,
+      account: {
+        ...valueAccount(account, lastPrices),
+        positions: { ...account.positions },
+        shortPositions: JSON.parse(JSON.stringify(account.shortPositions))
+      },
+      state
+    }) || [];
+
+    for (const order of orders) {
+      const error = validateOrder(order, prices);
+      const result = error ? { success: false, error } : fillOrder(account, order, prices[order.symbol], date);
+      if (result.success) {
+        trades.push(result.trade);
+      } else {
+        rejectedOrders.push({ date: getDateKey(date), ...order, error: result.error });
+      }
+    }
+
+    equityCurve.push({ date: getDateKey(date), ...valueAccount(account, lastPrices) });
+  }
+
+  const points = equityCurve.map(p => ({ date: p.date, value: p.netWorth, flow: 0 }));
+  const stats = performanceAnalytics.analyze(points, 'day');
+  stats.trades = trades.length;
+  stats.rejectedOrders = rejectedOrders.length;
+  stats.feesPaid = account.feesPaid;
+  stats.taxesPaid = account.taxesPaid;
+
+  return {
+    success: true,
+    symbols: check.symbols,
+    from: getDateKey(check.from),
+    to: getDateKey(check.to),
+    startingCash: check.startingCash,
+    trades,
+    rejectedOrders,
+    equityCurve,
+    stats,
+    finalAccount: {
+      cash: account.cash,
+      positions: account.positions,
+      shortPositions: account.shortPositions
+    }
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  validateOptions,
+  getTradingDays,
+  fillOrder,
+  runBacktest
+};
@@ -111,9 +111,9 @@ function calculateYieldToMaturity(bond, price, yearsToMaturity, faceValue = 100)
   return (lowerBound + upperBound) / 2;
 }
 
-// Process bond interest payments (called during game time updates)
+// Process bond interest payments for every player (called during game time updates)
 function processInterestPayments(currentDate) {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getAllUsersBondHoldings.all();
   const payments = [];
   
   for (const holding of holdings) {
@@ -150,6 +150,7 @@ function processInterestPayments(currentDate) {
         
         // Record tax
         db.insertTax.run(
+          holding.user_id,
           currentDate.toISOString(),
           'bond_interest',
           tax,
@@ -159,20 +160,23 @@ function processInterestPayments(currentDate) {
       
       // Record interest payment
       db.insertBondInterestPayment.run(
+        holding.user_id,
         holding.id,
         currentDate.toISOString(),
         netAmount
       );
       
       // Add to user's cash
-      const account = db.getUserAccount.get();
+      const account = db.getUserAccount.get(holding.user_id);
       db.updateUserAccount.run(
         account.cash + netAmount,
-        account.credit_score
+        account.credit_score,
+        holding.user_id
       );
       
       // Record transaction
       db.insertTransaction.run(
+        holding.user_id,
         currentDate.toISOString(),
         'bond_interest',
         holding.issuer,
@@ -190,6 +194,7 @@ function processInterestPayments(currentDate) {
       );
       
       payments.push({
+        userId: holding.user_id,
         bondId: holding.id,
         issuer: holding.issuer,
         grossAmount: semiAnnualCoupon,
@@ -202,9 +207,9 @@ function processInterestPayments(currentDate) {
   return payments;
 }
 
-// Process bond maturities (redeem bonds at face value)
+// Process bond maturities for every player (redeem bonds at face value)
 function processMaturities(currentDate) {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getAllUsersBondHoldings.all();
   const maturedBonds = [];
   
   for (const holding of holdings) {
@@ -215,10 +220,11 @@ function processMaturities(currentDate) {
       const redemptionAmount = holding.face_value * holding.quantity;
       
       // Add to user's cash
-      const account = db.getUserAccount.get();
+      const account = db.getUserAccount.get(holding.user_id);
       db.updateUserAccount.run(
         account.cash + redemptionAmount,
-        account.credit_score
+        account.credit_score,
+        holding.user_id
       );
       
       // Calculate gain/loss
@@ -227,6 +233,7 @@ function processMaturities(currentDate) {
       
       // Record transaction
       db.insertTransaction.run(
+        holding.user_id,
         currentDate.toISOString(),
         'bond_maturity',
         holding.issuer,
@@ -247,6 +254,7 @@ function processMaturities(currentDate) {
       db.deleteBondHolding.run(holding.id);
       
       maturedBonds.push({
+        userId: holding.user_id,
         bondId: holding.id,
         issuer: holding.issuer,
         bondType: holding.bond_type,
@@ -260,9 +268,9 @@ function processMaturities(currentDate) {
   return maturedBonds;
 }
 
-// Calculate bond portfolio duration (weighted average time to receive cash flows)
-function calculatePortfolioDuration(currentDate) {
-  const holdings = db.getBondHoldings.all();
+// Calculate a player's bond portfolio duration (weighted average time to receive cash flows)
+function calculatePortfolioDuration(userId, currentDate) {
+  const holdings = db.getBondHoldings.all(userId);
   let totalValue = 0;
   let weightedDuration = 0;
   
@@ -283,9 +291,9 @@ function calculatePortfolioDuration(currentDate) {
   return totalValue > 0 ? weightedDuration / totalValue : 0;
 }
 
-// Get bond portfolio statistics
-function getBondPortfolioStats(currentDate) {
-  const holdings = db.getBondHoldings.all();
+// Get a player's bond portfolio statistics
+function getBondPortfolioStats(userId, currentDate) {
+  const holdings = db.getBondHoldings.all(userId);
   
   let totalValue = 0;
   let totalCost = 0;
@@ -307,7 +315,7 @@ function getBondPortfolioStats(currentDate) {
     totalCost,
     byType,
     byRating,
-    duration: calculatePortfolioDuration(currentDate)
+    duration: calculatePortfolioDuration(userId, currentDate)
   };
 }
 
@@ -0,0 +1,335 @@
+/**
+ * Competition Module
+ *
+ * Trading contests with fixed start and end game dates. A competition is
+ * created as 'scheduled', players enroll, and starting it moves the shared
+ * game clock to the start date, fixes the time speed and resets every
+ * entrant's account to the starting cash. While it is 'active', cheat
+ * endpoints are locked for everyone and entrants may only trade the asset
+ * classes the contest allows. Once the clock passes the end date the final
+ * standings are recorded and the competition is 'finished'.
+ *
+ * Asset classes:
+ * - stocks: buying and selling shares
+ * - indexFunds: index fund trades
+ * - bonds: bond purchases and sales
+ * - crypto: cryptocurrency purchases and sales
+ * - options: option trades
+ * - futures: futures trades and rolls
+ * - forex: currency conversions
+ * - margin: buying on margin and enabling margin
+ * - shorting: short sales and covers
+ *
+ * Usage:
+ *   const competition = require('./helpers/competition');
+ *   const result = competition.createCompetition(req.body, req.user.id, gameTime);
+ *   const active = competition.getActiveCompetition();
+ *   const assetClass = competition.classifyRequest(req.method, req.path, req.body);
+ */
+
+const dbModule = require('../database');
+
+const ASSET_CLASSES = ['stocks', 'indexFunds', 'bonds', 'crypto', 'options', 'futures', 'forex', 'margin', 'shorting'];
+
+// Endpoints that let a player bend the game; disabled while a competition runs
+const LOCKED_ENDPOINTS = ['/api/debug', '/api/time/speed', '/api/time/pause', '/api/crash/trigger', '/api/crash/custom', '/api/crash/deactivate', '/api/game/new'];
+
+const DEFAULT_TIME_MULTIPLIER = 3600;
+const MAX_TIME_MULTIPLIER = 2592000;
+
+/**
+ * Validate and normalize competition settings
+ * @param {Object} params - { name, startDate, endDate, startingCash, allowedAssets, timeMultiplier }
+ * @returns {Object} { valid, error } or { valid, competition }
+ */
+function validateCompetitionParams(params) {
+  const name = typeof params.name === 'string' ? params.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { valid: false, error: 'name is required (up to 100 characters)' };
+  }
+
+  const startDate = new Date(params.startDate);
+  const endDate = new Date(params.endDate);
+  if (!params.startDate || isNaN(startDate.getTime())) {
+    return { valid: false, error: 'startDate must be a valid date' };
+  }
+  if (!params.endDate || isNaN(endDate.getTime())) {
+    return { valid: false, error: 'endDate must be a valid date' };
+  }
+  if (endDate <= startDate) {
+    return { valid: false, error: 'endDate must be after startDate' };
+  }
+
+  const startingCash = parseFloat(params.startingCash);
+  if (isNaN(startingCash) || startingCash <= 0) {
+    return { valid: false, error: 'startingCash must be a positive number' };
+  }
+
+  const allowedAssets = params.allowedAssets === undefined ? ASSET_CLASSES : params.allowedAssets;
+  if (!Array.isArray(allowedAssets) || allowedAssets.length === 0) {
+    return { valid: false, error: 'allowedAssets must be a non-empty array' };
+  }
+  const unknown = allowedAssets.filter(asset => !ASSET_CLASSES.includes(asset));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown asset class(es): ${unknown.join(', ')}. Must be from: ${ASSET_CLASSES.join(', ')}` };
+  }
+
+  const timeMultiplier = params.timeMultiplier === undefined ? DEFAULT_TIME_MULTIPLIER : params.timeMultiplier;
+  if (typeof timeMultiplier !== 'number' || timeMultiplier <= 0 || timeMultiplier > MAX_TIME_MULTIPLIER) {
+    return { valid: false, error: `timeMultiplier must be a number between 1 and ${MAX_TIME_MULTIPLIER}` };
+  }
+
+  return {
+    valid: true,
+    competition: {
+      name,
+      startDate,
+      endDate,
+      startingCash,
+      allowedAssets: Array.from(new Set(allowedAssets)),
+      timeMultiplier
+    }
+  };
+}
+
+function formatCompetition(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    startingCash: row.starting_cash,
+    allowedAssets: JSON.parse(row.allowed_assets),
+    timeMultiplier: row.time_multiplier,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    standings: row.standings ? JSON.parse(row.standings) : null
+  };
+}
+
+function formatEntry(row) {
+  return {
+    userId: row.user_id,
+    username: row.username || `Player ${row.user_id}`,
+    enrolledAt: row.enrolled_at,
+    finalNetWorth: row.final_net_worth,
+    finalRank: row.final_rank
+  };
+}
+
+/**
+ * Create a scheduled competition
+ * @param {Object} params - Request body (see validateCompetitionParams)
+ * @param {number} userId - Player creating the competition
+ * @param {Date} currentTime - Current game time
+ * @returns {Object} { success, competition } or { success, error }
+ */
+function createCompetition(params, userId, currentTime) {
+  const check = validateCompetitionParams(params);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  const c = check.competition;
+  const result = dbModule.insertCompetition.run(
+    c.name,
+    c.startDate.toISOString(),
+    c.endDate.toISOString(),
+    c.startingCash,
+    JSON.stringify(c.allowedAssets),
+    c.timeMultiplier,
+    userId,
+    currentTime.toISOString()
+  );
+
+  return { success: true, competition: getCompetition(result.lastInsertRowid) };
+}
+
+/**
+ * Get a competition with its entrants
+ * @param {number} id - Competition id
+ * @returns {Object|null} Competition, or null if it does not exist
+ */
+function getCompetition(id) {
+  const row = dbModule.getCompetition.get(id);
+  if (!row) {
+    return null;
+  }
+  const competition = formatCompetition(row);
+  competition.entries = dbModule.getCompetitionEntries.all(id).map(formatEntry);
+  return competition;
+}
+
+/**
+ * List all competitions, newest first
+ * @returns {Array} Competitions (without entrants)
+ */
+function listCompetitions() {
+  return dbModule.getAllCompetitions.all().map(formatCompetition);
+}
+
+/**
+ * Get the competition that is currently running
+ * @returns {Object|null} Active competition with entrants, or null
+ */
+function getActiveCompetition() {
+  const row = dbModule.getCompetitionsByStatus.get('active');
+  return row ? getCompetition(row.id) : null;
+}
+
+/**
+ * Enroll a player in a scheduled competition
+ * @param {number} id - Competition id
+ * @param {number} userId - Player id
+ * @param {Date} enrolledAt - Real time of enrollment
+ * @returns {Object} { success, competition } or { success, error, status }
+ */
+function enrollPlayer(id, userId, enrolledAt) {
+  const competition = getCompetition(id);
+  if (!competition) {
+    return { success: false, status: 404, error: 'Competition not found' };
+  }
+  if (competition.status !== 'scheduled') {
+    return { success: false, status: 400, error: 'Enrollment is closed once a competition starts' };
+  }
+  if (dbModule.getCompetitionEntry.get(userId, id)) {
+    return { success: false, status: 400, error: 'Already enrolled' };
+  }
+
+  dbModule.insertCompetitionEntry.run(userId, id, enrolledAt.toISOString());
+  return { success: true, competition: getCompetition(id) };
+}
+
+/**
+ * Mark a scheduled competition active and give its entrants their starting cash
+ * The caller is responsible for moving the game clock and resetting the
+ * in-memory stock accounts.
+ * @param {number} id - Competition id
+ * @param {number} userId - Player starting it; only the creator may
+ * @param {Function} resetEntrant - (userId) => clears an entrant's stored game data
+ * @returns {Object} { success, competition } or { success, error, status }
+ */
+function startCompetition(id, userId, resetEntrant) {
+  const competition = getCompetition(id);
+  if (!competition) {
+    return { success: false, status: 404, error: 'Competition not found' };
+  }
+  if (competition.createdBy !== userId) {
+    return { success: false, status: 403, error: 'Only the player who created the competition can start it' };
+  }
+  if (competition.status !== 'scheduled') {
+    return { success: false, status: 400, error: `Competition is already ${competition.status}` };
+  }
+  if (getActiveCompetition()) {
+    return { success: false, status: 400, error: 'Another competition is already running' };
+  }
+  if (competition.entries.length === 0) {
+    return { success: false, status: 400, error: 'At least one player must enroll before starting' };
+  }
+
+  const start = dbModule.db.transaction(() => {
+    for (const entry of competition.entries) {
+      resetEntrant(entry.userId);
+      dbModule.updateUserAccount.run(competition.startingCash, 750, entry.userId);
+    }
+    dbModule.startCompetition.run(new Date().toISOString(), id);
+  });
+  start();
+
+  return { success: true, competition: getCompetition(id) };
+}
+
+/**
+ * Check whether a request path is locked during a competition
+ * @param {string} path - Request path
+ * @returns {boolean} True if the endpoint is disabled while a competition runs
+ */
+function isLockedEndpoint(path) {
+  return LOCKED_ENDPOINTS.some(prefix => path === prefix || path.startsWith(prefix + '/'));
+}
+
+/**
+ * Work out which asset class a trading request touches
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Request body
+ * @returns {string|null} Asset class, or null for non-trading requests
+ */
+function classifyRequest(method, path, body) {
+  if (method !== 'POST') {
+    return null;
+  }
+
+  if (path === '/api/trade') {
+    const action = body && body.action;
+    if (action === 'short' || action === 'cover') return 'shorting';
+    if (action === 'buy-margin') return 'margin';
+    return 'stocks';
+  }
+  if (path === '/api/margin/toggle') return 'margin';
+  if (path === '/api/indexfunds/trade') return 'indexFunds';
+  if (path === '/api/bonds/buy' || path === '/api/bonds/sell') return 'bonds';
+  if (path === '/api/crypto/buy' || path === '/api/crypto/sell') return 'crypto';
+  if (path === '/api/options/trade') return 'options';
+  if (path === '/api/futures/trade' || /^\/api\/futures\/positions\/\d+\/roll$/.test(path)) return 'futures';
+  if (path === '/api/forex/convert') return 'forex';
+
+  return null;
+}
+
+/**
+ * Rank entrants by net worth
+ * @param {Array} results - [{ userId, username, netWorth }]
+ * @param {number} startingCash - Cash every entrant started with
+ * @returns {Array} Ranked standings with return on starting cash
+ */
+function buildStandings(results, startingCash) {
+  return results
+    .slice()
+    .sort((a, b) => b.netWorth - a.netWorth)
+    .map((result, index) => ({
+      rank: index + 1,
+      userId: result.userId,
+      username: result.username,
+      netWorth: result.netWorth,
+      return: result.netWorth / startingCash - 1
+    }));
+}
+
+/**
+ * Record final standings and close a competition
+ * @param {number} id - Competition id
+ * @param {Array} standings - Output of buildStandings
+ * @param {Date} finishedAt - Game time the competition ended
+ * @returns {Object} Finished competition
+ */
+function finishCompetition(id, standings, finishedAt) {
+  const finish = dbModule.db.transaction(() => {
+    for (const standing of standings) {
+      dbModule.updateCompetitionEntryResult.run(standing.netWorth, standing.rank, id, standing.userId);
+    }
+    dbModule.finishCompetition.run(finishedAt.toISOString(), JSON.stringify(standings), id);
+  });
+  finish();
+
+  return getCompetition(id);
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  LOCKED_ENDPOINTS,
+  validateCompetitionParams,
+  createCompetition,
+  getCompetition,
+  listCompetitions,
+  getActiveCompetition,
+  enrollPlayer,
+  startCompetition,
+  isLockedEndpoint,
+  classifyRequest,
+  buildStandings,
+  finishCompetition
+};
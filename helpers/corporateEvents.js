@@ -2,6 +2,7 @@
 // Handles mergers, bankruptcies, IPOs, and going private events
 
 const dbModule = require('../database');
+const optionsManager = require('./optionsManager');
 const corporateEventsData = require('../data/corporate-events');
 const { EVENT_TYPES } = corporateEventsData;
 
@@ -55,8 +56,11 @@ function initializeCorporateEvents() {
 
 /**
  * Check for and process corporate events that should trigger at current game time
+ * @param {Date} currentGameTime - Current game time
+ * @param {Function} [getPrice] - Returns a symbol's current price, or null; used to
+ *   value option contracts on stock-for-stock mergers
  */
-function processCorporateEvents(currentGameTime) {
+function processCorporateEvents(currentGameTime, getPrice = () => null) {
   const events = dbModule.getPendingCorporateEvents.all(currentGameTime.toISOString());
   
   if (events.length === 0) {
@@ -73,15 +77,18 @@ function processCorporateEvents(currentGameTime) {
         case EVENT_TYPES.MERGER:
         case EVENT_TYPES.ACQUISITION:
           processMergerOrAcquisition(event, eventData, currentGameTime);
+          settleOptionPositions(event, getMergerSettlementPrice(eventData, getPrice), currentGameTime);
           break;
         case EVENT_TYPES.BANKRUPTCY:
           processBankruptcy(event, eventData, currentGameTime);
+          settleOptionPositions(event, 0, currentGameTime);
           break;
         case EVENT_TYPES.IPO:
           processIPO(event, eventData, currentGameTime);
           break;
         case EVENT_TYPES.GOING_PRIVATE:
           processGoingPrivate(event, eventData, currentGameTime);
+          settleOptionPositions(event, eventData.cashPerShare > 0 ? eventData.cashPerShare : null, currentGameTime);
           break;
       }
       
@@ -97,42 +104,60 @@ function processCorporateEvents(currentGameTime) {
   return processedEvents;
 }
 
+/**
+ * Get the ids of players holding a long or short position in a symbol
+ */
+function getPositionHolders(symbol) {
+  const userIds = new Set();
+  for (const row of dbModule.getPortfolioHolders.all(symbol)) {
+    userIds.add(row.user_id);
+  }
+  for (const row of dbModule.getShortPositionHolders.all(symbol)) {
+    userIds.add(row.user_id);
+  }
+  return [...userIds];
+}
+
 /**
  * Process a merger or acquisition event
  */
 function processMergerOrAcquisition(event, eventData, currentGameTime) {
-  const db = getDb();
-  
-  // Check if user has position in acquired company
-  const portfolio = dbModule.getPortfolioItem.get(event.primary_symbol);
-  const shortPosition = dbModule.getShortPosition.get(event.primary_symbol);
-  
-  if (!portfolio && !shortPosition) {
-    // User has no position, just update company status
-    dbModule.upsertCompanyStatus.run(
-      event.primary_symbol,
-      'acquired',
-      currentGameTime.toISOString(),
-      `Acquired by ${eventData.acquirerSymbol || 'another company'}`,
-      event.id
-    );
-    return;
+  for (const userId of getPositionHolders(event.primary_symbol)) {
+    settleMergerPosition(userId, event, eventData, currentGameTime);
   }
 
+  // Update company status
+  dbModule.upsertCompanyStatus.run(
+    event.primary_symbol,
+    'acquired',
+    currentGameTime.toISOString(),
+    `Acquired by ${eventData.acquirerSymbol || 'another company'}`,
+    event.id
+  );
+}
+
+/**
+ * Settle one player's positions in a merged or acquired company
+ */
+function settleMergerPosition(userId, event, eventData, currentGameTime) {
+  const portfolio = dbModule.getPortfolioItem.get(userId, event.primary_symbol);
+  const shortPosition = dbModule.getShortPosition.get(userId, event.primary_symbol);
+
   // Generate email notification
   const email = generateMergerEmail(event, eventData, portfolio, shortPosition, currentGameTime);
-  insertEmail(email);
+  insertEmail(userId, email);
 
   // Handle stock conversion or cash payout
   if (portfolio && portfolio.shares > 0) {
     if (eventData.cashPerShare > 0) {
       // Cash acquisition - liquidate position
       const cashReceived = portfolio.shares * eventData.cashPerShare;
-      const userAccount = dbModule.getUserAccount.get();
-      dbModule.updateUserAccount.run(userAccount.cash + cashReceived, userAccount.credit_score);
+      const userAccount = dbModule.getUserAccount.get(userId);
+      dbModule.updateUserAccount.run(userAccount.cash + cashReceived, userAccount.credit_score, userId);
       
       // Record transaction
       dbModule.insertTransaction.run(
+        userId,
         currentGameTime.toISOString(),
         'merger_cash',
         event.primary_symbol,
@@ -145,18 +170,19 @@ function processMergerOrAcquisition(event, eventData, currentGameTime) {
       );
       
       // Remove from portfolio
-      dbModule.deletePortfolio.run(event.primary_symbol);
+      dbModule.deletePortfolio.run(userId, event.primary_symbol);
     } else if (eventData.exchangeRatio && eventData.acquirerSymbol) {
       // Stock-for-stock exchange
       const newShares = Math.floor(portfolio.shares * eventData.exchangeRatio);
-      const acquirerPortfolio = dbModule.getPortfolioItem.get(eventData.acquirerSymbol);
+      const acquirerPortfolio = dbModule.getPortfolioItem.get(userId, eventData.acquirerSymbol);
       const currentShares = acquirerPortfolio ? acquirerPortfolio.shares : 0;
       
-      dbModule.upsertPortfolio.run(eventData.acquirerSymbol, currentShares + newShares);
-      dbModule.deletePortfolio.run(event.primary_symbol);
+      dbModule.upsertPortfolio.run(userId, eventData.acquirerSymbol, currentShares + newShares);
+      dbModule.deletePortfolio.run(userId, event.primary_symbol);
       
       // Record transaction
       dbModule.insertTransaction.run(
+        userId,
         currentGameTime.toISOString(),
         'merger_exchange',
         event.primary_symbol,
@@ -182,11 +208,12 @@ function processMergerOrAcquisition(event, eventData, currentGameTime) {
     const coverCost = shortPosition.shares * coverPrice;
     const profit = (shortPosition.borrow_price - coverPrice) * shortPosition.shares;
     
-    const userAccount = dbModule.getUserAccount.get();
+    const userAccount = dbModule.getUserAccount.get(userId);
     const newBalance = (userAccount.cash - coverCost) + profit;
-    dbModule.updateUserAccount.run(newBalance, userAccount.credit_score);
+    dbModule.updateUserAccount.run(newBalance, userAccount.credit_score, userId);
     
     dbModule.insertTransaction.run(
+      userId,
       currentGameTime.toISOString(),
       'forced_cover',
       event.primary_symbol,
@@ -198,46 +225,44 @@ function processMergerOrAcquisition(event, eventData, currentGameTime) {
       JSON.stringify({ reason: 'Forced cover due to merger', eventId: event.id })
     );
     
-    dbModule.deleteShortPosition.run(event.primary_symbol);
+    dbModule.deleteShortPosition.run(userId, event.primary_symbol);
+  }
+}
+
+/**
+ * Process a bankruptcy event
+ */
+function processBankruptcy(event, eventData, currentGameTime) {
+  for (const userId of getPositionHolders(event.primary_symbol)) {
+    settleBankruptcyPosition(userId, event, eventData, currentGameTime);
   }
 
   // Update company status
   dbModule.upsertCompanyStatus.run(
     event.primary_symbol,
-    'acquired',
+    'bankrupt',
     currentGameTime.toISOString(),
-    `Acquired by ${eventData.acquirerSymbol || 'another company'}`,
+    'Filed for bankruptcy',
     event.id
   );
 }
 
 /**
- * Process a bankruptcy event
+ * Settle one player's positions in a bankrupt company
  */
-function processBankruptcy(event, eventData, currentGameTime) {
-  const portfolio = dbModule.getPortfolioItem.get(event.primary_symbol);
-  const shortPosition = dbModule.getShortPosition.get(event.primary_symbol);
-  
-  if (!portfolio && !shortPosition) {
-    // User has no position
-    dbModule.upsertCompanyStatus.run(
-      event.primary_symbol,
-      'bankrupt',
-      currentGameTime.toISOString(),
-      'Filed for bankruptcy',
-      event.id
-    );
-    return;
-  }
+function settleBankruptcyPosition(userId, event, eventData, currentGameTime) {
+  const portfolio = dbModule.getPortfolioItem.get(userId, event.primary_symbol);
+  const shortPosition = dbModule.getShortPosition.get(userId, event.primary_symbol);
 
   // Generate email notification
   const email = generateBankruptcyEmail(event, eventData, portfolio, shortPosition, currentGameTime);
-  insertEmail(email);
+  insertEmail(userId, email);
 
   // Handle long positions - complete loss
   if (portfolio && portfolio.shares > 0) {
     // Record the loss
     dbModule.insertTransaction.run(
+      userId,
       currentGameTime.toISOString(),
       'bankruptcy_loss',
       event.primary_symbol,
@@ -254,17 +279,18 @@ function processBankruptcy(event, eventData, currentGameTime) {
     );
     
     // Remove from portfolio
-    dbModule.deletePortfolio.run(event.primary_symbol);
-    dbModule.deleteShareholderInfluence.run(event.primary_symbol);
+    dbModule.deletePortfolio.run(userId, event.primary_symbol);
+    dbModule.deleteShareholderInfluence.run(userId, event.primary_symbol);
   }
 
   // Handle short positions - profit (stock goes to $0)
   if (shortPosition && shortPosition.shares > 0) {
     const profit = shortPosition.borrow_price * shortPosition.shares;
-    const userAccount = dbModule.getUserAccount.get();
-    dbModule.updateUserAccount.run(userAccount.cash + profit, userAccount.credit_score);
+    const userAccount = dbModule.getUserAccount.get(userId);
+    dbModule.updateUserAccount.run(userAccount.cash + profit, userAccount.credit_score, userId);
     
     dbModule.insertTransaction.run(
+      userId,
       currentGameTime.toISOString(),
       'bankruptcy_profit',
       event.primary_symbol,
@@ -280,17 +306,79 @@ function processBankruptcy(event, eventData, currentGameTime) {
       })
     );
     
-    dbModule.deleteShortPosition.run(event.primary_symbol);
+    dbModule.deleteShortPosition.run(userId, event.primary_symbol);
   }
+}
 
-  // Update company status
-  dbModule.upsertCompanyStatus.run(
-    event.primary_symbol,
-    'bankrupt',
-    currentGameTime.toISOString(),
-    'Filed for bankruptcy',
-    event.id
-  );
+/**
+ * Get the per-share value option contracts settle at when a company is acquired:
+ * the cash paid per share, or the acquirer shares received at the acquirer's price
+ */
+function getMergerSettlementPrice(eventData, getPrice) {
+  if (eventData.cashPerShare > 0) {
+    return eventData.cashPerShare;
+  }
+  if (eventData.exchangeRatio && eventData.acquirerSymbol) {
+    const acquirerPrice = getPrice(eventData.acquirerSymbol);
+    if (acquirerPrice !== null && acquirerPrice !== undefined) {
+      return eventData.exchangeRatio * acquirerPrice;
+    }
+  }
+  return null;
+}
+
+/**
+ * Close every option contract on a company that stops trading
+ * Contracts are cash-settled at their intrinsic value against the settlement price;
+ * with no settlement price they are voided at no value.
+ */
+function settleOptionPositions(event, settlementPrice, currentGameTime) {
+  const positionsByUser = new Map();
+  for (const position of dbModule.getOptionPositionsBySymbol.all(event.primary_symbol)) {
+    if (!positionsByUser.has(position.user_id)) {
+      positionsByUser.set(position.user_id, []);
+    }
+    positionsByUser.get(position.user_id).push(position);
+  }
+
+  for (const [userId, positions] of positionsByUser) {
+    let totalCash = 0;
+    for (const position of positions) {
+      const intrinsic = settlementPrice === null
+        ? 0
+        : optionsManager.getIntrinsicValue(position.option_type, position.strike, settlementPrice);
+      const cash = intrinsic * position.contracts * optionsManager.CONTRACT_SIZE;
+      totalCash += cash;
+
+      dbModule.insertTransaction.run(
+        userId,
+        currentGameTime.toISOString(),
+        settlementPrice === null ? 'option_voided' : 'option_settlement',
+        event.primary_symbol,
+        position.contracts,
+        intrinsic,
+        0,
+        0,
+        cash,
+        JSON.stringify({
+          reason: `Option contracts closed due to ${event.event_type.replace('_', ' ')}`,
+          optionType: position.option_type,
+          strike: position.strike,
+          expiration: position.expiration_date,
+          settlementPrice,
+          eventId: event.id
+        })
+      );
+      dbModule.deleteOptionPosition.run(position.id, userId);
+    }
+
+    if (totalCash !== 0) {
+      const userAccount = dbModule.getUserAccount.get(userId);
+      dbModule.updateUserAccount.run(userAccount.cash + totalCash, userAccount.credit_score, userId);
+    }
+
+    insertEmail(userId, generateOptionSettlementEmail(event, positions, settlementPrice, totalCash, currentGameTime));
+  }
 }
 
 /**
@@ -306,40 +394,49 @@ function processIPO(event, eventData, currentGameTime) {
     event.id
   );
 
-  // Generate email notification about new IPO
+  // Generate email notification about new IPO for every player
   const email = generateIPOEmail(event, eventData, currentGameTime);
-  insertEmail(email);
+  for (const user of dbModule.getAllUsers.all()) {
+    insertEmail(user.id, email);
+  }
 }
 
 /**
  * Process a going private event
  */
 function processGoingPrivate(event, eventData, currentGameTime) {
-  const portfolio = dbModule.getPortfolioItem.get(event.primary_symbol);
-  const shortPosition = dbModule.getShortPosition.get(event.primary_symbol);
-  
-  if (!portfolio && !shortPosition) {
-    dbModule.upsertCompanyStatus.run(
-      event.primary_symbol,
-      'private',
-      currentGameTime.toISOString(),
-      'Went private',
-      event.id
-    );
-    return;
+  for (const userId of getPositionHolders(event.primary_symbol)) {
+    settleGoingPrivatePosition(userId, event, eventData, currentGameTime);
   }
 
+  dbModule.upsertCompanyStatus.run(
+    event.primary_symbol,
+    'private',
+    currentGameTime.toISOString(),
+    'Went private',
+    event.id
+  );
+}
+
+/**
+ * Settle one player's positions in a company going private
+ */
+function settleGoingPrivatePosition(userId, event, eventData, currentGameTime) {
+  const portfolio = dbModule.getPortfolioItem.get(userId, event.primary_symbol);
+  const shortPosition = dbModule.getShortPosition.get(userId, event.primary_symbol);
+
   // Generate email notification
   const email = generateGoingPrivateEmail(event, eventData, portfolio, shortPosition, currentGameTime);
-  insertEmail(email);
+  insertEmail(userId, email);
 
   // Force liquidation at buyout price
   if (portfolio && portfolio.shares > 0 && eventData.cashPerShare > 0) {
     const cashReceived = portfolio.shares * eventData.cashPerShare;
-    const userAccount = dbModule.getUserAccount.get();
-    dbModule.updateUserAccount.run(userAccount.cash + cashReceived, userAccount.credit_score);
+    const userAccount = dbModule.getUserAccount.get(userId);
+    dbModule.updateUserAccount.run(userAccount.cash + cashReceived, userAccount.credit_score, userId);
     
     dbModule.insertTransaction.run(
+      userId,
       currentGameTime.toISOString(),
       'going_private',
       event.primary_symbol,
@@ -351,8 +448,8 @@ function processGoingPrivate(event, eventData, currentGameTime) {
       JSON.stringify({ reason: 'Going private buyout', eventId: event.id })
     );
     
-    dbModule.deletePortfolio.run(event.primary_symbol);
-    dbModule.deleteShareholderInfluence.run(event.primary_symbol);
+    dbModule.deletePortfolio.run(userId, event.primary_symbol);
+    dbModule.deleteShareholderInfluence.run(userId, event.primary_symbol);
   }
 
   // Force cover short positions
@@ -360,11 +457,12 @@ function processGoingPrivate(event, eventData, currentGameTime) {
     const coverCost = shortPosition.shares * eventData.cashPerShare;
     const profit = (shortPosition.borrow_price - eventData.cashPerShare) * shortPosition.shares;
     
-    const userAccount = dbModule.getUserAccount.get();
+    const userAccount = dbModule.getUserAccount.get(userId);
     const newBalance = (userAccount.cash - coverCost) + profit;
-    dbModule.updateUserAccount.run(newBalance, userAccount.credit_score);
+    dbModule.updateUserAccount.run(newBalance, userAccount.credit_score, userId);
     
     dbModule.insertTransaction.run(
+      userId,
       currentGameTime.toISOString(),
       'forced_cover',
       event.primary_symbol,
@@ -376,16 +474,8 @@ function processGoingPrivate(event, eventData, currentGameTime) {
       JSON.stringify({ reason: 'Forced cover due to going private', eventId: event.id })
     );
     
-    dbModule.deleteShortPosition.run(event.primary_symbol);
+    dbModule.deleteShortPosition.run(userId, event.primary_symbol);
   }
-
-  dbModule.upsertCompanyStatus.run(
-    event.primary_symbol,
-    'private',
-    currentGameTime.toISOString(),
-    'Went private',
-    event.id
-  );
 }
 
 /**
@@ -563,6 +653,34 @@ function generateBankruptcyEmail(event, eventData, portfolio, shortPosition, cur
   };
 }
 
+function generateOptionSettlementEmail(event, positions, settlementPrice, totalCash, currentGameTime) {
+  let body = `IMPORTANT: Option Contract Adjustment\n\n`;
+  body += `${event.primary_symbol} no longer trades, so your option contracts on it have been closed.\n\n`;
+  body += `YOUR CONTRACTS:\n`;
+  for (const position of positions) {
+    body += `${position.contracts} ${position.expiration_date} $${position.strike} ${position.option_type}${Math.abs(position.contracts) === 1 ? '' : 's'}\n`;
+  }
+  body += `\n`;
+
+  if (settlementPrice === null) {
+    body += `There is no cash value to settle these contracts against, so they have been voided.\n\n`;
+  } else {
+    body += `Each contract was settled in cash at its intrinsic value against $${settlementPrice.toFixed(2)} per share.\n`;
+    body += `Net cash ${totalCash >= 0 ? 'received' : 'paid'}: $${Math.abs(totalCash).toFixed(2)}\n\n`;
+  }
+
+  body += `Investment Operations Team`;
+
+  return {
+    from: 'corporate.actions@stockfake.com',
+    subject: `Corporate Action: ${event.primary_symbol} Options Closed`,
+    body,
+    date: currentGameTime,
+    category: 'corporate_action',
+    spam: false
+  };
+}
+
 function generateIPOEmail(event, eventData, currentGameTime) {
   let body = `NEW INVESTMENT OPPORTUNITY\n\n`;
   body += `${eventData.companyName} (${event.primary_symbol}) is now publicly traded!\n\n`;
@@ -613,14 +731,15 @@ function generateGoingPrivateEmail(event, eventData, portfolio, shortPosition, c
   };
 }
 
-function insertEmail(emailData) {
+function insertEmail(userId, emailData) {
   const db = getDb();
   const stmt = db.prepare(`
-    INSERT INTO emails (from_address, subject, body, date, is_read, spam, category)
-    VALUES (?, ?, ?, ?, 0, ?, ?)
+    INSERT INTO emails (user_id, from_address, subject, body, date, is_read, spam, category)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?)
   `);
   
   stmt.run(
+    userId,
     emailData.from,
     emailData.subject,
     emailData.body,
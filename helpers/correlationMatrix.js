@@ -11,6 +11,9 @@
  * - Dynamic Conditional Correlation (DCC-GARCH) literature
  */
 
+const gameSeed = require('./gameSeed');
+const { generateStandardNormal } = require('./volatilityModeling');
+
 /**
  * Stock Correlation Matrix Manager
  * 
@@ -254,12 +257,13 @@ class CorrelationMatrix {
  * @param {number} correlation - Desired correlation (-1 to 1)
  * @param {number} vol1 - Volatility of stock 1
  * @param {number} vol2 - Volatility of stock 2
+ * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
  * @returns {Object} {return1, return2} pair of correlated returns
  */
-function generateCorrelatedPair(correlation, vol1 = 1.0, vol2 = 1.0) {
+function generateCorrelatedPair(correlation, vol1 = 1.0, vol2 = 1.0, random = gameSeed.next) {
   // Generate two independent standard normals
-  const z1 = generateStandardNormal();
-  const z2 = generateStandardNormal();
+  const z1 = generateStandardNormal(random);
+  const z2 = generateStandardNormal(random);
   
   // Make z2 correlated with z1
   const x1 = z1;
@@ -272,16 +276,6 @@ function generateCorrelatedPair(correlation, vol1 = 1.0, vol2 = 1.0) {
   };
 }
 
-/**
- * Generate standard normal random variable
- * Helper function for correlation calculations
- */
-function generateStandardNormal() {
-  const u1 = Math.random();
-  const u2 = Math.random();
-  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
 module.exports = {
   CorrelationMatrix,
   generateCorrelatedPair
@@ -263,7 +263,9 @@ function pruneStockSplits(currentDate, retentionDays) {
 }
 
 /**
- * Prune old completed/cancelled pending orders
+ * Prune old completed/cancelled/expired pending orders
+ * Age is measured from when the order closed, so long-lived GTC/GTD orders
+ * stay visible for the full retention period after they fill or lapse
  */
 function prunePendingOrders(currentDate, retentionDays) {
   const cutoffDate = getCutoffDate(currentDate, retentionDays);
@@ -271,8 +273,8 @@ function prunePendingOrders(currentDate, retentionDays) {
   try {
     const result = db.db.prepare(`
       DELETE FROM pending_orders 
-      WHERE created_at < ? 
-      AND status IN ('executed', 'cancelled', 'failed')
+      WHERE COALESCE(executed_at, created_at) < ? 
+      AND status IN ('executed', 'cancelled', 'failed', 'expired')
     `).run(cutoffDate);
     
     return result.changes;
@@ -342,7 +344,7 @@ function getPruningStats(currentDate) {
     { name: 'index_fund_rebalancing_events', dateColumn: 'rebalancing_date', configKey: 'rebalancingEvents' },
     { name: 'market_crash_events', dateColumn: 'deactivated_at', configKey: 'marketCrashEvents', extra: 'AND status = \'inactive\'' },
     { name: 'stock_splits', dateColumn: 'split_date', configKey: 'stockSplits' },
-    { name: 'pending_orders', dateColumn: 'created_at', configKey: 'pendingOrders', extra: 'AND status IN (\'executed\', \'cancelled\', \'failed\')' }
+    { name: 'pending_orders', dateColumn: 'COALESCE(executed_at, created_at)', configKey: 'pendingOrders', extra: 'AND status IN (\'executed\', \'cancelled\', \'failed\', \'expired\')' }
   ];
   
   tables.forEach(({ name, dateColumn, configKey, extra }) => {
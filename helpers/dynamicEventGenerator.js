@@ -7,6 +7,7 @@
 
 const crashEvents = require('../data/market-crash-events');
 const { EarlyWarningSystem } = require('./earlyWarningSystem');
+const gameSeed = require('./gameSeed');
 
 /**
  * Configuration for dynamic event generation
@@ -50,10 +51,10 @@ let generatedEvents = [];
 const earlyWarning = new EarlyWarningSystem();
 
 /**
- * Seeded random number generator for deterministic event generation
+ * Seeded random number generator for deterministic event generation, salted with the game seed
  */
 function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
+  const x = Math.sin(gameSeed.salt(seed)) * 10000;
   return x - Math.floor(x);
 }
 
@@ -4,6 +4,8 @@
  * Based on historical patterns and economic models
  */
 
+const gameSeed = require('./gameSeed');
+
 /**
  * Configuration for dynamic rate generation
  */
@@ -104,10 +106,10 @@ const HISTORICAL_DIVIDENDS = {
 };
 
 /**
- * Seeded random number generator for deterministic generation
+ * Seeded random number generator for deterministic generation, salted with the game seed
  */
 function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
+  const x = Math.sin(gameSeed.salt(seed)) * 10000;
   return x - Math.floor(x);
 }
 
@@ -339,6 +341,8 @@ module.exports = {
   updateConfiguration,
   getHistoricalInflation,
   getHistoricalDividends,
+  seededRandom,
+  yearSeed,
   
   // Deprecated: Use getHistoricalInflation() instead
   HISTORICAL_INFLATION,
@@ -0,0 +1,90 @@
+/**
+ * Extended Hours Module
+ *
+ * Pricing for pre-market and after-hours stock trades, on exchanges that run
+ * extended sessions (see data/exchanges and marketHours.getTradingSession).
+ *
+ * - Only a small share of the regular session's volume trades outside
+ *   regular hours, so an order's liquidity is a fraction of the stock's
+ *   float. The crash simulation's liquidity impact turns the order size into
+ *   a price impact, and orders too big for the session are turned away.
+ * - Quotes are wider than in regular hours, and widest before the open.
+ *   Buyers pay half the spread over the last price and sellers receive half
+ *   the spread under it, plus the impact.
+ *
+ * Usage:
+ *   const extendedHours = require('./helpers/extendedHours');
+ *   const fill = extendedHours.getExtendedHoursFill('buy', 500, stockPrice.price, 'after-hours', floatShares);
+ */
+
+const marketCrashSim = require('./marketCrashSimulation');
+
+// Full bid/ask spread as a fraction of the price, by session
+const EXTENDED_SPREADS = {
+  'pre-market': 0.012,
+  'after-hours': 0.008
+};
+
+const SESSION_VOLUME_SHARE = 0.005;   // Share of the float that trades in a regular session
+const EXTENDED_LIQUIDITY_SHARE = 0.05; // Share of the regular session's volume available in extended hours
+
+function isExtendedSession(session) {
+  return Object.prototype.hasOwnProperty.call(EXTENDED_SPREADS, session);
+}
+
+/**
+ * Shares that can trade in an extended session under normal market conditions
+ * @param {number} floatShares - Shares of the stock available for trading
+ * @returns {number} Extended-hours liquidity in shares
+ */
+function getExtendedLiquidity(floatShares) {
+  return floatShares * SESSION_VOLUME_SHARE * EXTENDED_LIQUIDITY_SHARE;
+}
+
+/**
+ * Work out the fill for an extended-hours market order
+ * @param {string} action - buy, buy-margin, sell, short or cover
+ * @param {number} shares - Shares in the order
+ * @param {number} price - Last price of the stock
+ * @param {string} session - 'pre-market' or 'after-hours'
+ * @param {number} floatShares - Shares of the stock available for trading
+ * @returns {Object} { executable, price, spread, priceImpact, availableShares, reason }
+ */
+function getExtendedHoursFill(action, shares, price, session, floatShares) {
+  if (!isExtendedSession(session)) {
+    throw new Error(`Not an extended session: ${session}`);
+  }
+
+  const spread = EXTENDED_SPREADS[session];
+  const liquidity = marketCrashSim.calculateLiquidityImpact(shares, getExtendedLiquidity(floatShares));
+  if (!liquidity.executable) {
+    return {
+      executable: false,
+      price: null,
+      spread,
+      priceImpact: liquidity.priceImpact,
+      availableShares: liquidity.availableShares,
+      reason: `Only ${liquidity.availableShares.toLocaleString()} shares can trade ${session}`
+    };
+  }
+
+  // Buyers lift the ask and push the price up, sellers hit the bid and push it down
+  const direction = (action === 'buy' || action === 'buy-margin' || action === 'cover') ? 1 : -1;
+  const fillPrice = price * (1 + direction * (spread / 2 + liquidity.priceImpact));
+
+  return {
+    executable: true,
+    price: Math.round(fillPrice * 100) / 100,
+    spread,
+    priceImpact: liquidity.priceImpact,
+    availableShares: shares,
+    reason: null
+  };
+}
+
+module.exports = {
+  EXTENDED_SPREADS,
+  isExtendedSession,
+  getExtendedLiquidity,
+  getExtendedHoursFill
+};
@@ -0,0 +1,295 @@
+/**
+ * Forex Manager Module
+ *
+ * Exchange rates and conversions for the multi-currency cash wallets.
+ * US dollars stay the account's main cash; other currencies are held in
+ * wallets next to it.
+ *
+ * - Rates are units of a currency per dollar. Each currency follows a trend
+ *   through its historical anchors. Before the currency floated (Bretton
+ *   Woods pegs and the Smithsonian realignment) the rate follows the trend
+ *   exactly.
+ * - Once floating, rates swing around the trend with seeded daily shocks
+ *   (the seededRandom approach of dynamicRatesGenerator), so every game on
+ *   a seed replays the same series. Past the last anchor the trend keeps going as a
+ *   seeded yearly random walk.
+ * - Pegged currencies (the Deutsche Mark from 1999) track their anchor
+ *   currency at the fixed rate, and are converted into it once retired.
+ * - Conversions route through dollars and pay half the spread on each leg.
+ *   Spreads were wider before electronic trading.
+ * - Forex trades around the clock from Sunday 17:00 to Friday 17:00.
+ *
+ * Usage:
+ *   const forexManager = require('./helpers/forexManager');
+ *   const quote = forexManager.getQuote('JPY', gameTime);
+ *   const result = forexManager.convert(1000, 'USD', 'JPY', gameTime);
+ */
+
+const currencyData = require('../data/currencies');
+const { seededRandom, yearSeed } = require('./dynamicRatesGenerator');
+const gameSeed = require('./gameSeed');
+
+const BASE_CURRENCY = 'USD';
+const SHOCK_WINDOW_DAYS = 20; // Daily shocks fade out of the rate after this many days
+const PROJECTED_ANNUAL_VOLATILITY = 0.08;
+const MAX_PROJECTED_YEARS = 200;
+const WEEKEND_CLOSE_HOUR = 17; // New York close on Friday, reopening Sunday
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Projected year-end anchors past the historical data, by currency
+const projectedAnchors = {};
+
+// Projections are drawn from the game seed
+gameSeed.onChange(() => {
+  for (const code of Object.keys(projectedAnchors)) {
+    delete projectedAnchors[code];
+  }
+});
+
+function currencySeed(code) {
+  return code.split('').reduce((acc, char) => acc * 31 + char.charCodeAt(0), 0);
+}
+
+// Standard normal draw from two seeded uniforms (Box-Muller)
+function seededNormal(seed) {
+  const u1 = Math.max(seededRandom(seed), 1e-12);
+  const u2 = seededRandom(seed + 1);
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function isBaseCurrency(code) {
+  return code === BASE_CURRENCY;
+}
+
+// Historical anchors, extended with seeded year-end anchors up to a year
+function getAnchors(currency, year) {
+  const anchors = currency.anchors;
+  const last = anchors[anchors.length - 1];
+  const lastYear = new Date(last.date).getFullYear();
+  if (year <= lastYear || currency.availableUntil) {
+    return anchors;
+  }
+
+  const projected = projectedAnchors[currency.code] || (projectedAnchors[currency.code] = []);
+  const targetYear = Math.min(year, lastYear + MAX_PROJECTED_YEARS);
+  while (lastYear + projected.length < targetYear) {
+    const previous = projected.length > 0 ? projected[projected.length - 1] : last;
+    const nextYear = lastYear + projected.length + 1;
+    const shock = seededNormal(yearSeed(nextYear) + currencySeed(currency.code));
+    projected.push({
+      date: `${nextYear}-12-31`,
+      rate: previous.rate * Math.exp(shock * PROJECTED_ANNUAL_VOLATILITY)
+    });
+  }
+  return anchors.concat(projected);
+}
+
+// Rate along the anchors (log-linear between them)
+function getTrendRate(currency, date) {
+  const anchors = getAnchors(currency, date.getFullYear() + 1);
+  const time = date.getTime();
+  let before = null;
+  let after = null;
+  for (const anchor of anchors) {
+    if (new Date(anchor.date).getTime() <= time) {
+      before = anchor;
+    } else {
+      after = anchor;
+      break;
+    }
+  }
+
+  if (!before) return after.rate;
+  if (!after) return before.rate;
+  const beforeTime = new Date(before.date).getTime();
+  const progress = (time - beforeTime) / (new Date(after.date).getTime() - beforeTime);
+  return Math.exp(Math.log(before.rate) + (Math.log(after.rate) - Math.log(before.rate)) * progress);
+}
+
+// Sum of the shocks still in the window on a day
+function getShockSum(seed, day) {
+  let sum = 0;
+  for (let k = 0; k < SHOCK_WINDOW_DAYS; k++) {
+    sum += seededNormal(seed + (day - k) * 2);
+  }
+  return sum;
+}
+
+/**
+ * Get the mid-market rate of a currency
+ * @param {string} code - Currency code
+ * @param {Date} date - Game time
+ * @returns {number|null} Units of the currency per US dollar, or null for unknown currencies
+ */
+function getMidRate(code, date) {
+  if (isBaseCurrency(code)) {
+    return 1;
+  }
+  const currency = currencyData.getCurrency(code);
+  if (!currency) {
+    return null;
+  }
+  if (currency.peggedTo && date >= new Date(currency.peggedTo.from)) {
+    return getMidRate(currency.peggedTo.currency, date) * currency.peggedTo.rate;
+  }
+
+  const trend = getTrendRate(currency, date);
+  const floatingFrom = new Date(currency.floatingFrom).getTime();
+  const time = date.getTime();
+  if (time < floatingFrom) {
+    return trend;
+  }
+
+  // Shocks move the rate away from trend; blend neighbouring days so it drifts intraday
+  const seed = currencySeed(currency.code) * 100000;
+  const day = Math.floor(time / MS_PER_DAY);
+  const today = getShockSum(seed, day);
+  const tomorrow = today + seededNormal(seed + (day + 1) * 2) - seededNormal(seed + (day + 1 - SHOCK_WINDOW_DAYS) * 2);
+  const progress = time / MS_PER_DAY - day;
+  const shock = today + (tomorrow - today) * progress;
+
+  // Ease in the swings over the first weeks after the currency floats
+  const floatingDays = (time - floatingFrom) / MS_PER_DAY;
+  const easeIn = Math.min(1, floatingDays / SHOCK_WINDOW_DAYS);
+  return trend * Math.exp(currency.dailyVolatility * shock * easeIn);
+}
+
+/**
+ * Get the full bid/ask spread of a currency against the dollar
+ * @param {string} code - Currency code
+ * @param {Date} date - Game time
+ * @returns {number} Spread as a share of the mid rate
+ */
+function getSpread(code, date) {
+  if (isBaseCurrency(code)) {
+    return 0;
+  }
+  const currency = currencyData.getCurrency(code);
+  const year = date.getFullYear();
+  let eraFactor = 1;
+  if (year < 2000) eraFactor = 1.5; // Phone dealing
+  if (year < 1985) eraFactor = 2.5; // Telex and bank counters
+  return currency.spread * eraFactor;
+}
+
+/**
+ * Get a currency's quote against the dollar
+ * @param {string} code - Currency code
+ * @param {Date} date - Game time
+ * @returns {Object|null} { mid, bid, ask, spread } in units per dollar, where bid is what
+ *   selling one dollar gets and ask is what buying one dollar costs
+ */
+function getQuote(code, date) {
+  const mid = getMidRate(code, date);
+  if (mid === null) {
+    return null;
+  }
+  const spread = getSpread(code, date);
+  return {
+    mid,
+    bid: mid * (1 - spread / 2),
+    ask: mid * (1 + spread / 2),
+    spread
+  };
+}
+
+/**
+ * Value an amount of a currency in dollars at the mid rate
+ * @param {number} amount - Amount in the currency
+ * @param {string} code - Currency code
+ * @param {Date} date - Game time
+ * @returns {number} Dollar value
+ */
+function toUsd(amount, code, date) {
+  return amount / getMidRate(code, date);
+}
+
+/**
+ * Convert between two currencies through the dollar, paying the spread
+ * @param {number} amount - Amount of the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Date} date - Game time
+ * @returns {Object} { received, rate, spreadCost } where rate is target units per source
+ *   unit and spreadCost is the dollar value lost to the spread
+ */
+function convert(amount, from, to, date) {
+  const dollars = isBaseCurrency(from) ? amount : amount / getQuote(from, date).ask;
+  const received = isBaseCurrency(to) ? dollars : dollars * getQuote(to, date).bid;
+  return {
+    received,
+    rate: received / amount,
+    spreadCost: toUsd(amount, from, date) - toUsd(received, to, date)
+  };
+}
+
+/**
+ * Get the currency a retired currency's balances convert into
+ * @param {string} code - Currency code
+ * @param {Date} date - Game time
+ * @returns {Object|null} { currency, rate } (old units per new unit) once retired, otherwise null
+ */
+function getRedenomination(code, date) {
+  const currency = currencyData.getCurrency(code);
+  if (!currency || !currency.availableUntil || currencyData.isCurrencyAvailable(code, date)) {
+    return null;
+  }
+  return { currency: currency.peggedTo.currency, rate: currency.peggedTo.rate };
+}
+
+/**
+ * Check whether the forex market is open (Sunday 17:00 to Friday 17:00)
+ * @param {Date} date - Game time
+ * @returns {boolean} True while currencies trade
+ */
+function isForexOpen(date) {
+  const day = date.getDay();
+  if (day === 6) return false;
+  if (day === 0) return date.getHours() >= WEEKEND_CLOSE_HOUR;
+  if (day === 5) return date.getHours() < WEEKEND_CLOSE_HOUR;
+  return true;
+}
+
+/**
+ * Validate a currency conversion request
+ * @param {Object} params - { from, to, amount }
+ * @param {Date} date - Game time
+ * @returns {Object} { valid, error } or { valid, conversion } with the amount rounded to the cent
+ */
+function validateConversionParams(params, date) {
+  const from = typeof params.from === 'string' ? params.from.toUpperCase() : '';
+  const to = typeof params.to === 'string' ? params.to.toUpperCase() : '';
+  for (const code of [from, to]) {
+    if (isBaseCurrency(code)) continue;
+    const currency = currencyData.getCurrency(code);
+    if (!currency) {
+      return { valid: false, error: `Unknown currency: ${code || '(none)'}` };
+    }
+    if (!currencyData.isCurrencyAvailable(code, date)) {
+      return { valid: false, error: `The ${currency.name} is not available at this date` };
+    }
+  }
+  if (from === to) {
+    return { valid: false, error: 'from and to must be different currencies' };
+  }
+  // Amounts are converted to the cent
+  const amount = Math.round(Number(params.amount) * 100) / 100;
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { valid: false, error: 'amount must be at least 0.01' };
+  }
+
+  return { valid: true, conversion: { from, to, amount } };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  getMidRate,
+  getSpread,
+  getQuote,
+  toUsd,
+  convert,
+  getRedenomination,
+  isForexOpen,
+  validateConversionParams
+};
@@ -0,0 +1,435 @@
+/**
+ * Futures Manager Module
+ *
+ * Futures on the index funds and a few commodities, marked to market daily.
+ *
+ * - Contracts expire at the close on the third Friday of each month in their
+ *   cycle (quarterly for index futures). The next four are listed.
+ * - Prices follow cost of carry: F = S * e^((r - y) * t), with the 3-month
+ *   Treasury yield as r and each contract's carry yield as y (dividends for
+ *   indexes, lease or convenience yield for commodities).
+ * - Positions post initial margin from cash when opened. Every close the
+ *   change in price since the last settlement is paid to or taken from cash
+ *   (variation margin); cash below the maintenance margin forces liquidation.
+ * - Expiring contracts settle in cash against the underlying price, or roll
+ *   into the next contract when auto-roll is on.
+ * - Realized gains are taxed under the 60/40 rule (Section 1256) from
+ *   June 23, 1981; before that by holding period like stocks. Losses are
+ *   only netted against gains on the annual tax return (helpers/taxReturn).
+ *
+ * Usage:
+ *   const futuresManager = require('./helpers/futuresManager');
+ *   const months = futuresManager.getContractMonths(contract, gameTime);
+ *   const price = futuresManager.priceFuture(spot, 0.07, contract.carryYield, years);
+ */
+
+const futuresData = require('../data/futures');
+
+const ACTIONS = ['buy', 'sell'];
+const CONTRACTS_LISTED = 4;
+const EXPIRY_HOUR = 16;
+const MONTH_CODES = 'FGHJKMNQUVXZ';
+const SECTION_1256_FROM = new Date('1981-06-23T00:00:00'); // 60/40 tax treatment (ERTA 1981)
+const SECTION_1256_LONG_TERM_SHARE = 0.6;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+// Approximate commodity prices at key dates, interpolated logarithmically
+const commodityAnchors = {
+  'GC': [
+    { date: '1970-01-02', price: 35.2 },
+    { date: '1974-12-30', price: 195.0 },
+    { date: '1976-08-25', price: 103.5 },
+    { date: '1980-01-21', price: 850.0 },
+    { date: '1982-06-21', price: 315.0 },
+    { date: '1987-12-14', price: 485.0 },
+    { date: '1993-01-04', price: 330.0 },
+    { date: '1999-08-25', price: 253.0 },
+    { date: '2001-04-02', price: 256.0 },
+    { date: '2006-05-12', price: 720.0 },
+    { date: '2008-03-17', price: 1000.0 },
+    { date: '2008-10-24', price: 712.0 },
+    { date: '2011-09-06', price: 1895.0 },
+    { date: '2015-12-17', price: 1050.0 },
+    { date: '2020-08-06', price: 2067.0 },
+    { date: '2022-09-28', price: 1630.0 },
+    { date: '2024-03-14', price: 2160.0 }
+  ],
+  'SI': [
+    { date: '1970-01-02', price: 1.80 },
+    { date: '1974-02-26', price: 6.70 },
+    { date: '1977-06-01', price: 4.40 },
+    { date: '1980-01-18', price: 48.70 },
+    { date: '1982-06-21', price: 5.00 },
+    { date: '1987-04-24', price: 9.80 },
+    { date: '1991-02-22', price: 3.55 },
+    { date: '1998-02-05', price: 7.80 },
+    { date: '2001-11-21', price: 4.05 },
+    { date: '2008-03-17', price: 20.90 },
+    { date: '2008-10-28', price: 8.90 },
+    { date: '2011-04-28', price: 48.60 },
+    { date: '2015-12-14', price: 13.70 },
+    { date: '2020-03-18', price: 11.80 },
+    { date: '2021-02-01', price: 29.40 },
+    { date: '2024-03-14', price: 25.00 }
+  ],
+  'CL': [
+    { date: '1970-01-02', price: 3.35 },
+    { date: '1974-01-02', price: 10.11 },
+    { date: '1979-12-31', price: 32.50 },
+    { date: '1981-01-02', price: 38.00 },
+    { date: '1986-04-01', price: 11.00 },
+    { date: '1990-10-11', price: 40.40 },
+    { date: '1994-03-15', price: 14.20 },
+    { date: '1998-12-10', price: 10.80 },
+    { date: '2000-09-20', price: 37.20 },
+    { date: '2001-11-15', price: 17.50 },
+    { date: '2008-07-03', price: 145.30 },
+    { date: '2008-12-19', price: 33.90 },
+    { date: '2011-04-29', price: 113.90 },
+    { date: '2014-06-20', price: 107.30 },
+    { date: '2016-02-11', price: 26.20 },
+    { date: '2020-04-21', price: 11.60 },
+    { date: '2022-06-08', price: 122.10 },
+    { date: '2024-03-14', price: 81.30 }
+  ],
+  'ZC': [
+    { date: '1970-01-02', price: 1.20 },
+    { date: '1974-10-04', price: 3.65 },
+    { date: '1977-08-15', price: 1.85 },
+    { date: '1980-11-10', price: 3.60 },
+    { date: '1986-10-01', price: 1.50 },
+    { date: '1988-06-24', price: 3.60 },
+    { date: '1996-07-12', price: 5.05 },
+    { date: '1999-08-10', price: 1.85 },
+    { date: '2006-01-03', price: 2.15 },
+    { date: '2008-06-27', price: 7.55 },
+    { date: '2010-06-30', price: 3.35 },
+    { date: '2012-08-10', price: 8.30 },
+    { date: '2014-09-30', price: 3.20 },
+    { date: '2020-08-10', price: 3.10 },
+    { date: '2022-05-17', price: 8.05 },
+    { date: '2024-03-14', price: 4.35 }
+  ]
+};
+
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function parseContractMonth(contractMonth) {
+  const [year, month] = contractMonth.split('-').map(Number);
+  return { year, month };
+}
+
+/**
+ * Get the expiry date of a contract month (its third Friday)
+ * @param {string} contractMonth - Contract month (YYYY-MM)
+ * @returns {string} Expiry date key (YYYY-MM-DD)
+ */
+function getExpiration(contractMonth) {
+  const { year, month } = parseContractMonth(contractMonth);
+  const firstDay = new Date(year, month - 1, 1).getDay();
+  const thirdFriday = 1 + ((5 - firstDay + 7) % 7) + 14;
+  return getDateKey(new Date(year, month - 1, thirdFriday));
+}
+
+/**
+ * Get the moment a contract month expires (the close on its expiry date)
+ * @param {string} contractMonth - Contract month (YYYY-MM)
+ * @returns {Date} Expiry time
+ */
+function getExpiryTime(contractMonth) {
+  const [year, month, day] = getExpiration(contractMonth).split('-').map(Number);
+  return new Date(year, month - 1, day, EXPIRY_HOUR);
+}
+
+/**
+ * Get a contract's ticker code, e.g. SPX500Z87 for December 1987
+ * @param {string} symbol - Futures symbol
+ * @param {string} contractMonth - Contract month (YYYY-MM)
+ * @returns {string} Contract code
+ */
+function getContractCode(symbol, contractMonth) {
+  const { year, month } = parseContractMonth(contractMonth);
+  return `${symbol}${MONTH_CODES[month - 1]}${String(year).slice(-2)}`;
+}
+
+/**
+ * Get the contract month that follows one in a contract's cycle
+ * @param {Object} contract - Futures contract specification
+ * @param {string} contractMonth - Contract month (YYYY-MM)
+ * @returns {string} Next contract month
+ */
+function getNextContractMonth(contract, contractMonth) {
+  let { year, month } = parseContractMonth(contractMonth);
+  do {
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  } while (!contract.cycle.includes(month));
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Get the listed contract months that have not yet expired
+ * @param {Object} contract - Futures contract specification
+ * @param {Date} date - Game time
+ * @param {number} count - Number of contract months
+ * @returns {Array<string>} Contract months (YYYY-MM), nearest first
+ */
+function getContractMonths(contract, date, count = CONTRACTS_LISTED) {
+  const months = [];
+  // Start from the previous month so the current month is checked first
+  const previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  let contractMonth = `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+  while (months.length < count) {
+    contractMonth = getNextContractMonth(contract, contractMonth);
+    if (getExpiryTime(contractMonth) > date) {
+      months.push(contractMonth);
+    }
+  }
+  return months;
+}
+
+/**
+ * Get the time to expiry in years
+ * @param {string} contractMonth - Contract month (YYYY-MM)
+ * @param {Date} date - Game time
+ * @returns {number} Years to expiry (0 once expired)
+ */
+function getYearsToExpiry(contractMonth, date) {
+  return Math.max(0, (getExpiryTime(contractMonth) - date) / MS_PER_DAY / DAYS_PER_YEAR);
+}
+
+/**
+ * Price a futures contract from its underlying with cost of carry
+ * @param {number} spot - Underlying price
+ * @param {number} rate - Risk-free rate (decimal)
+ * @param {number} carryYield - Yield earned by holding the underlying (decimal)
+ * @param {number} years - Years to expiry
+ * @returns {number} Futures price (the underlying price at expiry)
+ */
+function priceFuture(spot, rate, carryYield, years) {
+  return spot * Math.exp((rate - carryYield) * years);
+}
+
+/**
+ * Get a commodity's spot price
+ * @param {string} symbol - Commodity futures symbol
+ * @param {Date} date - Game time
+ * @returns {number|null} Price per unit, or null for unknown commodities
+ */
+function getCommodityPrice(symbol, date) {
+  const contract = futuresData.getFuturesContract(symbol);
+  const anchors = commodityAnchors[symbol];
+  if (!contract || !anchors) {
+    return null;
+  }
+
+  const time = date.getTime();
+  let before = null;
+  let after = null;
+  for (const anchor of anchors) {
+    if (new Date(anchor.date).getTime() <= time) {
+      before = anchor;
+    } else {
+      after = anchor;
+      break;
+    }
+  }
+
+  let basePrice;
+  if (!before) {
+    basePrice = after.price;
+  } else if (!after) {
+    basePrice = before.price;
+  } else {
+    const beforeTime = new Date(before.date).getTime();
+    const progress = (time - beforeTime) / (new Date(after.date).getTime() - beforeTime);
+    basePrice = Math.exp(Math.log(before.price) + (Math.log(after.price) - Math.log(before.price)) * progress);
+  }
+
+  // Deterministic swings around the trend: a slow multi-day wave plus a faster intraday one
+  const days = time / MS_PER_DAY;
+  const phase = symbol.charCodeAt(0);
+  const swing = (3 * Math.sin(days * 0.7 + phase) + Math.sin(days * 5.3 + phase)) / 2;
+  return basePrice * (1 + contract.baseVolatility * swing);
+}
+
+/**
+ * Get the margin a position must post
+ * @param {Object} contract - Futures contract specification
+ * @param {number} price - Futures price
+ * @param {number} contracts - Contracts held (either sign)
+ * @returns {Object} { initial, maintenance } in dollars
+ */
+function getMarginRequirement(contract, price, contracts) {
+  const notional = Math.abs(contracts) * price * contract.multiplier;
+  return {
+    initial: notional * contract.initialMarginRate,
+    maintenance: notional * contract.maintenanceMarginRate
+  };
+}
+
+/**
+ * Get the variation margin for a price move
+ * @param {number} fromPrice - Last settlement price
+ * @param {number} toPrice - New price
+ * @param {number} contracts - Signed contracts (negative when short)
+ * @param {number} multiplier - Dollars per point
+ * @returns {number} Dollars paid to (positive) or taken from (negative) the holder
+ */
+function getVariationMargin(fromPrice, toPrice, contracts, multiplier) {
+  return (toPrice - fromPrice) * contracts * multiplier;
+}
+
+/**
+ * Get the broker commission for a futures trade (charged per contract)
+ * @param {number} contracts - Contracts traded
+ * @param {Date} date - Game time
+ * @returns {number} Commission in dollars
+ */
+function getCommission(contracts, date) {
+  const year = date.getFullYear();
+  let perContract = 25;
+  if (year >= 1990) perContract = 12;
+  if (year >= 2000) perContract = 5;
+  if (year >= 2013) perContract = 2.25;
+  return perContract * contracts;
+}
+
+/**
+ * Get the share of a realized futures gain or loss that is long-term
+ * @param {string} openedAt - When the position was opened (ISO string)
+ * @param {Date} date - When the gain is realized
+ * @returns {number} 0.6 under Section 1256, otherwise 1 or 0 by holding period
+ */
+function getLongTermShare(openedAt, date) {
+  if (date >= SECTION_1256_FROM) {
+    return SECTION_1256_LONG_TERM_SHARE;
+  }
+  const holdingDays = (date - new Date(openedAt)) / MS_PER_DAY;
+  return holdingDays >= DAYS_PER_YEAR ? 1 : 0;
+}
+
+/**
+ * Get the tax rate on a realized futures gain
+ * @param {Object} taxRates - constants.getTaxRates() for the year
+ * @param {string} openedAt - When the position was opened (ISO string)
+ * @param {Date} date - When the gain is realized
+ * @returns {number} Tax rate (decimal)
+ */
+function getTaxRate(taxRates, openedAt, date) {
+  const longTermShare = getLongTermShare(openedAt, date);
+  return longTermShare * taxRates.longTermTaxRate + (1 - longTermShare) * taxRates.shortTermTaxRate;
+}
+
+/**
+ * Validate a futures trade request
+ * @param {Object} params - { symbol, contractMonth, action, contracts, autoRoll }
+ * @param {Date} date - Game time
+ * @returns {Object} { valid, error } or { valid, trade }
+ */
+function validateTradeParams(params, date) {
+  const symbol = typeof params.symbol === 'string' ? params.symbol.toUpperCase() : '';
+  const contract = futuresData.getFuturesContract(symbol);
+  if (!contract) {
+    return { valid: false, error: 'Unknown futures contract' };
+  }
+  if (!futuresData.isFuturesListed(symbol, date)) {
+    return { valid: false, error: `${contract.name} are listed from ${contract.listedFrom}` };
+  }
+  if (!ACTIONS.includes(params.action)) {
+    return { valid: false, error: `action must be one of: ${ACTIONS.join(', ')}` };
+  }
+  if (!Number.isInteger(params.contracts) || params.contracts <= 0) {
+    return { valid: false, error: 'contracts must be a positive whole number' };
+  }
+  if (typeof params.contractMonth !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(params.contractMonth)) {
+    return { valid: false, error: 'contractMonth must be a month (YYYY-MM)' };
+  }
+  if (!contract.cycle.includes(parseContractMonth(params.contractMonth).month)) {
+    return { valid: false, error: `${contract.name} are not listed for that month` };
+  }
+  if (getExpiryTime(params.contractMonth) <= date) {
+    return { valid: false, error: 'This contract has expired' };
+  }
+  if (params.autoRoll !== undefined && typeof params.autoRoll !== 'boolean') {
+    return { valid: false, error: 'autoRoll must be true or false' };
+  }
+
+  return {
+    valid: true,
+    trade: {
+      symbol,
+      contractMonth: params.contractMonth,
+      action: params.action,
+      contracts: params.contracts,
+      autoRoll: params.autoRoll
+    }
+  };
+}
+
+/**
+ * Work out how a trade changes a position
+ * Trades first close contracts held on the other side, then open new ones.
+ * @param {Object|null} position - Current futures_positions row, or null
+ * @param {string} action - 'buy' or 'sell'
+ * @param {number} contracts - Contracts traded
+ * @param {number} price - Trade price
+ * @param {number} multiplier - Dollars per point
+ * @param {Date} date - Game time
+ * @returns {Object} { contracts, averagePrice, openedAt, closedContracts, realizedGain } where
+ *   contracts is the signed position afterwards and realizedGain is in dollars
+ */
+function applyTrade(position, action, contracts, price, multiplier, date) {
+  const held = position ? position.contracts : 0;
+  const signed = action === 'buy' ? contracts : -contracts;
+
+  // Contracts that offset the existing position
+  const closing = held * signed < 0 ? Math.min(contracts, Math.abs(held)) : 0;
+  const realizedGain = closing > 0
+    ? (held > 0 ? price - position.average_price : position.average_price - price) * closing * multiplier
+    : 0;
+
+  const after = held + signed;
+  let averagePrice = price;
+  let openedAt = date.toISOString();
+  if (held * after > 0) {
+    if (closing > 0) {
+      // Partly closed: the remaining contracts keep their entry price
+      averagePrice = position.average_price;
+    } else {
+      averagePrice = (Math.abs(held) * position.average_price + contracts * price) / Math.abs(after);
+    }
+    openedAt = position.opened_at;
+  }
+
+  return { contracts: after, averagePrice, openedAt, closedContracts: closing, realizedGain };
+}
+
+module.exports = {
+  ACTIONS,
+  CONTRACTS_LISTED,
+  getExpiration,
+  getExpiryTime,
+  getContractCode,
+  getNextContractMonth,
+  getContractMonths,
+  getYearsToExpiry,
+  priceFuture,
+  getCommodityPrice,
+  getMarginRequirement,
+  getVariationMargin,
+  getCommission,
+  getLongTermShare,
+  getTaxRate,
+  validateTradeParams,
+  applyTrade
+};
@@ -0,0 +1,158 @@
+/**
+ * Game Seed Module
+ *
+ * The single source of randomness for the simulation. Every stochastic
+ * module draws from the game seed instead of Math.random, so two games
+ * started with the same seed see the same market and a bug report only
+ * needs the seed and the game time to be reproduced.
+ *
+ * - random(...keys) is a keyed draw: the same seed and keys always give the
+ *   same number, however often or in whatever order it is asked for. Prices
+ *   and events key their draws by symbol and game time.
+ * - createRandom(...keys) returns a generator for code that needs several
+ *   draws from one key (a fat-tailed sample, a day of OHLC bars).
+ * - next() is a stream reset with the seed, for code without a natural key.
+ * - salt(seed) mixes the game seed into the numeric seeds of the older
+ *   sin-based generators (dynamicEventGenerator, dynamicRatesGenerator,
+ *   economic indicators).
+ *
+ * Seed 0 is the original market: its salt is 0, so the sin-based generators
+ * give the numbers they always have.
+ *
+ * Usage:
+ *   const gameSeed = require('./helpers/gameSeed');
+ *   gameSeed.setSeed(12345);
+ *   const u = gameSeed.random('price', 'AAPL', gameTime.getTime());
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SEED = 0;
+const MAX_SEED = 0xFFFFFFFF;
+const SALT_RANGE = 1000000;
+
+let seed = DEFAULT_SEED;
+let saltOffset = 0;
+let stream = createGenerator(hashKeys([]));
+const changeListeners = [];
+
+// FNV-1a hash of the seed and keys, as an unsigned 32-bit integer
+function hashKeys(keys) {
+  const str = [seed, ...keys].join(':');
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: a small, fast PRNG with a 32-bit state
+function createGenerator(state) {
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check that a value can be used as a game seed
+ * @param {*} value - Candidate seed
+ * @returns {boolean} True for integers from 0 to 4294967295
+ */
+function isValidSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+}
+
+/**
+ * Pick a fresh seed for a new game
+ * @returns {number} Random seed
+ */
+function generateSeed() {
+  return crypto.randomInt(1, MAX_SEED);
+}
+
+/**
+ * Get the game seed
+ * @returns {number} Current seed
+ */
+function getSeed() {
+  return seed;
+}
+
+/**
+ * Set the game seed, restarting the stream and notifying modules that
+ * cache seeded values
+ * @param {number} newSeed - Integer from 0 to 4294967295
+ */
+function setSeed(newSeed) {
+  if (!isValidSeed(newSeed)) {
+    throw new RangeError(`Seed must be an integer from 0 to ${MAX_SEED}`);
+  }
+  seed = newSeed;
+  saltOffset = seed === DEFAULT_SEED ? 0 : (hashKeys(['salt']) / 4294967296) * SALT_RANGE;
+  stream = createGenerator(hashKeys([]));
+
+  for (const listener of changeListeners) {
+    listener(seed);
+  }
+}
+
+/**
+ * Register a callback for seed changes, e.g. to drop cached prices
+ * @param {Function} listener - Called with the new seed
+ */
+function onChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Keyed random number
+ * @param {...*} keys - What the draw is for, e.g. a purpose, symbol and time
+ * @returns {number} Number in [0, 1), fixed for the seed and keys
+ */
+function random(...keys) {
+  return hashKeys(keys) / 4294967296;
+}
+
+/**
+ * Random number generator for a key
+ * @param {...*} keys - What the draws are for
+ * @returns {Function} Generator of numbers in [0, 1), starting over for the same seed and keys
+ */
+function createRandom(...keys) {
+  return createGenerator(hashKeys(keys));
+}
+
+/**
+ * Next number from the game's stream
+ * @returns {number} Number in [0, 1)
+ */
+function next() {
+  return stream();
+}
+
+/**
+ * Mix the game seed into a numeric seed for a sin-based generator
+ * @param {number} value - Seed the generator would otherwise use
+ * @returns {number} Salted seed (unchanged for seed 0)
+ */
+function salt(value) {
+  return value + saltOffset;
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  MAX_SEED,
+  isValidSeed,
+  generateSeed,
+  getSeed,
+  setSeed,
+  onChange,
+  random,
+  createRandom,
+  next,
+  salt
+};
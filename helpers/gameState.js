@@ -1,4 +1,7 @@
 const db = require('../database');
+const exchangeData = require('../data/exchanges');
+const marketHours = require('./marketHours');
+const gameSeed = require('./gameSeed');
 
 // Load game state from database
 let gameState = db.getGameState().get();
@@ -10,27 +13,9 @@ let lastMonthlyFeeCheck = gameState.last_monthly_fee_check;
 let lastInflationCheck = gameState.last_inflation_check;
 let cumulativeInflation = gameState.cumulative_inflation;
 
-// Stock market hours (NYSE)
-const MARKET_OPEN_HOUR = 9;
-const MARKET_OPEN_MINUTE = 30;
-const MARKET_CLOSE_HOUR = 16;
-const MARKET_CLOSE_MINUTE = 0;
-
-// Check if market is open
+// Check if the NYSE is open (trading hours, weekends, holidays and special closures)
 function isMarketOpen(date) {
-  const day = date.getDay();
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  
-  // Weekend check
-  if (day === 0 || day === 6) return false;
-  
-  // Time check
-  const currentMinutes = hours * 60 + minutes;
-  const openMinutes = MARKET_OPEN_HOUR * 60 + MARKET_OPEN_MINUTE;
-  const closeMinutes = MARKET_CLOSE_HOUR * 60 + MARKET_CLOSE_MINUTE;
-  
-  return currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+  return marketHours.isExchangeOpen(exchangeData.HOME_EXCHANGE, date);
 }
 
 // Save game state to database
@@ -42,7 +27,8 @@ function saveGameState() {
     lastDividendQuarter,
     lastMonthlyFeeCheck,
     lastInflationCheck,
-    cumulativeInflation
+    cumulativeInflation,
+    gameSeed.getSeed()
   );
 }
 
@@ -0,0 +1,253 @@
+/**
+ * Leaderboard Module
+ *
+ * Ranks players by net worth using snapshots taken at the end of every game
+ * month. Net worth is stored both in nominal dollars and in 1970 dollars
+ * (divided by cumulative inflation) so players who joined in different eras
+ * can be compared fairly.
+ *
+ * Rankings:
+ * - allTime: latest inflation-adjusted net worth
+ * - decades: inflation-adjusted return over each decade a player was active
+ * - riskAdjusted: annualized Sharpe ratio of monthly returns over the
+ *   3-month Treasury yield
+ *
+ * Usage:
+ *   const leaderboard = require('./helpers/leaderboard');
+ *   leaderboard.recordSnapshot(userId, '1987-10', gameTime, netWorth, cumulativeInflation);
+ *   const rankings = leaderboard.getLeaderboard();
+ */
+
+const dbModule = require('../database');
+const treasuryYields = require('../data/treasury-yields');
+
+// Minimum monthly returns before a player gets a Sharpe ratio
+const MIN_SHARPE_MONTHS = 6;
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Get the period key for a game date
+ * @param {Date} date - Game date
+ * @returns {string} Period key, e.g. '1987-10'
+ */
+function getPeriodKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the decade a period falls in
+ * @param {string} period - Period key, e.g. '1987-10'
+ * @returns {number} First year of the decade, e.g. 1980
+ */
+function getDecade(period) {
+  return Math.floor(parseInt(period.slice(0, 4)) / 10) * 10;
+}
+
+/**
+ * Store a player's month-end net worth
+ * @param {number} userId - Player id
+ * @param {string} period - Month that just ended, e.g. '1987-10'
+ * @param {Date} snapshotDate - Game time of the snapshot
+ * @param {number} netWorth - Net worth in current dollars
+ * @param {number} cumulativeInflation - Price level relative to 1970
+ * @returns {Object} The stored snapshot values
+ */
+function recordSnapshot(userId, period, snapshotDate, netWorth, cumulativeInflation) {
+  const realNetWorth = netWorth / cumulativeInflation;
+  const riskFreeRate = treasuryYields.getYield(snapshotDate, '3M');
+
+  dbModule.upsertLeaderboardSnapshot.run(
+    userId,
+    period,
+    snapshotDate.toISOString(),
+    netWorth,
+    realNetWorth,
+    cumulativeInflation,
+    riskFreeRate
+  );
+
+  return { userId, period, netWorth, realNetWorth, riskFreeRate };
+}
+
+/**
+ * Group snapshot rows by player
+ * @param {Array} snapshots - leaderboard_snapshots rows ordered by user and period
+ * @returns {Array} [{ userId, username, snapshots }]
+ */
+function groupByPlayer(snapshots) {
+  const players = new Map();
+  for (const row of snapshots) {
+    if (!players.has(row.user_id)) {
+      players.set(row.user_id, {
+        userId: row.user_id,
+        username: row.username || `Player ${row.user_id}`,
+        snapshots: []
+      });
+    }
+    players.get(row.user_id).snapshots.push(row);
+  }
+  return Array.from(players.values());
+}
+
+/**
+ * Calculate month-over-month returns from a player's snapshots
+ * @param {Array} snapshots - One player's snapshots ordered by period
+ * @returns {Array} [{ period, return, excessReturn }]
+ */
+function calculateMonthlyReturns(snapshots) {
+  const returns = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    // Returns are meaningless once a player is underwater
+    if (previous.net_worth <= 0) continue;
+
+    const monthlyReturn = current.net_worth / previous.net_worth - 1;
+    returns.push({
+      period: current.period,
+      return: monthlyReturn,
+      excessReturn: monthlyReturn - previous.risk_free_rate / MONTHS_PER_YEAR
+    });
+  }
+  return returns;
+}
+
+/**
+ * Calculate the annualized Sharpe ratio of a player's monthly returns
+ * @param {Array} snapshots - One player's snapshots ordered by period
+ * @returns {number|null} Sharpe ratio, or null without enough history
+ */
+function calculateSharpeRatio(snapshots) {
+  const returns = calculateMonthlyReturns(snapshots);
+  if (returns.length < MIN_SHARPE_MONTHS) {
+    return null;
+  }
+
+  const excess = returns.map(r => r.excessReturn);
+  const mean = excess.reduce((sum, r) => sum + r, 0) / excess.length;
+  const variance = excess.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (excess.length - 1);
+  const stdDev = Math.sqrt(variance);
+
+  if (stdDev === 0) {
+    return null;
+  }
+
+  return (mean / stdDev) * Math.sqrt(MONTHS_PER_YEAR);
+}
+
+function assignRanks(entries) {
+  return entries.map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Rank players by their latest inflation-adjusted net worth
+ * @param {Array} players - Output of groupByPlayer
+ * @returns {Array} Ranked entries
+ */
+function rankAllTime(players) {
+  const entries = players.map(player => {
+    const latest = player.snapshots[player.snapshots.length - 1];
+    return {
+      userId: player.userId,
+      username: player.username,
+      period: latest.period,
+      netWorth: latest.net_worth,
+      realNetWorth: latest.real_net_worth,
+      months: player.snapshots.length
+    };
+  });
+  entries.sort((a, b) => b.realNetWorth - a.realNetWorth);
+  return assignRanks(entries);
+}
+
+/**
+ * Rank players by inflation-adjusted return within each decade
+ * A decade's return runs from the last snapshot before it (or the first one
+ * inside it, for players who joined mid-decade) to the last one inside it.
+ * @param {Array} players - Output of groupByPlayer
+ * @returns {Object} Ranked entries keyed by decade label, e.g. '1980s'
+ */
+function rankByDecade(players) {
+  const decades = {};
+
+  for (const player of players) {
+    const playerDecades = new Set(player.snapshots.map(s => getDecade(s.period)));
+
+    for (const decade of playerDecades) {
+      const inDecade = player.snapshots.filter(s => getDecade(s.period) === decade);
+      const before = player.snapshots.filter(s => getDecade(s.period) < decade);
+      const start = before.length > 0 ? before[before.length - 1] : inDecade[0];
+      const end = inDecade[inDecade.length - 1];
+
+      if (start === end || start.real_net_worth <= 0) continue;
+
+      const label = `${decade}s`;
+      if (!decades[label]) decades[label] = [];
+      decades[label].push({
+        userId: player.userId,
+        username: player.username,
+        startPeriod: start.period,
+        endPeriod: end.period,
+        startRealNetWorth: start.real_net_worth,
+        endRealNetWorth: end.real_net_worth,
+        realReturn: end.real_net_worth / start.real_net_worth - 1
+      });
+    }
+  }
+
+  for (const label of Object.keys(decades)) {
+    decades[label].sort((a, b) => b.realReturn - a.realReturn);
+    decades[label] = assignRanks(decades[label]);
+  }
+
+  return decades;
+}
+
+/**
+ * Rank players by annualized Sharpe ratio
+ * @param {Array} players - Output of groupByPlayer
+ * @returns {Array} Ranked entries (players without enough history are left out)
+ */
+function rankRiskAdjusted(players) {
+  const entries = [];
+  for (const player of players) {
+    const sharpeRatio = calculateSharpeRatio(player.snapshots);
+    if (sharpeRatio === null) continue;
+
+    const returns = calculateMonthlyReturns(player.snapshots);
+    const meanReturn = returns.reduce((sum, r) => sum + r.return, 0) / returns.length;
+    entries.push({
+      userId: player.userId,
+      username: player.username,
+      sharpeRatio,
+      annualizedReturn: Math.pow(1 + meanReturn, MONTHS_PER_YEAR) - 1,
+      months: returns.length
+    });
+  }
+  entries.sort((a, b) => b.sharpeRatio - a.sharpeRatio);
+  return assignRanks(entries);
+}
+
+/**
+ * Build all leaderboard rankings
+ * @param {Array} snapshots - leaderboard_snapshots rows (defaults to the database)
+ * @returns {Object} { allTime, decades, riskAdjusted }
+ */
+function getLeaderboard(snapshots = dbModule.getLeaderboardSnapshots.all()) {
+  const players = groupByPlayer(snapshots);
+  return {
+    allTime: rankAllTime(players),
+    decades: rankByDecade(players),
+    riskAdjusted: rankRiskAdjusted(players)
+  };
+}
+
+module.exports = {
+  MIN_SHARPE_MONTHS,
+  getPeriodKey,
+  getDecade,
+  recordSnapshot,
+  calculateMonthlyReturns,
+  calculateSharpeRatio,
+  getLeaderboard
+};
@@ -13,6 +13,7 @@ const crashEvents = require('../data/market-crash-events');
 const dynamicEventGenerator = require('./dynamicEventGenerator');
 const { GARCHModel, generateStudentT } = require('./volatilityModeling');
 const { CorrelationMatrix } = require('./correlationMatrix');
+const gameSeed = require('./gameSeed');
 
 /**
  * Active crash events state
@@ -36,6 +37,19 @@ let marketState = {
  */
 const stockVolatilityModels = new Map();
 
+/**
+ * Game day each GARCH model is at
+ * Map: symbol -> day number
+ */
+const volatilityModelDays = new Map();
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Days of returns a GARCH model is rebuilt from. Persistence (β = 0.90) leaves
+// about 4% of the variance of 30 days before, so older days are ignored.
+const VOLATILITY_MEMORY_DAYS = 30;
+
 /**
  * Correlation matrix manager
  */
@@ -227,31 +241,22 @@ function getStockVolatilityModel(symbol) {
 }
 
 /**
- * Calculate price impact for a specific stock
- * Enhanced with GARCH volatility and fat-tailed distributions
- * 
- * @param {string} symbol - Stock symbol
+ * Combined impact of the crash events running at a time
  * @param {string} sector - Stock sector
- * @param {number} basePrice - Original stock price
- * @param {Date} currentTime - Current game time
- * @returns {number} - Adjusted price with crash impact
+ * @param {Date} time - Game time
+ * @returns {Object} { totalImpact, volatilityFactor }
  */
-function calculateStockPriceImpact(symbol, sector, basePrice, currentTime) {
-  // Get GARCH model for this stock
-  const garchModel = getStockVolatilityModel(symbol);
-  
+function calculateEventImpact(sector, time) {
   let totalImpact = 0;
   let volatilityFactor = 1.0;
   
-  // Calculate crash impact from active events
   for (const event of activeEvents) {
-    if (event.status !== 'active') continue;
+    if (event.status !== 'active' && event.status !== 'completed') continue;
     
-    const daysSinceStart = (currentTime - new Date(event.startDate)) / (1000 * 60 * 60 * 24);
+    const daysSinceStart = (time - new Date(event.startDate)) / (1000 * 60 * 60 * 24);
     
-    // Check if event has ended
-    if (event.endDate && currentTime > new Date(event.endDate)) {
-      event.status = 'completed';
+    // Skip events that had not started or had already ended
+    if (daysSinceStart < 0 || (event.endDate && time > new Date(event.endDate))) {
       continue;
     }
     
@@ -309,30 +314,90 @@ function calculateStockPriceImpact(symbol, sector, basePrice, currentTime) {
     volatilityFactor *= event.impact.volatilityMultiplier;
   }
   
-  // Generate stochastic return component
-  // Only add significant volatility if crash is active or for normal daily movements
-  let volatilityReturn = 0;
+  return { totalImpact, volatilityFactor };
+}
+
+// Drift and return cap of the stochastic component
+// Only add significant volatility if crash is active or for normal daily movements
+// During crash: apply volatility shock and generate larger returns
+// Allow higher volatility during crashes, but still cap at realistic levels (±20%)
+// Normal times: use moderate drift and volatility (daily scale)
+// Typical daily drift ~0.0003 (about 8% annualized)
+// Typical daily vol ~0.01 (about 15% annualized)
+// Cap at ±12% for realistic daily movements (reduced to prevent compound effects)
+function getReturnBounds(volatilityFactor) {
+  const isCrash = activeEvents.length > 0 && volatilityFactor > 1.0;
+  return {
+    isCrash,
+    drift: isCrash ? 0 : 0.0003,
+    maxReturn: isCrash ? 0.20 : 0.12
+  };
+}
+
+/**
+ * Move a stock's GARCH model to a game day. The model moves once per game day
+ * and is rebuilt from the seeded daily returns of the days before, so its state
+ * depends only on the seed and the date: not on how often or in what order
+ * prices were asked for, and nothing is lost on a restart.
+ * @param {string} symbol - Stock symbol
+ * @param {string} sector - Stock sector
+ * @param {Date} currentTime - Game time
+ * @returns {GARCHModel}
+ */
+function moveVolatilityModel(symbol, sector, currentTime) {
+  const day = Math.floor(currentTime.getTime() / MS_PER_DAY);
+  if (volatilityModelDays.get(symbol) === day) {
+    return getStockVolatilityModel(symbol);
+  }
   
-  if (activeEvents.length > 0 && volatilityFactor > 1.0) {
-    // During crash: apply volatility shock and generate larger returns
-    // Allow higher volatility during crashes, but still cap at realistic levels (±20%)
-    garchModel.applyVolatilityShock(volatilityFactor);
-    volatilityReturn = garchModel.generateReturn(5, 0, 0.20);
-  } else {
-    // Normal times: use moderate drift and volatility (daily scale)
-    // Typical daily drift ~0.0003 (about 8% annualized)
-    // Typical daily vol ~0.01 (about 15% annualized)
-    // Cap at ±12% for realistic daily movements (reduced to prevent compound effects)
-    const dailyDrift = 0.0003;
-    volatilityReturn = garchModel.generateReturn(5, dailyDrift, 0.12);
+  const garchModel = initializeStockVolatility(symbol);
+  for (let back = VOLATILITY_MEMORY_DAYS; back >= 0; back--) {
+    const time = new Date(currentTime.getTime() - back * MS_PER_DAY);
+    const { totalImpact, volatilityFactor } = calculateEventImpact(sector, time);
+    const bounds = getReturnBounds(volatilityFactor);
+    if (bounds.isCrash) {
+      garchModel.applyVolatilityShock(volatilityFactor);
+    }
+    if (back > 0) {
+      // Update GARCH model with the day's realized return
+      const dayRandom = gameSeed.createRandom('dailyVolatility', symbol, day - back);
+      garchModel.updateVolatility(totalImpact + garchModel.generateReturn(5, bounds.drift, bounds.maxReturn, dayRandom));
+    }
   }
+  volatilityModelDays.set(symbol, day);
+  return garchModel;
+}
+
+/**
+ * Calculate price impact for a specific stock
+ * Enhanced with GARCH volatility and fat-tailed distributions
+ * 
+ * @param {string} symbol - Stock symbol
+ * @param {string} sector - Stock sector
+ * @param {number} basePrice - Original stock price
+ * @param {Date} currentTime - Current game time
+ * @returns {number} - Adjusted price with crash impact
+ */
+function calculateStockPriceImpact(symbol, sector, basePrice, currentTime) {
+  // Mark events that have ended
+  for (const event of activeEvents) {
+    if (event.status === 'active' && event.endDate && currentTime > new Date(event.endDate)) {
+      event.status = 'completed';
+    }
+  }
+  
+  // Get GARCH model for this stock, at today's volatility
+  const garchModel = moveVolatilityModel(symbol, sector, currentTime);
+  const { totalImpact, volatilityFactor } = calculateEventImpact(sector, currentTime);
+  const { drift, maxReturn } = getReturnBounds(volatilityFactor);
+  
+  // Draws are keyed by symbol and minute, so the same game time gives the same price
+  const minute = Math.floor(currentTime.getTime() / MS_PER_MINUTE);
+  const volatilityReturn = garchModel.generateReturn(5, drift, maxReturn, gameSeed.createRandom('volatility', symbol, minute));
   
   // Combine crash impact with stochastic volatility
   const totalReturn = totalImpact + volatilityReturn;
   
-  // Update GARCH model with realized return
-  garchModel.updateVolatility(totalReturn);
-  
   // Apply to price
   let adjustedPrice = basePrice * (1 + totalReturn);
   
@@ -503,6 +568,17 @@ function calculateLiquidityImpact(shares, normalLiquidity) {
   };
 }
 
+/**
+ * Clear all events, volatility models and market state, e.g. for a new game
+ */
+function resetSimulation() {
+  activeEvents = [];
+  eventHistory = [];
+  stockVolatilityModels.clear();
+  volatilityModelDays.clear();
+  initializeMarketState();
+}
+
 /**
  * Get crash analytics and statistics
  */
@@ -526,6 +602,7 @@ function getCrashAnalytics() {
 module.exports = {
   // Core functions
   initializeMarketState,
+  resetSimulation,
   triggerCrashEvent,
   deactivateCrashEvent,
   updateCrashEvents,
@@ -550,10 +627,5 @@ module.exports = {
   getCorrelationMatrix: () => correlationMatrix,
   
   // Test utilities
-  resetForTesting: () => {
-    activeEvents = [];
-    eventHistory = [];
-    stockVolatilityModels.clear();
-    initializeMarketState();
-  }
+  resetForTesting: resetSimulation
 };
@@ -0,0 +1,151 @@
+/**
+ * Market Depth Module
+ *
+ * Simulated bid/ask quotes and order book depth for stocks. Prices from
+ * data/stocks are last-trade prices; market orders buy at the ask, sell at
+ * the bid, and large orders walk down a ladder of thinner and thinner levels.
+ *
+ * - The spread is a share of the price that shrinks with the stock's float
+ *   (widely held stocks trade tighter), widens with the crash simulation's
+ *   volatility and narrows liquidity, and is always a whole number of ticks:
+ *   eighths and sixteenths before decimalization, pennies after. Dealers also
+ *   quoted wider before 2001.
+ * - Quotes sit half the spread either side of the last price, out to the
+ *   nearest tick. Each level behind the best bid and ask is half a spread
+ *   (at least a tick) further away and shows more shares; displayed size
+ *   shrinks with liquidity.
+ * - The ladder is generated on demand, so an order of any size fills at the
+ *   volume-weighted average of the levels it takes out.
+ *
+ * Usage:
+ *   const marketDepth = require('./helpers/marketDepth');
+ *   const quote = marketDepth.getQuote(stockPrice.price, gameTime, publicFloat);
+ *   const fill = marketDepth.walkBook(quote, 'buy', 5000);
+ */
+
+const tickSizes = require('../data/tick-sizes');
+const marketCrashSim = require('./marketCrashSimulation');
+
+const BASE_SPREAD = 0.0005;            // Relative spread of a stock with the reference float
+const REFERENCE_FLOAT = 1000000000;    // Shares
+const MAX_SPREAD = 0.05;               // Relative spread cap, even in a crash
+const PRE_DECIMAL_SPREAD_FACTOR = 1.5; // Dealer spreads before decimalization
+const MIN_LIQUIDITY = 0.05;            // Floor on the crash simulation's liquidity level
+
+const DEPTH_LEVELS = 5;
+const TOP_OF_BOOK_SHARE = 0.0001;      // Share of the float shown at the best bid and ask
+const LOT_SIZE = 100;
+const LEVEL_GROWTH = 0.5;              // Each level deeper shows another 50% of the top size
+const MAX_WALK_LEVELS = 10000;
+
+function roundPrice(price) {
+  return Math.round(price * 10000) / 10000;
+}
+
+function isBuySide(action) {
+  return action === 'buy' || action === 'buy-margin' || action === 'cover';
+}
+
+/**
+ * Quote a stock around its last price
+ * @param {number} price - Last price
+ * @param {Date} currentDate - Game time, for the tick size
+ * @param {number} floatShares - Public float of the stock
+ * @returns {Object} { lastPrice, bid, ask, spread, spreadPercent, tickSize, bidSize, askSize, levelStep }
+ */
+function getQuote(price, currentDate, floatShares) {
+  const tickSize = tickSizes.getTickSize(currentDate);
+  const state = marketCrashSim.getMarketState();
+  const liquidity = Math.max(state.liquidityLevel, MIN_LIQUIDITY);
+
+  let relativeSpread = BASE_SPREAD * Math.sqrt(REFERENCE_FLOAT / Math.max(floatShares, 1));
+  if (tickSize > 0.01) {
+    relativeSpread *= PRE_DECIMAL_SPREAD_FACTOR;
+  }
+  relativeSpread = Math.min(relativeSpread * state.currentVolatility / liquidity, MAX_SPREAD);
+
+  // Quotes are at least one tick wide and on the tick grid
+  const halfSpread = Math.max(1, Math.ceil(price * relativeSpread / tickSize)) * tickSize / 2;
+  const bid = Math.max(Math.floor(roundPrice((price - halfSpread) / tickSize)) * tickSize, tickSize);
+  const ask = Math.max(Math.ceil(roundPrice((price + halfSpread) / tickSize)) * tickSize, bid + tickSize);
+  const spread = ask - bid;
+  const levelStep = Math.max(1, Math.round(spread / 2 / tickSize)) * tickSize;
+  const topSize = Math.max(LOT_SIZE, Math.round(floatShares * TOP_OF_BOOK_SHARE * liquidity / LOT_SIZE) * LOT_SIZE);
+
+  return {
+    lastPrice: price,
+    bid: roundPrice(bid),
+    ask: roundPrice(ask),
+    spread: roundPrice(spread),
+    spreadPercent: price > 0 ? spread / price * 100 : 0,
+    tickSize,
+    bidSize: topSize,
+    askSize: topSize,
+    levelStep: roundPrice(levelStep)
+  };
+}
+
+// Price and size of a level on one side of the book (level 0 is the best quote)
+function getLevel(quote, buySide, level) {
+  const shares = Math.round(quote.askSize * (1 + level * LEVEL_GROWTH) / LOT_SIZE) * LOT_SIZE;
+  if (buySide) {
+    return { price: roundPrice(quote.ask + level * quote.levelStep), shares };
+  }
+  // Bids never fall below one tick
+  return { price: roundPrice(Math.max(quote.bid - level * quote.levelStep, quote.tickSize)), shares };
+}
+
+/**
+ * Get the top levels of the simulated order book
+ * @param {Object} quote - Quote from getQuote
+ * @param {number} levels - Levels per side
+ * @returns {Object} { bids, asks } as [{ price, shares }] from the best price outwards
+ */
+function getDepth(quote, levels = DEPTH_LEVELS) {
+  const bids = [];
+  const asks = [];
+  for (let level = 0; level < levels; level++) {
+    bids.push(getLevel(quote, false, level));
+    asks.push(getLevel(quote, true, level));
+  }
+  return { bids, asks };
+}
+
+/**
+ * Fill a market order against the book
+ * @param {Object} quote - Quote from getQuote
+ * @param {string} action - buy, buy-margin and cover take the asks; sell and short hit the bids
+ * @param {number} shares - Shares in the order
+ * @returns {Object} { averagePrice, worstPrice, levels } where levels counts the levels taken out
+ */
+function walkBook(quote, action, shares) {
+  const buySide = isBuySide(action);
+  let remaining = shares;
+  let cost = 0;
+  let level = 0;
+  let current = getLevel(quote, buySide, 0);
+
+  while (remaining > 0) {
+    // Past the last level, the rest trades at the deepest price
+    const take = level < MAX_WALK_LEVELS - 1 ? Math.min(remaining, current.shares) : remaining;
+    cost += take * current.price;
+    remaining -= take;
+    if (remaining > 0) {
+      level++;
+      current = getLevel(quote, buySide, level);
+    }
+  }
+
+  return {
+    averagePrice: shares > 0 ? cost / shares : (buySide ? quote.ask : quote.bid),
+    worstPrice: current.price,
+    levels: level + 1
+  };
+}
+
+module.exports = {
+  DEPTH_LEVELS,
+  getQuote,
+  getDepth,
+  walkBook
+};
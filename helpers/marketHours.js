@@ -0,0 +1,512 @@
+/**
+ * Market Hours Module
+ *
+ * Trading hours and holiday calendars for every exchange in data/exchanges.
+ * Game time is New York wall-clock time (the Date's local fields), so each
+ * check converts it to the exchange's own clock first.
+ *
+ * - Time zones come from the IANA database via Intl, so daylight saving
+ *   differences (London and New York change clocks on different weekends)
+ *   shift foreign sessions against the game clock the way they really did.
+ * - Holidays are built per exchange and year from the exchange's rules and
+ *   cached, so calendars run on into any future year. Fixed-date holidays on
+ *   a weekend move by the exchange's observance; an observed day that would
+ *   fall in another year is dropped (the NYSE does not close on December 31
+ *   for a Saturday New Year). One-off dates are special closures (national
+ *   days of mourning, storms, 9/11).
+ * - An exchange is open during any of the day's sessions on a trading day.
+ *   Lunch breaks close it, but the trading day only ends after the last
+ *   session (see hasClosedForDay).
+ * - Extended sessions (pre-market and after-hours) run on the same trading
+ *   days but do not open the exchange; see getTradingSession.
+ *
+ * Usage:
+ *   const marketHours = require('./helpers/marketHours');
+ *   marketHours.isExchangeOpen('LSE', gameTime);
+ *   const status = marketHours.getExchangeStatus('TSE', gameTime);
+ */
+
+const exchangeData = require('../data/exchanges');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MAX_CACHED_OFFSETS = 5000;
+const NEXT_SESSION_SEARCH_DAYS = 14;
+
+const GAME_TIME_ZONE = exchangeData.exchanges[exchangeData.HOME_EXCHANGE].timeZone;
+
+// Intl formatters and UTC offsets by time zone (offsets only change on whole UTC hours)
+const formatters = {};
+const offsetCache = new Map();
+
+// Holiday maps by exchange and year
+const holidayCache = new Map();
+
+// Regular and extended sessions parsed into minutes past local midnight, by exchange
+const parsedSessions = {};
+const parsedExtendedSessions = {};
+for (const exchange of Object.values(exchangeData.exchanges)) {
+  parsedSessions[exchange.id] = parseEras(exchange.sessions);
+  parsedExtendedSessions[exchange.id] = parseEras(exchange.extendedSessions || []);
+}
+
+function parseEras(eras) {
+  return eras.map(era => ({
+    from: era.from,
+    hours: era.hours.map(([open, close]) => [toMinutes(open), toMinutes(close)])
+  }));
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDateKey(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function requireExchange(exchangeId) {
+  const exchange = exchangeData.getExchange(exchangeId);
+  if (!exchange) {
+    throw new Error(`Unknown exchange: ${exchangeId}`);
+  }
+  return exchange;
+}
+
+// Milliseconds to add to a UTC instant to get wall-clock time in a zone
+function getZoneOffset(timeZone, instant) {
+  const key = `${timeZone}:${Math.floor(instant / MS_PER_HOUR)}`;
+  const cached = offsetCache.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  }
+  const parts = {};
+  for (const part of formatters[timeZone].formatToParts(new Date(instant))) {
+    parts[part.type] = Number(part.value);
+  }
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const offset = wall - Math.floor(instant / 60000) * 60000;
+
+  if (offsetCache.size >= MAX_CACHED_OFFSETS) {
+    offsetCache.clear();
+  }
+  offsetCache.set(key, offset);
+  return offset;
+}
+
+// UTC instant of a wall-clock time in a zone (wall time encoded as UTC milliseconds)
+function wallToInstant(timeZone, wall) {
+  const guess = wall - getZoneOffset(timeZone, wall);
+  return wall - getZoneOffset(timeZone, guess);
+}
+
+// Game time as wall-clock milliseconds
+function gameTimeToWall(date) {
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+}
+
+/**
+ * Get the exchange's local date and time at a game time
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {Object} { dateKey, year, month, day, weekday, minutes } where month is 1-12
+ *   and minutes counts from local midnight
+ */
+function getLocalTime(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  let wall = gameTimeToWall(date);
+  if (exchange.timeZone !== GAME_TIME_ZONE) {
+    const instant = wallToInstant(GAME_TIME_ZONE, wall);
+    wall = instant + getZoneOffset(exchange.timeZone, instant);
+  }
+  const local = new Date(wall);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+  const day = local.getUTCDate();
+  return {
+    dateKey: toDateKey(year, month, day),
+    year,
+    month,
+    day,
+    weekday: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes() + local.getUTCSeconds() / 60
+  };
+}
+
+/**
+ * Convert an exchange's local date and time to game time
+ * @param {string} exchangeId - Exchange id
+ * @param {string} dateKey - Local date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes past local midnight
+ * @returns {Date} Game time
+ */
+function toGameTime(exchangeId, dateKey, minutes) {
+  const exchange = requireExchange(exchangeId);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  let wall = Date.UTC(year, month - 1, day) + minutes * 60000;
+  if (exchange.timeZone !== GAME_TIME_ZONE) {
+    const instant = wallToInstant(exchange.timeZone, wall);
+    wall = instant + getZoneOffset(GAME_TIME_ZONE, instant);
+  }
+  const game = new Date(wall);
+  return new Date(game.getUTCFullYear(), game.getUTCMonth(), game.getUTCDate(),
+    game.getUTCHours(), game.getUTCMinutes());
+}
+
+// Easter Sunday (anonymous Gregorian algorithm) as UTC milliseconds
+function getEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+}
+
+// Day of the March or September equinox in Japan
+function getEquinoxDay(year, equinox) {
+  if (year < 1980) {
+    const base = equinox === 'vernal' ? 20.8357 : 23.2588;
+    return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1983) / 4));
+  }
+  const base = equinox === 'vernal' ? 20.8431 : 23.2488;
+  return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+// Date of a rule in a year as UTC milliseconds, or null when the rule has none
+function getRuleDate(rule, year) {
+  if (rule.date) {
+    return Number(rule.date.slice(0, 4)) === year ? Date.parse(`${rule.date}T00:00:00Z`) : null;
+  }
+  if (rule.easterOffset !== undefined) {
+    return getEaster(year) + rule.easterOffset * MS_PER_DAY;
+  }
+  if (rule.equinox) {
+    return Date.UTC(year, rule.equinox === 'vernal' ? 2 : 8, getEquinoxDay(year, rule.equinox));
+  }
+  if (rule.nth !== undefined) {
+    if (rule.nth > 0) {
+      const first = new Date(Date.UTC(year, rule.month - 1, 1));
+      const offset = (rule.weekday - first.getUTCDay() + 7) % 7;
+      return Date.UTC(year, rule.month - 1, 1 + offset + (rule.nth - 1) * 7);
+    }
+    const last = new Date(Date.UTC(year, rule.month, 0));
+    const offset = (last.getUTCDay() - rule.weekday + 7) % 7;
+    return Date.UTC(year, rule.month - 1, last.getUTCDate() - offset + (rule.nth + 1) * 7);
+  }
+  return Date.UTC(year, rule.month - 1, rule.day);
+}
+
+function isWeekend(time) {
+  const weekday = new Date(time).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+function utcDateKey(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+// Date key (YYYY-MM-DD) to { name, type } for an exchange's closures in a year, in date order
+function getHolidayMap(exchangeId, year) {
+  const cacheKey = `${exchangeId}:${year}`;
+  if (holidayCache.has(cacheKey)) {
+    return holidayCache.get(cacheKey);
+  }
+
+  const exchange = requireExchange(exchangeId);
+  const days = new Map();
+  const moved = [];
+  for (const rule of exchange.holidays) {
+    if ((rule.from && year < rule.from) || (rule.until && year > rule.until)) {
+      continue;
+    }
+    const time = getRuleDate(rule, year);
+    if (time === null) {
+      continue;
+    }
+    const movable = rule.month !== undefined && rule.day !== undefined && rule.observed !== false;
+    if (isWeekend(time) && movable && exchange.observance) {
+      moved.push({ rule, time });
+    } else {
+      days.set(utcDateKey(time), { name: rule.name, type: rule.date ? 'special' : 'holiday' });
+    }
+  }
+
+  // Weekend holidays move after the fixed ones so substitutes skip past them
+  for (const { rule, time } of moved) {
+    const weekday = new Date(time).getUTCDay();
+    let observed = null;
+    if (exchange.observance === 'nearestWeekday') {
+      observed = time + (weekday === 6 ? -1 : 1) * MS_PER_DAY;
+    } else if (exchange.observance === 'nextWeekday' || (exchange.observance === 'sundayToNext' && weekday === 0)) {
+      observed = time + MS_PER_DAY;
+      while (isWeekend(observed) || days.has(utcDateKey(observed))) {
+        observed += MS_PER_DAY;
+      }
+    }
+    if (observed !== null && new Date(observed).getUTCFullYear() === year) {
+      days.set(utcDateKey(observed), { name: `${rule.name} (observed)`, type: 'holiday' });
+    }
+  }
+
+  const sorted = new Map([...days.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  holidayCache.set(cacheKey, sorted);
+  return sorted;
+}
+
+/**
+ * Get the days an exchange is closed for in a year, besides weekends
+ * @param {string} exchangeId - Exchange id
+ * @param {number} year - Calendar year
+ * @returns {Array} [{ date, name, type }] in date order, where type is 'holiday' for
+ *   regular holidays and 'special' for one-off closures
+ */
+function getHolidays(exchangeId, year) {
+  return [...getHolidayMap(exchangeId, year).entries()].map(([date, holiday]) => ({ date, ...holiday }));
+}
+
+// Holiday name on a local date, or null
+function getHolidayName(exchangeId, dateKey) {
+  const holiday = getHolidayMap(exchangeId, Number(dateKey.slice(0, 4))).get(dateKey);
+  return holiday ? holiday.name : null;
+}
+
+// Whether the exchange trades on a local date (weekday, listed, not a holiday)
+function isLocalTradingDay(exchange, local) {
+  if (local.weekday === 0 || local.weekday === 6) return false;
+  if (local.dateKey < exchange.tradingFrom) return false;
+  return !getHolidayName(exchange.id, local.dateKey);
+}
+
+// Session hours in force on a local date
+function getSessionHours(exchangeId, dateKey, eras = parsedSessions) {
+  let hours = [];
+  for (const era of eras[exchangeId]) {
+    if (era.from <= dateKey) {
+      hours = era.hours;
+    }
+  }
+  return hours;
+}
+
+/**
+ * Get the holiday or special closure an exchange observes on the local date of a game time
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {string|null} Holiday name, or null on a regular day
+ */
+function getHoliday(exchangeId, date) {
+  return getHolidayName(exchangeId, getLocalTime(exchangeId, date).dateKey);
+}
+
+/**
+ * Get an exchange's trading calendar for a year
+ * @param {string} exchangeId - Exchange id
+ * @param {number} year - Calendar year
+ * @returns {Object} { exchange, year, holidays, tradingDays } where holidays is as
+ *   getHolidays returns and tradingDays counts the days the exchange is open
+ */
+function getCalendar(exchangeId, year) {
+  const exchange = requireExchange(exchangeId);
+  let tradingDays = 0;
+  for (let time = Date.UTC(year, 0, 1); new Date(time).getUTCFullYear() === year; time += MS_PER_DAY) {
+    if (isLocalTradingDay(exchange, { dateKey: utcDateKey(time), weekday: new Date(time).getUTCDay() })) {
+      tradingDays++;
+    }
+  }
+  return {
+    exchange: exchange.id,
+    year,
+    holidays: getHolidays(exchangeId, year),
+    tradingDays
+  };
+}
+
+/**
+ * Check whether an exchange trades on the local date of a game time
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {boolean} False on weekends, holidays, special closures and before the exchange opened
+ */
+function isTradingDay(exchangeId, date) {
+  return isLocalTradingDay(requireExchange(exchangeId), getLocalTime(exchangeId, date));
+}
+
+/**
+ * Check whether an exchange is trading
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {boolean} True during one of the exchange's sessions on a trading day
+ */
+function isExchangeOpen(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  const local = getLocalTime(exchangeId, date);
+  if (!isLocalTradingDay(exchange, local)) {
+    return false;
+  }
+  return getSessionHours(exchangeId, local.dateKey).some(([open, close]) =>
+    local.minutes >= open && local.minutes < close
+  );
+}
+
+/**
+ * Get the session an exchange is in
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {string|null} 'regular', 'pre-market' or 'after-hours', or null when
+ *   nothing trades (including on exchanges without extended sessions)
+ */
+function getTradingSession(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  const local = getLocalTime(exchangeId, date);
+  if (!isLocalTradingDay(exchange, local)) {
+    return null;
+  }
+  const inSession = ([open, close]) => local.minutes >= open && local.minutes < close;
+  const hours = getSessionHours(exchangeId, local.dateKey);
+  if (hours.some(inSession)) {
+    return 'regular';
+  }
+  const extended = getSessionHours(exchangeId, local.dateKey, parsedExtendedSessions).find(inSession);
+  if (!extended) {
+    return null;
+  }
+  return hours.length > 0 && extended[1] <= hours[0][0] ? 'pre-market' : 'after-hours';
+}
+
+/**
+ * Check whether an exchange's trading day is over (past its last session,
+ * or not a trading day at all). False during a lunch break.
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {boolean} True once no session is left today
+ */
+function hasClosedForDay(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  const local = getLocalTime(exchangeId, date);
+  if (!isLocalTradingDay(exchange, local)) {
+    return true;
+  }
+  const hours = getSessionHours(exchangeId, local.dateKey);
+  return hours.length === 0 || local.minutes >= hours[hours.length - 1][1];
+}
+
+/**
+ * Get the next session open and close after a game time
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {Object} { nextOpen, nextClose } as game times (null if none within two weeks)
+ */
+function getNextSessionTimes(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  const local = getLocalTime(exchangeId, date);
+  let nextOpen = null;
+  let nextClose = null;
+
+  for (let offset = 0; offset < NEXT_SESSION_SEARCH_DAYS && !(nextOpen && nextClose); offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const dayLocal = {
+      dateKey: utcDateKey(day.getTime()),
+      weekday: day.getUTCDay()
+    };
+    if (!isLocalTradingDay(exchange, dayLocal)) {
+      continue;
+    }
+    for (const [open, close] of getSessionHours(exchangeId, dayLocal.dateKey)) {
+      const openTime = toGameTime(exchangeId, dayLocal.dateKey, open);
+      const closeTime = toGameTime(exchangeId, dayLocal.dateKey, close);
+      if (!nextOpen && openTime > date) nextOpen = openTime;
+      if (!nextClose && closeTime > date) nextClose = closeTime;
+    }
+  }
+
+  return { nextOpen, nextClose };
+}
+
+/**
+ * Get the end of the next trading day after a game time: the close of its last
+ * session, past any lunch break
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {Date|null} Game time of the close (null if none within two weeks)
+ */
+function getNextDayClose(exchangeId, date) {
+  let close = getNextSessionTimes(exchangeId, date).nextClose;
+  while (close && !hasClosedForDay(exchangeId, close)) {
+    close = getNextSessionTimes(exchangeId, close).nextClose;
+  }
+  return close;
+}
+
+/**
+ * Describe an exchange's trading status at a game time
+ * @param {string} exchangeId - Exchange id
+ * @param {Date} date - Game time
+ * @returns {Object} { id, name, city, timeZone, isOpen, session, localTime, holiday, sessions,
+ *   extendedSessions, nextOpen, nextClose }
+ */
+function getExchangeStatus(exchangeId, date) {
+  const exchange = requireExchange(exchangeId);
+  const local = getLocalTime(exchangeId, date);
+  const minutes = Math.floor(local.minutes);
+  const { nextOpen, nextClose } = getNextSessionTimes(exchangeId, date);
+  const hours = exchange.sessions.filter(era => era.from <= local.dateKey).pop();
+  const extendedHours = (exchange.extendedSessions || []).filter(era => era.from <= local.dateKey).pop();
+
+  return {
+    id: exchange.id,
+    name: exchange.name,
+    city: exchange.city,
+    timeZone: exchange.timeZone,
+    isOpen: isExchangeOpen(exchangeId, date),
+    session: getTradingSession(exchangeId, date),
+    localTime: `${local.dateKey} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`,
+    holiday: getHolidayName(exchangeId, local.dateKey),
+    sessions: hours ? hours.hours.map(([open, close]) => ({ open, close })) : [],
+    extendedSessions: extendedHours ? extendedHours.hours.map(([open, close]) => ({ open, close })) : [],
+    nextOpen,
+    nextClose
+  };
+}
+
+module.exports = {
+  getLocalTime,
+  toGameTime,
+  getHolidays,
+  getHoliday,
+  getCalendar,
+  isTradingDay,
+  isExchangeOpen,
+  getTradingSession,
+  hasClosedForDay,
+  getNextSessionTimes,
+  getNextDayClose,
+  getExchangeStatus
+};
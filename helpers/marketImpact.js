@@ -0,0 +1,183 @@
+/**
+ * Market Impact Module
+ *
+ * Slippage for orders that are large next to a stock's trading volume, and
+ * the footprint they leave on its price. Crossing the spread and walking the
+ * book (helpers/marketDepth) prices the shares on display; this prices the
+ * liquidity behind them.
+ *
+ * - Average daily volume is simulated as a share of the public float.
+ * - The temporary impact of an order follows the square-root law: daily
+ *   volatility (scaled by the crash simulation) times the square root of the
+ *   order's share of daily volume. The order pays it on its average fill.
+ * - A fraction of it is permanent. After a fill, getStockPrice quotes the
+ *   stock off by the permanent impact plus the temporary impact decaying
+ *   with a half-life of an hour of game time. Buys push the price up, sells
+ *   and shorts push it down.
+ *
+ * Impact is saved with the game state (getState/loadState), so a restart does
+ * not move prices, and starts over with a new game.
+ *
+ * Usage:
+ *   const marketImpact = require('./helpers/marketImpact');
+ *   const impact = marketImpact.estimateImpact('buy', 2000000, publicFloat);
+ *   marketImpact.recordTrade('AAPL', impact, gameTime);
+ *   const adjustment = marketImpact.getPriceAdjustment('AAPL', gameTime);
+ */
+
+const marketCrashSim = require('./marketCrashSimulation');
+
+const DAILY_TURNOVER = 0.005;               // Share of the float traded on a normal day
+const MIN_DAILY_VOLUME = 10000;             // Shares
+const DAILY_VOLATILITY = 0.02;
+const MAX_TEMPORARY_IMPACT = 0.25;          // Relative cap on a single order
+const PERMANENT_SHARE = 0.25;               // Share of the temporary impact that stays in the price
+const TEMPORARY_HALF_LIFE_MS = 60 * 60 * 1000;
+const MAX_ADJUSTMENT = 0.5;                 // Relative cap on the price adjustment of a symbol
+const FOLD_AFTER_HALF_LIVES = 10;           // Temporary impact older than this is negligible
+
+// Per-symbol impact: { base, baseSince, trades: [{ time, direction, temporary, permanent }] }
+// Trades whose temporary impact has worn off are folded into base
+let impactBySymbol = {};
+
+function isBuySide(action) {
+  return action === 'buy' || action === 'buy-margin' || action === 'cover';
+}
+
+/**
+ * Simulated average daily volume of a stock
+ * @param {number} floatShares - Public float of the stock
+ * @returns {number} Shares
+ */
+function getAverageDailyVolume(floatShares) {
+  return Math.max(Math.round(floatShares * DAILY_TURNOVER), MIN_DAILY_VOLUME);
+}
+
+/**
+ * Estimate the price impact of a market order
+ * @param {string} action - buy, buy-margin and cover push the price up; sell and short push it down
+ * @param {number} shares - Shares in the order
+ * @param {number} floatShares - Public float of the stock
+ * @returns {Object} { direction, averageDailyVolume, participation, temporary, permanent }
+ *   where temporary and permanent are relative to the price
+ */
+function estimateImpact(action, shares, floatShares) {
+  const state = marketCrashSim.getMarketState();
+  const averageDailyVolume = getAverageDailyVolume(floatShares);
+  const participation = shares / averageDailyVolume;
+  const volatility = DAILY_VOLATILITY * state.currentVolatility;
+  const temporary = Math.min(volatility * Math.sqrt(participation), MAX_TEMPORARY_IMPACT);
+
+  return {
+    direction: isBuySide(action) ? 1 : -1,
+    averageDailyVolume,
+    participation,
+    temporary,
+    permanent: temporary * PERMANENT_SHARE
+  };
+}
+
+/**
+ * Apply an order's temporary impact to its fill price
+ * @param {number} price - Fill price before impact
+ * @param {Object} impact - Impact from estimateImpact
+ * @returns {number} Average fill price
+ */
+function applyImpact(price, impact) {
+  return price * (1 + impact.direction * impact.temporary);
+}
+
+// Impact a trade still has on the price at a game time
+function getTradeAdjustment(trade, time) {
+  const halfLives = (time - trade.time) / TEMPORARY_HALF_LIFE_MS;
+  return trade.direction * (trade.permanent + trade.temporary * Math.pow(0.5, halfLives));
+}
+
+/**
+ * Record a filled order so its impact feeds into later prices
+ * @param {string} symbol - Stock symbol
+ * @param {Object} impact - Impact from estimateImpact
+ * @param {Date} currentDate - Game time of the fill
+ */
+function recordTrade(symbol, impact, currentDate) {
+  if (!impactBySymbol[symbol]) {
+    impactBySymbol[symbol] = { base: 0, baseSince: 0, trades: [] };
+  }
+  const entry = impactBySymbol[symbol];
+  const time = currentDate.getTime();
+
+  entry.trades.push({
+    time,
+    direction: impact.direction,
+    temporary: impact.temporary,
+    permanent: impact.permanent
+  });
+
+  // Only the permanent part of older trades is left
+  const foldBefore = time - FOLD_AFTER_HALF_LIVES * TEMPORARY_HALF_LIFE_MS;
+  entry.trades = entry.trades.filter(trade => {
+    if (trade.time >= foldBefore) {
+      return true;
+    }
+    entry.base += trade.direction * trade.permanent;
+    entry.baseSince = Math.max(entry.baseSince, trade.time);
+    return false;
+  });
+}
+
+/**
+ * Get the relative price adjustment left by the player's trades in a stock
+ * @param {string} symbol - Stock symbol
+ * @param {Date} currentDate - Game time; trades after it are ignored
+ * @returns {number} Relative adjustment, e.g. 0.012 quotes the stock 1.2% higher
+ */
+function getPriceAdjustment(symbol, currentDate) {
+  const entry = impactBySymbol[symbol];
+  if (!entry) {
+    return 0;
+  }
+  const time = currentDate.getTime();
+
+  let adjustment = time >= entry.baseSince ? entry.base : 0;
+  for (const trade of entry.trades) {
+    if (trade.time <= time) {
+      adjustment += getTradeAdjustment(trade, time);
+    }
+  }
+  return Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, adjustment));
+}
+
+/**
+ * Get the recorded impact of every symbol, to save with the game state
+ * @returns {Object} Impact by symbol, as JSON-safe data
+ */
+function getState() {
+  return impactBySymbol;
+}
+
+/**
+ * Restore impact saved with getState
+ * @param {Object} state - Impact by symbol, or null for none
+ */
+function loadState(state) {
+  impactBySymbol = state || {};
+}
+
+/**
+ * Forget all recorded impact, e.g. for a new game
+ */
+function reset() {
+  impactBySymbol = {};
+}
+
+module.exports = {
+  getAverageDailyVolume,
+  estimateImpact,
+  applyImpact,
+  recordTrade,
+  getPriceAdjustment,
+  getState,
+  loadState,
+  reset,
+  resetForTesting: reset
+};
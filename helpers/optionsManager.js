@@ -0,0 +1,416 @@
+/**
+ * Options Manager Module
+ *
+ * Listed calls and puts on every stock, priced with Black-Scholes.
+ *
+ * - Contracts cover 100 shares and expire on the third Friday of the month
+ *   at the close. The next four monthly expiries are listed, with strikes
+ *   around the stock price.
+ * - Options trade from the CBOE's opening on April 26, 1973. Only calls were
+ *   listed until puts arrived on June 3, 1977.
+ * - Volatility is a GARCH(1,1) forecast from the stock's recent daily closes,
+ *   targeted to their sample variance. The risk-free rate is the 3-month
+ *   Treasury yield.
+ * - Greeks: delta, gamma, theta (per calendar day), vega (per volatility
+ *   point) and rho (per percentage point of rates), all per share.
+ * - Contracts are American style. At expiry, options at least a cent in the
+ *   money are exercised automatically and the rest expire worthless. Calls
+ *   whose time value is less than the coming dividend are exercised before
+ *   it is paid.
+ *
+ * Usage:
+ *   const optionsManager = require('./helpers/optionsManager');
+ *   const volatility = optionsManager.estimateVolatility(closes);
+ *   const chain = optionsManager.buildChain('IBM', 120, gameTime, 0.07, volatility);
+ */
+
+const { GARCHModel } = require('./volatilityModeling');
+
+const CONTRACT_SIZE = 100;
+const OPTION_TYPES = ['call', 'put'];
+const ACTIONS = ['buy', 'sell'];
+const CALLS_LISTED_FROM = new Date('1973-04-26T00:00:00');
+const PUTS_LISTED_FROM = new Date('1977-06-03T00:00:00');
+const EXPIRIES_LISTED = 4;
+const STRIKES_EACH_SIDE = 5;
+const EXPIRY_HOUR = 16;
+const AUTO_EXERCISE_THRESHOLD = 0.01; // In the money by at least a cent per share at expiry
+
+const DEFAULT_VOLATILITY = 0.30; // Used when there is too little price history
+const MIN_VOLATILITY = 0.10;
+const MAX_VOLATILITY = 1.50;
+const GARCH_ALPHA = 0.09;
+const GARCH_BETA = 0.90;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the moment an expiry date's contracts expire (its close)
+ * @param {string} expiration - Expiry date key (YYYY-MM-DD)
+ * @returns {Date} Expiry time
+ */
+function getExpiryTime(expiration) {
+  const [year, month, day] = expiration.split('-').map(Number);
+  return new Date(year, month - 1, day, EXPIRY_HOUR);
+}
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Price a European option with Black-Scholes
+ * @param {Object} params - { type, spot, strike, years, rate, volatility }
+ * @returns {Object} { price, delta, gamma, theta, vega, rho } per share; at or
+ *   after expiry the price is the intrinsic value
+ */
+function priceOption({ type, spot, strike, years, rate, volatility }) {
+  const isCall = type === 'call';
+  if (years <= 0 || volatility <= 0) {
+    const intrinsic = getIntrinsicValue(type, strike, spot);
+    const inTheMoney = intrinsic > 0;
+    return {
+      price: intrinsic,
+      delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    };
+  }
+
+  const sqrtYears = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / (volatility * sqrtYears);
+  const d2 = d1 - volatility * sqrtYears;
+  const discount = Math.exp(-rate * years);
+  const decay = -spot * normalPdf(d1) * volatility / (2 * sqrtYears);
+
+  const price = isCall
+    ? spot * normalCdf(d1) - strike * discount * normalCdf(d2)
+    : strike * discount * normalCdf(-d2) - spot * normalCdf(-d1);
+  const theta = isCall
+    ? decay - rate * strike * discount * normalCdf(d2)
+    : decay + rate * strike * discount * normalCdf(-d2);
+  const rho = isCall
+    ? strike * years * discount * normalCdf(d2)
+    : -strike * years * discount * normalCdf(-d2);
+
+  return {
+    price: Math.max(0, price),
+    delta: isCall ? normalCdf(d1) : normalCdf(d1) - 1,
+    gamma: normalPdf(d1) / (spot * volatility * sqrtYears),
+    theta: theta / DAYS_PER_YEAR,
+    vega: spot * normalPdf(d1) * sqrtYears / 100,
+    rho: rho / 100
+  };
+}
+
+/**
+ * Get an option's value if exercised now
+ * @param {string} type - 'call' or 'put'
+ * @param {number} strike - Strike price
+ * @param {number} spot - Stock price
+ * @returns {number} Intrinsic value per share
+ */
+function getIntrinsicValue(type, strike, spot) {
+  return Math.max(0, type === 'call' ? spot - strike : strike - spot);
+}
+
+/**
+ * Check whether an option is exercised automatically at expiry
+ * @param {string} type - 'call' or 'put'
+ * @param {number} strike - Strike price
+ * @param {number} spot - Stock price at expiry
+ * @returns {boolean} True if at least AUTO_EXERCISE_THRESHOLD in the money
+ */
+function isAutoExercised(type, strike, spot) {
+  // Tolerate float error so a price exactly a cent in the money counts
+  return getIntrinsicValue(type, strike, spot) >= AUTO_EXERCISE_THRESHOLD - 1e-9;
+}
+
+/**
+ * Check whether a call is worth more exercised than held through a dividend
+ * Exercising gives up the option's time value to collect the dividend.
+ * @param {Object} params - priceOption params for a call
+ * @param {number} dividend - Dividend per share about to be paid
+ * @returns {boolean} True if the call should be exercised before the dividend
+ */
+function isEarlyExerciseOptimal(params, dividend) {
+  if (params.type !== 'call' || dividend <= 0) {
+    return false;
+  }
+  const intrinsic = getIntrinsicValue('call', params.strike, params.spot);
+  if (intrinsic <= 0) {
+    return false;
+  }
+  return priceOption(params).price - intrinsic < dividend;
+}
+
+/**
+ * Adjust a position for a stock split: more contracts at a proportionally lower strike
+ * @param {Object} position - option_positions row
+ * @param {number} ratio - Whole-number split ratio (2 for 2-for-1)
+ * @returns {Object} { contracts, strike, averagePremium }
+ */
+function adjustForSplit(position, ratio) {
+  return {
+    contracts: position.contracts * ratio,
+    strike: Math.round(position.strike / ratio * 10000) / 10000,
+    averagePremium: position.average_premium / ratio
+  };
+}
+
+/**
+ * Forecast annualized volatility from daily closes with GARCH(1,1)
+ * @param {Array<number>} closes - Daily closing prices, oldest first
+ * @returns {number} Annualized volatility, clamped to a sensible range
+ */
+function estimateVolatility(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] > 0 && closes[i] > 0) {
+      returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+  }
+  if (returns.length < 2) {
+    return DEFAULT_VOLATILITY;
+  }
+
+  const avg = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - avg, 2), 0) / (returns.length - 1);
+  if (variance <= 0) {
+    return MIN_VOLATILITY;
+  }
+
+  // Variance targeting: the long-run variance is the sample variance
+  const model = new GARCHModel(variance * (1 - GARCH_ALPHA - GARCH_BETA), GARCH_ALPHA, GARCH_BETA);
+  for (const r of returns) {
+    model.updateVolatility(r - avg);
+  }
+  return Math.min(MAX_VOLATILITY, Math.max(MIN_VOLATILITY, model.getAnnualizedVolatility()));
+}
+
+/**
+ * Get the option types listed on a date
+ * @param {Date} date - Game time
+ * @returns {Array<string>} Listed types (empty before 1973)
+ */
+function getListedTypes(date) {
+  if (date < CALLS_LISTED_FROM) {
+    return [];
+  }
+  return date < PUTS_LISTED_FROM ? ['call'] : OPTION_TYPES.slice();
+}
+
+/**
+ * Get the next monthly expiries (third Fridays) that have not yet expired
+ * @param {Date} date - Game time
+ * @param {number} count - Number of expiries
+ * @returns {Array<string>} Expiry date keys, nearest first
+ */
+function getExpirations(date, count = EXPIRIES_LISTED) {
+  const expirations = [];
+  let year = date.getFullYear();
+  let month = date.getMonth();
+  while (expirations.length < count) {
+    const firstDay = new Date(year, month, 1).getDay();
+    const thirdFriday = 1 + ((5 - firstDay + 7) % 7) + 14;
+    const expiration = getDateKey(new Date(year, month, thirdFriday));
+    if (getExpiryTime(expiration) > date) {
+      expirations.push(expiration);
+    }
+    month++;
+    if (month > 11) {
+      month = 0;
+      year++;
+    }
+  }
+  return expirations;
+}
+
+/**
+ * Get the strike spacing for a stock price
+ * @param {number} price - Stock price
+ * @returns {number} Strike increment
+ */
+function getStrikeIncrement(price) {
+  if (price < 25) return 2.5;
+  if (price < 200) return 5;
+  return 10;
+}
+
+/**
+ * Get the strikes listed around a stock price
+ * @param {number} spot - Stock price
+ * @returns {Array<number>} Strikes, lowest first
+ */
+function getStrikes(spot) {
+  const increment = getStrikeIncrement(spot);
+  const atTheMoney = Math.round(spot / increment) * increment;
+  const strikes = [];
+  for (let i = -STRIKES_EACH_SIDE; i <= STRIKES_EACH_SIDE; i++) {
+    const strike = Math.round((atTheMoney + i * increment) * 100) / 100;
+    if (strike > 0) {
+      strikes.push(strike);
+    }
+  }
+  return strikes;
+}
+
+/**
+ * Get the time to expiry in years
+ * @param {string} expiration - Expiry date key
+ * @param {Date} date - Game time
+ * @returns {number} Years to expiry (0 once expired)
+ */
+function getYearsToExpiry(expiration, date) {
+  return Math.max(0, (getExpiryTime(expiration) - date) / MS_PER_DAY / DAYS_PER_YEAR);
+}
+
+/**
+ * Build an option chain for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number} spot - Stock price
+ * @param {Date} date - Game time
+ * @param {number} rate - Risk-free rate (decimal)
+ * @param {number} volatility - Annualized volatility (decimal)
+ * @returns {Object} { symbol, underlyingPrice, volatility, riskFreeRate, types, expirations: [{ expiration,
+ *   daysToExpiry, strikes: [{ strike, call, put }] }] } with a quote (or null when unlisted) per type
+ */
+function buildChain(symbol, spot, date, rate, volatility) {
+  const types = getListedTypes(date);
+  const strikes = getStrikes(spot);
+
+  const expirations = types.length === 0 ? [] : getExpirations(date).map(expiration => {
+    const years = getYearsToExpiry(expiration, date);
+    return {
+      expiration,
+      daysToExpiry: Math.ceil(years * DAYS_PER_YEAR),
+      strikes: strikes.map(strike => {
+        const row = { strike };
+        for (const type of OPTION_TYPES) {
+          row[type] = types.includes(type)
+            ? { ...priceOption({ type, spot, strike, years, rate, volatility }), inTheMoney: type === 'call' ? spot > strike : spot < strike }
+            : null;
+        }
+        return row;
+      })
+    };
+  });
+
+  return { symbol, underlyingPrice: spot, volatility, riskFreeRate: rate, types, expirations };
+}
+
+/**
+ * Validate an option trade request
+ * @param {Object} params - { symbol, type, strike, expiration, action, contracts }
+ * @param {Date} date - Game time
+ * @returns {Object} { valid, error } or { valid, trade }
+ */
+function validateTradeParams(params, date) {
+  const symbol = typeof params.symbol === 'string' ? params.symbol.toUpperCase() : '';
+  if (!symbol) {
+    return { valid: false, error: 'symbol is required' };
+  }
+  if (!OPTION_TYPES.includes(params.type)) {
+    return { valid: false, error: `type must be one of: ${OPTION_TYPES.join(', ')}` };
+  }
+  if (!getListedTypes(date).includes(params.type)) {
+    return { valid: false, error: `${params.type === 'put' ? 'Puts' : 'Options'} are not listed yet` };
+  }
+  if (!ACTIONS.includes(params.action)) {
+    return { valid: false, error: `action must be one of: ${ACTIONS.join(', ')}` };
+  }
+  const strike = Number(params.strike);
+  if (!isFinite(strike) || strike <= 0) {
+    return { valid: false, error: 'strike must be a positive number' };
+  }
+  if (!Number.isInteger(params.contracts) || params.contracts <= 0) {
+    return { valid: false, error: 'contracts must be a positive whole number' };
+  }
+  if (typeof params.expiration !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(params.expiration) ||
+      isNaN(getExpiryTime(params.expiration).getTime())) {
+    return { valid: false, error: 'expiration must be a date (YYYY-MM-DD)' };
+  }
+  if (getExpiryTime(params.expiration) <= date) {
+    return { valid: false, error: 'This option has expired' };
+  }
+
+  return {
+    valid: true,
+    trade: { symbol, type: params.type, strike, expiration: params.expiration, action: params.action, contracts: params.contracts }
+  };
+}
+
+/**
+ * Work out how a trade changes a position
+ * Trades first close contracts held on the other side, then open new ones.
+ * @param {Object|null} position - Current option_positions row, or null
+ * @param {string} action - 'buy' or 'sell'
+ * @param {number} contracts - Contracts traded
+ * @param {number} premium - Premium per share
+ * @param {Date} date - Game time
+ * @returns {Object} { contracts, averagePremium, openedAt, closedContracts, realizedGain } where
+ *   contracts is the signed position afterwards and realizedGain is in dollars
+ */
+function applyTrade(position, action, contracts, premium, date) {
+  const held = position ? position.contracts : 0;
+  const signed = action === 'buy' ? contracts : -contracts;
+
+  // Contracts that offset the existing position
+  const closing = held * signed < 0 ? Math.min(contracts, Math.abs(held)) : 0;
+  const realizedGain = closing > 0
+    ? (held > 0 ? premium - position.average_premium : position.average_premium - premium) * closing * CONTRACT_SIZE
+    : 0;
+
+  const after = held + signed;
+  let averagePremium = premium;
+  let openedAt = date.toISOString();
+  if (held * after > 0) {
+    if (closing > 0) {
+      // Partly closed: the remaining contracts keep their cost
+      averagePremium = position.average_premium;
+    } else {
+      averagePremium = (Math.abs(held) * position.average_premium + contracts * premium) / Math.abs(after);
+    }
+    openedAt = position.opened_at;
+  }
+
+  return { contracts: after, averagePremium, openedAt, closedContracts: closing, realizedGain };
+}
+
+module.exports = {
+  CONTRACT_SIZE,
+  OPTION_TYPES,
+  ACTIONS,
+  getExpiryTime,
+  priceOption,
+  getIntrinsicValue,
+  isAutoExercised,
+  isEarlyExerciseOptimal,
+  adjustForSplit,
+  estimateVolatility,
+  getListedTypes,
+  getExpirations,
+  getStrikeIncrement,
+  getStrikes,
+  getYearsToExpiry,
+  buildChain,
+  validateTradeParams,
+  applyTrade
+};
@@ -0,0 +1,351 @@
+/**
+ * Order Book Module
+ *
+ * Trigger logic for conditional orders held in the pending_orders table.
+ * Market orders are filled at the next open by processPendingOrders;
+ * everything else waits here until its price condition is met.
+ *
+ * Supported price types:
+ * - market: fill at the current price
+ * - limit: buy at or below / sell at or above the limit price
+ * - stop: becomes a market order once the stop price is touched
+ * - stop_limit: becomes a limit order once the stop price is touched
+ * - trailing_stop: stop price follows the best price seen since placement
+ *   by a fixed dollar amount or percentage
+ *
+ * Supported time-in-force values:
+ * - DAY: expires at the close of the session it was first eligible for
+ * - GTC: good until cancelled
+ * - GTD: good until a game date (expiresAt)
+ * - IOC: immediate or cancel, fills what it can right away
+ * - FOK: fill or kill, fills completely right away or not at all
+ *
+ * Order groups:
+ * - bracket: an entry order plus take-profit and stop-loss exits that are
+ *   held until the entry fills, then behave as one-cancels-other
+ * - OCO: a take-profit and stop-loss pair on an existing position
+ *
+ * Limit, stop and exit prices are rounded to the tick size in force when the
+ * order is placed (eighths or sixteenths of a dollar before 2001), and trailing
+ * stops to the tick size in force as they move.
+ *
+ * Usage:
+ *   const orderBook = require('./helpers/orderBook');
+ *   const check = orderBook.validateOrderParams(req.body, gameTime);
+ *   const terms = orderBook.validateTimeInForce(req.body, gameTime);
+ *   const result = orderBook.evaluateOrder(orderRow, currentPrice, gameTime);
+ */
+
+const tickSizes = require('../data/tick-sizes');
+
+const PRICE_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'];
+
+const TIME_IN_FORCE = ['DAY', 'GTC', 'GTD', 'IOC', 'FOK'];
+
+// Actions that add shares (buy side) vs remove them (sell side)
+const BUY_SIDE_ACTIONS = ['buy', 'buy-margin', 'cover'];
+
+/**
+ * Check whether an action is on the buy side
+ * @param {string} action - Trade action
+ * @returns {boolean} True for buy, buy-margin and cover
+ */
+function isBuySide(action) {
+  return BUY_SIDE_ACTIONS.includes(action);
+}
+
+function parsePrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? NaN : parsed;
+}
+
+// Round a validated price to the tick grid when a game time is given
+function roundPrice(value, currentTime) {
+  return value === null || !currentTime ? value : tickSizes.roundToTick(value, currentTime);
+}
+
+/**
+ * Validate and normalize order price parameters from a trade request
+ * @param {Object} params - { priceType, limitPrice, stopPrice, trailAmount, trailPercent }
+ * @param {Date} [currentTime] - Game time; limit and stop prices are rounded to its tick size
+ * @returns {Object} { valid, error } or { valid, order } with normalized fields
+ */
+function validateOrderParams(params, currentTime = null) {
+  const priceType = params.priceType || 'market';
+
+  if (!PRICE_TYPES.includes(priceType)) {
+    return { valid: false, error: `Invalid price type. Must be one of: ${PRICE_TYPES.join(', ')}` };
+  }
+
+  const limitPrice = parsePrice(params.limitPrice);
+  const stopPrice = parsePrice(params.stopPrice);
+  const trailAmount = parsePrice(params.trailAmount);
+  const trailPercent = parsePrice(params.trailPercent);
+
+  for (const [name, value] of [['limitPrice', limitPrice], ['stopPrice', stopPrice], ['trailAmount', trailAmount], ['trailPercent', trailPercent]]) {
+    if (value !== null && (isNaN(value) || value <= 0)) {
+      return { valid: false, error: `${name} must be a positive number` };
+    }
+  }
+
+  if ((priceType === 'limit' || priceType === 'stop_limit') && limitPrice === null) {
+    return { valid: false, error: `limitPrice is required for ${priceType} orders` };
+  }
+
+  if ((priceType === 'stop' || priceType === 'stop_limit') && stopPrice === null) {
+    return { valid: false, error: `stopPrice is required for ${priceType} orders` };
+  }
+
+  if (priceType === 'trailing_stop') {
+    if ((trailAmount === null) === (trailPercent === null)) {
+      return { valid: false, error: 'Trailing stop orders require exactly one of trailAmount or trailPercent' };
+    }
+    if (trailPercent !== null && trailPercent >= 100) {
+      return { valid: false, error: 'trailPercent must be less than 100' };
+    }
+  }
+
+  return {
+    valid: true,
+    order: {
+      priceType,
+      limitPrice: (priceType === 'limit' || priceType === 'stop_limit') ? roundPrice(limitPrice, currentTime) : null,
+      stopPrice: (priceType === 'stop' || priceType === 'stop_limit') ? roundPrice(stopPrice, currentTime) : null,
+      trailAmount: priceType === 'trailing_stop' ? trailAmount : null,
+      trailPercent: priceType === 'trailing_stop' ? trailPercent : null
+    }
+  };
+}
+
+/**
+ * Validate and normalize time-in-force parameters from a trade request
+ * @param {Object} params - { timeInForce, expiresAt, priceType }
+ * @param {Date} currentTime - Current game time
+ * @returns {Object} { valid, error } or { valid, timeInForce, expiresAt }
+ */
+function validateTimeInForce(params, currentTime) {
+  const timeInForce = (params.timeInForce || 'DAY').toUpperCase();
+
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    return { valid: false, error: `Invalid time in force. Must be one of: ${TIME_IN_FORCE.join(', ')}` };
+  }
+
+  if (isImmediateOrder(timeInForce) && params.priceType === 'trailing_stop') {
+    return { valid: false, error: `Trailing stop orders cannot be ${timeInForce}` };
+  }
+
+  if (timeInForce !== 'GTD') {
+    return { valid: true, timeInForce, expiresAt: null };
+  }
+
+  if (!params.expiresAt) {
+    return { valid: false, error: 'expiresAt is required for GTD orders' };
+  }
+
+  const expiresAt = new Date(params.expiresAt);
+  if (isNaN(expiresAt.getTime())) {
+    return { valid: false, error: 'expiresAt must be a valid date' };
+  }
+
+  if (expiresAt <= currentTime) {
+    return { valid: false, error: 'expiresAt must be after the current game time' };
+  }
+
+  return { valid: true, timeInForce, expiresAt };
+}
+
+/**
+ * Check whether a time-in-force must fill immediately (never rests in the book)
+ * @param {string} timeInForce - Time-in-force value
+ * @returns {boolean} True for IOC and FOK
+ */
+function isImmediateOrder(timeInForce) {
+  return timeInForce === 'IOC' || timeInForce === 'FOK';
+}
+
+/**
+ * Check whether a resting GTD order has passed its deadline
+ * @param {Object} order - pending_orders row
+ * @param {Date} currentTime - Current game time
+ * @returns {boolean} True if the order should expire
+ */
+function isOrderExpired(order, currentTime) {
+  if (order.time_in_force !== 'GTD' || !order.expires_at) {
+    return false;
+  }
+  return new Date(order.expires_at) <= currentTime;
+}
+
+/**
+ * Get the action that closes a position opened (or closed) by an action
+ * @param {string} action - Trade action
+ * @returns {string} 'sell' for long positions, 'cover' for short positions
+ */
+function getExitAction(action) {
+  return (action === 'short' || action === 'cover') ? 'cover' : 'sell';
+}
+
+/**
+ * Validate take-profit and stop-loss prices for a bracket or OCO group
+ * Entry actions (buy, buy-margin, short) create a bracket; exit actions
+ * (sell, cover) create an OCO pair on the existing position.
+ * @param {string} action - Trade action
+ * @param {Object} params - { takeProfit, stopLoss }
+ * @param {number} referencePrice - Expected entry price, or current price for OCO
+ * @param {Date} [currentTime] - Game time; exit prices are rounded to its tick size
+ * @returns {Object} { valid, error } or { valid, isEntry, exitAction, takeProfit, stopLoss }
+ */
+function validateBracketParams(action, params, referencePrice, currentTime = null) {
+  let takeProfit = parsePrice(params.takeProfit);
+  let stopLoss = parsePrice(params.stopLoss);
+
+  if (takeProfit === null && stopLoss === null) {
+    return { valid: false, error: 'takeProfit or stopLoss is required for order groups' };
+  }
+
+  for (const [name, value] of [['takeProfit', takeProfit], ['stopLoss', stopLoss]]) {
+    if (value !== null && (isNaN(value) || value <= 0)) {
+      return { valid: false, error: `${name} must be a positive number` };
+    }
+  }
+
+  takeProfit = roundPrice(takeProfit, currentTime);
+  stopLoss = roundPrice(stopLoss, currentTime);
+
+  const exitAction = getExitAction(action);
+  const isLong = exitAction === 'sell';
+
+  if (takeProfit !== null && (isLong ? takeProfit <= referencePrice : takeProfit >= referencePrice)) {
+    return { valid: false, error: `takeProfit must be ${isLong ? 'above' : 'below'} $${referencePrice.toFixed(2)}` };
+  }
+
+  if (stopLoss !== null && (isLong ? stopLoss >= referencePrice : stopLoss <= referencePrice)) {
+    return { valid: false, error: `stopLoss must be ${isLong ? 'below' : 'above'} $${referencePrice.toFixed(2)}` };
+  }
+
+  return {
+    valid: true,
+    isEntry: action !== 'sell' && action !== 'cover',
+    exitAction,
+    takeProfit,
+    stopLoss
+  };
+}
+
+/**
+ * Calculate the stop price of a trailing stop from its reference price
+ * @param {string} action - Trade action
+ * @param {number} reference - Best price seen (high for sells, low for buys)
+ * @param {number|null} trailAmount - Fixed dollar trail
+ * @param {number|null} trailPercent - Percentage trail
+ * @param {Date} [currentTime] - Game time; when given the stop is rounded to its tick size
+ * @returns {number} Stop price
+ */
+function calculateTrailingStop(action, reference, trailAmount, trailPercent, currentTime) {
+  const offset = trailAmount !== null && trailAmount !== undefined
+    ? trailAmount
+    : reference * (trailPercent / 100);
+  const stop = isBuySide(action) ? reference + offset : reference - offset;
+  return currentTime ? roundPrice(stop, currentTime) : parseFloat(stop.toFixed(2));
+}
+
+function isStopTouched(action, price, stopPrice) {
+  return isBuySide(action) ? price >= stopPrice : price <= stopPrice;
+}
+
+function isLimitMarketable(action, price, limitPrice) {
+  return isBuySide(action) ? price <= limitPrice : price >= limitPrice;
+}
+
+/**
+ * Evaluate a pending order row against the current price
+ * @param {Object} order - pending_orders row
+ * @param {number} price - Current market price
+ * @param {Date} [currentTime] - Game time, for the tick size of a trailing stop
+ * @returns {Object} { shouldFill, triggered, updates } where updates holds
+ *   new stop_price / trail_reference values to persist (or null)
+ */
+function evaluateOrder(order, price, currentTime) {
+  const priceType = order.price_type || 'market';
+  const result = { shouldFill: false, triggered: false, updates: null };
+
+  if (priceType === 'market') {
+    result.shouldFill = true;
+    return result;
+  }
+
+  if (priceType === 'limit') {
+    result.shouldFill = isLimitMarketable(order.action, price, order.limit_price);
+    return result;
+  }
+
+  if (priceType === 'trailing_stop') {
+    let reference = order.trail_reference;
+    if (reference === null || reference === undefined) {
+      reference = price;
+    } else if (isBuySide(order.action)) {
+      reference = Math.min(reference, price);
+    } else {
+      reference = Math.max(reference, price);
+    }
+
+    const stopPrice = calculateTrailingStop(order.action, reference, order.trail_amount, order.trail_percent, currentTime);
+    if (reference !== order.trail_reference || stopPrice !== order.stop_price) {
+      result.updates = { stopPrice, trailReference: reference };
+    }
+
+    if (isStopTouched(order.action, price, stopPrice)) {
+      result.triggered = true;
+      result.shouldFill = true;
+    }
+    return result;
+  }
+
+  // stop and stop_limit: wait for the stop price to be touched
+  const alreadyTriggered = Boolean(order.triggered_at);
+  if (!alreadyTriggered) {
+    if (!isStopTouched(order.action, price, order.stop_price)) {
+      return result;
+    }
+    result.triggered = true;
+  }
+
+  if (priceType === 'stop') {
+    result.shouldFill = true;
+  } else {
+    result.shouldFill = isLimitMarketable(order.action, price, order.limit_price);
+  }
+
+  return result;
+}
+
+/**
+ * Describe an order's trigger state for display
+ * @param {Object} order - pending_orders row
+ * @returns {string} 'waiting', 'triggered' or 'n/a' for market orders
+ */
+function getTriggerState(order) {
+  const priceType = order.price_type || 'market';
+  if (priceType === 'market') {
+    return 'n/a';
+  }
+  return order.triggered_at ? 'triggered' : 'waiting';
+}
+
+module.exports = {
+  PRICE_TYPES,
+  TIME_IN_FORCE,
+  isBuySide,
+  validateOrderParams,
+  validateTimeInForce,
+  isImmediateOrder,
+  isOrderExpired,
+  getExitAction,
+  validateBracketParams,
+  calculateTrailingStop,
+  evaluateOrder,
+  getTriggerState
+};
@@ -0,0 +1,287 @@
+/**
+ * Performance Analytics Module
+ *
+ * Return and risk measures for a player's equity curve (the account
+ * snapshots recorded at each market close) and for benchmarks sampled on
+ * the same dates.
+ *
+ * Returns are measured on net worth, so moves inside the account do not
+ * register as gains: a loan adds cash and an equal debt, and emergency
+ * liquidations in sellStocksToRecoverBalance swap shares for cash. Dividends
+ * are income and fees, interest and taxes are costs, so they stay in the
+ * return. Money added or removed from outside the game (debug cheats) is
+ * recorded with each snapshot as its external flow and taken out of the
+ * period return.
+ *
+ * Measures:
+ * - timeWeightedReturn: chain-linked period returns net of external flows
+ * - moneyWeightedReturn: annualized internal rate of return of the flows
+ * - volatility: annualized standard deviation of period returns
+ * - sharpeRatio / sortinoRatio: annualized excess return over the 3-month
+ *   Treasury yield per unit of total / downside deviation
+ * - maxDrawdown: largest peak-to-trough fall of the time-weighted index
+ * - calmarRatio: annualized time-weighted return over max drawdown
+ *
+ * Usage:
+ *   const performanceAnalytics = require('./helpers/performanceAnalytics');
+ *   const points = performanceAnalytics.fromSnapshots(snapshots);
+ *   const metrics = performanceAnalytics.analyze(points, 'week');
+ *   const comparison = performanceAnalytics.compareToBenchmark(points, benchmarkPoints, 'week');
+ */
+
+const treasuryYields = require('../data/treasury-yields');
+
+const PERIODS_PER_YEAR = { day: 252, week: 52, month: 12 };
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function yearsBetween(fromKey, toKey) {
+  return (parseDateKey(toKey) - parseDateKey(fromKey)) / MS_PER_DAY / DAYS_PER_YEAR;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function sampleStdDev(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+/**
+ * Turn account snapshots into valuation points
+ * @param {Array} snapshots - Output of accountHistory.getHistory
+ * @returns {Array} [{ date, value, flow }]
+ */
+function fromSnapshots(snapshots) {
+  return snapshots.map(s => ({ date: s.date, value: s.netWorth, flow: s.externalFlow || 0 }));
+}
+
+/**
+ * Calculate flow-adjusted returns between consecutive points
+ * @param {Array} points - [{ date, value, flow }] ordered by date
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Array} [{ date, return, excessReturn }]
+ */
+function calculatePeriodReturns(points, interval) {
+  const periodsPerYear = PERIODS_PER_YEAR[interval];
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    // Returns are meaningless once the account is underwater
+    if (previous.value <= 0) continue;
+
+    const periodReturn = (current.value - (current.flow || 0)) / previous.value - 1;
+    const riskFreeRate = treasuryYields.getYield(parseDateKey(previous.date), '3M');
+    returns.push({
+      date: current.date,
+      return: periodReturn,
+      excessReturn: periodReturn - riskFreeRate / periodsPerYear
+    });
+  }
+  return returns;
+}
+
+/**
+ * Annualize a total return over a date range
+ * @param {number} totalReturn - Return over the range
+ * @param {string} fromKey - First date key
+ * @param {string} toKey - Last date key
+ * @returns {number|null} Annualized return, or null for an empty range or total loss
+ */
+function annualize(totalReturn, fromKey, toKey) {
+  const years = yearsBetween(fromKey, toKey);
+  if (years <= 0 || totalReturn <= -1) {
+    return null;
+  }
+  return Math.pow(1 + totalReturn, 1 / years) - 1;
+}
+
+/**
+ * Calculate the money-weighted return (annualized IRR)
+ * The starting value and every external flow are treated as contributions
+ * and the ending value as the final withdrawal.
+ * @param {Array} points - [{ date, value, flow }] ordered by date
+ * @returns {number|null} Annual IRR, or null if it cannot be solved
+ */
+function calculateMoneyWeightedReturn(points) {
+  if (points.length < 2 || points[0].value <= 0) {
+    return null;
+  }
+
+  const start = points[0].date;
+  const last = points[points.length - 1];
+  const cashFlows = [{ years: 0, amount: -points[0].value }];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].flow) {
+      cashFlows.push({ years: yearsBetween(start, points[i].date), amount: -points[i].flow });
+    }
+  }
+  cashFlows.push({ years: yearsBetween(start, last.date), amount: last.value });
+  if (cashFlows[cashFlows.length - 1].years <= 0) {
+    return null;
+  }
+
+  const npv = rate => cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.years), 0);
+
+  // Bisection: NPV falls as the rate rises for a contribute-then-withdraw pattern
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Find the largest peak-to-trough fall of a return series
+ * @param {Array} returns - Output of calculatePeriodReturns
+ * @param {string} startDate - Date of the first valuation point
+ * @returns {Object} { maxDrawdown, peakDate, troughDate } with maxDrawdown as a positive fraction
+ */
+function calculateMaxDrawdown(returns, startDate) {
+  let index = 1;
+  let peak = 1;
+  let peakDate = startDate;
+  const result = { maxDrawdown: 0, peakDate: null, troughDate: null };
+
+  for (const r of returns) {
+    index *= 1 + r.return;
+    if (index > peak) {
+      peak = index;
+      peakDate = r.date;
+      continue;
+    }
+    const drawdown = 1 - index / peak;
+    if (drawdown > result.maxDrawdown) {
+      result.maxDrawdown = drawdown;
+      result.peakDate = peakDate;
+      result.troughDate = r.date;
+    }
+  }
+  return result;
+}
+
+/**
+ * Calculate return and risk measures for a series of valuation points
+ * @param {Array} points - [{ date, value, flow }] ordered by date
+ * @param {string} interval - Spacing of the points: 'day', 'week' or 'month'
+ * @returns {Object} Metrics; ratios are null when there is not enough history
+ */
+function analyze(points, interval) {
+  const periodsPerYear = PERIODS_PER_YEAR[interval];
+  const returns = calculatePeriodReturns(points, interval);
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  const timeWeightedReturn = returns.length > 0
+    ? returns.reduce((growth, r) => growth * (1 + r.return), 1) - 1
+    : null;
+  const annualizedReturn = timeWeightedReturn === null ? null : annualize(timeWeightedReturn, first.date, last.date);
+
+  const stdDev = sampleStdDev(returns.map(r => r.return));
+  const volatility = stdDev === null ? null : stdDev * Math.sqrt(periodsPerYear);
+
+  let sharpeRatio = null;
+  let sortinoRatio = null;
+  if (returns.length >= 2) {
+    const excess = returns.map(r => r.excessReturn);
+    const meanExcess = mean(excess);
+    const excessStdDev = sampleStdDev(excess);
+    const downsideDeviation = Math.sqrt(excess.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / excess.length);
+    if (excessStdDev > 0) {
+      sharpeRatio = (meanExcess / excessStdDev) * Math.sqrt(periodsPerYear);
+    }
+    if (downsideDeviation > 0) {
+      sortinoRatio = (meanExcess / downsideDeviation) * Math.sqrt(periodsPerYear);
+    }
+  }
+
+  const drawdown = first ? calculateMaxDrawdown(returns, first.date) : { maxDrawdown: 0, peakDate: null, troughDate: null };
+  const calmarRatio = annualizedReturn !== null && drawdown.maxDrawdown > 0
+    ? annualizedReturn / drawdown.maxDrawdown
+    : null;
+
+  return {
+    startDate: first ? first.date : null,
+    endDate: last ? last.date : null,
+    startValue: first ? first.value : null,
+    endValue: last ? last.value : null,
+    netExternalFlows: points.slice(1).reduce((sum, p) => sum + (p.flow || 0), 0),
+    periods: returns.length,
+    timeWeightedReturn,
+    annualizedReturn,
+    moneyWeightedReturn: calculateMoneyWeightedReturn(points),
+    volatility,
+    sharpeRatio,
+    sortinoRatio,
+    maxDrawdown: drawdown.maxDrawdown,
+    maxDrawdownPeak: drawdown.peakDate,
+    maxDrawdownTrough: drawdown.troughDate,
+    calmarRatio
+  };
+}
+
+/**
+ * Analyze a benchmark and compare it with the portfolio over the same dates
+ * @param {Array} portfolioPoints - Portfolio [{ date, value, flow }]
+ * @param {Array} benchmarkPoints - Benchmark [{ date, value }]; dates without a price are skipped
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Object} Benchmark metrics plus excessReturn (portfolio TWR less benchmark) and beta
+ */
+function compareToBenchmark(portfolioPoints, benchmarkPoints, interval) {
+  const priced = benchmarkPoints.filter(p => p.value !== null && p.value > 0);
+  const metrics = analyze(priced, interval);
+
+  // Compare over the dates both series cover
+  const pricedDates = new Set(priced.map(p => p.date));
+  const portfolio = analyze(portfolioPoints.filter(p => pricedDates.has(p.date)), interval);
+  metrics.excessReturn = portfolio.timeWeightedReturn !== null && metrics.timeWeightedReturn !== null
+    ? portfolio.timeWeightedReturn - metrics.timeWeightedReturn
+    : null;
+
+  const benchmarkReturns = new Map(calculatePeriodReturns(priced, interval).map(r => [r.date, r.return]));
+  const pairs = calculatePeriodReturns(portfolioPoints, interval)
+    .filter(r => benchmarkReturns.has(r.date))
+    .map(r => [r.return, benchmarkReturns.get(r.date)]);
+
+  metrics.beta = null;
+  if (pairs.length >= 2) {
+    const meanPortfolio = mean(pairs.map(p => p[0]));
+    const meanBenchmark = mean(pairs.map(p => p[1]));
+    const covariance = pairs.reduce((sum, p) => sum + (p[0] - meanPortfolio) * (p[1] - meanBenchmark), 0);
+    const variance = pairs.reduce((sum, p) => sum + Math.pow(p[1] - meanBenchmark, 2), 0);
+    if (variance > 0) {
+      metrics.beta = covariance / variance;
+    }
+  }
+
+  return metrics;
+}
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  fromSnapshots,
+  calculatePeriodReturns,
+  calculateMoneyWeightedReturn,
+  calculateMaxDrawdown,
+  analyze,
+  compareToBenchmark
+};
@@ -1,5 +1,6 @@
 // Stock split management for dynamic splitting during gameplay
 const dbModule = require('../database');
+const optionsManager = require('./optionsManager');
 
 // Get database instance
 function getDb() {
@@ -98,33 +99,31 @@ function applySplit(symbol, splitDate, splitRatio, priceBeforeSplit, priceAfterS
     const result = splitInsert.run(symbol, splitDate, splitRatio, priceBeforeSplit, priceAfterSplit);
     const splitId = result.lastInsertRowid;
     
-    // Apply to user's portfolio if they own this stock
-    const portfolio = db.prepare('SELECT shares FROM portfolio WHERE symbol = ?').get(symbol);
-    let portfolioAffected = false;
+    // Apply to every player's portfolio that holds this stock
+    const holders = db.prepare('SELECT user_id, shares FROM portfolio WHERE symbol = ? AND shares > 0').all(symbol);
+    const affectedUsers = new Set();
     
-    if (portfolio && portfolio.shares > 0) {
-      portfolioAffected = true;
+    for (const portfolio of holders) {
+      affectedUsers.add(portfolio.user_id);
       const newShares = portfolio.shares * splitRatio;
       
       // Update portfolio shares
-      db.prepare('UPDATE portfolio SET shares = ? WHERE symbol = ?').run(newShares, symbol);
+      db.prepare('UPDATE portfolio SET shares = ? WHERE user_id = ? AND symbol = ?').run(newShares, portfolio.user_id, symbol);
       
       // Update purchase history - multiply all shares by split ratio and divide price by split ratio
       db.prepare(`
         UPDATE purchase_history 
         SET shares = shares * ?, 
             price_per_share = price_per_share / ?
-        WHERE symbol = ? AND asset_type = 'stock'
-      `).run(splitRatio, splitRatio, symbol);
-      
-      // Mark split as applied to portfolio
-      db.prepare('UPDATE stock_splits SET applied_to_portfolio = 1 WHERE id = ?').run(splitId);
+        WHERE user_id = ? AND symbol = ? AND asset_type = 'stock'
+      `).run(splitRatio, splitRatio, portfolio.user_id, symbol);
       
       // Record transaction for the split
       db.prepare(`
-        INSERT INTO transactions (date, type, symbol, shares, price_per_share, trading_fee, tax, total, data)
-        VALUES (?, 'STOCK_SPLIT', ?, ?, ?, 0, 0, 0, ?)
+        INSERT INTO transactions (user_id, date, type, symbol, shares, price_per_share, trading_fee, tax, total, data)
+        VALUES (?, ?, 'STOCK_SPLIT', ?, ?, ?, 0, 0, 0, ?)
       `).run(
+        portfolio.user_id,
         splitDate,
         symbol,
         newShares, // Total shares after split
@@ -140,12 +139,17 @@ function applySplit(symbol, splitDate, splitRatio, priceBeforeSplit, priceAfterS
       );
     }
     
+    const portfolioAffected = holders.length > 0;
+    if (portfolioAffected) {
+      // Mark split as applied to portfolio
+      db.prepare('UPDATE stock_splits SET applied_to_portfolio = 1 WHERE id = ?').run(splitId);
+    }
+    
     // Apply to short positions if they exist
-    const shortPosition = db.prepare('SELECT shares, borrow_price FROM short_positions WHERE symbol = ?').get(symbol);
-    let shortPositionAffected = false;
+    const shortPositions = db.prepare('SELECT user_id, shares, borrow_price FROM short_positions WHERE symbol = ? AND shares > 0').all(symbol);
     
-    if (shortPosition && shortPosition.shares > 0) {
-      shortPositionAffected = true;
+    for (const shortPosition of shortPositions) {
+      affectedUsers.add(shortPosition.user_id);
       const newShortShares = shortPosition.shares * splitRatio;
       const newBorrowPrice = shortPosition.borrow_price / splitRatio;
       
@@ -153,31 +157,63 @@ function applySplit(symbol, splitDate, splitRatio, priceBeforeSplit, priceAfterS
       db.prepare(`
         UPDATE short_positions 
         SET shares = ?, borrow_price = ?
-        WHERE symbol = ?
-      `).run(newShortShares, newBorrowPrice, symbol);
+        WHERE user_id = ? AND symbol = ?
+      `).run(newShortShares, newBorrowPrice, shortPosition.user_id, symbol);
     }
     
-    // Create email notification
-    const email = generateSplitEmail(
-      symbol, 
-      stockName || symbol, 
-      splitRatio, 
-      priceBeforeSplit, 
-      priceAfterSplit, 
-      splitDate, 
-      portfolioAffected || shortPositionAffected
-    );
+    const shortPositionAffected = shortPositions.length > 0;
     
-    db.prepare(`
-      INSERT INTO emails (from_address, subject, body, date, is_read, spam, category)
-      VALUES (?, ?, ?, ?, 0, 0, ?)
-    `).run(email.from, email.subject, email.body, email.date.toISOString(), email.category);
+    // Apply to option contracts: more contracts at a proportionally lower strike
+    const optionPositions = dbModule.getOptionPositionsBySymbol.all(symbol);
+    const adjustOptionPositions = db.transaction(() => {
+      // Remove first so an adjusted strike cannot collide with a row not yet adjusted
+      for (const position of optionPositions) {
+        dbModule.deleteOptionPosition.run(position.id, position.user_id);
+      }
+      for (const position of optionPositions) {
+        affectedUsers.add(position.user_id);
+        const adjusted = optionsManager.adjustForSplit(position, splitRatio);
+        dbModule.upsertOptionPosition.run(
+          position.user_id,
+          symbol,
+          position.option_type,
+          adjusted.strike,
+          position.expiration_date,
+          adjusted.contracts,
+          adjusted.averagePremium,
+          position.opened_at,
+          splitDate
+        );
+      }
+    });
+    adjustOptionPositions();
+    
+    // Create email notification for every player
+    const insertSplitEmail = db.prepare(`
+      INSERT INTO emails (user_id, from_address, subject, body, date, is_read, spam, category)
+      VALUES (?, ?, ?, ?, ?, 0, 0, ?)
+    `);
+    
+    for (const user of dbModule.getAllUsers.all()) {
+      const email = generateSplitEmail(
+        symbol, 
+        stockName || symbol, 
+        splitRatio, 
+        priceBeforeSplit, 
+        priceAfterSplit, 
+        splitDate, 
+        affectedUsers.has(user.id)
+      );
+      
+      insertSplitEmail.run(user.id, email.from, email.subject, email.body, email.date.toISOString(), email.category);
+    }
     
     return { 
       success: true, 
       splitId: splitId,
       portfolioAffected: portfolioAffected,
-      shortPositionAffected: shortPositionAffected
+      shortPositionAffected: shortPositionAffected,
+      optionPositionsAdjusted: optionPositions.length
     };
     
   } catch (error) {
@@ -293,6 +329,7 @@ function generateSplitEmail(symbol, name, splitRatio, priceBeforeSplit, priceAft
   } else {
     body += `This split does not affect your portfolio as you do not currently hold ${symbol}.\n\n`;
   }
+  body += `Option contracts on ${symbol} are adjusted too: each contract becomes ${splitRatio} contracts at 1/${splitRatio} of the strike price.\n\n`;
   
   body += `What is a Stock Split?\n`;
   body += `A stock split divides existing shares into multiple shares to make the stock more affordable and increase liquidity. While the number of shares increases, the proportional ownership remains the same.\n\n`;
@@ -0,0 +1,219 @@
+/**
+ * Tax Lots Module
+ *
+ * Cost-basis lot selection for sales of stocks, index funds and crypto. Every
+ * purchase is a lot ({ id, date, shares, pricePerShare }); a sale consumes
+ * lots in the order of a cost-basis method:
+ *
+ * - fifo: oldest lots first (the default)
+ * - lifo: newest lots first
+ * - hifo: most expensive lots first, which realizes the smallest gain
+ * - specific: the lots the player picks, by id, in the order given
+ *
+ * Players set a default method and can override it on any sale that fills
+ * immediately. Each lot sold is taxed on its own gain at the short- or
+ * long-term rate for its holding period; losses are not taxed. Shares sold
+ * beyond the recorded lots (e.g. staking rewards) carry no basis and no tax.
+ *
+ * Usage:
+ *   const taxLots = require('./helpers/taxLots');
+ *   const selection = taxLots.validateLotSelection(req.body, userAccount.taxLotMethod);
+ *   const sale = taxLots.sellLots(lots, 50, price, selection, gameTime);
+ */
+
+const constants = require('./constants');
+
+const LOT_METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+const DEFAULT_LOT_METHOD = 'fifo';
+const LONG_TERM_HOLDING_DAYS = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SHARE_EPSILON = 1e-9;                 // Crypto lots are fractional
+
+/**
+ * Check whether a method can be a player's default (specific lots are per sale)
+ * @param {string} method - Cost-basis method
+ * @returns {boolean} True for fifo, lifo and hifo
+ */
+function isDefaultMethod(method) {
+  return LOT_METHODS.includes(method) && method !== 'specific';
+}
+
+/**
+ * Validate the lot selection of a sale
+ * @param {Object} params - Request body with optional lotMethod and lotIds
+ * @param {string} defaultMethod - The player's default method
+ * @returns {Object} { valid, error, method, lotIds, isOverride }; lotIds alone imply specific
+ */
+function validateLotSelection(params, defaultMethod = DEFAULT_LOT_METHOD) {
+  const hasMethod = params.lotMethod !== undefined && params.lotMethod !== null;
+  const hasLotIds = params.lotIds !== undefined && params.lotIds !== null;
+
+  if (!hasMethod && !hasLotIds) {
+    return { valid: true, method: defaultMethod, lotIds: null, isOverride: false };
+  }
+
+  const method = hasMethod ? String(params.lotMethod).toLowerCase() : 'specific';
+  if (!LOT_METHODS.includes(method)) {
+    return { valid: false, error: `Invalid lot method. Must be one of: ${LOT_METHODS.join(', ')}` };
+  }
+
+  if (method !== 'specific') {
+    if (hasLotIds) {
+      return { valid: false, error: 'lotIds can only be given with the specific lot method' };
+    }
+    return { valid: true, method, lotIds: null, isOverride: true };
+  }
+
+  if (!Array.isArray(params.lotIds) || params.lotIds.length === 0) {
+    return { valid: false, error: 'lotIds must be a non-empty array of lot ids for the specific lot method' };
+  }
+  if (!params.lotIds.every(id => Number.isInteger(id) && id > 0)) {
+    return { valid: false, error: 'lotIds must be positive integers' };
+  }
+  if (new Set(params.lotIds).size !== params.lotIds.length) {
+    return { valid: false, error: 'lotIds must not repeat' };
+  }
+
+  return { valid: true, method, lotIds: params.lotIds.slice(), isOverride: true };
+}
+
+/**
+ * Days a lot has been held
+ * @param {Object} lot - Lot with a purchase date
+ * @param {Date} currentDate - Game time
+ * @returns {number} Fractional days
+ */
+function getHoldingDays(lot, currentDate) {
+  return (currentDate - new Date(lot.date)) / MS_PER_DAY;
+}
+
+// Lots in the order a method consumes them; ties keep the order they were bought in
+function orderLots(lots, method) {
+  const ordered = lots.slice();
+  if (method === 'lifo') {
+    ordered.sort((a, b) => new Date(b.date) - new Date(a.date));
+  } else if (method === 'hifo') {
+    ordered.sort((a, b) => b.pricePerShare - a.pricePerShare);
+  } else {
+    ordered.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+  return ordered;
+}
+
+/**
+ * Work out which lots a sale consumes and the tax it owes. The lots passed
+ * in are not modified; callers store the returned lots once the sale goes ahead.
+ * @param {Array} lots - Lots held: { id, date, shares, pricePerShare }
+ * @param {number} shares - Shares being sold
+ * @param {number} salePrice - Price per share of the sale
+ * @param {Object} selection - { method, lotIds } from validateLotSelection
+ * @param {Date} currentDate - Game time of the sale
+ * @returns {Object} { success, error, lots, sold, costBasis, gain, taxAmount, uncoveredShares }
+ *   where lots are the lots left and sold lists { lotId, date, shares, pricePerShare,
+ *   costBasis, proceeds, gain, holdingDays, isLongTerm, tax } for each lot sold from
+ */
+function sellLots(lots, shares, salePrice, selection, currentDate) {
+  let ordered;
+  if (selection.method === 'specific') {
+    ordered = [];
+    for (const lotId of selection.lotIds) {
+      const lot = lots.find(l => l.id === lotId);
+      if (!lot) {
+        return { success: false, error: `Lot ${lotId} not found` };
+      }
+      ordered.push(lot);
+    }
+    const selectedShares = ordered.reduce((sum, lot) => sum + lot.shares, 0);
+    if (selectedShares < shares - SHARE_EPSILON) {
+      return { success: false, error: `Selected lots hold ${selectedShares} shares, ${shares} needed` };
+    }
+  } else {
+    ordered = orderLots(lots, selection.method);
+  }
+
+  const taxRates = constants.getTaxRates(currentDate.getFullYear());
+  const sharesLeft = new Map(lots.map(lot => [lot, lot.shares]));
+  const sold = [];
+  let remainingShares = shares;
+
+  for (const lot of ordered) {
+    if (remainingShares <= SHARE_EPSILON) break;
+
+    const sharesToSell = Math.min(remainingShares, lot.shares);
+    const costBasis = sharesToSell * lot.pricePerShare;
+    const proceeds = sharesToSell * salePrice;
+    const gain = proceeds - costBasis;
+    const holdingDays = getHoldingDays(lot, currentDate);
+    const isLongTerm = holdingDays >= LONG_TERM_HOLDING_DAYS;
+    const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
+
+    sold.push({
+      lotId: lot.id,
+      date: lot.date,
+      shares: sharesToSell,
+      pricePerShare: lot.pricePerShare,
+      costBasis,
+      proceeds,
+      gain,
+      holdingDays: Math.floor(holdingDays),
+      isLongTerm,
+      tax: gain > 0 ? gain * taxRate : 0
+    });
+
+    sharesLeft.set(lot, lot.shares - sharesToSell);
+    remainingShares -= sharesToSell;
+  }
+
+  return {
+    success: true,
+    lots: lots
+      .filter(lot => sharesLeft.get(lot) > SHARE_EPSILON)
+      .map(lot => ({ ...lot, shares: sharesLeft.get(lot) })),
+    sold,
+    costBasis: sold.reduce((sum, lot) => sum + lot.costBasis, 0),
+    gain: sold.reduce((sum, lot) => sum + lot.gain, 0),
+    taxAmount: sold.reduce((sum, lot) => sum + lot.tax, 0),
+    uncoveredShares: Math.max(remainingShares, 0)
+  };
+}
+
+/**
+ * Describe open lots for the tax page
+ * @param {Array} lots - Lots held
+ * @param {number} price - Current price per share
+ * @param {Date} currentDate - Game time
+ * @returns {Array} { id, date, shares, pricePerShare, costBasis, marketValue,
+ *   unrealizedGain, holdingDays, isLongTerm, longTermDate, washSaleAdjustment }, oldest
+ *   first; washSaleAdjustment is basis added by disallowed losses (see helpers/washSales)
+ */
+function describeLots(lots, price, currentDate) {
+  return orderLots(lots, 'fifo').map(lot => {
+    const holdingDays = getHoldingDays(lot, currentDate);
+    const costBasis = lot.shares * lot.pricePerShare;
+    const marketValue = lot.shares * price;
+    return {
+      id: lot.id,
+      date: lot.date,
+      shares: lot.shares,
+      pricePerShare: lot.pricePerShare,
+      costBasis,
+      marketValue,
+      unrealizedGain: marketValue - costBasis,
+      holdingDays: Math.max(Math.floor(holdingDays), 0),
+      isLongTerm: holdingDays >= LONG_TERM_HOLDING_DAYS,
+      longTermDate: new Date(new Date(lot.date).getTime() + LONG_TERM_HOLDING_DAYS * MS_PER_DAY),
+      washSaleAdjustment: lot.disallowedLoss || 0
+    };
+  });
+}
+
+module.exports = {
+  LOT_METHODS,
+  DEFAULT_LOT_METHOD,
+  LONG_TERM_HOLDING_DAYS,
+  isDefaultMethod,
+  validateLotSelection,
+  getHoldingDays,
+  sellLots,
+  describeLots
+};
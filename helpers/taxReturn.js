@@ -0,0 +1,193 @@
+/**
+ * Tax Return Module
+ *
+ * The annual capital gains tax return. Tax is withheld on every gain as it is
+ * realized; on Tax Day each player files a return for the year before that
+ * nets the whole year out, Schedule D style:
+ *
+ * - Gains and losses are netted within each term (short-term: held less than
+ *   a year), after the losses carried over from earlier years, then the two
+ *   terms are netted against each other.
+ * - A net loss offsets ordinary income up to a limit ($3,000 from 1978,
+ *   $2,000 in 1977 and $1,000 before), credited at the short-term rate. The
+ *   rest carries forward, keeping its term; short-term losses are used first.
+ * - What is left is taxed at the year's short- and long-term rates, and the
+ *   return refunds or bills the difference from the tax withheld.
+ *
+ * Usage:
+ *   const taxReturn = require('./helpers/taxReturn');
+ *   const filed = taxReturn.computeReturn(1987, sales, priorReturn.carryforward, withheld);
+ *   res.send(taxReturn.formatScheduleD(filed));
+ */
+
+const constants = require('./constants');
+
+/**
+ * Ordinary income a net capital loss can offset in a year
+ * @param {number} year - Tax year
+ * @returns {number} Dollars
+ */
+function getOrdinaryLossLimit(year) {
+  if (year >= 1978) return 3000;
+  if (year === 1977) return 2000;
+  return 1000;
+}
+
+// Totals of one term's sales, Schedule D columns (d) to (h)
+function sumTerm(sales, carryover) {
+  const term = {
+    proceeds: 0,
+    costBasis: 0,
+    adjustments: 0,
+    gain: 0,
+    carryover,
+    net: 0
+  };
+  for (const sale of sales) {
+    term.proceeds += sale.proceeds || 0;
+    term.costBasis += sale.costBasis || 0;
+    term.adjustments += sale.adjustment || 0;
+    term.gain += sale.gain;
+  }
+  term.net = term.gain - carryover;
+  return term;
+}
+
+/**
+ * Compute a year's return
+ * @param {number} year - Tax year
+ * @param {Array} sales - Realized gains: { description, dateAcquired, dateSold, proceeds, costBasis,
+ *   adjustment, gain, isLongTerm }; gain includes the adjustment (losses disallowed by wash sales)
+ * @param {Object} carryover - { shortTerm, longTerm } losses carried forward from the year before
+ * @param {number} taxWithheld - Capital gains tax charged on the year's trades
+ * @returns {Object} { year, sales, shortTerm, longTerm, netGain, ordinaryOffset, taxableShortTerm,
+ *   taxableLongTerm, carryforward, taxRates, tax, taxWithheld, amountDue } where amountDue, to
+ *   the cent, is negative for a refund
+ */
+function computeReturn(year, sales, carryover = { shortTerm: 0, longTerm: 0 }, taxWithheld = 0) {
+  const shortTerm = sumTerm(sales.filter(sale => !sale.isLongTerm), carryover.shortTerm);
+  const longTerm = sumTerm(sales.filter(sale => sale.isLongTerm), carryover.longTerm);
+
+  // A net loss in one term offsets a net gain in the other
+  let netShortTerm = shortTerm.net;
+  let netLongTerm = longTerm.net;
+  if (netShortTerm < 0 && netLongTerm > 0) {
+    const offset = Math.min(-netShortTerm, netLongTerm);
+    netShortTerm += offset;
+    netLongTerm -= offset;
+  } else if (netLongTerm < 0 && netShortTerm > 0) {
+    const offset = Math.min(-netLongTerm, netShortTerm);
+    netLongTerm += offset;
+    netShortTerm -= offset;
+  }
+
+  // What is left of a net loss offsets ordinary income, short-term losses first
+  const netLoss = Math.max(-netShortTerm, 0) + Math.max(-netLongTerm, 0);
+  const ordinaryOffset = Math.min(netLoss, getOrdinaryLossLimit(year));
+  const shortTermUsed = Math.min(Math.max(-netShortTerm, 0), ordinaryOffset);
+  const longTermUsed = ordinaryOffset - shortTermUsed;
+
+  const rates = constants.getTaxRates(year);
+  const taxableShortTerm = Math.max(netShortTerm, 0);
+  const taxableLongTerm = Math.max(netLongTerm, 0);
+  const tax = taxableShortTerm * rates.shortTermTaxRate +
+    taxableLongTerm * rates.longTermTaxRate -
+    ordinaryOffset * rates.shortTermTaxRate;
+
+  return {
+    year,
+    sales,
+    shortTerm,
+    longTerm,
+    netGain: shortTerm.net + longTerm.net,
+    ordinaryOffset,
+    taxableShortTerm,
+    taxableLongTerm,
+    carryforward: {
+      shortTerm: Math.max(-netShortTerm, 0) - shortTermUsed,
+      longTerm: Math.max(-netLongTerm, 0) - longTermUsed
+    },
+    taxRates: {
+      shortTerm: rates.shortTermTaxRate,
+      longTerm: rates.longTermTaxRate
+    },
+    tax,
+    taxWithheld,
+    amountDue: Math.round((tax - taxWithheld) * 100) / 100
+  };
+}
+
+// A CSV field, quoted when needed
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'number' ? value.toFixed(2) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDate(date) {
+  if (!date) {
+    return 'VARIOUS';
+  }
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Format a return as a downloadable CSV in the layout of Form 1099-B and Schedule D:
+ * every sale with its dates, proceeds, basis and wash-sale adjustment (code W), then
+ * the totals of each term and the summary lines
+ * @param {Object} taxReturn - Return from computeReturn
+ * @returns {string} CSV text
+ */
+function formatScheduleD(taxReturn) {
+  const rows = [
+    ['StockFake Form 1099-B and Schedule D Summary', `Tax Year ${taxReturn.year}`]
+  ];
+  const header = ['Description', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis', 'Adjustment Code', 'Adjustment', 'Gain or Loss'];
+
+  const parts = [
+    ['Part I - Short-Term (held less than one year)', taxReturn.sales.filter(sale => !sale.isLongTerm), taxReturn.shortTerm],
+    ['Part II - Long-Term (held one year or more)', taxReturn.sales.filter(sale => sale.isLongTerm), taxReturn.longTerm]
+  ];
+  for (const [title, sales, term] of parts) {
+    rows.push([], [title], header);
+    for (const sale of sales) {
+      rows.push([
+        sale.description,
+        formatDate(sale.dateAcquired),
+        formatDate(sale.dateSold),
+        sale.proceeds,
+        sale.costBasis,
+        sale.adjustment ? 'W' : '',
+        sale.adjustment || null,
+        sale.gain
+      ]);
+    }
+    rows.push(['Totals', '', '', term.proceeds, term.costBasis, '', term.adjustments, term.gain]);
+    rows.push(['Loss carryover from prior years', '', '', '', '', '', '', -term.carryover]);
+    rows.push(['Net', '', '', '', '', '', '', term.net]);
+  }
+
+  rows.push([], ['Part III - Summary'], ['Line', 'Amount']);
+  rows.push(
+    ['Net capital gain or loss', taxReturn.netGain],
+    ['Taxable short-term gain', taxReturn.taxableShortTerm],
+    ['Taxable long-term gain', taxReturn.taxableLongTerm],
+    ['Capital loss offset against ordinary income', taxReturn.ordinaryOffset],
+    ['Short-term loss carried forward', taxReturn.carryforward.shortTerm],
+    ['Long-term loss carried forward', taxReturn.carryforward.longTerm],
+    ['Tax', taxReturn.tax],
+    ['Tax withheld on trades', taxReturn.taxWithheld],
+    [taxReturn.amountDue >= 0 ? 'Amount owed' : 'Refund', Math.abs(taxReturn.amountDue)]
+  );
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  getOrdinaryLossLimit,
+  computeReturn,
+  formatScheduleD
+};
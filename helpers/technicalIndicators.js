@@ -376,27 +376,30 @@ function calculateVWAP(data) {
  * Generate OHLC data from price data
  * Simulates realistic open, high, low values around the close price
  * @param {Array<Object>} priceData - Array of {date, price}
+ * @param {Function} randomFor - Returns the uniform [0, 1) generator for a bar (default: Math.random).
+ *   The module has no dependencies so bots can load it, so callers pass the game seed's generators in.
  * @returns {Array<Object>} - Array of {date, open, high, low, close, volume}
  */
-function generateOHLC(priceData) {
+function generateOHLC(priceData, randomFor = () => Math.random) {
   const ohlcData = [];
   
   for (let i = 0; i < priceData.length; i++) {
     const close = priceData[i].price;
     const prevClose = i > 0 ? priceData[i - 1].price : close;
+    const random = randomFor(priceData[i]);
     
     // Generate realistic open based on gap from previous close
-    const gap = (Math.random() - 0.5) * 0.02; // ±1% gap
+    const gap = (random() - 0.5) * 0.02; // ±1% gap
     const open = prevClose * (1 + gap);
     
     // Generate high and low based on volatility
-    const volatility = 0.015 + (Math.random() * 0.02); // 1.5-3.5% range
-    const high = Math.max(open, close) * (1 + volatility * Math.random());
-    const low = Math.min(open, close) * (1 - volatility * Math.random());
+    const volatility = 0.015 + (random() * 0.02); // 1.5-3.5% range
+    const high = Math.max(open, close) * (1 + volatility * random());
+    const low = Math.min(open, close) * (1 - volatility * random());
     
     // Generate random volume (larger for volatile days)
     const priceChange = Math.abs(close - prevClose) / prevClose;
-    const baseVolume = 1000000 + (Math.random() * 2000000);
+    const baseVolume = 1000000 + (random() * 2000000);
     const volume = Math.floor(baseVolume * (1 + priceChange * 10));
     
     ohlcData.push({
@@ -8,14 +8,21 @@
  * Purpose:
  * - Centralize game time advancement logic
  * - Respect pause state from pauseHandler
- * - Handle market open/close transitions
+ * - Handle market open/close transitions, per exchange when several are tracked
  * - Process pending orders when market opens
+ * - Evaluate conditional (limit/stop) orders on every tick while any market is open
+ * - Run game-time recurrences (daily close, month end, quarter end, new year or
+ *   any custom calendar) exactly once per occurrence and in order, however far
+ *   a tick or a time skip jumps
  * - Provide hooks for tick events
  * 
  * Usage:
  *   const tickHandler = require('./helpers/tickHandler');
  *   tickHandler.initialize(gameTime, timeMultiplier, isMarketOpenFn);
+ *   tickHandler.setExchanges(['NYSE', 'LSE']);
  *   tickHandler.setProcessPendingOrdersCallback(callback);
+ *   tickHandler.setEvaluateOrdersCallback(callback);
+ *   tickHandler.schedule('dividends', tickHandler.RECURRENCES.quarterEnd, callback);
  *   tickHandler.start();
  */
 
@@ -25,15 +32,54 @@ const pauseHandler = require('./pauseHandler');
 let gameTime = null;
 let timeMultiplier = 3600; // Default: 1 second = 1 hour
 let isMarketOpenFn = null;
-let wasMarketOpen = false;
+let exchanges = [null]; // Exchange ids to track; null asks the checker about its default market
+let wasMarketOpen = {}; // Open state by exchange id
 let tickInterval = null;
 
 // Callbacks for tick events
 let onTimeAdvancedCallback = null;
 let processPendingOrdersCallback = null;
+let evaluateOrdersCallback = null;
 let onMarketOpenCallback = null;
 let onMarketCloseCallback = null;
 
+// Scheduled recurrences, in registration order: [{ name, recurrence, callback, nextTime }]
+let scheduledEvents = [];
+
+// Hour of the daily close (the NYSE closing bell, in game time)
+const DAILY_CLOSE_HOUR = 16;
+
+/**
+ * Built-in recurrences: each returns the first occurrence strictly after a time.
+ * Month, quarter and year ends occur at the midnight that starts the next period;
+ * Tax Day at the midnight that starts April 15.
+ */
+const RECURRENCES = {
+  dailyClose(after) {
+    const next = new Date(after.getFullYear(), after.getMonth(), after.getDate(), DAILY_CLOSE_HOUR);
+    if (next <= after) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  },
+  monthEnd(after) {
+    return new Date(after.getFullYear(), after.getMonth() + 1, 1);
+  },
+  quarterEnd(after) {
+    return new Date(after.getFullYear(), Math.floor(after.getMonth() / 3) * 3 + 3, 1);
+  },
+  newYear(after) {
+    return new Date(after.getFullYear() + 1, 0, 1);
+  },
+  taxDay(after) {
+    const next = new Date(after.getFullYear(), 3, 15);
+    if (next <= after) {
+      next.setFullYear(next.getFullYear() + 1);
+    }
+    return next;
+  }
+};
+
 /**
  * Initialize the tick handler
  * @param {Date} initialGameTime - Starting game time
@@ -59,9 +105,7 @@ function initialize(initialGameTime, initialTimeMultiplier, marketOpenChecker) {
   timeMultiplier = initialTimeMultiplier;
   isMarketOpenFn = marketOpenChecker;
   
-  if (isMarketOpenFn) {
-    wasMarketOpen = isMarketOpenFn(gameTime);
-  }
+  resetMarketStates();
   
   console.log('Tick handler initialized:', {
     gameTime: gameTime.toISOString(),
@@ -70,6 +114,42 @@ function initialize(initialGameTime, initialTimeMultiplier, marketOpenChecker) {
   });
 }
 
+/**
+ * Set the exchanges whose open/close transitions are tracked
+ * The first exchange is the home market: fast-forwarding stops when it opens
+ * @param {Array<string>} exchangeIds - Exchange ids passed to the market open checker
+ * @throws {TypeError} If exchangeIds is not a non-empty array
+ */
+function setExchanges(exchangeIds) {
+  if (!Array.isArray(exchangeIds) || exchangeIds.length === 0) {
+    throw new TypeError('exchangeIds must be a non-empty array');
+  }
+  
+  exchanges = [...exchangeIds];
+  resetMarketStates();
+}
+
+// Check one tracked exchange
+function isExchangeOpen(time, exchangeId) {
+  return exchangeId === null ? isMarketOpenFn(time) : isMarketOpenFn(time, exchangeId);
+}
+
+// Check whether any tracked exchange is open
+function isAnyMarketOpen(time) {
+  return exchanges.some(exchangeId => isExchangeOpen(time, exchangeId));
+}
+
+// Record the current open state of every tracked exchange without firing transitions
+function resetMarketStates() {
+  wasMarketOpen = {};
+  if (!isMarketOpenFn) {
+    return;
+  }
+  for (const exchangeId of exchanges) {
+    wasMarketOpen[exchangeId] = isExchangeOpen(gameTime, exchangeId);
+  }
+}
+
 /**
  * Get current game time
  * @returns {Date} Current game time
@@ -80,12 +160,89 @@ function getGameTime() {
 
 /**
  * Set game time (for debug/testing)
+ * Scheduled events between the old and new time are skipped, not run
  * @param {Date} newTime - New game time
  */
 function setGameTime(newTime) {
   gameTime = newTime;
-  if (isMarketOpenFn) {
-    wasMarketOpen = isMarketOpenFn(gameTime);
+  resetMarketStates();
+  rescheduleEvents();
+}
+
+/**
+ * Move game time forward, running every scheduled event on the way
+ * @param {Date} newTime - New game time
+ * @throws {RangeError} If newTime is before the current game time
+ */
+function advanceGameTime(newTime) {
+  if (newTime < gameTime) {
+    throw new RangeError('advanceGameTime cannot move time backwards');
+  }
+  
+  runScheduledEvents(newTime);
+  gameTime = newTime;
+  resetMarketStates();
+}
+
+/**
+ * Register a game-time recurrence
+ * The first occurrence is the first one after the current game time
+ * @param {string} name - Name for logging
+ * @param {Function} recurrence - One of RECURRENCES, or any function returning the first occurrence after a Date
+ * @param {Function} callback - Called with (occurrenceTime) once per occurrence
+ * @throws {TypeError} If recurrence or callback is not a function
+ */
+function schedule(name, recurrence, callback) {
+  if (typeof recurrence !== 'function' || typeof callback !== 'function') {
+    throw new TypeError('recurrence and callback must be functions');
+  }
+  
+  scheduledEvents.push({ name, recurrence, callback, nextTime: recurrence(gameTime) });
+}
+
+/**
+ * Remove every scheduled recurrence (for testing)
+ */
+function clearSchedule() {
+  scheduledEvents = [];
+}
+
+// Point every recurrence at its first occurrence after the current game time
+function rescheduleEvents() {
+  for (const event of scheduledEvents) {
+    event.nextTime = event.recurrence(gameTime);
+  }
+}
+
+/**
+ * Run every scheduled occurrence up to a time, earliest first
+ * Occurrences at the same time run in registration order. A failing callback
+ * is logged and its occurrence still counts as run.
+ * @param {Date} untilTime - Run occurrences at or before this time
+ */
+function runScheduledEvents(untilTime) {
+  while (true) {
+    let due = null;
+    for (const event of scheduledEvents) {
+      if (event.nextTime <= untilTime && (!due || event.nextTime < due.nextTime)) {
+        due = event;
+      }
+    }
+    if (!due) {
+      return;
+    }
+    
+    const occurrenceTime = due.nextTime;
+    due.nextTime = due.recurrence(occurrenceTime);
+    if (!(due.nextTime > occurrenceTime)) {
+      throw new Error(`Recurrence for ${due.name} must move forward in time`);
+    }
+    
+    try {
+      due.callback(new Date(occurrenceTime));
+    } catch (error) {
+      console.error(`Error running scheduled ${due.name} at ${occurrenceTime.toISOString()}:`, error);
+    }
   }
 }
 
@@ -121,15 +278,23 @@ function setOnTimeAdvancedCallback(callback) {
 
 /**
  * Set callback for processing pending orders
- * @param {Function} callback - Called when market opens
+ * @param {Function} callback - Called with (exchangeId) when a market opens
  */
 function setProcessPendingOrdersCallback(callback) {
   processPendingOrdersCallback = callback;
 }
 
+/**
+ * Set callback for evaluating conditional orders
+ * @param {Function} callback - Called with (gameTime) on every tick while any market is open
+ */
+function setEvaluateOrdersCallback(callback) {
+  evaluateOrdersCallback = callback;
+}
+
 /**
  * Set callback for market open events
- * @param {Function} callback - Called when market opens
+ * @param {Function} callback - Called with (gameTime, exchangeId) when a market opens
  */
 function setOnMarketOpenCallback(callback) {
   onMarketOpenCallback = callback;
@@ -137,7 +302,7 @@ function setOnMarketOpenCallback(callback) {
 
 /**
  * Set callback for market close events
- * @param {Function} callback - Called when market closes
+ * @param {Function} callback - Called with (gameTime, exchangeId) when a market closes
  */
 function setOnMarketCloseCallback(callback) {
   onMarketCloseCallback = callback;
@@ -156,24 +321,35 @@ function tick() {
   const oldTime = new Date(gameTime.getTime());
   const newTime = new Date(gameTime.getTime() + (timeMultiplier * 1000));
   
-  // If market is currently closed and we're using fast speed (1s = 1day or more)
-  // Advance time in smaller increments to avoid skipping market open hours
-  if (isMarketOpenFn && !isMarketOpenFn(gameTime) && timeMultiplier >= 86400) {
+  // If the home market is currently closed and we're using fast speed (1s = 1day or more)
+  // Advance time in smaller increments to avoid skipping market open hours.
+  // Other exchanges open and close along the way, so check them at every step.
+  const homeExchange = exchanges[0];
+  if (isMarketOpenFn && !isExchangeOpen(gameTime, homeExchange) && timeMultiplier >= 86400) {
     let checkTime = new Date(gameTime.getTime());
     const increment = 3600 * 1000; // 1 hour increments
     const maxAdvance = timeMultiplier * 1000;
     let totalAdvanced = 0;
     
-    while (totalAdvanced < maxAdvance && !isMarketOpenFn(checkTime)) {
+    while (totalAdvanced < maxAdvance && !isExchangeOpen(checkTime, homeExchange)) {
       checkTime = new Date(checkTime.getTime() + increment);
       totalAdvanced += increment;
       
       // Stop if we hit market open time
-      if (isMarketOpenFn(checkTime)) {
+      if (isExchangeOpen(checkTime, homeExchange)) {
         gameTime = checkTime;
         handleMarketTransitions(oldTime);
+        runScheduledEvents(gameTime);
+        notifyTimeAdvanced(oldTime);
+        evaluateOrders();
         return;
       }
+      
+      if (totalAdvanced < maxAdvance) {
+        gameTime = checkTime;
+        handleMarketTransitions(oldTime);
+        runScheduledEvents(gameTime);
+      }
     }
     
     // If we still haven't found market open, use the calculated time
@@ -181,21 +357,30 @@ function tick() {
       gameTime = newTime;
     }
     handleMarketTransitions(oldTime);
+    runScheduledEvents(gameTime);
+    notifyTimeAdvanced(oldTime);
+    evaluateOrders();
     return;
   }
   
   // Normal time advancement
   gameTime = newTime;
   handleMarketTransitions(oldTime);
-  
-  // Notify callback if registered
+  runScheduledEvents(gameTime);
+  notifyTimeAdvanced(oldTime);
+  evaluateOrders();
+}
+
+// Notify the time advanced callback if registered
+function notifyTimeAdvanced(oldTime) {
   if (onTimeAdvancedCallback) {
     onTimeAdvancedCallback(oldTime, gameTime);
   }
 }
 
+
 /**
- * Handle market open/close transitions
+ * Handle market open/close transitions for every tracked exchange
  * @param {Date} oldTime - Time before the tick
  */
 function handleMarketTransitions(oldTime) {
@@ -203,35 +388,55 @@ function handleMarketTransitions(oldTime) {
     return;
   }
   
-  const isMarketCurrentlyOpen = isMarketOpenFn(gameTime);
-  
-  // Market just opened
-  if (!wasMarketOpen && isMarketCurrentlyOpen) {
-    console.log(`Market just opened at ${gameTime.toISOString()}`);
+  for (const exchangeId of exchanges) {
+    const isMarketCurrentlyOpen = isExchangeOpen(gameTime, exchangeId);
+    const marketName = exchangeId === null ? 'Market' : `${exchangeId} market`;
     
-    // Process pending orders
-    if (processPendingOrdersCallback) {
-      console.log('Processing pending orders...');
-      processPendingOrdersCallback();
+    // Market just opened
+    if (!wasMarketOpen[exchangeId] && isMarketCurrentlyOpen) {
+      console.log(`${marketName} just opened at ${gameTime.toISOString()}`);
+      
+      // Process pending orders
+      if (processPendingOrdersCallback) {
+        console.log('Processing pending orders...');
+        processPendingOrdersCallback(exchangeId);
+      }
+      
+      // Call market open callback
+      if (onMarketOpenCallback) {
+        onMarketOpenCallback(gameTime, exchangeId);
+      }
     }
     
-    // Call market open callback
-    if (onMarketOpenCallback) {
-      onMarketOpenCallback(gameTime);
+    // Market just closed
+    if (wasMarketOpen[exchangeId] && !isMarketCurrentlyOpen) {
+      console.log(`${marketName} just closed at ${gameTime.toISOString()}`);
+      
+      // Call market close callback
+      if (onMarketCloseCallback) {
+        onMarketCloseCallback(gameTime, exchangeId);
+      }
     }
+    
+    wasMarketOpen[exchangeId] = isMarketCurrentlyOpen;
+  }
+}
+
+/**
+ * Evaluate conditional orders against current prices
+ * Only runs while a market is open, after any open/close transition
+ * has been handled so queued market orders fill first
+ */
+function evaluateOrders() {
+  if (!evaluateOrdersCallback) {
+    return;
   }
   
-  // Market just closed
-  if (wasMarketOpen && !isMarketCurrentlyOpen) {
-    console.log(`Market just closed at ${gameTime.toISOString()}`);
-    
-    // Call market close callback
-    if (onMarketCloseCallback) {
-      onMarketCloseCallback(gameTime);
-    }
+  if (isMarketOpenFn && !isAnyMarketOpen(gameTime)) {
+    return;
   }
   
-  wasMarketOpen = isMarketCurrentlyOpen;
+  evaluateOrdersCallback(gameTime);
 }
 
 /**
@@ -268,13 +473,20 @@ function isRunning() {
 }
 
 module.exports = {
+  RECURRENCES,
   initialize,
+  setExchanges,
   getGameTime,
   setGameTime,
+  advanceGameTime,
+  schedule,
+  clearSchedule,
+  runScheduledEvents,
   getTimeMultiplier,
   setTimeMultiplier,
   setOnTimeAdvancedCallback,
   setProcessPendingOrdersCallback,
+  setEvaluateOrdersCallback,
   setOnMarketOpenCallback,
   setOnMarketCloseCallback,
   tick,
@@ -0,0 +1,456 @@
+/**
+ * Trading Bots Module
+ *
+ * Player-written strategies that trade automatically as the game clock runs.
+ * A bot is a small script defining `function run(api)`; the server calls it
+ * on every tick while the market is open, at the market open or at the
+ * close, depending on the bot's trigger.
+ *
+ * Sandbox:
+ * - Each bot runs in its own `vm` context with no require, process, timers
+ *   or host objects. Market data goes in and order requests come out as JSON
+ *   strings, so nothing from the server is reachable from bot code.
+ * - Every run is limited to the bot's time limit (default 50 ms, at most
+ *   1 second) and order limit. Runs that throw or time out place no orders,
+ *   and a bot is switched off after 3 failed runs in a row.
+ * - Variables a bot keeps in `api.state` survive between runs until its code
+ *   changes or the server restarts.
+ *
+ * The sandbox keeps bots from reaching the server by accident or through
+ * the API; it does not bound a bot's memory use.
+ *
+ * Usage:
+ *   const tradingBots = require('./helpers/tradingBots');
+ *   const result = tradingBots.createBot(userId, req.body, gameTime);
+ *   for (const bot of tradingBots.getEnabledBots('tick')) {
+ *     const run = tradingBots.runBot(bot, input, gameTime);
+ *   }
+ */
+
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+const dbModule = require('../database');
+
+const TRIGGERS = ['tick', 'open', 'close'];
+const DEFAULT_TIME_LIMIT_MS = 50;
+const MAX_TIME_LIMIT_MS = 1000;
+const DEFAULT_MAX_ORDERS_PER_RUN = 5;
+const MAX_ORDERS_PER_RUN = 20;
+const MAX_SYMBOLS = 10;
+const MAX_CODE_LENGTH = 20000;
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_LOG_ENTRIES = 200;
+const MAX_LOG_LINES_PER_RUN = 20;
+const MAX_LOG_LINE_LENGTH = 500;
+
+// The indicator functions are plain JavaScript, so bots get their own copy inside the sandbox
+const INDICATORS_SOURCE = fs.readFileSync(path.join(__dirname, 'technicalIndicators.js'), 'utf8');
+
+// Runs inside every bot context. Builds the api from the JSON input and
+// returns the run's order requests and log lines as a JSON string.
+const BOOTSTRAP = new vm.Script(`
+var module = { exports: {} };
+${INDICATORS_SOURCE}
+var __indicators = module.exports;
+var __state = {};
+var __bot = null;
+var __loadError = null;
+
+function __describe(error) {
+  try {
+    return String(error && error.stack ? error.stack : error).slice(0, 1000);
+  } catch (e) {
+    return 'Unknown error';
+  }
+}
+
+function __execute(inputJson) {
+  var input = JSON.parse(inputJson);
+  var requests = [];
+  var logs = [];
+  var has = function (object, key) { return Object.prototype.hasOwnProperty.call(object, key); };
+  var copy = function (value) { return value === undefined ? null : JSON.parse(JSON.stringify(value)); };
+  var request = function (entry) {
+    if (requests.length >= input.maxOrders) {
+      throw new Error('Order limit reached (' + input.maxOrders + ' per run)');
+    }
+    requests.push(entry);
+  };
+
+  var api = {
+    time: input.time,
+    trigger: input.trigger,
+    marketOpen: input.marketOpen,
+    state: __state,
+    indicators: __indicators,
+    quote: function (symbol) { return has(input.quotes, symbol) ? copy(input.quotes[symbol]) : null; },
+    quotes: function () { return copy(input.quotes); },
+    history: function (symbol) { return has(input.history, symbol) ? input.history[symbol].slice() : []; },
+    account: function () { return copy(input.account); },
+    orders: function () { return copy(input.orders); },
+    news: function () { return copy(input.news); },
+    placeOrder: function (order) { request({ type: 'place', order: copy(order) }); },
+    cancelOrder: function (orderId) { request({ type: 'cancel', orderId: copy(orderId) }); },
+    log: function () {
+      if (logs.length < ${MAX_LOG_LINES_PER_RUN}) {
+        logs.push(Array.prototype.map.call(arguments, function (a) {
+          return typeof a === 'string' ? a : JSON.stringify(a);
+        }).join(' ').slice(0, ${MAX_LOG_LINE_LENGTH}));
+      }
+    }
+  };
+
+  try {
+    __bot(api);
+    return JSON.stringify({ requests: requests, logs: logs, error: null });
+  } catch (error) {
+    return JSON.stringify({ requests: [], logs: logs, error: __describe(error) });
+  }
+}
+`, { filename: 'bot-sandbox.js' });
+
+// Compiled bots and their run counters, keyed by bot id
+const sandboxes = new Map();
+
+// Recent log lines per bot, keyed by bot id
+const botLogs = new Map();
+
+/**
+ * Validate and normalize bot settings
+ * @param {Object} params - { name, code, trigger, symbols, timeLimitMs, maxOrdersPerRun }
+ * @returns {Object} { valid, error } or { valid, bot }
+ */
+function validateBotParams(params) {
+  const name = typeof params.name === 'string' ? params.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { valid: false, error: 'name is required (up to 100 characters)' };
+  }
+
+  if (typeof params.code !== 'string' || !params.code.trim()) {
+    return { valid: false, error: 'code is required' };
+  }
+  if (params.code.length > MAX_CODE_LENGTH) {
+    return { valid: false, error: `code must be at most ${MAX_CODE_LENGTH} characters` };
+  }
+  try {
+    new vm.Script(params.code, { filename: 'bot.js' });
+  } catch (error) {
+    return { valid: false, error: `Syntax error: ${error.message}` };
+  }
+
+  const trigger = params.trigger || 'tick';
+  if (!TRIGGERS.includes(trigger)) {
+    return { valid: false, error: `Invalid trigger. Must be one of: ${TRIGGERS.join(', ')}` };
+  }
+
+  const symbols = params.symbols === undefined ? [] : params.symbols;
+  if (!Array.isArray(symbols) || symbols.length > MAX_SYMBOLS || symbols.some(s => typeof s !== 'string' || !/^[A-Z0-9.]{1,10}$/.test(s))) {
+    return { valid: false, error: `symbols must be an array of up to ${MAX_SYMBOLS} ticker symbols` };
+  }
+
+  const timeLimitMs = params.timeLimitMs === undefined ? DEFAULT_TIME_LIMIT_MS : params.timeLimitMs;
+  if (!Number.isInteger(timeLimitMs) || timeLimitMs < 1 || timeLimitMs > MAX_TIME_LIMIT_MS) {
+    return { valid: false, error: `timeLimitMs must be a whole number between 1 and ${MAX_TIME_LIMIT_MS}` };
+  }
+
+  const maxOrdersPerRun = params.maxOrdersPerRun === undefined ? DEFAULT_MAX_ORDERS_PER_RUN : params.maxOrdersPerRun;
+  if (!Number.isInteger(maxOrdersPerRun) || maxOrdersPerRun < 1 || maxOrdersPerRun > MAX_ORDERS_PER_RUN) {
+    return { valid: false, error: `maxOrdersPerRun must be a whole number between 1 and ${MAX_ORDERS_PER_RUN}` };
+  }
+
+  return {
+    valid: true,
+    bot: {
+      name,
+      code: params.code,
+      trigger,
+      symbols: Array.from(new Set(symbols)),
+      timeLimitMs,
+      maxOrdersPerRun
+    }
+  };
+}
+
+function formatBot(row) {
+  const sandbox = sandboxes.get(row.id);
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    code: row.code,
+    trigger: row.trigger_event,
+    symbols: JSON.parse(row.symbols),
+    timeLimitMs: row.time_limit_ms,
+    maxOrdersPerRun: row.max_orders_per_run,
+    enabled: row.enabled === 1,
+    lastRunAt: row.last_run_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    runs: sandbox ? sandbox.runs : 0,
+    totalRunMs: sandbox ? Math.round(sandbox.totalRunMs * 100) / 100 : 0
+  };
+}
+
+/**
+ * List a player's bots
+ * @param {number} userId - Player id
+ * @returns {Array} Bots
+ */
+function listBots(userId) {
+  return dbModule.getTradingBots.all(userId).map(formatBot);
+}
+
+/**
+ * Get one of a player's bots
+ * @param {number} userId - Player id
+ * @param {number} id - Bot id
+ * @returns {Object|null} Bot, or null if the player has no such bot
+ */
+function getBot(userId, id) {
+  const row = dbModule.getTradingBot.get(userId, id);
+  return row ? formatBot(row) : null;
+}
+
+/**
+ * Get every enabled bot for a trigger, across all players
+ * @param {string} trigger - 'tick', 'open' or 'close'
+ * @returns {Array} Bots in creation order
+ */
+function getEnabledBots(trigger) {
+  return dbModule.getEnabledTradingBots.all(trigger).map(formatBot);
+}
+
+/**
+ * Create a bot; new bots start disabled
+ * @param {number} userId - Player id
+ * @param {Object} params - Request body (see validateBotParams)
+ * @param {Date} currentTime - Current game time
+ * @returns {Object} { success, bot } or { success, error }
+ */
+function createBot(userId, params, currentTime) {
+  const check = validateBotParams(params);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  const b = check.bot;
+  const result = dbModule.insertTradingBot.run(
+    userId,
+    b.name,
+    b.code,
+    b.trigger,
+    JSON.stringify(b.symbols),
+    b.timeLimitMs,
+    b.maxOrdersPerRun,
+    currentTime.toISOString(),
+    currentTime.toISOString()
+  );
+
+  return { success: true, bot: getBot(userId, result.lastInsertRowid) };
+}
+
+/**
+ * Replace a bot's settings and code; its sandbox and state start fresh
+ * @param {number} userId - Player id
+ * @param {number} id - Bot id
+ * @param {Object} params - Request body (see validateBotParams)
+ * @param {Date} currentTime - Current game time
+ * @returns {Object} { success, bot } or { success, error, status }
+ */
+function updateBot(userId, id, params, currentTime) {
+  const existing = getBot(userId, id);
+  if (!existing) {
+    return { success: false, status: 404, error: 'Bot not found' };
+  }
+
+  const check = validateBotParams({ ...existing, ...params });
+  if (!check.valid) {
+    return { success: false, status: 400, error: check.error };
+  }
+
+  const b = check.bot;
+  dbModule.updateTradingBot.run(
+    b.name,
+    b.code,
+    b.trigger,
+    JSON.stringify(b.symbols),
+    b.timeLimitMs,
+    b.maxOrdersPerRun,
+    currentTime.toISOString(),
+    id,
+    userId
+  );
+  sandboxes.delete(id);
+
+  return { success: true, bot: getBot(userId, id) };
+}
+
+/**
+ * Switch a bot on or off
+ * @param {number} userId - Player id
+ * @param {number} id - Bot id
+ * @param {boolean} enabled - New setting
+ * @param {Date} currentTime - Current game time
+ * @returns {Object} { success, bot } or { success, error, status }
+ */
+function setBotEnabled(userId, id, enabled, currentTime) {
+  const existing = getBot(userId, id);
+  if (!existing) {
+    return { success: false, status: 404, error: 'Bot not found' };
+  }
+
+  dbModule.setTradingBotEnabled.run(enabled ? 1 : 0, enabled ? null : existing.lastError, id);
+  const sandbox = sandboxes.get(id);
+  if (sandbox) {
+    sandbox.consecutiveFailures = 0;
+  }
+  addLog(id, 'info', enabled ? 'Bot enabled' : 'Bot disabled', currentTime);
+
+  return { success: true, bot: getBot(userId, id) };
+}
+
+/**
+ * Delete a bot along with its sandbox and logs
+ * @param {number} userId - Player id
+ * @param {number} id - Bot id
+ * @returns {boolean} True if a bot was deleted
+ */
+function deleteBot(userId, id) {
+  const result = dbModule.deleteTradingBot.run(userId, id);
+  sandboxes.delete(id);
+  botLogs.delete(id);
+  return result.changes > 0;
+}
+
+/**
+ * Append a line to a bot's log
+ * @param {number} botId - Bot id
+ * @param {string} level - 'info', 'order' or 'error'
+ * @param {string} message - Log line
+ * @param {Date} gameTime - Game time of the entry
+ */
+function addLog(botId, level, message, gameTime) {
+  if (!botLogs.has(botId)) {
+    botLogs.set(botId, { nextId: 1, entries: [] });
+  }
+  const log = botLogs.get(botId);
+  log.entries.push({ id: log.nextId++, gameTime: gameTime.toISOString(), level, message });
+  if (log.entries.length > MAX_LOG_ENTRIES) {
+    log.entries.shift();
+  }
+}
+
+/**
+ * Get a bot's recent log lines
+ * @param {number} botId - Bot id
+ * @param {number} afterId - Only return entries newer than this id (0 for all)
+ * @returns {Array} Log entries, oldest first
+ */
+function getLogs(botId, afterId = 0) {
+  const log = botLogs.get(botId);
+  return log ? log.entries.filter(entry => entry.id > afterId) : [];
+}
+
+// Build a fresh context and load the bot's code into it
+function loadSandbox(bot) {
+  const context = vm.createContext(Object.create(null), {
+    name: `bot-${bot.id}`,
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  const sandbox = { context, version: bot.updatedAt, consecutiveFailures: 0, runs: 0, totalRunMs: 0, loadError: null };
+
+  try {
+    BOOTSTRAP.runInContext(context, { timeout: MAX_TIME_LIMIT_MS });
+    const script = new vm.Script(
+      `try {\n__bot = (function () {\n${bot.code}\n;return typeof run === 'function' ? run : null;\n})();\n} catch (error) { __loadError = __describe(error); }`,
+      { filename: `bot-${bot.id}.js`, lineOffset: -2 }
+    );
+    script.runInContext(context, { timeout: bot.timeLimitMs });
+    sandbox.loadError = vm.runInContext(
+      "__loadError || (__bot ? null : 'Bot code must define a function run(api)')",
+      context,
+      { timeout: bot.timeLimitMs }
+    );
+  } catch (error) {
+    sandbox.loadError = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      ? `Loading took longer than ${bot.timeLimitMs} ms`
+      : `Syntax error: ${error.message}`;
+  }
+
+  sandboxes.set(bot.id, sandbox);
+  return sandbox;
+}
+
+/**
+ * Run a bot once
+ * @param {Object} bot - Enabled bot (from getEnabledBots)
+ * @param {Object} input - Market and account data for the api (JSON-serializable):
+ *   { time, trigger, marketOpen, quotes, history, account, orders, news }
+ * @param {Date} gameTime - Game time of the run
+ * @returns {Object} { success, requests } or { success, error }; failures are logged and
+ *   disable the bot after MAX_CONSECUTIVE_FAILURES in a row
+ */
+function runBot(bot, input, gameTime) {
+  let sandbox = sandboxes.get(bot.id);
+  if (!sandbox || sandbox.version !== bot.updatedAt) {
+    sandbox = loadSandbox(bot);
+  }
+
+  let error = sandbox.loadError;
+  let output = null;
+  if (!error) {
+    sandbox.context.__input = JSON.stringify({ ...input, maxOrders: bot.maxOrdersPerRun });
+    const started = process.hrtime.bigint();
+    try {
+      const result = vm.runInContext('__execute(__input)', sandbox.context, { timeout: bot.timeLimitMs });
+      output = typeof result === 'string' ? JSON.parse(result) : { requests: [], logs: [], error: 'run(api) did not complete' };
+      error = output.error;
+    } catch (runError) {
+      error = runError.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+        ? `Run took longer than ${bot.timeLimitMs} ms`
+        : `Run failed: ${runError.message}`;
+    }
+    sandbox.runs++;
+    sandbox.totalRunMs += Number(process.hrtime.bigint() - started) / 1e6;
+  }
+
+  if (output) {
+    for (const line of output.logs) {
+      addLog(bot.id, 'info', line, gameTime);
+    }
+  }
+
+  if (error) {
+    sandbox.consecutiveFailures++;
+    addLog(bot.id, 'error', error, gameTime);
+    dbModule.updateTradingBotRun.run(gameTime.toISOString(), error, bot.id);
+    if (sandbox.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      dbModule.setTradingBotEnabled.run(0, error, bot.id);
+      addLog(bot.id, 'error', `Bot disabled after ${MAX_CONSECUTIVE_FAILURES} failed runs in a row`, gameTime);
+    }
+    return { success: false, error };
+  }
+
+  sandbox.consecutiveFailures = 0;
+  dbModule.updateTradingBotRun.run(gameTime.toISOString(), null, bot.id);
+  return { success: true, requests: output.requests };
+}
+
+module.exports = {
+  TRIGGERS,
+  MAX_CONSECUTIVE_FAILURES,
+  validateBotParams,
+  listBots,
+  getBot,
+  getEnabledBots,
+  createBot,
+  updateBot,
+  setBotEnabled,
+  deleteBot,
+  addLog,
+  getLogs,
+  runBot
+};
@@ -8,8 +8,13 @@
  * References:
  * - "On GARCH and Autoregressive Stochastic Volatility Approaches" (MDPI, 2025)
  * - "Understanding GARCH Models in Finance" (Stavrianos, 2024)
+ *
+ * Samplers take a random number generator and default to the game seed's
+ * stream (helpers/gameSeed), so runs with the same seed are reproducible.
  */
 
+const gameSeed = require('./gameSeed');
+
 /**
  * GARCH(1,1) Volatility Model
  * 
@@ -105,13 +110,14 @@ class GARCHModel {
    * @param {number} degreesOfFreedom - Lower = fatter tails (typical: 3-7)
    * @param {number} drift - Expected return (default: 0)
    * @param {number} maxReturn - Maximum absolute return (default: 0.12 for ±12%)
+   * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
    * @returns {number} Random return
    */
-  generateReturn(degreesOfFreedom = 5, drift = 0, maxReturn = 0.12) {
+  generateReturn(degreesOfFreedom = 5, drift = 0, maxReturn = 0.12, random = gameSeed.next) {
     const volatility = this.getCurrentVolatility();
     
     // Generate Student's t sample
-    const tSample = generateStudentT(degreesOfFreedom);
+    const tSample = generateStudentT(degreesOfFreedom, random);
     
     // Scale by volatility and add drift
     // Cap return at realistic levels to prevent unrealistic price movements
@@ -160,18 +166,19 @@ class GARCHModel {
  * better capturing extreme market events (crashes, spikes)
  * 
  * @param {number} degreesOfFreedom - Lower = fatter tails (typical: 3-7 for finance)
+ * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
  * @returns {number} Random sample from t-distribution
  */
-function generateStudentT(degreesOfFreedom = 5) {
+function generateStudentT(degreesOfFreedom = 5, random = gameSeed.next) {
   // Generate chi-squared variable (sum of squared normals)
   let chiSquared = 0;
   for (let i = 0; i < degreesOfFreedom; i++) {
-    const normal = generateStandardNormal();
+    const normal = generateStandardNormal(random);
     chiSquared += normal * normal;
   }
   
   // Generate standard normal
-  const z = generateStandardNormal();
+  const z = generateStandardNormal(random);
   
   // Student's t = Z / sqrt(ChiSquared / df)
   return z / Math.sqrt(chiSquared / degreesOfFreedom);
@@ -183,9 +190,10 @@ function generateStudentT(degreesOfFreedom = 5) {
  * More flexible tail behavior than Student's t
  * 
  * @param {number} nu - Shape parameter (nu < 2: fat tails, nu = 2: normal, nu > 2: thin tails)
+ * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
  * @returns {number} Random sample from GED
  */
-function generateGED(nu = 1.5) {
+function generateGED(nu = 1.5, random = gameSeed.next) {
   // Gamma function approximation
   const gamma = (x) => {
     // Stirling's approximation for gamma function
@@ -202,10 +210,10 @@ function generateGED(nu = 1.5) {
   );
   
   // Generate exponential random variable
-  const e = -Math.log(Math.random());
+  const e = -Math.log(1 - random());
   
   // Random sign
-  const sign = Math.random() < 0.5 ? -1 : 1;
+  const sign = random() < 0.5 ? -1 : 1;
   
   // GED sample
   return sign * Math.pow(e / lambda, 1/nu);
@@ -215,11 +223,12 @@ function generateGED(nu = 1.5) {
  * Generate standard normal random variable
  * Using Box-Muller transform
  * 
+ * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
  * @returns {number} Random sample from N(0,1)
  */
-function generateStandardNormal() {
-  const u1 = Math.random();
-  const u2 = Math.random();
+function generateStandardNormal(random = gameSeed.next) {
+  const u1 = 1 - random(); // (0, 1], keeps the log finite
+  const u2 = random();
   
   // Box-Muller transform
   return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
@@ -230,10 +239,11 @@ function generateStandardNormal() {
  * 
  * @param {number} mean - Mean of distribution
  * @param {number} stdDev - Standard deviation
+ * @param {Function} random - Uniform [0, 1) generator (default: the game seed's stream)
  * @returns {number} Random sample from N(mean, stdDev²)
  */
-function generateNormal(mean = 0, stdDev = 1) {
-  return mean + stdDev * generateStandardNormal();
+function generateNormal(mean = 0, stdDev = 1, random = gameSeed.next) {
+  return mean + stdDev * generateStandardNormal(random);
 }
 
 /**
@@ -0,0 +1,164 @@
+/**
+ * Wash Sales Module
+ *
+ * The wash-sale rule for stocks and index funds. A loss on a lot sold is
+ * disallowed, share for share, when the player buys the same stock, or the
+ * same or a substantially identical index fund, within 30 game days before or
+ * after the sale. The disallowed loss is added to the basis of the
+ * replacement lot, so it is recovered when that lot is sold.
+ *
+ * - Index funds are substantially identical when at least 80% of their
+ *   combined constituents are shared.
+ * - Each replacement share absorbs the loss of one share sold; lots keep
+ *   track in washSaleShares and disallowedLoss.
+ * - Sold lots (the records of taxLots.sellLots) keep washedShares and
+ *   disallowedLoss, and their allowed loss is gain + disallowedLoss.
+ *
+ * Usage:
+ *   const washSales = require('./helpers/washSales');
+ *   const washes = washSales.matchReplacements(sale.sold, lotsStillHeld, gameTime);
+ */
+
+const WASH_SALE_WINDOW_DAYS = 30;
+const IDENTICAL_FUND_OVERLAP = 0.8;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SHARE_EPSILON = 1e-9;
+
+/**
+ * Check whether two index funds are substantially identical
+ * @param {Object} fundA - Fund with symbol and constituents
+ * @param {Object} fundB - Fund with symbol and constituents
+ * @returns {boolean} True for the same fund or funds sharing most of their holdings
+ */
+function isSubstantiallyIdenticalFund(fundA, fundB) {
+  if (fundA.symbol === fundB.symbol) {
+    return true;
+  }
+  const holdings = new Set(fundA.constituents);
+  const shared = fundB.constituents.filter(symbol => holdings.has(symbol)).length;
+  const combined = holdings.size + fundB.constituents.length - shared;
+  return combined > 0 && shared / combined >= IDENTICAL_FUND_OVERLAP;
+}
+
+/**
+ * The wash-sale window around a sale
+ * @param {Date} saleDate - Game time of the sale
+ * @returns {Object} { start, end }: buying in between washes the sale's losses
+ */
+function getWashSaleWindow(saleDate) {
+  const time = new Date(saleDate).getTime();
+  return {
+    start: new Date(time - WASH_SALE_WINDOW_DAYS * MS_PER_DAY),
+    end: new Date(time + WASH_SALE_WINDOW_DAYS * MS_PER_DAY)
+  };
+}
+
+/**
+ * Check whether a purchase falls in the wash-sale window of a sale
+ * @param {Date} purchaseDate - Game time of the purchase
+ * @param {Date} saleDate - Game time of the sale
+ * @returns {boolean} True within 30 days either side
+ */
+function isInWashSaleWindow(purchaseDate, saleDate) {
+  const window = getWashSaleWindow(saleDate);
+  const time = new Date(purchaseDate).getTime();
+  return time >= window.start.getTime() && time <= window.end.getTime();
+}
+
+// Shares of a lot not yet used as a replacement
+function getReplacementShares(lot) {
+  return Math.max(lot.shares - (lot.washSaleShares || 0), 0);
+}
+
+/**
+ * Disallow the losses of lots sold against replacement lots bought in the
+ * sale's window. Updates both sides: the sold lots' washedShares and
+ * disallowedLoss, and the replacement lots' washSaleShares, disallowedLoss
+ * and pricePerShare (the disallowed loss spread over the lot).
+ * @param {Array} soldLots - Lots sold, from taxLots.sellLots
+ * @param {Array} replacementLots - Lots held of the same or an identical security
+ * @param {Date} saleDate - Game time of the sale
+ * @returns {Array} { lotId, replacementLotId, shares, disallowedLoss } for each match
+ */
+function matchReplacements(soldLots, replacementLots, saleDate) {
+  const candidates = replacementLots
+    .filter(lot => isInWashSaleWindow(lot.date, saleDate))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const washes = [];
+
+  for (const sold of soldLots) {
+    if (sold.gain >= 0) continue;
+    const lossPerShare = -sold.gain / sold.shares;
+
+    for (const lot of candidates) {
+      const unwashed = sold.shares - (sold.washedShares || 0);
+      if (unwashed <= SHARE_EPSILON) break;
+
+      const shares = Math.min(unwashed, getReplacementShares(lot));
+      if (shares <= SHARE_EPSILON) continue;
+      const disallowedLoss = shares * lossPerShare;
+
+      sold.washedShares = (sold.washedShares || 0) + shares;
+      sold.disallowedLoss = (sold.disallowedLoss || 0) + disallowedLoss;
+      lot.washSaleShares = (lot.washSaleShares || 0) + shares;
+      lot.disallowedLoss = (lot.disallowedLoss || 0) + disallowedLoss;
+      lot.pricePerShare += disallowedLoss / lot.shares;
+
+      washes.push({ lotId: sold.lotId, replacementLotId: lot.id, shares, disallowedLoss });
+    }
+  }
+
+  return washes;
+}
+
+/**
+ * Find lots that could be sold to harvest a loss
+ * @param {Array} lots - Lots held of one position
+ * @param {number} price - Current price per share
+ * @param {Array} replacementLots - Lots of the same or identical securities, including these
+ * @param {Date} currentDate - Game time
+ * @returns {Object|null} { lots, shares, harvestableLoss, washSaleWindow, recentPurchases,
+ *   washSaleFreeDate } or null without a loss; selling before washSaleFreeDate washes
+ *   the loss against recentPurchases, buying back inside washSaleWindow washes it too
+ */
+function findHarvestableLots(lots, price, replacementLots, currentDate) {
+  const lossLots = lots.filter(lot => lot.pricePerShare > price);
+  if (lossLots.length === 0) {
+    return null;
+  }
+
+  // Recent purchases that would absorb the loss: any lot bought inside the window, a
+  // losing one too, unless it is the only lot being sold
+  const recentPurchases = replacementLots.filter(lot =>
+    lossLots.some(lossLot => lossLot !== lot) &&
+    isInWashSaleWindow(lot.date, currentDate) && getReplacementShares(lot) > SHARE_EPSILON
+  );
+  const lastPurchase = recentPurchases.reduce((latest, lot) => Math.max(latest, new Date(lot.date).getTime()), 0);
+
+  return {
+    lots: lossLots.map(lot => ({
+      id: lot.id,
+      date: lot.date,
+      shares: lot.shares,
+      pricePerShare: lot.pricePerShare,
+      unrealizedLoss: lot.shares * (lot.pricePerShare - price)
+    })),
+    shares: lossLots.reduce((sum, lot) => sum + lot.shares, 0),
+    harvestableLoss: lossLots.reduce((sum, lot) => sum + lot.shares * (lot.pricePerShare - price), 0),
+    washSaleWindow: getWashSaleWindow(currentDate),
+    recentPurchases: recentPurchases.map(lot => ({ id: lot.id, date: lot.date, shares: getReplacementShares(lot) })),
+    washSaleFreeDate: lastPurchase > 0
+      ? new Date(lastPurchase + (WASH_SALE_WINDOW_DAYS + 1) * MS_PER_DAY)
+      : new Date(currentDate)
+  };
+}
+
+module.exports = {
+  WASH_SALE_WINDOW_DAYS,
+  IDENTICAL_FUND_OVERLAP,
+  isSubstantiallyIdenticalFund,
+  getWashSaleWindow,
+  isInWashSaleWindow,
+  matchReplacements,
+  findHarvestableLots
+};
@@ -140,6 +140,54 @@ function applyEraTheme(year) {
     return era;
 }
 
+// Stock prices before decimalization were quoted in fractions of a dollar:
+// eighths, then sixteenths from June 24, 1997, pennies from January 29, 2001.
+// The eras are TICK_SIZE_ERAS of data/tick-sizes.js, and are read the same way:
+// game dates from the API are ISO strings whose UTC fields hold the game's
+// New York time, so era starts are UTC midnights.
+const PRICE_DENOMINATOR_ERAS = [
+    { from: '1970-01-01', denominator: 8 },
+    { from: '1997-06-24', denominator: 16 },
+    { from: '2001-01-29', denominator: null } // Decimalization
+];
+
+function getPriceDenominator(gameDate) {
+    const time = new Date(gameDate).getTime();
+    let denominator = PRICE_DENOMINATOR_ERAS[0].denominator;
+    for (const era of PRICE_DENOMINATOR_ERAS) {
+        if (time >= Date.parse(`${era.from}T00:00:00Z`)) {
+            denominator = era.denominator;
+        }
+    }
+    return denominator;
+}
+
+// Format a stock price as it was quoted on a game date, e.g. $121 3/8 or $121.38
+function formatStockPrice(price, gameDate) {
+    const denominator = gameDate ? getPriceDenominator(gameDate) : null;
+    if (!denominator) {
+        return `$${price.toFixed(2)}`;
+    }
+    
+    let whole = Math.floor(price);
+    let numerator = Math.round((price - whole) * denominator);
+    let reduced = denominator;
+    if (numerator === denominator) {
+        whole++;
+        numerator = 0;
+    }
+    if (numerator === 0) {
+        return `$${whole}`;
+    }
+    
+    // 4/8 reads as 1/2, 6/16 as 3/8
+    while (numerator % 2 === 0) {
+        numerator /= 2;
+        reduced /= 2;
+    }
+    return whole > 0 ? `$${whole} ${numerator}/${reduced}` : `$${numerator}/${reduced}`;
+}
+
 // Helper function to escape HTML
 function escapeHtml(text) {
     const div = document.createElement('div');
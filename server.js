@@ -23,6 +23,10 @@ const economicIndicators = require('./data/economic-indicators');
 const bondsData = require('./data/bonds');
 const treasuryYields = require('./data/treasury-yields');
 const cryptoData = require('./data/cryptocurrencies');
+const futuresData = require('./data/futures');
+const currencyData = require('./data/currencies');
+const exchangeData = require('./data/exchanges');
+const tickSizes = require('./data/tick-sizes');
 
 // Load helper modules
 const pauseHandler = require('./helpers/pauseHandler');
@@ -36,6 +40,24 @@ const dataRetention = require('./helpers/dataRetention');
 const bondManager = require('./helpers/bondManager');
 const cryptoManager = require('./helpers/cryptoManager');
 const technicalIndicators = require('./helpers/technicalIndicators');
+const orderBook = require('./helpers/orderBook');
+const auth = require('./helpers/auth');
+const leaderboard = require('./helpers/leaderboard');
+const competition = require('./helpers/competition');
+const accountHistory = require('./helpers/accountHistory');
+const performanceAnalytics = require('./helpers/performanceAnalytics');
+const tradingBots = require('./helpers/tradingBots');
+const optionsManager = require('./helpers/optionsManager');
+const futuresManager = require('./helpers/futuresManager');
+const forexManager = require('./helpers/forexManager');
+const marketHours = require('./helpers/marketHours');
+const extendedHours = require('./helpers/extendedHours');
+const marketDepth = require('./helpers/marketDepth');
+const marketImpact = require('./helpers/marketImpact');
+const gameSeed = require('./helpers/gameSeed');
+const taxLots = require('./helpers/taxLots');
+const washSales = require('./helpers/washSales');
+const taxReturn = require('./helpers/taxReturn');
 
 // Set up EJS as the view engine
 app.set('view engine', 'ejs');
@@ -48,7 +70,7 @@ app.use(express.json());
 // Whitelist of known pages to prevent open redirects
 const validPages = new Set([
   '/index', '/bank', '/trading', '/news', '/email', '/graphs', '/advanced-charts',
-  '/loans', '/bonds', '/crypto', '/taxes', '/cheat', '/indexfunds', '/indexfund', '/company', '/pendingorders', '/status'
+  '/loans', '/bonds', '/crypto', '/taxes', '/cheat', '/indexfunds', '/indexfund', '/company', '/pendingorders', '/status', '/login', '/leaderboard', '/bots', '/options', '/futures', '/forex'
 ]);
 
 app.use((req, res, next) => {
@@ -64,33 +86,84 @@ app.use((req, res, next) => {
 
 app.use(express.static('public'));
 
+// Resolve the logged-in player from the session cookie and bind their account
+app.use((req, res, next) => {
+  req.user = auth.getSessionUser(auth.getSessionToken(req));
+  if (req.user) {
+    bindUserAccount(req.user.id);
+  }
+  next();
+});
+
+// API routes that read or change a player's own account
+const ACCOUNT_API_PREFIXES = [
+  '/api/account', '/api/trade', '/api/loans', '/api/margin', '/api/indexfunds/trade',
+  '/api/taxes', '/api/pendingorders', '/api/emails', '/api/debug', '/api/bonds', '/api/crypto',
+  '/api/competitions', '/api/analytics', '/api/bots', '/api/options', '/api/futures', '/api/forex',
+  '/api/game'
+];
+
+app.use((req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+  if (ACCOUNT_API_PREFIXES.some(prefix => req.path === prefix || req.path.startsWith(prefix + '/'))) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  // Pages need a player to show; send visitors to the login page
+  if (req.method === 'GET' && !req.path.startsWith('/api/') && req.path !== '/login') {
+    return res.redirect('/login');
+  }
+  next();
+});
+
+// Competition rules: cheats are locked for everyone, entrants may only trade allowed asset classes
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/api/')) {
+    return next();
+  }
+  
+  const contest = competition.getActiveCompetition();
+  if (!contest) {
+    return next();
+  }
+  
+  if (competition.isLockedEndpoint(req.path)) {
+    return res.status(403).json({ error: `Disabled while competition "${contest.name}" is running` });
+  }
+  
+  if (req.user && contest.entries.some(entry => entry.userId === req.user.id)) {
+    const assetClass = competition.classifyRequest(req.method, req.path, req.body);
+    if (assetClass && !contest.allowedAssets.includes(assetClass)) {
+      return res.status(403).json({ error: `${assetClass} trading is not allowed in competition "${contest.name}"` });
+    }
+  }
+  
+  next();
+});
+
 // Load game state from database
 const savedGameState = dbModule.getGameState.get();
 let gameTime = savedGameState ? new Date(savedGameState.game_time) : new Date('1970-01-01T09:30:00');
 let isPaused = savedGameState ? Boolean(savedGameState.is_paused) : true;
 let timeMultiplier = savedGameState ? savedGameState.time_multiplier : 3600;
+// Whether a scheduled event is running at its occurrence (see atOccurrence)
+let isRunningOccurrence = false;
+gameSeed.setSeed(savedGameState ? savedGameState.seed : gameSeed.DEFAULT_SEED);
+marketImpact.loadState(savedGameState && savedGameState.market_impact ? JSON.parse(savedGameState.market_impact) : null);
 
-// Stock market hours (NYSE)
-const MARKET_OPEN_HOUR = 9;
-const MARKET_OPEN_MINUTE = 30;
+// NYSE closing bell, used for daily closing prices
 const MARKET_CLOSE_HOUR = 16;
 const MARKET_CLOSE_MINUTE = 0;
 
-// Check if market is open
-function isMarketOpen(date) {
-  const day = date.getDay();
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  
-  // Weekend check
-  if (day === 0 || day === 6) return false;
-  
-  // Time check
-  const currentMinutes = hours * 60 + minutes;
-  const openMinutes = MARKET_OPEN_HOUR * 60 + MARKET_OPEN_MINUTE;
-  const closeMinutes = MARKET_CLOSE_HOUR * 60 + MARKET_CLOSE_MINUTE;
-  
-  return currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+// Check if an exchange is open (the NYSE unless another exchange is given)
+function isMarketOpen(date, exchangeId = exchangeData.HOME_EXCHANGE) {
+  return marketHours.isExchangeOpen(exchangeId, date);
+}
+
+// Exchange an order trades on: its stock's listing, or the home market for funds
+function getOrderExchange(order) {
+  return order.order_type === 'stock' ? stocks.getStockExchange(order.symbol) : exchangeData.HOME_EXCHANGE;
 }
 
 // Initialize centralized pause handler with loaded state
@@ -98,7 +171,11 @@ pauseHandler.setIsPaused(isPaused);
 
 // Initialize centralized tick handler
 tickHandler.initialize(gameTime, timeMultiplier, isMarketOpen);
+tickHandler.setExchanges(exchangeData.getExchangeIds());
 tickHandler.setProcessPendingOrdersCallback(processPendingOrders);
+tickHandler.setEvaluateOrdersCallback(handleMarketTick);
+tickHandler.setOnMarketOpenCallback(handleMarketOpen);
+tickHandler.setOnMarketCloseCallback(handleMarketClose);
 
 // Keep server gameTime in sync with tick handler
 tickHandler.setOnTimeAdvancedCallback((oldTime, newTime) => {
@@ -110,6 +187,7 @@ console.log(`Loaded game state from database:`);
 console.log(`  Game time: ${gameTime.toISOString()}`);
 console.log(`  Is paused: ${isPaused}`);
 console.log(`  Time multiplier: ${timeMultiplier}`);
+console.log(`  Seed: ${gameSeed.getSeed()}`);
 
 // Initialize rebalancing configurations for all index funds
 indexFundRebalancing.initializeRebalancingConfigs(indexFunds.indexFunds, gameTime);
@@ -119,6 +197,12 @@ console.log('Index fund rebalancing configurations initialized');
 corporateEvents.initializeCorporateEvents();
 console.log('Corporate events initialized');
 
+// Drop login sessions that expired while the server was down
+const expiredSessions = auth.pruneExpiredSessions();
+if (expiredSessions > 0) {
+  console.log(`Removed ${expiredSessions} expired session(s)`);
+}
+
 // Save game state to database periodically (every 5 seconds)
 function saveGameState() {
   try {
@@ -134,8 +218,10 @@ function saveGameState() {
       savedState.last_dividend_quarter,
       savedState.last_monthly_fee_check,
       savedState.last_inflation_check,
-      savedState.cumulative_inflation
+      cumulativeInflation,
+      gameSeed.getSeed()
     );
+    dbModule.updateMarketImpactState.run(JSON.stringify(marketImpact.getState()));
   } catch (error) {
     console.error('Error saving game state:', error);
   }
@@ -157,83 +243,647 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-// Process pending orders when market opens
-function processPendingOrders() {
-  // Get current game time from tick handler
-  const currentGameTime = tickHandler.getGameTime();
-  
-  const pendingOrders = dbModule.getPendingOrders.all('pending');
-  
-  if (pendingOrders.length === 0) return;
-  
-  console.log(`Processing ${pendingOrders.length} pending orders...`);
-  
-  for (const order of pendingOrders) {
-    try {
-      let success = false;
-      let executionPrice = null;
-      let errorMessage = null;
+// Process pending orders when an exchange opens (every exchange if none is given)
+function processPendingOrders(exchangeId = null) {
+  restoringUserBinding(() => {
+    // Get current game time from tick handler
+    const currentGameTime = tickHandler.getGameTime();
+    
+    // Drop GTD orders whose deadline passed while the market was closed
+    expireLapsedOrders(currentGameTime);
+    
+    // Conditional orders (limit, stop, etc.) are evaluated every tick by processConditionalOrders
+    const pendingOrders = dbModule.getPendingOrders.all('pending')
+      .filter(order => !order.price_type || order.price_type === 'market')
+      .filter(order => !exchangeId || getOrderExchange(order) === exchangeId);
+    
+    if (pendingOrders.length === 0) return;
+    
+    console.log(`Processing ${pendingOrders.length} pending orders...`);
+    
+    for (const order of pendingOrders) {
+      // Skip orders cancelled earlier in this pass by their order group
+      if (dbModule.getPendingOrder.get(order.id).status !== 'pending') {
+        continue;
+      }
       
-      if (order.order_type === 'stock') {
-        const stockPrice = stocks.getStockPrice(order.symbol, currentGameTime, timeMultiplier, isPaused);
-        if (!stockPrice) {
-          errorMessage = 'Stock not found or not available';
-        } else {
-          executionPrice = stockPrice.price;
-          // Execute the order using the same logic as the trade endpoint
-          // We'll need to pass the order details to a helper function
-          const result = executeStockOrder(order.symbol, order.action, order.shares, stockPrice);
-          success = result.success;
-          errorMessage = result.error;
-        }
-      } else if (order.order_type === 'indexfund') {
-        const fund = indexFunds.indexFunds.find(f => f.symbol === order.symbol);
-        if (!fund) {
-          errorMessage = 'Index fund not found';
-        } else {
-          const fundPrice = indexFunds.calculateIndexPrice(fund, currentGameTime, timeMultiplier, isPaused);
-          if (!fundPrice) {
-            errorMessage = 'Unable to calculate fund price';
+      // Fill the order against its owner's account
+      bindUserAccount(order.user_id);
+      
+      try {
+        let success = false;
+        let executionPrice = null;
+        let errorMessage = null;
+        
+        if (order.order_type === 'stock') {
+          const stockPrice = stocks.getStockPrice(order.symbol, currentGameTime, timeMultiplier, isPaused);
+          if (!stockPrice) {
+            errorMessage = 'Stock not found or not available';
           } else {
-            executionPrice = fundPrice;
-            const result = executeIndexFundOrder(order.symbol, order.action, order.shares, fundPrice, fund);
+            // Execute the order using the same logic as the trade endpoint
+            const result = executeStockOrder(order.symbol, order.action, order.shares, stockPrice);
             success = result.success;
             errorMessage = result.error;
+            executionPrice = result.success ? result.executionPrice : stockPrice.price;
+          }
+        } else if (order.order_type === 'indexfund') {
+          const fund = indexFunds.indexFunds.find(f => f.symbol === order.symbol);
+          if (!fund) {
+            errorMessage = 'Index fund not found';
+          } else {
+            const fundPrice = indexFunds.calculateIndexPrice(fund, currentGameTime, timeMultiplier, isPaused);
+            if (!fundPrice) {
+              errorMessage = 'Unable to calculate fund price';
+            } else {
+              executionPrice = fundPrice;
+              const result = executeIndexFundOrder(order.symbol, order.action, order.shares, fundPrice, fund);
+              success = result.success;
+              errorMessage = result.error;
+            }
           }
         }
-      }
-      
-      // Update the order status
-      if (success) {
+        
+        // Update the order status
+        if (success) {
+          dbModule.updatePendingOrderStatus.run(
+            'executed',
+            currentGameTime.toISOString(),
+            executionPrice,
+            null,
+            order.id
+          );
+          console.log(`✓ Executed pending order #${order.id}: ${order.action} ${order.shares} ${order.symbol} at $${executionPrice}`);
+        } else {
+          dbModule.updatePendingOrderStatus.run(
+            'failed',
+            currentGameTime.toISOString(),
+            null,
+            errorMessage,
+            order.id
+          );
+          console.log(`✗ Failed to execute pending order #${order.id}: ${errorMessage}`);
+        }
+        settleOrderGroup(order, success);
+      } catch (error) {
+        console.error(`Error processing pending order #${order.id}:`, error);
         dbModule.updatePendingOrderStatus.run(
-          'executed',
+          'failed',
           currentGameTime.toISOString(),
-          executionPrice,
           null,
+          error.message,
           order.id
         );
-        console.log(`✓ Executed pending order #${order.id}: ${order.action} ${order.shares} ${order.symbol} at $${executionPrice}`);
-      } else {
+        settleOrderGroup(order, false);
+      }
+    }
+  });
+}
+
+// Evaluate limit, stop, stop-limit and trailing-stop orders against current prices
+// Called by the tick handler on every tick while any market is open; only
+// orders on exchanges that are trading right now are evaluated
+// Market-priced bracket entries placed during the session also fill here
+function processConditionalOrders(currentGameTime) {
+  restoringUserBinding(() => {
+    expireLapsedOrders(currentGameTime);
+    
+    const conditionalOrders = dbModule.getPendingOrders.all('pending')
+      .filter(order => order.order_type === 'stock' &&
+        ((order.price_type && order.price_type !== 'market') || order.group_role === 'parent'))
+      .filter(order => isMarketOpen(currentGameTime, getOrderExchange(order)));
+    
+    for (const order of conditionalOrders) {
+      // Skip orders cancelled earlier in this pass by their order group
+      if (dbModule.getPendingOrder.get(order.id).status !== 'pending') {
+        continue;
+      }
+      
+      // Fill the order against its owner's account
+      bindUserAccount(order.user_id);
+      
+      try {
+        // Halted symbols neither trigger nor fill
+        if (tradeHalts.isTradingHalted(currentGameTime, order.symbol).isHalted) {
+          continue;
+        }
+        
+        const stockPrice = stocks.getStockPrice(order.symbol, currentGameTime, timeMultiplier, isPaused);
+        if (!stockPrice) {
+          continue;
+        }
+        
+        const evaluation = orderBook.evaluateOrder(order, stockPrice.price, currentGameTime);
+        
+        if (evaluation.updates || evaluation.triggered) {
+          dbModule.updatePendingOrderTrigger.run(
+            evaluation.updates ? evaluation.updates.stopPrice : order.stop_price,
+            evaluation.updates ? evaluation.updates.trailReference : order.trail_reference,
+            evaluation.triggered ? currentGameTime.toISOString() : order.triggered_at,
+            order.id
+          );
+          if (evaluation.triggered) {
+            console.log(`Triggered ${order.price_type} order #${order.id}: ${order.action} ${order.shares} ${order.symbol} at $${stockPrice.price}`);
+          }
+        }
+        
+        if (!evaluation.shouldFill) {
+          continue;
+        }
+        
+        // Limit prices fill only as far into the book as the limit reaches; the rest
+        // of the order keeps working
+        const filledShares = order.filled_shares || 0;
+        const remainingShares = order.shares - filledShares;
+        const fillShares = order.limit_price === null
+          ? remainingShares
+          : getLimitFillableShares(order.symbol, order.action, remainingShares, stockPrice.price, order.limit_price);
+        if (fillShares <= 0) {
+          continue;
+        }
+        
+        const result = executeStockOrder(order.symbol, order.action, fillShares, stockPrice);
+        if (result.success) {
+          const totalFilled = filledShares + fillShares;
+          const averagePrice = ((order.execution_price || 0) * filledShares + result.executionPrice * fillShares) / totalFilled;
+          dbModule.updatePendingOrderFilledShares.run(totalFilled, order.id);
+          if (totalFilled < order.shares) {
+            dbModule.updatePendingOrderStatus.run('pending', null, averagePrice, null, order.id);
+            console.log(`✓ Partially filled ${order.price_type} order #${order.id}: ${order.action} ${fillShares} of ${order.shares} ${order.symbol} at $${result.executionPrice}`);
+            // Protect the shares bought so far while the rest of a bracket entry works
+            if (order.group_role === 'parent') {
+              activateExitOrders(order, totalFilled);
+            }
+            continue;
+          }
+          dbModule.updatePendingOrderStatus.run(
+            'executed',
+            currentGameTime.toISOString(),
+            averagePrice,
+            null,
+            order.id
+          );
+          console.log(`✓ Filled ${order.price_type} order #${order.id}: ${order.action} ${order.shares} ${order.symbol} at $${averagePrice}`);
+        } else {
+          dbModule.updatePendingOrderStatus.run(
+            'failed',
+            currentGameTime.toISOString(),
+            order.execution_price,
+            result.error,
+            order.id
+          );
+          console.log(`✗ Failed to fill ${order.price_type} order #${order.id}: ${result.error}`);
+        }
+        settleOrderGroup(order, result.success);
+      } catch (error) {
+        console.error(`Error evaluating conditional order #${order.id}:`, error);
         dbModule.updatePendingOrderStatus.run(
           'failed',
           currentGameTime.toISOString(),
           null,
-          errorMessage,
+          error.message,
           order.id
         );
-        console.log(`✗ Failed to execute pending order #${order.id}: ${errorMessage}`);
+        settleOrderGroup(order, false);
       }
-    } catch (error) {
-      console.error(`Error processing pending order #${order.id}:`, error);
-      dbModule.updatePendingOrderStatus.run(
-        'failed',
-        currentGameTime.toISOString(),
-        null,
-        error.message,
-        order.id
-      );
     }
+  });
+}
+
+// Keep bracket/OCO groups consistent after one of their orders closes.
+// A parent that filled, even partly, releases its exit orders sized to the shares
+// it bought, a filled exit cancels its sibling (one-cancels-other), and any order
+// closing unfilled cancels the rest.
+function settleOrderGroup(order, filled) {
+  if (!order.group_id) {
+    return;
+  }
+  
+  if (order.group_role === 'parent') {
+    const filledShares = filled ? order.shares : (dbModule.getPendingOrder.get(order.id).filled_shares || 0);
+    if (filledShares > 0) {
+      activateExitOrders(order, filledShares);
+      return;
+    }
+  }
+  
+  const reason = filled
+    ? `One-cancels-other: order #${order.id} filled`
+    : `Order group closed: order #${order.id} did not fill`;
+  cancelOrderGroup(order.group_id, order.id, reason);
+}
+
+// Release a bracket's exit orders, or resize released ones, to cover the shares
+// its parent has bought so far
+function activateExitOrders(parent, shares) {
+  const activated = dbModule.activateChildOrders.run(shares, parent.id);
+  console.log(`Activated ${activated.changes} exit order(s) for ${shares} shares of bracket #${parent.group_id}`);
+}
+
+// Cancel every open order in a group except the given one
+// Returns the ids of the orders that were cancelled
+function cancelOrderGroup(groupId, excludeId, reason) {
+  const cancelled = [];
+  
+  for (const member of dbModule.getOpenGroupOrders.all(groupId)) {
+    if (member.id === excludeId) {
+      continue;
+    }
+    dbModule.updatePendingOrderStatus.run(
+      'cancelled',
+      gameTime.toISOString(),
+      member.execution_price,
+      reason,
+      member.id
+    );
+    cancelled.push(member.id);
+  }
+  
+  return cancelled;
+}
+
+// Cancel one of a player's open orders, along with the rest of its bracket/OCO group
+function cancelPlayerOrder(orderId, userId, reason) {
+  const order = dbModule.getPendingOrder.get(orderId);
+  
+  // Other players' orders are reported as missing
+  if (!order || order.user_id !== userId) {
+    return { success: false, status: 404, error: 'Order not found' };
+  }
+  
+  if (order.status !== 'pending' && order.status !== 'held') {
+    return {
+      success: false,
+      status: 400,
+      error: `Cannot cancel order with status '${order.status}'. Only pending orders can be cancelled.`
+    };
+  }
+  
+  dbModule.updatePendingOrderStatus.run('cancelled', gameTime.toISOString(), order.execution_price, reason, orderId);
+  
+  const cancelledGroupOrders = order.group_id
+    ? cancelOrderGroup(order.group_id, orderId, `Cancelled with order #${orderId}`)
+    : [];
+  
+  return { success: true, cancelledGroupOrders };
+}
+
+// Mark a resting order as expired and notify the player by email
+function expirePendingOrder(order, reason, expiredAt) {
+  // Another order in its group may have already closed it
+  const current = dbModule.getPendingOrder.get(order.id);
+  if (current.status !== 'pending') {
+    return;
+  }
+  
+  dbModule.updatePendingOrderStatus.run(
+    'expired',
+    expiredAt.toISOString(),
+    current.execution_price,
+    reason,
+    order.id
+  );
+  
+  const priceType = (order.price_type || 'market').replace('_', '-');
+  const filled = current.filled_shares
+    ? `partially filled, with ${current.filled_shares} of them filled at an average of $${current.execution_price.toFixed(2)}`
+    : 'without being filled';
+  let body = `Your ${order.time_in_force} ${priceType} order #${order.id} to ${order.action} ${order.shares} shares of ${order.symbol} has expired ${filled}.\n\n`;
+  body += `Reason: ${reason}\n`;
+  if (current.filled_shares && order.group_role === 'parent') {
+    body += `Its take-profit and stop-loss orders stay open for the ${current.filled_shares} shares filled.\n`;
+  }
+  if (order.limit_price) {
+    body += `Limit price: $${order.limit_price.toFixed(2)}\n`;
+  }
+  if (order.stop_price) {
+    body += `Stop price: $${order.stop_price.toFixed(2)}\n`;
+  }
+  body += `\nYou can place a new order from the trading page at any time.\n\n`;
+  body += `Order Desk`;
+  
+  dbModule.insertEmail.run(
+    order.user_id,
+    'orders@stockfake.com',
+    `${current.filled_shares ? 'Order Partially Filled and Expired' : 'Order Expired'}: ${order.action.toUpperCase()} ${order.shares} ${order.symbol}`,
+    body,
+    expiredAt.toISOString(),
+    'order_expired'
+  );
+  
+  console.log(`Expired ${order.time_in_force} order #${order.id}: ${reason}`);
+  
+  settleOrderGroup(order, false);
+}
+
+// Expire GTD orders whose deadline has passed
+function expireLapsedOrders(currentGameTime) {
+  const pendingOrders = dbModule.getPendingOrders.all('pending');
+  
+  for (const order of pendingOrders) {
+    if (orderBook.isOrderExpired(order, currentGameTime)) {
+      const deadline = new Date(order.expires_at);
+      expirePendingOrder(order, `Good-til-date deadline ${deadline.toISOString().split('T')[0]} passed`, deadline);
+    }
+  }
+}
+
+// Expire DAY orders on every exchange whose trading day ended by a time. Each order
+// lapses at the first close of its exchange's trading day after it was placed, so
+// orders queued after a close stay pending for the next session.
+function expireDayOrders(closeTime) {
+  expireLapsedOrders(closeTime);
+  
+  for (const order of dbModule.getPendingOrders.all('pending')) {
+    if (order.time_in_force !== 'DAY') continue;
+    
+    const dayClose = marketHours.getNextDayClose(getOrderExchange(order), new Date(order.created_at));
+    if (dayClose && dayClose <= closeTime) {
+      expirePendingOrder(order, 'Day order not filled before market close', dayClose);
+    }
+  }
+}
+
+// Every tick while a market is open: fill triggered orders, then let trading bots
+// react while the home market trades
+function handleMarketTick(currentGameTime) {
+  processConditionalOrders(currentGameTime);
+  if (isMarketOpen(currentGameTime)) {
+    runTradingBots('tick', currentGameTime);
+  }
+}
+
+// Start of a session: trading bots follow the home market's open
+function handleMarketOpen(openTime, exchangeId) {
+  if (exchangeId === exchangeData.HOME_EXCHANGE) {
+    runTradingBots('open', openTime);
+  }
+}
+
+// End of session. A foreign exchange's close (not its lunch break) lapses DAY orders
+// right away while the clock ticks; the home market's daily routine runs on the
+// daily-close schedule instead
+function handleMarketClose(closeTime, exchangeId) {
+  if (exchangeId !== exchangeData.HOME_EXCHANGE && marketHours.hasClosedForDay(exchangeId, closeTime)) {
+    expireDayOrders(closeTime);
+  }
+}
+
+// The daily routine, however far a tick or a time skip jumps. Every day it lapses the
+// DAY orders of exchanges that have closed; on the home market's trading days it also
+// runs close bots, settles expiring options, marks futures to market, converts
+// retired currencies and records every player's closing account value.
+function runDailyClose(closeTime) {
+  if (!marketHours.isTradingDay(exchangeData.HOME_EXCHANGE, closeTime)) {
+    expireDayOrders(closeTime);
+    return;
+  }
+  
+  runTradingBots('close', closeTime);
+  expireDayOrders(closeTime);
+  processOptionExpirations(closeTime);
+  processFuturesSettlement(closeTime);
+  processCurrencyRedenominations(closeTime);
+  forEachUserAccount((userId) => {
+    const breakdown = calculateNetWorthBreakdown(closeTime);
+    breakdown.externalFlow = userAccount.externalFlows;
+    accountHistory.recordSnapshot(userId, closeTime, breakdown);
+    userAccount.externalFlows = 0;
+  });
+}
+
+// Create a bracket (entry + held exits) or OCO (paired exits) order group.
+// The group id is the parent's id for brackets and the first exit's id for OCO pairs.
+function placeOrderGroup(symbol, action, shares, orderParams, terms, bracket, stockPrice) {
+  const createdAt = gameTime.toISOString();
+  const expiresAt = terms.expiresAt ? terms.expiresAt.toISOString() : null;
+  let parentId = null;
+  
+  if (bracket.isEntry) {
+    let trailReference = null;
+    let stopPrice = orderParams.stopPrice;
+    if (orderParams.priceType === 'trailing_stop') {
+      trailReference = stockPrice.price;
+      stopPrice = orderBook.calculateTrailingStop(action, trailReference, orderParams.trailAmount, orderParams.trailPercent, gameTime);
+    }
+    
+    parentId = dbModule.insertTradeOrder.run(
+      currentUserId,
+      symbol,
+      action,
+      shares,
+      'stock',
+      createdAt,
+      'pending',
+      orderParams.priceType,
+      orderParams.limitPrice,
+      stopPrice,
+      orderParams.trailAmount,
+      orderParams.trailPercent,
+      trailReference,
+      terms.timeInForce,
+      expiresAt
+    ).lastInsertRowid;
+    dbModule.updatePendingOrderGroup.run(parentId, null, 'parent', parentId);
+  }
+  
+  // Bracket exits wait for the entry and then live until cancelled;
+  // OCO exits are active immediately and use the requested time in force
+  const exits = [];
+  if (bracket.takeProfit !== null) {
+    exits.push({ role: 'take_profit', priceType: 'limit', limitPrice: bracket.takeProfit, stopPrice: null });
+  }
+  if (bracket.stopLoss !== null) {
+    exits.push({ role: 'stop_loss', priceType: 'stop', limitPrice: null, stopPrice: bracket.stopLoss });
+  }
+  
+  let groupId = parentId;
+  const exitIds = {};
+  for (const exit of exits) {
+    const exitId = dbModule.insertTradeOrder.run(
+      currentUserId,
+      symbol,
+      bracket.exitAction,
+      shares,
+      'stock',
+      createdAt,
+      bracket.isEntry ? 'held' : 'pending',
+      exit.priceType,
+      exit.limitPrice,
+      exit.stopPrice,
+      null,
+      null,
+      null,
+      bracket.isEntry ? 'GTC' : terms.timeInForce,
+      bracket.isEntry ? null : expiresAt
+    ).lastInsertRowid;
+    
+    if (groupId === null) {
+      groupId = exitId;
+    }
+    dbModule.updatePendingOrderGroup.run(groupId, parentId, exit.role, exitId);
+    exitIds[exit.role] = exitId;
+  }
+  
+  return {
+    groupId,
+    parentId,
+    takeProfitOrderId: exitIds.take_profit || null,
+    stopLossOrderId: exitIds.stop_loss || null
+  };
+}
+
+// Execute an IOC or FOK order right away. IOC fills as many shares as it can,
+// FOK fills every share or none. The order is recorded in pending_orders as
+// executed or expired so it appears in the order history.
+function executeImmediateOrder(symbol, action, shares, orderParams, timeInForce, lotSelection) {
+  if (!isMarketOpen(gameTime, stocks.getStockExchange(symbol))) {
+    return { success: false, status: 400, error: `${timeInForce} orders can only be placed while the market is open` };
+  }
+  
+  const haltStatus = tradeHalts.isTradingHalted(gameTime, symbol);
+  if (haltStatus.isHalted) {
+    return { success: false, status: 400, error: `Trading is currently halted: ${haltStatus.reason}` };
+  }
+  
+  if (userAccount.lastTradeTime[symbol]) {
+    const timeSinceLastTrade = gameTime.getTime() - userAccount.lastTradeTime[symbol].getTime();
+    if (timeSinceLastTrade < TRADE_COOLDOWN_MS) {
+      const remainingCooldown = Math.ceil((TRADE_COOLDOWN_MS - timeSinceLastTrade) / 60000);
+      return { success: false, status: 400, error: `Please wait ${remainingCooldown} more minute(s) before trading ${symbol} again` };
+    }
+  }
+  
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  if (!stockPrice) {
+    return { success: false, status: 404, error: 'Stock not found' };
+  }
+  
+  let reason = null;
+  let fillShares = shares;
+  let executionPrice = null;
+  
+  const evaluation = orderBook.evaluateOrder({
+    action,
+    price_type: orderParams.priceType,
+    limit_price: orderParams.limitPrice,
+    stop_price: orderParams.stopPrice
+  }, stockPrice.price);
+  
+  if (!evaluation.shouldFill) {
+    reason = 'Price condition not met';
+  } else {
+    // Work out how many shares can actually be filled right now
+    let fillable = shares;
+    if (action === 'buy' || action === 'buy-margin') {
+      const availabilityCheck = shareAvailability.canPurchaseShares(symbol, shares);
+      if (!availabilityCheck.canPurchase) {
+        fillable = Math.floor(availabilityCheck.availableShares || 0);
+      }
+    } else if (action === 'sell') {
+      fillable = Math.min(shares, userAccount.portfolio[symbol] || 0);
+    } else if (action === 'cover') {
+      const shortPosition = userAccount.shortPositions[symbol];
+      fillable = Math.min(shares, shortPosition ? shortPosition.shares : 0);
+    }
+    if (orderParams.limitPrice !== null && orderParams.limitPrice !== undefined && fillable > 0) {
+      fillable = getLimitFillableShares(symbol, action, fillable, stockPrice.price, orderParams.limitPrice);
+    }
+    
+    if (fillable <= 0) {
+      reason = 'No shares available to fill';
+    } else if (fillable < shares && timeInForce === 'FOK') {
+      reason = `Only ${fillable} of ${shares} shares could be filled`;
+    } else {
+      fillShares = fillable;
+      const result = executeStockOrder(symbol, action, fillShares, stockPrice, { lotSelection });
+      if (result.success) {
+        executionPrice = result.executionPrice;
+      } else {
+        reason = result.error;
+      }
+    }
+  }
+  
+  const orderResult = dbModule.insertTradeOrder.run(
+    currentUserId,
+    symbol,
+    action,
+    shares,
+    'stock',
+    gameTime.toISOString(),
+    'pending',
+    orderParams.priceType,
+    orderParams.limitPrice,
+    orderParams.stopPrice,
+    null,
+    null,
+    null,
+    timeInForce,
+    null
+  );
+  const orderId = orderResult.lastInsertRowid;
+  
+  if (reason) {
+    dbModule.updatePendingOrderStatus.run('expired', gameTime.toISOString(), null, reason, orderId);
+    return { success: false, status: 400, error: `${timeInForce} order expired: ${reason}`, pendingOrderId: orderId };
+  }
+  
+  dbModule.updatePendingOrderStatus.run('executed', gameTime.toISOString(), executionPrice, null, orderId);
+  dbModule.updatePendingOrderFilledShares.run(fillShares, orderId);
+  
+  return {
+    success: true,
+    pendingOrderId: orderId,
+    filledShares: fillShares,
+    requestedShares: shares,
+    executionPrice
+  };
+}
+
+// Fill a market order in the stock's pre-market or after-hours session, at the
+// live price with the session's wider spread and thinner liquidity
+function executeExtendedHoursOrder(symbol, action, shares, session, lotSelection) {
+  const haltStatus = tradeHalts.isTradingHalted(gameTime, symbol);
+  if (haltStatus.isHalted) {
+    return { success: false, status: 400, error: `Trading is currently halted: ${haltStatus.reason}` };
+  }
+  
+  if (userAccount.lastTradeTime[symbol]) {
+    const timeSinceLastTrade = gameTime.getTime() - userAccount.lastTradeTime[symbol].getTime();
+    if (timeSinceLastTrade < TRADE_COOLDOWN_MS) {
+      const remainingCooldown = Math.ceil((TRADE_COOLDOWN_MS - timeSinceLastTrade) / 60000);
+      return { success: false, status: 400, error: `Please wait ${remainingCooldown} more minute(s) before trading ${symbol} again` };
+    }
+  }
+  
+  // The cached closing price would freeze the stock, so price off the live series
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused, true);
+  const availability = shareAvailability.getAvailableShares(symbol);
+  if (!stockPrice || !availability) {
+    return { success: false, status: 404, error: 'Stock not found' };
+  }
+  
+  const fill = extendedHours.getExtendedHoursFill(action, shares, stockPrice.price, session, availability.availableForTrading);
+  if (!fill.executable) {
+    return { success: false, status: 400, error: fill.reason, availableShares: fill.availableShares };
   }
+  
+  // Eighths until 1997-06-24, sixteenths until decimalization on 2001-01-29
+  const executionPrice = tickSizes.roundToTick(fill.price, gameTime);
+  const result = executeStockOrder(symbol, action, shares, { ...stockPrice, price: executionPrice }, { atPrice: true, lotSelection });
+  if (!result.success) {
+    return { success: false, status: 400, error: result.error };
+  }
+  
+  userAccount.lastTradeTime[symbol] = new Date(gameTime);
+  
+  return {
+    success: true,
+    executionPrice,
+    lastPrice: stockPrice.price,
+    spread: fill.spread,
+    priceImpact: fill.priceImpact
+  };
 }
 
 // Start centralized tick handler
@@ -245,8 +895,12 @@ app.get('/api/time', (req, res) => {
   res.json({
     currentTime: gameTime,
     isMarketOpen: isMarketOpen(gameTime),
+    openExchanges: exchangeData.getExchangeIds().filter(id => isMarketOpen(gameTime, id)),
+    marketHoliday: marketHours.getHoliday(exchangeData.HOME_EXCHANGE, gameTime),
+    tickSize: tickSizes.getTickSize(gameTime),
     isPaused,
     timeMultiplier,
+    seed: gameSeed.getSeed(),
     tradeHalt: haltStatus
   });
 });
@@ -270,6 +924,64 @@ app.post('/api/time/speed', (req, res) => {
   res.json({ timeMultiplier });
 });
 
+// Start a player over in the database: cancel their pending orders, delete the
+// positions and balances kept outside the in-memory account, and their history
+function resetUserGameData(userId, reason) {
+  dbModule.cancelUserPendingOrders.run(gameTime.toISOString(), reason, userId);
+  dbModule.deleteUserBondInterestPayments.run(userId);
+  dbModule.deleteUserBondHoldings.run(userId);
+  dbModule.deleteUserCryptoHoldings.run(userId);
+  dbModule.deleteUserOptionPositions.run(userId);
+  dbModule.deleteUserFuturesPositions.run(userId);
+  dbModule.deleteUserCurrencyBalances.run(userId);
+  dbModule.deleteUserCryptoTransactions.run(userId);
+  dbModule.deleteUserStakingRewards.run(userId);
+  dbModule.deleteUserTransactions.run(userId);
+  dbModule.deleteUserTaxes.run(userId);
+  dbModule.deleteUserFees.run(userId);
+  dbModule.deleteUserAccountSnapshots.run(userId);
+  dbModule.deleteUserLeaderboardSnapshots.run(userId);
+  dbModule.initializeUserAccount(userId);
+  dbModule.updateUserAccount.run(createUserAccount().cash, 750, userId);
+}
+
+// Start a new game on a seed (a fresh one if none is given). The clock and market are
+// shared, so every player starts over on the seed's market.
+app.post('/api/game/new', (req, res) => {
+  const seed = req.body.seed === undefined || req.body.seed === null ? gameSeed.generateSeed() : req.body.seed;
+  if (!gameSeed.isValidSeed(seed)) {
+    return res.status(400).json({ error: `Seed must be an integer from 0 to ${gameSeed.MAX_SEED}` });
+  }
+  
+  gameSeed.setSeed(seed);
+  stocks.clearPriceCache();
+  marketCrashSim.resetSimulation();
+  dynamicEventGenerator.resetGeneratorState();
+  marketImpact.reset();
+  news.resetDynamicNews();
+  
+  gameTime = new Date('1970-01-01T09:30:00Z');
+  tickHandler.setGameTime(gameTime);
+  cumulativeInflation = 1.0;
+  isPaused = false;
+  pauseHandler.setIsPaused(isPaused);
+  timeMultiplier = 3600;
+  tickHandler.setTimeMultiplier(timeMultiplier);
+  
+  // Nothing a player held, had pending or recorded in the old game carries into the new one
+  const resetUsers = dbModule.db.transaction(() => {
+    for (const user of dbModule.getAllUsers.all()) {
+      resetUserGameData(user.id, 'Cancelled: new game started');
+    }
+  });
+  resetUsers();
+  userAccounts.clear();
+  bindUserAccount(req.user.id);
+  saveGameState();
+  
+  res.json({ success: true, seed, currentTime: gameTime });
+});
+
 // Routes for different websites
 app.get('/bank', (req, res) => {
   res.render('bank');
@@ -343,6 +1055,73 @@ app.get('/', (req, res) => {
   res.render('index');
 });
 
+app.get('/leaderboard', (req, res) => {
+  res.render('leaderboard');
+});
+
+app.get('/bots', (req, res) => {
+  res.render('bots');
+});
+
+app.get('/options', (req, res) => {
+  res.render('options');
+});
+
+app.get('/futures', (req, res) => {
+  res.render('futures');
+});
+
+app.get('/forex', (req, res) => {
+  res.render('forex');
+});
+
+app.get('/login', (req, res) => {
+  if (req.user) {
+    return res.redirect('/');
+  }
+  res.render('login');
+});
+
+// Authentication API
+app.post('/api/auth/register', (req, res) => {
+  const { username, password } = req.body;
+  const result = auth.registerUser(username, password);
+
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  const token = auth.createSession(result.user.id);
+  res.setHeader('Set-Cookie', auth.buildSessionCookie(token));
+  res.status(201).json({ success: true, user: result.user });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const user = auth.authenticate(username, password);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const token = auth.createSession(user.id);
+  res.setHeader('Set-Cookie', auth.buildSessionCookie(token));
+  res.json({ success: true, user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(auth.getSessionToken(req));
+  res.setHeader('Set-Cookie', auth.buildClearedSessionCookie());
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  res.json(req.user);
+});
+
 app.get('/api/stocks', (req, res) => {
   const stockData = stocks.getStockData(gameTime, timeMultiplier, isPaused);
   
@@ -382,6 +1161,59 @@ app.get('/api/stocks/:symbol', (req, res) => {
   res.json(result);
 });
 
+// Bid/ask quote and simulated order book depth
+app.get('/api/stocks/:symbol/quote', (req, res) => {
+  const { symbol } = req.params;
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  
+  if (!stockPrice) {
+    return res.status(404).json({ error: 'Stock not found' });
+  }
+  
+  let shares = null;
+  if (req.query.shares !== undefined) {
+    shares = parseInt(req.query.shares, 10);
+    if (isNaN(shares) || shares <= 0) {
+      return res.status(400).json({ error: 'shares must be a positive whole number' });
+    }
+  }
+  
+  const quote = getStockQuote(symbol, stockPrice.price);
+  const result = {
+    symbol,
+    exchange: stockPrice.exchange,
+    ...quote,
+    depth: marketDepth.getDepth(quote),
+    asOf: gameTime
+  };
+  
+  // Average fill prices for an order of the given size, market impact included, to the tick
+  if (shares) {
+    const buy = marketDepth.walkBook(quote, 'buy', shares);
+    const sell = marketDepth.walkBook(quote, 'sell', shares);
+    const buyImpact = getOrderImpact(symbol, 'buy', shares);
+    const sellImpact = getOrderImpact(symbol, 'sell', shares);
+    result.estimatedFill = {
+      shares,
+      averageDailyVolume: buyImpact.averageDailyVolume,
+      buy: {
+        averagePrice: tickSizes.roundToTick(marketImpact.applyImpact(buy.averagePrice, buyImpact), gameTime),
+        worstPrice: buy.worstPrice,
+        levels: buy.levels,
+        marketImpact: buyImpact.temporary * 100
+      },
+      sell: {
+        averagePrice: tickSizes.roundToTick(marketImpact.applyImpact(sell.averagePrice, sellImpact), gameTime),
+        worstPrice: sell.worstPrice,
+        levels: sell.levels,
+        marketImpact: sellImpact.temporary * 100
+      }
+    };
+  }
+  
+  res.json(result);
+});
+
 // Helper function to add hourly sampling when insufficient data
 function addHourlySamplingIfNeeded(history, daysToFetch, dataFetcher) {
   if (history.length < 3 && daysToFetch <= 7) {
@@ -514,7 +1346,7 @@ app.get('/api/stocks/:symbol/ohlc', (req, res) => {
   }
   
   // Generate OHLC data from price data
-  const ohlcData = technicalIndicators.generateOHLC(priceHistory);
+  const ohlcData = technicalIndicators.generateOHLC(priceHistory, bar => gameSeed.createRandom('ohlc', symbol, bar.date));
   
   res.json(ohlcData);
 });
@@ -566,7 +1398,7 @@ app.get('/api/stocks/:symbol/indicators', (req, res) => {
   
   const prices = priceHistory.map(p => p.price);
   const dates = priceHistory.map(p => p.date);
-  const ohlcData = technicalIndicators.generateOHLC(priceHistory);
+  const ohlcData = technicalIndicators.generateOHLC(priceHistory, bar => gameSeed.createRandom('ohlc', symbol, bar.date));
   
   const result = { dates: dates };
   
@@ -659,6 +1491,19 @@ app.get('/api/market/events', (req, res) => {
   res.json(events);
 });
 
+// Simple market index: the average price of every listed stock
+function getMarketIndexValue(date) {
+  const allStocks = stocks.getStockData(date, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
+  if (allStocks.length === 0) {
+    return null;
+  }
+  return {
+    date: date.toISOString(),
+    value: allStocks.reduce((sum, s) => sum + s.price, 0) / allStocks.length,
+    count: allStocks.length
+  };
+}
+
 // Market index API for market overview charts
 app.get('/api/market/index', (req, res) => {
   const { days } = req.query;
@@ -668,47 +1513,24 @@ app.get('/api/market/index', (req, res) => {
   // Determine sampling interval based on time period
   const sampleInterval = getSamplingInterval(daysToFetch);
   
-  // Calculate simple market index based on average of all stocks
   for (let i = daysToFetch; i >= 0; i -= sampleInterval) {
     const date = new Date(gameTime.getTime() - (i * 24 * 60 * 60 * 1000));
-    const allStocks = stocks.getStockData(date, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
-    
-    if (allStocks.length > 0) {
-      const avgPrice = allStocks.reduce((sum, s) => sum + s.price, 0) / allStocks.length;
-      history.push({
-        date: date.toISOString(),
-        value: avgPrice,
-        count: allStocks.length
-      });
+    const point = getMarketIndexValue(date);
+    if (point) {
+      history.push(point);
     }
   }
   
   // Always include the most recent data point
   if (history.length === 0 || history[history.length - 1].date !== gameTime.toISOString()) {
-    const allStocks = stocks.getStockData(gameTime, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
-    if (allStocks.length > 0) {
-      const avgPrice = allStocks.reduce((sum, s) => sum + s.price, 0) / allStocks.length;
-      history.push({
-        date: gameTime.toISOString(),
-        value: avgPrice,
-        count: allStocks.length
-      });
+    const point = getMarketIndexValue(gameTime);
+    if (point) {
+      history.push(point);
     }
   }
   
   // If insufficient data, use hourly intervals for recent data
-  addHourlySamplingIfNeeded(history, daysToFetch, (date) => {
-    const allStocks = stocks.getStockData(date, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
-    if (allStocks.length > 0) {
-      const avgPrice = allStocks.reduce((sum, s) => sum + s.price, 0) / allStocks.length;
-      return {
-        date: date.toISOString(),
-        value: avgPrice,
-        count: allStocks.length
-      };
-    }
-    return null;
-  });
+  addHourlySamplingIfNeeded(history, daysToFetch, getMarketIndexValue);
   
   res.json(history);
 });
@@ -925,6 +1747,38 @@ app.get('/api/market/year-stats', (req, res) => {
   }
 });
 
+// Stock exchanges with their local time, sessions and next open/close
+app.get('/api/market/exchanges', (req, res) => {
+  const listings = {};
+  for (const stock of stocks.getStockData(gameTime, timeMultiplier, isPaused)) {
+    listings[stock.exchange] = (listings[stock.exchange] || 0) + 1;
+  }
+  
+  res.json({
+    currentTime: gameTime,
+    homeExchange: exchangeData.HOME_EXCHANGE,
+    exchanges: exchangeData.getExchangeIds().map(id => ({
+      ...marketHours.getExchangeStatus(id, gameTime),
+      listedStocks: listings[id] || 0
+    }))
+  });
+});
+
+// Holidays and special closures of an exchange (the NYSE by default) in a year
+app.get('/api/market/calendar', (req, res) => {
+  const exchangeId = typeof req.query.exchange === 'string' ? req.query.exchange.toUpperCase() : exchangeData.HOME_EXCHANGE;
+  if (!exchangeData.getExchange(exchangeId)) {
+    return res.status(404).json({ error: 'Exchange not found' });
+  }
+  
+  const year = req.query.year === undefined ? gameTime.getFullYear() : Number(req.query.year);
+  if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+    return res.status(400).json({ error: 'year must be a whole number between 1970 and 9999' });
+  }
+  
+  res.json(marketHours.getCalendar(exchangeId, year));
+});
+
 // Company information API
 app.get('/api/companies/:symbol', (req, res) => {
   const { symbol } = req.params;
@@ -953,42 +1807,168 @@ app.get('/api/news', (req, res) => {
   res.json(news.getNews(gameTime));
 });
 
-// User account (single global account for this single-player game)
-// In a multi-user environment, this would need to be per-session
-let userAccount = {
-  cash: 10000,
-  portfolio: {},
-  indexFundHoldings: {}, // Track index fund shares: {symbol: {shares, purchaseHistory}}
-  shortPositions: {}, // Track short positions (symbol: {shares, borrowPrice, borrowDate})
-  purchaseHistory: {}, // Track purchase prices for tax calculation
-  transactions: [], // History of all transactions
-  dividends: [], // History of dividend payments
-  taxes: [], // History of tax payments
-  fees: [], // History of fees charged
-  lastTradeTime: {}, // Track last trade time per symbol for cooldown
-  shareholderInfluence: {}, // Track voting power by company
-  creditScore: 750, // Starting credit score (fair)
-  loans: [], // Active loans: { id, companyId, principal, balance, interestRate, startDate, dueDate, lastPaymentDate, missedPayments, status }
-  loanHistory: [], // History of all loan activities
-  lastNegativeBalanceCheck: null, // Track last negative balance check
-  daysWithNegativeBalance: 0, // Track consecutive days with negative balance
-  marginAccount: {
-    marginBalance: 0, // Amount borrowed on margin
-    marginInterestRate: 0.08, // 8% annual interest on margin (historical rates varied)
-    lastMarginInterestDate: null, // Track last time interest was charged
-    marginCalls: [], // History of margin calls
-    hasMarginEnabled: false // Whether margin trading is enabled
-  },
-  riskControls: {
-    maxLeverage: 2.0, // Maximum leverage ratio (2:1 = 50% margin)
-    maxPositionSize: 0.30, // Max 30% of portfolio in single stock
-    maintenanceMarginRatio: 0.30, // Minimum 30% equity ratio to avoid margin call
-    concentrationWarningThreshold: 0.20 // Warn at 20% concentration
-  }
-};
+// Player accounts, keyed by user id. Accounts live in memory and are created
+// the first time a player makes a request after the server starts.
+const userAccounts = new Map();
+
+// The account being worked on: the caller's during a request (bound by the
+// session middleware) or each player's in turn inside periodic processors
+let currentUserId = null;
+let userAccount = null;
+
+// Create a fresh account with the starting balance
+function createUserAccount() {
+  return {
+    cash: 10000,
+    portfolio: {},
+    indexFundHoldings: {}, // Track index fund shares: {symbol: {shares, purchaseHistory}}
+    shortPositions: {}, // Track short positions (symbol: {shares, borrowPrice, borrowDate})
+    purchaseHistory: {}, // Tax lots by symbol: [{ id, date, shares, pricePerShare }]
+    taxLotMethod: taxLots.DEFAULT_LOT_METHOD, // Cost-basis method sales use unless overridden
+    nextLotId: 1, // Id of the next tax lot, shared by stocks and index funds
+    washSales: [], // Losses disallowed by the wash-sale rule and the lots they were added to
+    taxReturns: [], // Annual tax returns filed on Tax Day, oldest first
+    transactions: [], // History of all transactions
+    dividends: [], // History of dividend payments
+    taxes: [], // History of tax payments
+    fees: [], // History of fees charged
+    lastTradeTime: {}, // Track last trade time per symbol for cooldown
+    shareholderInfluence: {}, // Track voting power by company
+    creditScore: 750, // Starting credit score (fair)
+    loans: [], // Active loans: { id, companyId, principal, balance, interestRate, startDate, dueDate, lastPaymentDate, missedPayments, status }
+    loanHistory: [], // History of all loan activities
+    lastNegativeBalanceCheck: null, // Track last negative balance check
+    daysWithNegativeBalance: 0, // Track consecutive days with negative balance
+    externalFlows: 0, // Net worth added by debug cheats since the last daily snapshot
+    marginAccount: {
+      marginBalance: 0, // Amount borrowed on margin
+      marginInterestRate: 0.08, // 8% annual interest on margin (historical rates varied)
+      lastMarginInterestDate: null, // Track last time interest was charged
+      marginCalls: [], // History of margin calls
+      hasMarginEnabled: false // Whether margin trading is enabled
+    },
+    riskControls: {
+      maxLeverage: 2.0, // Maximum leverage ratio (2:1 = 50% margin)
+      maxPositionSize: 0.30, // Max 30% of portfolio in single stock
+      maintenanceMarginRatio: 0.30, // Minimum 30% equity ratio to avoid margin call
+      concentrationWarningThreshold: 0.20 // Warn at 20% concentration
+    }
+  };
+}
+
+// Tax lots the current account holds of a stock or index fund
+function getTaxLots(symbol, assetType) {
+  if (assetType === 'indexfund') {
+    const holding = userAccount.indexFundHoldings[symbol];
+    return holding ? holding.purchaseHistory : [];
+  }
+  return userAccount.purchaseHistory[symbol] || [];
+}
+
+// Whether buying one security washes a loss on another: the same stock, or
+// the same or a substantially identical index fund
+function isSubstantiallyIdentical(assetType, symbolA, symbolB) {
+  if (symbolA === symbolB) {
+    return true;
+  }
+  if (assetType !== 'indexfund') {
+    return false;
+  }
+  const fundA = indexFunds.indexFunds.find(f => f.symbol === symbolA);
+  const fundB = indexFunds.indexFunds.find(f => f.symbol === symbolB);
+  return Boolean(fundA && fundB && washSales.isSubstantiallyIdenticalFund(fundA, fundB));
+}
+
+// Lots that can replace a sale of a security under the wash-sale rule
+function getReplacementLots(symbol, assetType) {
+  if (assetType !== 'indexfund') {
+    return getTaxLots(symbol, 'stock');
+  }
+  return Object.keys(userAccount.indexFundHoldings)
+    .filter(other => isSubstantiallyIdentical('indexfund', symbol, other))
+    .flatMap(other => userAccount.indexFundHoldings[other].purchaseHistory);
+}
+
+// Keep a record of losses disallowed by the wash-sale rule
+function recordWashSales(symbol, assetType, saleDate, washes) {
+  for (const wash of washes) {
+    userAccount.washSales.push({
+      date: new Date(saleDate),
+      washedAt: new Date(gameTime),
+      symbol,
+      assetType,
+      ...wash
+    });
+  }
+}
+
+// Wash the losing lots of a sale against lots bought in the 30 days before it
+function washLossSale(symbol, assetType, soldLots) {
+  const washes = washSales.matchReplacements(soldLots, getReplacementLots(symbol, assetType), gameTime);
+  recordWashSales(symbol, assetType, gameTime, washes);
+}
+
+// Record a purchase as a new tax lot of the current account, washing the
+// losses of identical securities sold in the last 30 days against it
+function addTaxLot(symbol, assetType, shares, pricePerShare) {
+  if (assetType === 'stock' && !userAccount.purchaseHistory[symbol]) {
+    userAccount.purchaseHistory[symbol] = [];
+  }
+  const lot = {
+    id: userAccount.nextLotId++,
+    date: new Date(gameTime),
+    shares,
+    pricePerShare
+  };
+  getTaxLots(symbol, assetType).push(lot);
+  
+  const saleType = assetType === 'indexfund' ? 'sell-indexfund' : 'sell';
+  const windowStart = washSales.getWashSaleWindow(gameTime).start;
+  for (let i = userAccount.transactions.length - 1; i >= 0; i--) {
+    const tx = userAccount.transactions[i];
+    if (tx.date < windowStart) break;
+    if (tx.type === saleType && tx.lots && isSubstantiallyIdentical(assetType, tx.symbol, symbol)) {
+      recordWashSales(tx.symbol, assetType, tx.date, washSales.matchReplacements(tx.lots, [lot], tx.date));
+    }
+  }
+}
+
+// Point userAccount at a player's account, creating it on first use
+function bindUserAccount(userId) {
+  if (!userAccounts.has(userId)) {
+    userAccounts.set(userId, createUserAccount());
+  }
+  currentUserId = userId;
+  userAccount = userAccounts.get(userId);
+  return userAccount;
+}
+
+// Run a function that binds other players' accounts, then bind back the account
+// that was bound before, even if the function throws
+function restoringUserBinding(fn) {
+  const previousUserId = currentUserId;
+  try {
+    return fn();
+  } finally {
+    if (previousUserId !== null) {
+      bindUserAccount(previousUserId);
+    }
+  }
+}
+
+// Run a function once for every player's account
+function forEachUserAccount(fn) {
+  restoringUserBinding(() => {
+    for (const userId of userAccounts.keys()) {
+      bindUserAccount(userId);
+      fn(userId);
+    }
+  });
+}
 
 // Trading restrictions
 const TRADE_COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes cooldown between trades for same stock
+const RESTING_LOT_SELECTION_ERROR = 'Lot selection only applies to sells that fill immediately; orders that wait to fill sell with the default lot method';
 const MS_PER_DAY = 24 * 60 * 60 * 1000; // Milliseconds in a day
 
 // Margin trading constants
@@ -998,9 +1978,6 @@ const MAINTENANCE_MARGIN_REQUIREMENT = 0.30; // 30% maintenance margin (25% is t
 const MARGIN_CALL_GRACE_PERIOD_DAYS = 5; // Days to meet margin call before forced liquidation
 const MARGIN_INTEREST_RATE_BASE = 0.08; // 8% annual base rate on margin loans
 
-// Dividend processing constant
-const MAX_DIVIDEND_QUARTERS_TO_PROCESS = 40; // Safety limit: maximum quarters to process when catching up (prevents processing too many at once)
-
 // Tax rates (base rates - dynamic rates come from constants module)
 const SHORT_TERM_TAX_RATE = constants.SHORT_TERM_TAX_RATE;
 const LONG_TERM_TAX_RATE = constants.LONG_TERM_TAX_RATE;
@@ -1017,128 +1994,63 @@ const SHORT_BORROW_FEE_ANNUAL = 0.05; // 5% annual fee to borrow shares for shor
 const inflationRates = constants.inflationRates;
 const dividendRates = constants.dividendRates;
 
-let lastMonthlyFeeCheck = null;
-let lastInflationCheck = null;
-let lastWealthTaxCheck = null;
-let cumulativeInflation = 1.0; // Tracks purchasing power relative to 1970
-
-// Track last dividend payout
-let lastDividendQuarter = null;
+// Tracks purchasing power relative to 1970, compounded each January 1st
+let cumulativeInflation = savedGameState ? savedGameState.cumulative_inflation : 1.0;
 
-// Check and pay dividends (quarterly)
-function checkAndPayDividends() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
+// Pay quarterly dividends as each quarter begins (scheduled at quarter ends)
+function payQuarterlyDividends(quarterStart) {
+  const quarterYear = quarterStart.getFullYear();
+  const quarterKey = `${quarterYear}-Q${Math.floor(quarterStart.getMonth() / 3) + 1}`;
   
-  const currentDate = new Date(gameTime);
-  const currentQuarter = Math.floor(currentDate.getMonth() / 3);
-  const currentYear = currentDate.getFullYear();
-  const quarterKey = `${currentYear}-Q${currentQuarter + 1}`;
-  
-  // Handle potential skipped quarters when time advances rapidly
-  if (lastDividendQuarter !== quarterKey) {
-    // Parse the last quarter processed
-    let quartersToProcess = [];
-    
-    if (lastDividendQuarter) {
-      const lastMatch = lastDividendQuarter.match(/^(\d+)-Q(\d)$/);
-      if (lastMatch) {
-        const lastYear = parseInt(lastMatch[1]);
-        const lastQ = parseInt(lastMatch[2]);
-        
-        // Calculate quarters that were skipped
-        let checkYear = lastYear;
-        let checkQ = lastQ;
-        
-        while (true) {
-          // Advance to next quarter
-          checkQ++;
-          if (checkQ > 4) {
-            checkQ = 1;
-            checkYear++;
-          }
-          
-          const checkQuarterKey = `${checkYear}-Q${checkQ}`;
-          if (checkQuarterKey === quarterKey) {
-            quartersToProcess.push(checkQuarterKey);
-            break;
-          }
-          
-          quartersToProcess.push(checkQuarterKey);
-          
-          // Safety check: don't process more than MAX_DIVIDEND_QUARTERS_TO_PROCESS quarters
-          if (quartersToProcess.length > MAX_DIVIDEND_QUARTERS_TO_PROCESS) {
-            console.warn(`Too many skipped quarters detected (${quartersToProcess.length}). Only processing current quarter.`);
-            quartersToProcess = [quarterKey];
-            break;
-          }
+  forEachUserAccount(() => {
+    let totalDividends = 0;
+    const dividendDetails = [];
+    
+    // Calls worth more exercised than held through the dividend are exercised first
+    exerciseCallsBeforeDividend(quarterYear);
+    
+    for (const [symbol, shares] of Object.entries(userAccount.portfolio)) {
+      if (shares > 0) {
+        const dividendRate = constants.getDividendRate(symbol, quarterYear);
+        if (dividendRate > 0) {
+          const dividend = shares * dividendRate;
+          totalDividends += dividend;
+          dividendDetails.push({ symbol, shares, dividend });
         }
-      } else {
-        quartersToProcess = [quarterKey];
       }
-    } else {
-      // First dividend payment ever
-      quartersToProcess = [quarterKey];
     }
     
-    // Process all skipped quarters
-    for (const qKey of quartersToProcess) {
-      let totalDividends = 0;
-      const dividendDetails = [];
+    if (totalDividends > 0) {
+      // Get tax rates for the year
+      const taxRates = constants.getTaxRates(quarterYear);
+      const dividendTax = totalDividends * taxRates.dividendTaxRate;
+      const netDividends = totalDividends - dividendTax;
       
-      // Extract year from quarter key (e.g., "2025-Q1" -> 2025)
-      const quarterYear = parseInt(qKey.split('-')[0]);
+      userAccount.cash += netDividends;
       
-      for (const [symbol, shares] of Object.entries(userAccount.portfolio)) {
-        if (shares > 0) {
-          const dividendRate = constants.getDividendRate(symbol, quarterYear);
-          if (dividendRate > 0) {
-            const dividend = shares * dividendRate;
-            totalDividends += dividend;
-            dividendDetails.push({ symbol, shares, dividend });
-          }
-        }
-      }
+      // Record dividend payment
+      userAccount.dividends.push({
+        date: new Date(gameTime),
+        quarter: quarterKey,
+        grossAmount: totalDividends,
+        tax: dividendTax,
+        netAmount: netDividends,
+        details: dividendDetails
+      });
       
-      if (totalDividends > 0) {
-        // Get tax rates for the year
-        const taxRates = constants.getTaxRates(quarterYear);
-        const dividendTax = totalDividends * taxRates.dividendTaxRate;
-        const netDividends = totalDividends - dividendTax;
-        
-        userAccount.cash += netDividends;
-        
-        // Record dividend payment
-        userAccount.dividends.push({
+      // Record tax payment
+      if (dividendTax > 0) {
+        userAccount.taxes.push({
           date: new Date(gameTime),
-          quarter: qKey,
-          grossAmount: totalDividends,
-          tax: dividendTax,
-          netAmount: netDividends,
-          details: dividendDetails
+          type: 'dividend',
+          amount: dividendTax,
+          description: `Dividend tax for ${quarterKey}`
         });
-        
-        // Record tax payment
-        if (dividendTax > 0) {
-          userAccount.taxes.push({
-            date: new Date(gameTime),
-            type: 'dividend',
-            amount: dividendTax,
-            description: `Dividend tax for ${qKey}`
-          });
-        }
       }
     }
-    
-    // Update the last processed quarter
-    lastDividendQuarter = quarterKey;
-  }
+  });
 }
 
-// Call this periodically
-setInterval(checkAndPayDividends, 5000);
 
 // Rebalancing check interval (30 seconds)
 const REBALANCING_CHECK_INTERVAL_MS = 30000;
@@ -1190,7 +2102,7 @@ function checkStockSplits() {
       for (const split of result.splitsApplied) {
         console.log(`  - ${split.symbol}: ${split.ratio}:1 split ($${split.priceBeforeSplit.toFixed(2)} → $${split.priceAfterSplit.toFixed(2)})`);
         if (split.portfolioAffected) {
-          console.log(`    User portfolio adjusted`);
+          console.log(`    Player portfolios adjusted`);
         }
       }
     }
@@ -1210,7 +2122,10 @@ function checkCorporateEvents() {
   }
   
   try {
-    const processedEvents = corporateEvents.processCorporateEvents(gameTime);
+    const processedEvents = corporateEvents.processCorporateEvents(gameTime, (symbol) => {
+      const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+      return stockPrice ? stockPrice.price : null;
+    });
     if (processedEvents.length > 0) {
       console.log(`Processed ${processedEvents.length} corporate event(s) at ${gameTime.toISOString()}`);
     }
@@ -1239,79 +2154,51 @@ function getTradingFee(tradeValue, currentTime) {
   return flatFee + percentageFee;
 }
 
-// Check and charge monthly account fees
-function checkAndChargeMonthlyFee() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
+// Charge monthly account fees as each month begins
+function chargeMonthlyFees(monthStart) {
+  // Monthly fees started in the 1990s
+  if (monthStart.getFullYear() < 1990) {
     return;
   }
   
-  const currentDate = new Date(gameTime);
-  const currentMonth = `${currentDate.getFullYear()}-${currentDate.getMonth()}`;
-  
-  if (lastMonthlyFeeCheck !== currentMonth) {
-    lastMonthlyFeeCheck = currentMonth;
-    
-    // Monthly fees started in the 1990s
-    if (currentDate.getFullYear() >= 1990) {
-      // Charge fee if balance is below minimum
-      if (userAccount.cash < MINIMUM_BALANCE) {
-        userAccount.cash -= MONTHLY_ACCOUNT_FEE;
-        
-        userAccount.fees.push({
-          date: new Date(gameTime),
-          type: 'monthly-maintenance',
-          amount: MONTHLY_ACCOUNT_FEE,
-          description: `Monthly account maintenance fee (balance below $${MINIMUM_BALANCE})`
-        });
-      }
+  forEachUserAccount(() => {
+    // Charge fee if balance is below minimum
+    if (userAccount.cash < MINIMUM_BALANCE) {
+      userAccount.cash -= MONTHLY_ACCOUNT_FEE;
+      
+      userAccount.fees.push({
+        date: new Date(gameTime),
+        type: 'monthly-maintenance',
+        amount: MONTHLY_ACCOUNT_FEE,
+        description: `Monthly account maintenance fee (balance below $${MINIMUM_BALANCE})`
+      });
     }
-  }
+  });
 }
 
-// Track inflation and purchasing power
-function trackInflation() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
-  const currentYear = gameTime.getFullYear();
-  const yearKey = `${currentYear}`;
-  
-  const inflationRate = constants.getInflationRate(currentYear);
-  if (lastInflationCheck !== yearKey && inflationRate !== undefined) {
-    lastInflationCheck = yearKey;
-    
-    // Update cumulative inflation (compounds)
-    const annualInflationRate = inflationRate / 100;
-    cumulativeInflation *= (1 + annualInflationRate);
+// Compound a year of inflation into purchasing power on January 1st
+function trackInflation(yearStart) {
+  const inflationRate = constants.getInflationRate(yearStart.getFullYear());
+  if (inflationRate !== undefined) {
+    cumulativeInflation *= (1 + inflationRate / 100);
   }
 }
 
-// Assess and collect yearly wealth tax
-function assessWealthTax() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
+// Assess and collect yearly wealth tax on January 1st
+function assessWealthTax(yearStart) {
+  const currentYear = yearStart.getFullYear();
   
-  const currentYear = gameTime.getFullYear();
-  const yearKey = `${currentYear}`;
+  // Get dynamic tax rates for the current year
+  const taxRates = constants.getTaxRates(currentYear);
+  const wealthTaxRate = taxRates.wealthTaxRate;
+  const wealthTaxThreshold = taxRates.wealthTaxThreshold;
   
-  // Check once per year on January 1st
-  if (lastWealthTaxCheck !== yearKey) {
-    lastWealthTaxCheck = yearKey;
-    
-    // Get dynamic tax rates for the current year
-    const taxRates = constants.getTaxRates(currentYear);
-    const wealthTaxRate = taxRates.wealthTaxRate;
-    const wealthTaxThreshold = taxRates.wealthTaxThreshold;
-    
+  // Each player pays on their own net worth
+  forEachUserAccount(() => {
     // Calculate total net worth (cash + portfolio value - debts)
     const portfolioValue = calculatePortfolioValue();
     const marginDebt = userAccount.marginAccount.marginBalance;
-    
+  
     // Calculate total loan debt
     let totalLoanDebt = 0;
     for (const loan of userAccount.loans) {
@@ -1319,19 +2206,19 @@ function assessWealthTax() {
         totalLoanDebt += loan.balance;
       }
     }
-    
+  
     const netWorth = userAccount.cash + portfolioValue - marginDebt - totalLoanDebt;
-    
+  
     // Only apply wealth tax if net worth exceeds threshold
     if (netWorth > wealthTaxThreshold) {
       const taxableWealth = netWorth - wealthTaxThreshold;
       const wealthTax = taxableWealth * wealthTaxRate;
-      
+    
       // Check if user has sufficient cash to pay wealth tax
       if (userAccount.cash >= wealthTax) {
         // Deduct wealth tax from cash
         userAccount.cash -= wealthTax;
-        
+      
         // Record tax payment
         userAccount.taxes.push({
           date: new Date(gameTime),
@@ -1339,19 +2226,19 @@ function assessWealthTax() {
           amount: wealthTax,
           description: `Annual wealth tax for ${currentYear} (${(wealthTaxRate * 100).toFixed(2)}% on net worth above $${wealthTaxThreshold.toLocaleString()})`
         });
-        
+      
         console.log(`Wealth tax assessed for ${currentYear}: $${wealthTax.toFixed(2)} (Net worth: $${netWorth.toFixed(2)})`);
       } else {
         // User cannot pay - record as unpaid tax (could trigger penalties in future enhancement)
         console.log(`⚠️ Insufficient cash to pay wealth tax for ${currentYear}: $${wealthTax.toFixed(2)} (Cash: $${userAccount.cash.toFixed(2)})`);
-        
+      
         // Deduct whatever cash is available
         const partialPayment = userAccount.cash;
         const unpaidAmount = wealthTax - partialPayment;
-        
+      
         if (partialPayment > 0) {
           userAccount.cash = 0;
-          
+        
           userAccount.taxes.push({
             date: new Date(gameTime),
             type: 'wealth',
@@ -1359,7 +2246,7 @@ function assessWealthTax() {
             description: `Partial wealth tax payment for ${currentYear} (Unpaid: $${unpaidAmount.toFixed(2)})`
           });
         }
-        
+      
         // Record unpaid tax as a fee for tracking
         userAccount.fees.push({
           date: new Date(gameTime),
@@ -1369,21 +2256,206 @@ function assessWealthTax() {
         });
       }
     }
-  }
+  });
 }
 
-// Update short positions (charge borrowing fees)
-function updateShortPositions() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
-  const currentTime = new Date(gameTime);
-  
-  for (const [symbol, position] of Object.entries(userAccount.shortPositions)) {
-    if (position.shares > 0) {
-      const borrowDate = new Date(position.borrowDate);
+// Gains and losses the bound account realized in a year for its tax return: one per
+// lot sold (stocks, index funds and crypto), short sale covered, and option or futures
+// trade that closed contracts
+function getRealizedGains(year) {
+  const sales = [];
+  
+  for (const tx of userAccount.transactions) {
+    const dateSold = new Date(tx.date);
+    if (dateSold.getFullYear() !== year) continue;
+    
+    if ((tx.type === 'sell' || tx.type === 'sell-indexfund') && tx.lots) {
+      for (const lot of tx.lots) {
+        const adjustment = lot.disallowedLoss || 0;
+        sales.push({
+          description: `${Number(lot.shares.toFixed(4))} sh ${tx.symbol}`,
+          dateAcquired: lot.date,
+          dateSold,
+          proceeds: lot.proceeds,
+          costBasis: lot.costBasis,
+          adjustment,
+          gain: lot.gain + adjustment,
+          isLongTerm: lot.isLongTerm
+        });
+      }
+    } else if (tx.type === 'cover') {
+      sales.push({
+        description: `${tx.shares} sh ${tx.symbol} (short sale)`,
+        dateAcquired: null,
+        dateSold,
+        proceeds: tx.borrowPrice * tx.shares,
+        costBasis: tx.pricePerShare * tx.shares,
+        adjustment: 0,
+        gain: tx.profit,
+        isLongTerm: Boolean(tx.isLongTerm)
+      });
+    } else if (tx.type.startsWith('option-') && tx.realizedGain) {
+      sales.push({
+        description: `${tx.contracts} ${tx.symbol} ${tx.expiration} $${tx.strike} ${tx.optionType}`,
+        dateAcquired: null,
+        dateSold,
+        proceeds: null,
+        costBasis: null,
+        adjustment: 0,
+        gain: tx.realizedGain,
+        isLongTerm: Boolean(tx.isLongTerm)
+      });
+    } else if (tx.type.startsWith('futures-') && tx.realizedGain) {
+      // Section 1256 contracts split their gain 60/40 between the terms
+      const longTermShare = tx.longTermShare || 0;
+      const description = `${Math.abs(tx.contracts)} ${futuresManager.getContractCode(tx.symbol, tx.contractMonth)} futures`;
+      for (const [share, isLongTerm] of [[1 - longTermShare, false], [longTermShare, true]]) {
+        if (share > 0) {
+          sales.push({
+            description,
+            dateAcquired: null,
+            dateSold,
+            proceeds: null,
+            costBasis: null,
+            adjustment: 0,
+            gain: tx.realizedGain * share,
+            isLongTerm
+          });
+        }
+      }
+    }
+  }
+  
+  // Crypto trades are kept in the database, not on the account
+  for (const { symbol } of dbModule.getCryptoTransactionSymbols.all(currentUserId)) {
+    for (const sale of replayCryptoLots(symbol).sales) {
+      if (sale.date.getFullYear() !== year) continue;
+      
+      for (const lot of sale.sold) {
+        sales.push({
+          description: `${Number(lot.shares.toFixed(8))} ${symbol}`,
+          dateAcquired: lot.date,
+          dateSold: sale.date,
+          proceeds: lot.proceeds,
+          costBasis: lot.costBasis,
+          adjustment: 0,
+          gain: lot.gain,
+          isLongTerm: lot.isLongTerm
+        });
+      }
+    }
+  }
+  
+  return sales;
+}
+
+// Capital gains tax the bound account was charged on its trades in a year, crypto
+// sales included (their tax is recorded in the database)
+function getTaxWithheld(year) {
+  const isWithheld = tax => new Date(tax.date).getFullYear() === year && (tax.type === 'capital-gains' || tax.type === 'short-gains');
+  return userAccount.taxes.filter(isWithheld).reduce((sum, tax) => sum + tax.amount, 0) +
+    dbModule.getAllTaxes.all(currentUserId).filter(isWithheld).reduce((sum, tax) => sum + tax.amount, 0);
+}
+
+// Year of the bound account's first trade, Infinity before it has traded
+function getFirstTradeYear() {
+  const firstCrypto = dbModule.getFirstCryptoTransactionDate.get(currentUserId).date;
+  return userAccount.transactions.reduce(
+    (first, tx) => Math.min(first, new Date(tx.date).getFullYear()),
+    firstCrypto ? new Date(firstCrypto).getFullYear() : Infinity
+  );
+}
+
+// Losses carried into a year: those left on the year before's return, or when that
+// year was not filed, on its return as it stands (which carries its own year before in)
+function getCarryover(year, firstTradeYear) {
+  const prior = userAccount.taxReturns.find(filed => filed.year === year - 1);
+  if (prior) {
+    return prior.carryforward;
+  }
+  if (year - 1 < firstTradeYear) {
+    return { shortTerm: 0, longTerm: 0 };
+  }
+  return prepareTaxReturn(year - 1, firstTradeYear).carryforward;
+}
+
+// The bound account's return for a year as it stands
+function prepareTaxReturn(year, firstTradeYear = getFirstTradeYear()) {
+  return taxReturn.computeReturn(year, getRealizedGains(year), getCarryover(year, firstTradeYear), getTaxWithheld(year));
+}
+
+// File the bound account's return for a year, refunding or billing the difference from
+// the tax withheld on its trades. Returns the filed return, or null when there is
+// nothing to file or it was filed already.
+function fileTaxReturn(year) {
+  if (userAccount.taxReturns.some(filed => filed.year === year)) {
+    return null;
+  }
+  const prepared = prepareTaxReturn(year);
+  if (prepared.sales.length === 0 && prepared.taxWithheld === 0 &&
+      prepared.shortTerm.carryover + prepared.longTerm.carryover === 0) {
+    return null;
+  }
+  
+  const filed = { ...prepared, filedAt: new Date(gameTime) };
+  userAccount.taxReturns.push(filed);
+  
+  // A bill the account can't pay leaves it overdrawn for the account manager to settle
+  if (filed.amountDue !== 0) {
+    userAccount.cash -= filed.amountDue;
+    userAccount.taxes.push({
+      date: new Date(gameTime),
+      type: 'tax-return',
+      amount: filed.amountDue,
+      description: filed.amountDue > 0
+        ? `Capital gains tax owed on the ${year} tax return`
+        : `Capital gains tax refund on the ${year} tax return`
+    });
+  }
+  
+  const carriedForward = filed.carryforward.shortTerm + filed.carryforward.longTerm;
+  dbModule.insertEmail.run(
+    currentUserId,
+    'tax@stockfake.com',
+    `Your ${year} Tax Return`,
+    [
+      `Your ${year} tax return has been filed.`,
+      `Net capital ${filed.netGain >= 0 ? 'gain' : 'loss'}: $${Math.abs(filed.netGain).toFixed(2)}`,
+      `Tax: ${filed.tax < 0 ? '-' : ''}$${Math.abs(filed.tax).toFixed(2)}, withheld on your trades: $${filed.taxWithheld.toFixed(2)}`,
+      filed.amountDue > 0
+        ? `Amount owed: $${filed.amountDue.toFixed(2)} has been charged to your account.`
+        : `Refund: $${(-filed.amountDue).toFixed(2)} has been paid to your account.`,
+      ...(carriedForward > 0 ? [`Capital losses carried forward to ${year + 1}: $${carriedForward.toFixed(2)}`] : []),
+      `Download your Form 1099-B and Schedule D summary from the Tax Center.`
+    ].join('\n') + '\n\nTax Department',
+    gameTime.toISOString(),
+    'tax'
+  );
+  
+  return filed;
+}
+
+// Every player files a return for the year before on Tax Day
+function fileTaxReturns(taxDay) {
+  forEachUserAccount(() => fileTaxReturn(taxDay.getFullYear() - 1));
+}
+
+// Snapshot every player's net worth for the leaderboard at each month end
+function recordLeaderboardSnapshots(monthEnd) {
+  const endedPeriod = leaderboard.getPeriodKey(new Date(monthEnd.getTime() - 1));
+  
+  forEachUserAccount((userId) => {
+    leaderboard.recordSnapshot(userId, endedPeriod, gameTime, calculateNetWorth(), cumulativeInflation);
+  });
+}
+
+// Update short positions (charge borrowing fees)
+function updateShortPositions() {
+  const currentTime = new Date(gameTime);
+  
+  for (const [symbol, position] of Object.entries(userAccount.shortPositions)) {
+    if (position.shares > 0) {
+      const borrowDate = new Date(position.borrowDate);
       const daysSinceBorrow = (currentTime - borrowDate) / (1000 * 60 * 60 * 24);
       
       // Charge daily borrowing fee (annual rate / 365)
@@ -1408,25 +2480,13 @@ function updateShortPositions() {
   }
 }
 
-// Bond processing functions
-let lastBondInterestCheck = null;
-let lastBondMaturityCheck = null;
-
+// Bond processing functions, checked at every daily close so each coupon date
+// (six months after the last payment) and maturity is reached
 function checkBondInterestPayments() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
   try {
-    const currentCheck = `${gameTime.getFullYear()}-${gameTime.getMonth() + 1}`;
-    
-    if (lastBondInterestCheck !== currentCheck) {
-      const payments = bondManager.processInterestPayments(gameTime);
-      if (payments.length > 0) {
-        console.log(`Processed ${payments.length} bond interest payment(s)`);
-      }
-      lastBondInterestCheck = currentCheck;
+    const payments = bondManager.processInterestPayments(gameTime);
+    if (payments.length > 0) {
+      console.log(`Processed ${payments.length} bond interest payment(s)`);
     }
   } catch (error) {
     console.error('Error processing bond interest payments:', error);
@@ -1434,33 +2494,65 @@ function checkBondInterestPayments() {
 }
 
 function checkBondMaturities() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
   try {
-    const currentCheck = gameTime.toISOString().split('T')[0];
-    
-    if (lastBondMaturityCheck !== currentCheck) {
-      const maturedBonds = bondManager.processMaturities(gameTime);
-      if (maturedBonds.length > 0) {
-        console.log(`Processed ${maturedBonds.length} bond maturity/maturities`);
-      }
-      lastBondMaturityCheck = currentCheck;
+    const maturedBonds = bondManager.processMaturities(gameTime);
+    if (maturedBonds.length > 0) {
+      console.log(`Processed ${maturedBonds.length} bond maturity/maturities`);
     }
   } catch (error) {
     console.error('Error processing bond maturities:', error);
   }
 }
 
-// Call these periodically
-setInterval(checkAndChargeMonthlyFee, 10000);
-setInterval(trackInflation, 5000);
-setInterval(assessWealthTax, 5000);
-setInterval(updateShortPositions, 10000);
-setInterval(checkBondInterestPayments, 10000);
-setInterval(checkBondMaturities, 10000);
+// Run a scheduled event with the game clock at its occurrence, so what it records
+// is dated and priced when it happened rather than when a tick caught up with it
+function atOccurrence(handler) {
+  return (occurrenceTime) => {
+    const currentTime = gameTime;
+    const wasRunningOccurrence = isRunningOccurrence;
+    gameTime = occurrenceTime;
+    isRunningOccurrence = true;
+    try {
+      handler(occurrenceTime);
+    } finally {
+      gameTime = currentTime;
+      isRunningOccurrence = wasRunningOccurrence;
+    }
+  };
+}
+
+// Price a stock for valuing an account. A paused game or closed market quotes the latest
+// price from a cache, which is later than an occurrence a time skip caught up with, so
+// scheduled events read the price on their own date.
+function getValuationStockPrice(symbol, asOf) {
+  return isRunningOccurrence
+    ? stocks.getStockPrice(symbol, asOf, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL)
+    : stocks.getStockPrice(symbol, asOf, timeMultiplier, isPaused);
+}
+
+// Price an index fund for valuing an account, on the occurrence's date like getValuationStockPrice
+function getValuationFundPrice(symbol, asOf) {
+  const fund = indexFunds.indexFunds.find(f => f.symbol === symbol);
+  return isRunningOccurrence
+    ? indexFunds.calculateIndexPrice(fund, asOf, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL)
+    : indexFunds.calculateIndexPrice(fund, asOf);
+}
+
+// Calendar events run on game time. The tick handler fires each occurrence once,
+// in order, however far a tick or a time skip jumps. Occurrences at the same time
+// run in registration order: month-end snapshots see the month before the new
+// one's dividends, fees and taxes.
+const { RECURRENCES } = tickHandler;
+tickHandler.schedule('leaderboard snapshots', RECURRENCES.monthEnd, atOccurrence(recordLeaderboardSnapshots));
+tickHandler.schedule('dividends', RECURRENCES.quarterEnd, atOccurrence(payQuarterlyDividends));
+tickHandler.schedule('monthly fees', RECURRENCES.monthEnd, atOccurrence(chargeMonthlyFees));
+tickHandler.schedule('inflation', RECURRENCES.newYear, atOccurrence(trackInflation));
+tickHandler.schedule('wealth tax', RECURRENCES.newYear, atOccurrence(assessWealthTax));
+tickHandler.schedule('tax returns', RECURRENCES.taxDay, atOccurrence(fileTaxReturns));
+tickHandler.schedule('daily close', RECURRENCES.dailyClose, atOccurrence(runDailyClose));
+tickHandler.schedule('short borrow fees', RECURRENCES.dailyClose, atOccurrence(() => forEachUserAccount(updateShortPositions)));
+tickHandler.schedule('bond coupons', RECURRENCES.dailyClose, atOccurrence(checkBondInterestPayments));
+tickHandler.schedule('bond maturities', RECURRENCES.dailyClose, atOccurrence(checkBondMaturities));
 
 // Check and run data pruning periodically (every 5 minutes of real time)
 setInterval(() => {
@@ -1496,7 +2588,7 @@ function calculatePortfolioValue() {
   // Add individual stock positions
   for (const [symbol, shares] of Object.entries(userAccount.portfolio)) {
     if (shares > 0) {
-      const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+      const stockPrice = getValuationStockPrice(symbol, gameTime);
       if (stockPrice) {
         totalValue += stockPrice.price * shares;
       }
@@ -1506,10 +2598,7 @@ function calculatePortfolioValue() {
   // Add index fund positions
   for (const [symbol, holding] of Object.entries(userAccount.indexFundHoldings)) {
     if (holding.shares > 0) {
-      const fundPrice = indexFunds.calculateIndexPrice(
-        indexFunds.indexFunds.find(f => f.symbol === symbol),
-        gameTime
-      );
+      const fundPrice = getValuationFundPrice(symbol, gameTime);
       if (fundPrice) {
         totalValue += fundPrice * holding.shares;
       }
@@ -1526,6 +2615,91 @@ function calculateAccountEquity() {
   return totalEquity;
 }
 
+// Break down the account's value by asset class and liability
+function calculateNetWorthBreakdown(asOf = gameTime) {
+  const breakdown = {
+    cash: userAccount.cash,
+    stockValue: 0,
+    indexFundValue: 0,
+    bondValue: bondManager.getBondPortfolioStats(currentUserId, asOf).totalValue,
+    cryptoValue: 0,
+    optionValue: 0,
+    futuresValue: 0,
+    foreignCashValue: 0,
+    marginDebt: userAccount.marginAccount.marginBalance,
+    loanBalance: 0,
+    shortLiability: 0
+  };
+  
+  for (const [symbol, shares] of Object.entries(userAccount.portfolio)) {
+    if (shares > 0) {
+      const stockPrice = getValuationStockPrice(symbol, asOf);
+      if (stockPrice) {
+        breakdown.stockValue += stockPrice.price * shares;
+      }
+    }
+  }
+  
+  for (const [symbol, holding] of Object.entries(userAccount.indexFundHoldings)) {
+    if (holding.shares > 0) {
+      const fundPrice = getValuationFundPrice(symbol, asOf);
+      if (fundPrice) {
+        breakdown.indexFundValue += fundPrice * holding.shares;
+      }
+    }
+  }
+  
+  for (const holding of dbModule.getCryptoHoldings.all(currentUserId)) {
+    breakdown.cryptoValue += cryptoManager.getCryptoPrice(holding.symbol, asOf) * holding.quantity;
+  }
+  
+  // Written options count against net worth at what it would cost to buy them back
+  for (const position of dbModule.getOptionPositions.all(currentUserId)) {
+    const pricing = priceOptionPosition(position, asOf);
+    if (pricing) {
+      breakdown.optionValue += pricing.price * position.contracts * optionsManager.CONTRACT_SIZE;
+    }
+  }
+  
+  // Futures are settled into cash every close; only the move since then is still owed
+  for (const position of dbModule.getFuturesPositions.all(currentUserId)) {
+    const contract = futuresData.getFuturesContract(position.symbol);
+    const price = getFuturesPrice(contract, position.contract_month, asOf);
+    if (price) {
+      breakdown.futuresValue += futuresManager.getVariationMargin(position.settlement_price, price, position.contracts, contract.multiplier);
+    }
+  }
+  
+  for (const wallet of dbModule.getCurrencyBalances.all(currentUserId)) {
+    breakdown.foreignCashValue += forexManager.toUsd(wallet.balance, wallet.currency, asOf);
+  }
+  
+  for (const loan of userAccount.loans) {
+    if (loan.status === 'active') {
+      breakdown.loanBalance += loan.balance;
+    }
+  }
+  
+  // Short positions are owed back at today's price
+  for (const [symbol, position] of Object.entries(userAccount.shortPositions)) {
+    const stockPrice = getValuationStockPrice(symbol, asOf);
+    if (stockPrice) {
+      breakdown.shortLiability += stockPrice.price * position.shares;
+    }
+  }
+  
+  breakdown.netWorth = breakdown.cash + breakdown.foreignCashValue + breakdown.stockValue + breakdown.indexFundValue +
+    breakdown.bondValue + breakdown.cryptoValue + breakdown.optionValue + breakdown.futuresValue -
+    breakdown.marginDebt - breakdown.loanBalance - breakdown.shortLiability;
+  
+  return breakdown;
+}
+
+// Calculate total net worth across every asset class, less all debts
+function calculateNetWorth() {
+  return calculateNetWorthBreakdown().netWorth;
+}
+
 // Calculate buying power (how much can be purchased with margin)
 function calculateBuyingPower() {
   const initialMarginReq = getInitialMarginRequirement(gameTime);
@@ -1596,11 +2770,6 @@ function checkPositionConcentration(symbol) {
 
 // Process margin interest (charged daily)
 function processMarginInterest() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
   if (userAccount.marginAccount.marginBalance <= 0) return;
   
   const currentDate = new Date(gameTime);
@@ -1740,20 +2909,15 @@ function forceLiquidation() {
   }
 }
 
-// Call these periodically
-setInterval(processMarginInterest, 10000);
-setInterval(processMarginCalls, 10000);
+// Margin interest accrues at each daily close; margin calls are checked continuously
+tickHandler.schedule('margin interest', RECURRENCES.dailyClose, atOccurrence(() => forEachUserAccount(processMarginInterest)));
+setInterval(() => forEachUserAccount(processMarginCalls), 10000);
 
 // Loan processing functions
 let loanIdCounter = 1;
 
 // Process loan interest accrual and check for missed payments
 function processLoans() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
   const currentDate = new Date(gameTime);
   
   for (const loan of userAccount.loans) {
@@ -1877,8 +3041,8 @@ function processLoans() {
   }
 }
 
-// Call this periodically
-setInterval(processLoans, 10000);
+// Loan interest and missed payments are checked at each daily close
+tickHandler.schedule('loans', RECURRENCES.dailyClose, atOccurrence(() => forEachUserAccount(processLoans)));
 
 /**
  * Determine whether to sell assets or take a loan to cover negative balance
@@ -1946,11 +3110,6 @@ function shouldSellAssetsInsteadOfLoan(negativeAmount) {
 
 // Process negative balance penalties
 function processNegativeBalance() {
-  // Only process if game is not paused
-  if (!pauseHandler.shouldProcessGameState()) {
-    return;
-  }
-  
   if (userAccount.cash >= 0) {
     // Reset counter when balance becomes positive
     if (userAccount.daysWithNegativeBalance > 0) {
@@ -2077,26 +3236,11 @@ function sellStocksToRecoverBalance(targetAmount) {
     const saleValue = position.value;
     const tradingFee = getTradingFee(saleValue, gameTime);
     
-    // Calculate approximate tax (use short-term rate as worst case)
-    let estimatedTax = 0;
-    if (userAccount.purchaseHistory[position.symbol] && userAccount.purchaseHistory[position.symbol].length > 0) {
-      // Calculate weighted average cost basis
-      const totalCost = userAccount.purchaseHistory[position.symbol].reduce((sum, p) => 
-        sum + (p.pricePerShare * p.shares), 0);
-      const totalShares = userAccount.purchaseHistory[position.symbol].reduce((sum, p) => 
-        sum + p.shares, 0);
-      
-      // Prevent division by zero
-      if (totalShares > 0) {
-        const avgCostBasis = totalCost / totalShares;
-        const estimatedGain = Math.max(0, (position.price - avgCostBasis) * position.shares);
-        const currentYear = gameTime.getFullYear();
-        const taxRates = constants.getTaxRates(currentYear);
-        estimatedTax = estimatedGain * taxRates.shortTermTaxRate;
-      }
-    }
+    // Tax the whole position's lots like any other sale
+    const sale = taxLots.sellLots(userAccount.purchaseHistory[position.symbol] || [], position.shares, position.price, { method: userAccount.taxLotMethod }, gameTime);
+    const taxAmount = sale.taxAmount;
     
-    const netProceeds = saleValue - tradingFee - estimatedTax;
+    const netProceeds = saleValue - tradingFee - taxAmount;
     
     // Sell this position
     userAccount.portfolio[position.symbol] = 0;
@@ -2104,9 +3248,8 @@ function sellStocksToRecoverBalance(targetAmount) {
     amountRaised += netProceeds;
     
     // Clear purchase history for this symbol
-    if (userAccount.purchaseHistory[position.symbol]) {
-      delete userAccount.purchaseHistory[position.symbol];
-    }
+    delete userAccount.purchaseHistory[position.symbol];
+    washLossSale(position.symbol, 'stock', sale.sold);
     
     // Record transaction
     userAccount.transactions.push({
@@ -2117,8 +3260,10 @@ function sellStocksToRecoverBalance(targetAmount) {
       pricePerShare: position.price,
       total: saleValue,
       tradingFee: tradingFee,
-      tax: estimatedTax,
+      tax: taxAmount,
       netProceeds: netProceeds,
+      lotMethod: userAccount.taxLotMethod,
+      lots: sale.sold,
       automatic: true,
       reason: 'Account manager liquidation due to negative balance'
     });
@@ -2134,11 +3279,11 @@ function sellStocksToRecoverBalance(targetAmount) {
     }
     
     // Record tax
-    if (estimatedTax > 0) {
+    if (taxAmount > 0) {
       userAccount.taxes.push({
         date: new Date(gameTime),
         type: 'capital-gains',
-        amount: estimatedTax,
+        amount: taxAmount,
         description: `Capital gains tax on automatic sale of ${position.shares} shares of ${position.symbol}`
       });
     }
@@ -2149,7 +3294,8 @@ function sellStocksToRecoverBalance(targetAmount) {
   console.log(`Account manager raised $${amountRaised.toFixed(2)} from stock sales (target was $${amountToRaise.toFixed(2)})`);
 }
 
-setInterval(processNegativeBalance, 10000);
+// Negative balances are handled once a day, after the day's fees and interest
+tickHandler.schedule('negative balances', RECURRENCES.dailyClose, atOccurrence(() => forEachUserAccount(processNegativeBalance)));
 
 app.get('/api/account', (req, res) => {
   const portfolioValue = calculatePortfolioValue();
@@ -2169,6 +3315,7 @@ app.get('/api/account', (req, res) => {
     cash: userAccount.cash,
     portfolio: userAccount.portfolio,
     purchaseHistory: userAccount.purchaseHistory,
+    taxLotMethod: userAccount.taxLotMethod,
     indexFundHoldings: userAccount.indexFundHoldings,
     shortPositions: userAccount.shortPositions,
     transactions: userAccount.transactions.slice(-20), // Last 20 transactions
@@ -2207,8 +3354,167 @@ app.get('/api/account', (req, res) => {
   });
 });
 
+// Daily account value history (the equity curve)
+app.get('/api/account/history', (req, res) => {
+  const query = accountHistory.validateHistoryParams(req.query);
+  if (!query.valid) {
+    return res.status(400).json({ error: query.error });
+  }
+  
+  res.json({
+    interval: query.interval,
+    from: req.query.from || null,
+    to: req.query.to || null,
+    snapshots: accountHistory.getHistory(req.user.id, query)
+  });
+});
+
+// Time- and money-weighted returns and risk ratios, compared with the market index and each index fund
+app.get('/api/analytics/performance', (req, res) => {
+  const query = accountHistory.validateHistoryParams({ interval: 'week', ...req.query });
+  if (!query.valid) {
+    return res.status(400).json({ error: query.error });
+  }
+  
+  const points = performanceAnalytics.fromSnapshots(accountHistory.getHistory(req.user.id, query));
+  // Benchmarks are priced at the close on each snapshot date
+  const closes = points.map(p => new Date(`${p.date}T16:00:00`));
+  
+  const benchmarks = [];
+  if (points.length >= 2) {
+    const marketPoints = closes.map((date, i) => {
+      const index = getMarketIndexValue(date);
+      return { date: points[i].date, value: index ? index.value : null };
+    });
+    benchmarks.push({
+      symbol: 'MARKET',
+      name: 'Market Index',
+      ...performanceAnalytics.compareToBenchmark(points, marketPoints, query.interval)
+    });
+    
+    for (const fund of indexFunds.indexFunds) {
+      const fundPoints = closes.map((date, i) => ({
+        date: points[i].date,
+        value: indexFunds.calculateIndexPrice(fund, date, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL)
+      }));
+      if (fundPoints.some(p => p.value)) {
+        benchmarks.push({
+          symbol: fund.symbol,
+          name: fund.name,
+          ...performanceAnalytics.compareToBenchmark(points, fundPoints, query.interval)
+        });
+      }
+    }
+  }
+  
+  res.json({
+    interval: query.interval,
+    from: req.query.from || null,
+    to: req.query.to || null,
+    portfolio: performanceAnalytics.analyze(points, query.interval),
+    benchmarks
+  });
+});
+
+// Leaderboard rankings built from month-end net worth snapshots
+app.get('/api/leaderboard', (req, res) => {
+  const rankings = leaderboard.getLeaderboard();
+  let decades = rankings.decades;
+  
+  if (req.query.decade) {
+    const decade = parseInt(req.query.decade);
+    if (isNaN(decade) || decade % 10 !== 0) {
+      return res.status(400).json({ error: 'decade must be a year ending in 0, e.g. 1980' });
+    }
+    const label = `${decade}s`;
+    decades = { [label]: rankings.decades[label] || [] };
+  }
+  
+  res.json({
+    asOf: gameTime,
+    cumulativeInflation,
+    currentUserId: req.user ? req.user.id : null,
+    minSharpeMonths: leaderboard.MIN_SHARPE_MONTHS,
+    allTime: rankings.allTime,
+    decades,
+    riskAdjusted: rankings.riskAdjusted
+  });
+});
+
+// Quote a stock's bid, ask and depth around its last price
+function getStockQuote(symbol, price) {
+  const availability = shareAvailability.getAvailableShares(symbol);
+  return marketDepth.getQuote(price, gameTime, availability ? availability.publicFloat : 0);
+}
+
+// Market impact of an order against the stock's simulated daily volume
+function getOrderImpact(symbol, action, shares) {
+  const availability = shareAvailability.getAvailableShares(symbol);
+  return marketImpact.estimateImpact(action, shares, availability ? availability.publicFloat : 0);
+}
+
+// Average price a market order gets crossing the spread, walking the book and
+// paying its market impact, rounded to the nearest tick
+function getMarketFillPrice(symbol, action, shares, price, impact = getOrderImpact(symbol, action, shares)) {
+  const fill = marketDepth.walkBook(getStockQuote(symbol, price), action, shares);
+  return tickSizes.roundToTick(marketImpact.applyImpact(fill.averagePrice, impact), gameTime);
+}
+
+// Shares of a limit order that fill now: only the book levels at or inside the
+// limit, to the tick, once the order's market impact is paid. The rest keeps working.
+function getLimitFillableShares(symbol, action, shares, price, limitPrice) {
+  const quote = getStockQuote(symbol, price);
+  const isBuy = orderBook.isBuySide(action);
+  const isInsideLimit = (fillShares) => {
+    const fill = marketDepth.walkBook(quote, action, fillShares);
+    const worstPrice = tickSizes.roundToTick(marketImpact.applyImpact(fill.worstPrice, getOrderImpact(symbol, action, fillShares)), gameTime);
+    return isBuy ? worstPrice <= limitPrice : worstPrice >= limitPrice;
+  };
+  
+  if (isInsideLimit(shares)) {
+    return shares;
+  }
+  
+  // Both the book and the impact get worse with size, so search for the largest fill
+  let low = 0;
+  let high = Math.floor(shares);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (isInsideLimit(mid)) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Quoted price and slippage of a market fill, recorded on its transaction.
+// Slippage is the percentage of the quoted price the fill cost beyond it.
+function getFillDetails(action, quotedPrice, executionPrice) {
+  const isBuy = action === 'buy' || action === 'buy-margin' || action === 'cover';
+  const slippage = (isBuy ? executionPrice - quotedPrice : quotedPrice - executionPrice) / quotedPrice * 100;
+  return { quotedPrice, slippage };
+}
+
+// A market fill's impact carries into later prices of the stock
+function completeStockFill(symbol, impact, executionPrice) {
+  if (impact) {
+    marketImpact.recordTrade(symbol, impact, gameTime);
+  }
+  return { success: true, executionPrice };
+}
+
 // Helper function to execute stock orders (used by both direct trading and pending orders)
-function executeStockOrder(symbol, action, shares, stockPrice) {
+// Fills at the quote (see getMarketFillPrice) unless options.atPrice fills at the given price,
+// as for option exercises and extended-hours orders that are already priced.
+// Sells consume tax lots by options.lotSelection, or the account's default method
+function executeStockOrder(symbol, action, shares, lastPrice, options = {}) {
+  const impact = options.atPrice ? null : getOrderImpact(symbol, action, shares);
+  const stockPrice = options.atPrice
+    ? lastPrice
+    : { ...lastPrice, price: getMarketFillPrice(symbol, action, shares, lastPrice.price, impact) };
+  const fillDetails = options.atPrice ? {} : getFillDetails(action, lastPrice.price, stockPrice.price);
   const totalCost = stockPrice.price * shares;
   const tradingFee = getTradingFee(totalCost, gameTime);
   
@@ -2278,14 +3584,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         shareAvailability.recordPurchase(symbol, shares);
         userAccount.portfolio[symbol] = (userAccount.portfolio[symbol] || 0) + shares;
         
-        if (!userAccount.purchaseHistory[symbol]) {
-          userAccount.purchaseHistory[symbol] = [];
-        }
-        userAccount.purchaseHistory[symbol].push({
-          date: new Date(gameTime),
-          shares: shares,
-          pricePerShare: stockPrice.price
-        });
+        addTaxLot(symbol, 'stock', shares, stockPrice.price);
         
         userAccount.shareholderInfluence[symbol] = (userAccount.shareholderInfluence[symbol] || 0) + shares;
         
@@ -2295,6 +3594,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
           symbol,
           shares,
           pricePerShare: stockPrice.price,
+          ...fillDetails,
           tradingFee: tradingFee,
           total: totalWithFee,
           cashPaid: requiredCash,
@@ -2323,14 +3623,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         userAccount.cash -= totalWithFee;
         userAccount.portfolio[symbol] = (userAccount.portfolio[symbol] || 0) + shares;
         
-        if (!userAccount.purchaseHistory[symbol]) {
-          userAccount.purchaseHistory[symbol] = [];
-        }
-        userAccount.purchaseHistory[symbol].push({
-          date: new Date(gameTime),
-          shares: shares,
-          pricePerShare: stockPrice.price
-        });
+        addTaxLot(symbol, 'stock', shares, stockPrice.price);
         
         userAccount.shareholderInfluence[symbol] = (userAccount.shareholderInfluence[symbol] || 0) + shares;
         
@@ -2340,6 +3633,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
           symbol,
           shares,
           pricePerShare: stockPrice.price,
+          ...fillDetails,
           tradingFee: tradingFee,
           total: totalWithFee
         });
@@ -2354,54 +3648,23 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         }
       }
       
-      return { success: true };
+      return completeStockFill(symbol, impact, stockPrice.price);
       
     } else if (action === 'sell') {
       if ((userAccount.portfolio[symbol] || 0) < shares) {
         return { success: false, error: 'Insufficient shares' };
       }
       
-      shareAvailability.recordSale(symbol, shares);
-      
-      let remainingShares = shares;
-      let totalCostBasis = 0;
-      let taxAmount = 0;
-      
-      if (userAccount.purchaseHistory[symbol]) {
-        const purchases = userAccount.purchaseHistory[symbol].slice();
-        
-        while (remainingShares > 0 && purchases.length > 0) {
-          const purchase = purchases[0];
-          const sharesToSell = Math.min(remainingShares, purchase.shares);
-          const costBasis = sharesToSell * purchase.pricePerShare;
-          totalCostBasis += costBasis;
-          
-          const purchaseDate = new Date(purchase.date);
-          const currentDate = new Date(gameTime);
-          const holdingDays = (currentDate - purchaseDate) / (1000 * 60 * 60 * 24);
-          const isLongTerm = holdingDays >= 365;
-          
-          const saleProceeds = sharesToSell * stockPrice.price;
-          const capitalGain = saleProceeds - costBasis;
-          
-          if (capitalGain > 0) {
-            // Get tax rates for the year of the sale
-            const saleYear = currentDate.getFullYear();
-            const taxRates = constants.getTaxRates(saleYear);
-            const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
-            taxAmount += capitalGain * taxRate;
-          }
-          
-          purchase.shares -= sharesToSell;
-          if (purchase.shares <= 0) {
-            purchases.shift();
-          }
-          
-          remainingShares -= sharesToSell;
-        }
-        
-        userAccount.purchaseHistory[symbol] = purchases;
+      const lotSelection = options.lotSelection || { method: userAccount.taxLotMethod };
+      const sale = taxLots.sellLots(userAccount.purchaseHistory[symbol] || [], shares, stockPrice.price, lotSelection, gameTime);
+      if (!sale.success) {
+        return { success: false, error: sale.error };
       }
+      const taxAmount = sale.taxAmount;
+      
+      shareAvailability.recordSale(symbol, shares);
+      userAccount.purchaseHistory[symbol] = sale.lots;
+      washLossSale(symbol, 'stock', sale.sold);
       
       const grossSaleAmount = stockPrice.price * shares;
       const netSaleProceeds = grossSaleAmount - taxAmount - tradingFee;
@@ -2419,10 +3682,13 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         symbol,
         shares,
         pricePerShare: stockPrice.price,
+        ...fillDetails,
         total: grossSaleAmount,
         tax: taxAmount,
         tradingFee: tradingFee,
-        netProceeds: netSaleProceeds
+        netProceeds: netSaleProceeds,
+        lotMethod: lotSelection.method,
+        lots: sale.sold
       });
       
       if (tradingFee > 0) {
@@ -2443,7 +3709,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         });
       }
       
-      return { success: true };
+      return completeStockFill(symbol, impact, stockPrice.price);
       
     } else if (action === 'short') {
       const saleProceeds = totalCost;
@@ -2478,6 +3744,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         symbol,
         shares,
         pricePerShare: stockPrice.price,
+        ...fillDetails,
         tradingFee: tradingFee,
         netProceeds: totalWithFee
       });
@@ -2491,7 +3758,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         });
       }
       
-      return { success: true };
+      return completeStockFill(symbol, impact, stockPrice.price);
       
     } else if (action === 'cover') {
       if (!userAccount.shortPositions[symbol] || userAccount.shortPositions[symbol].shares < shares) {
@@ -2508,12 +3775,11 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
       const position = userAccount.shortPositions[symbol];
       const borrowPrice = position.borrowPrice;
       const profit = (borrowPrice - stockPrice.price) * shares;
+      const holdingDays = (gameTime - new Date(position.borrowDate)) / (1000 * 60 * 60 * 24);
+      const isLongTerm = holdingDays >= 365;
       
       let taxAmount = 0;
       if (profit > 0) {
-        const borrowDate = new Date(position.borrowDate);
-        const holdingDays = (gameTime - borrowDate) / (1000 * 60 * 60 * 24);
-        const isLongTerm = holdingDays >= 365;
         const coverYear = gameTime.getFullYear();
         const taxRates = constants.getTaxRates(coverYear);
         const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
@@ -2532,8 +3798,10 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         symbol,
         shares,
         pricePerShare: stockPrice.price,
+        ...fillDetails,
         borrowPrice: borrowPrice,
         profit: profit,
+        isLongTerm,
         tax: taxAmount,
         tradingFee: tradingFee,
         total: totalWithFee
@@ -2557,7 +3825,7 @@ function executeStockOrder(symbol, action, shares, stockPrice) {
         });
       }
       
-      return { success: true };
+      return completeStockFill(symbol, impact, stockPrice.price);
     }
     
     return { success: false, error: 'Invalid action' };
@@ -2589,11 +3857,7 @@ function executeIndexFundOrder(symbol, action, shares, fundPrice, fund) {
       }
       
       userAccount.indexFundHoldings[symbol].shares += shares;
-      userAccount.indexFundHoldings[symbol].purchaseHistory.push({
-        date: new Date(gameTime),
-        shares: shares,
-        pricePerShare: fundPrice
-      });
+      addTaxLot(symbol, 'indexfund', shares, fundPrice);
       
       userAccount.transactions.push({
         date: new Date(gameTime),
@@ -2623,61 +3887,18 @@ function executeIndexFundOrder(symbol, action, shares, fundPrice, fund) {
         return { success: false, error: 'Insufficient shares' };
       }
       
-      let remainingShares = shares;
-      let totalCostBasis = 0;
-      let taxAmount = 0;
-      
-      const purchases = holding.purchaseHistory.slice();
-      
-      while (remainingShares > 0 && purchases.length > 0) {
-        const purchase = purchases[0];
-        const sharesToSell = Math.min(remainingShares, purchase.shares);
-        const costBasis = sharesToSell * purchase.pricePerShare;
-        totalCostBasis += costBasis;
-        
-        const purchaseDate = new Date(purchase.date);
-        const currentDate = new Date(gameTime);
-        const holdingDays = (currentDate - purchaseDate) / (1000 * 60 * 60 * 24);
-        const isLongTerm = holdingDays >= 365;
-        
-        const saleProceeds = sharesToSell * fundPrice;
-        const capitalGain = saleProceeds - costBasis;
-        
-        if (capitalGain > 0) {
-          const saleYear = currentDate.getFullYear();
-          const taxRates = constants.getTaxRates(saleYear);
-          const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
-          taxAmount += capitalGain * taxRate;
-        }
-        
-        purchase.shares -= sharesToSell;
-        if (purchase.shares <= 0) {
-          purchases.shift();
-        }
-        
-        remainingShares -= sharesToSell;
-      }
-      
-      const purchasesUsedInSale = [];
-      let remainingForExpense = shares;
-      
-      for (const purchase of holding.purchaseHistory) {
-        if (remainingForExpense <= 0) break;
-        
-        const sharesFromThisPurchase = Math.min(remainingForExpense, purchase.shares);
-        purchasesUsedInSale.push({
-          shares: sharesFromThisPurchase,
-          pricePerShare: purchase.pricePerShare,
-          date: purchase.date
-        });
-        remainingForExpense -= sharesFromThisPurchase;
+      const sale = taxLots.sellLots(holding.purchaseHistory, shares, fundPrice, { method: userAccount.taxLotMethod }, gameTime);
+      if (!sale.success) {
+        return { success: false, error: sale.error };
       }
+      const taxAmount = sale.taxAmount;
+      holding.purchaseHistory = sale.lots;
+      washLossSale(symbol, 'indexfund', sale.sold);
       
-      holding.purchaseHistory = purchases;
-      
+      // Expense ratio fee over the holding period of the shares sold
       let totalExpenseFee = 0;
       
-      purchasesUsedInSale.forEach(purchase => {
+      sale.sold.forEach(purchase => {
         const daysHeld = (gameTime - new Date(purchase.date)) / (1000 * 60 * 60 * 24);
         const dailyFeeRate = fund.expenseRatio / 365;
         const purchaseValue = purchase.shares * purchase.pricePerShare;
@@ -2713,7 +3934,9 @@ function executeIndexFundOrder(symbol, action, shares, fundPrice, fund) {
         total: grossSaleAmount,
         tax: taxAmount,
         tradingFee: tradingFee,
-        netProceeds: netSaleProceeds
+        netProceeds: netSaleProceeds,
+        lotMethod: userAccount.taxLotMethod,
+        lots: sale.sold
       });
       
       if (tradingFee > 0) {
@@ -2746,8 +3969,227 @@ function executeIndexFundOrder(symbol, action, shares, fundPrice, fund) {
 app.post('/api/trade', (req, res) => {
   const { symbol, action, shares } = req.body;
   
-  // If market is closed, queue the order instead of rejecting it
-  if (!isMarketOpen(gameTime)) {
+  // Validate time-in-force up front, it applies to every order path below
+  const terms = orderBook.validateTimeInForce(req.body, gameTime);
+  if (!terms.valid) {
+    return res.status(400).json({ error: terms.error });
+  }
+  const expiresAt = terms.expiresAt ? terms.expiresAt.toISOString() : null;
+  
+  if (req.body.extendedHours !== undefined && typeof req.body.extendedHours !== 'boolean') {
+    return res.status(400).json({ error: 'extendedHours must be true or false' });
+  }
+  
+  // Only plain market orders fill in the extended sessions, everything else waits for the regular session
+  const isGroupOrder = req.body.takeProfit !== undefined || req.body.stopLoss !== undefined;
+  const isPricedOrder = req.body.priceType && req.body.priceType !== 'market';
+  if (req.body.extendedHours === true && (isGroupOrder || isPricedOrder || orderBook.isImmediateOrder(terms.timeInForce))) {
+    return res.status(400).json({ error: 'extendedHours only applies to market orders without takeProfit, stopLoss, IOC or FOK' });
+  }
+  
+  // Sells use the account's cost-basis method unless the order picks one (or specific lots)
+  const lotSelection = taxLots.validateLotSelection(req.body, userAccount.taxLotMethod);
+  if (!lotSelection.valid) {
+    return res.status(400).json({ error: lotSelection.error });
+  }
+  if (lotSelection.isOverride && action !== 'sell') {
+    return res.status(400).json({ error: 'Lot selection only applies to sell orders' });
+  }
+  
+  // Bracket (entry with take-profit/stop-loss exits) and OCO (exits on an existing position) groups
+  if (req.body.takeProfit !== undefined || req.body.stopLoss !== undefined) {
+    try {
+      if (!symbol || !action || !shares || shares <= 0) {
+        return res.status(400).json({ error: 'Invalid trade parameters' });
+      }
+      
+      // Validate symbol to prevent prototype pollution
+      if (typeof symbol !== 'string' || symbol === '__proto__' || symbol === 'constructor' || symbol === 'prototype') {
+        return res.status(400).json({ error: 'Invalid symbol' });
+      }
+      
+      if (!['buy', 'sell', 'short', 'cover', 'buy-margin'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+      }
+      
+      if (orderBook.isImmediateOrder(terms.timeInForce)) {
+        return res.status(400).json({ error: `Order groups cannot be ${terms.timeInForce}` });
+      }
+      
+      if (lotSelection.isOverride) {
+        return res.status(400).json({ error: RESTING_LOT_SELECTION_ERROR });
+      }
+      
+      const validation = orderBook.validateOrderParams(req.body, gameTime);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      const orderParams = validation.order;
+      
+      // OCO pairs close an existing position, so the exits are the whole order
+      if ((action === 'sell' || action === 'cover') && orderParams.priceType !== 'market') {
+        return res.status(400).json({ error: 'OCO orders on an existing position use takeProfit and stopLoss instead of a price type' });
+      }
+      
+      const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+      if (!stockPrice) {
+        return res.status(404).json({ error: 'Stock not found' });
+      }
+      
+      // Exits are checked against the expected entry price
+      const referencePrice = orderParams.limitPrice || orderParams.stopPrice || stockPrice.price;
+      const bracket = orderBook.validateBracketParams(action, req.body, referencePrice, gameTime);
+      if (!bracket.valid) {
+        return res.status(400).json({ error: bracket.error });
+      }
+      
+      const group = placeOrderGroup(symbol, action, shares, orderParams, terms, bracket, stockPrice);
+      
+      return res.json({
+        success: true,
+        message: bracket.isEntry
+          ? 'Bracket order placed. Exit orders activate once the entry fills.'
+          : 'OCO order placed. Whichever exit fills first cancels the other.',
+        groupId: group.groupId,
+        pendingOrderId: group.parentId || group.groupId,
+        parentOrderId: group.parentId,
+        takeProfitOrderId: group.takeProfitOrderId,
+        stopLossOrderId: group.stopLossOrderId,
+        symbol,
+        action,
+        shares,
+        takeProfit: bracket.takeProfit,
+        stopLoss: bracket.stopLoss,
+        timeInForce: terms.timeInForce,
+        currentPrice: stockPrice.price,
+        queuedAt: gameTime.toISOString()
+      });
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to place order group: ' + error.message });
+    }
+  }
+  
+  // IOC and FOK orders fill immediately or expire, they never rest in the book
+  if (orderBook.isImmediateOrder(terms.timeInForce)) {
+    try {
+      if (!symbol || !action || !shares || shares <= 0) {
+        return res.status(400).json({ error: 'Invalid trade parameters' });
+      }
+      
+      // Validate symbol to prevent prototype pollution
+      if (typeof symbol !== 'string' || symbol === '__proto__' || symbol === 'constructor' || symbol === 'prototype') {
+        return res.status(400).json({ error: 'Invalid symbol' });
+      }
+      
+      if (!['buy', 'sell', 'short', 'cover', 'buy-margin'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+      }
+      
+      const validation = orderBook.validateOrderParams(req.body, gameTime);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      
+      const result = executeImmediateOrder(symbol, action, shares, validation.order, terms.timeInForce, lotSelection);
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error, pendingOrderId: result.pendingOrderId });
+      }
+      
+      return res.json({
+        success: true,
+        message: `${terms.timeInForce} order filled: ${action.toUpperCase()} ${result.filledShares} of ${shares} shares of ${symbol}`,
+        pendingOrderId: result.pendingOrderId,
+        symbol,
+        action,
+        shares,
+        filledShares: result.filledShares,
+        executionPrice: result.executionPrice,
+        timeInForce: terms.timeInForce
+      });
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to place order: ' + error.message });
+    }
+  }
+  
+  // Limit, stop, stop-limit and trailing-stop orders always go to the order book
+  if (req.body.priceType && req.body.priceType !== 'market') {
+    try {
+      if (!symbol || !action || !shares || shares <= 0) {
+        return res.status(400).json({ error: 'Invalid trade parameters' });
+      }
+      
+      // Validate symbol to prevent prototype pollution
+      if (typeof symbol !== 'string' || symbol === '__proto__' || symbol === 'constructor' || symbol === 'prototype') {
+        return res.status(400).json({ error: 'Invalid symbol' });
+      }
+      
+      if (!['buy', 'sell', 'short', 'cover', 'buy-margin'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+      }
+      
+      const validation = orderBook.validateOrderParams(req.body, gameTime);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      const orderParams = validation.order;
+      
+      if (lotSelection.isOverride) {
+        return res.status(400).json({ error: RESTING_LOT_SELECTION_ERROR });
+      }
+      
+      const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+      if (!stockPrice) {
+        return res.status(404).json({ error: 'Stock not found' });
+      }
+      
+      // Trailing stops start trailing from the price at placement
+      let trailReference = null;
+      let stopPrice = orderParams.stopPrice;
+      if (orderParams.priceType === 'trailing_stop') {
+        trailReference = stockPrice.price;
+        stopPrice = orderBook.calculateTrailingStop(action, trailReference, orderParams.trailAmount, orderParams.trailPercent, gameTime);
+      }
+      
+      const result = dbModule.insertTradeOrder.run(
+        req.user.id,
+        symbol,
+        action,
+        shares,
+        'stock',
+        gameTime.toISOString(),
+        'pending',
+        orderParams.priceType,
+        orderParams.limitPrice,
+        stopPrice,
+        orderParams.trailAmount,
+        orderParams.trailPercent,
+        trailReference,
+        terms.timeInForce,
+        expiresAt
+      );
+      
+      return res.json({
+        success: true,
+        message: `${terms.timeInForce} ${orderParams.priceType.replace('_', '-')} order placed. It will be executed when its price condition is met.`,
+        pendingOrderId: result.lastInsertRowid,
+        symbol,
+        action,
+        shares,
+        priceType: orderParams.priceType,
+        limitPrice: orderParams.limitPrice,
+        stopPrice,
+        timeInForce: terms.timeInForce,
+        expiresAt,
+        currentPrice: stockPrice.price,
+        queuedAt: gameTime.toISOString()
+      });
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to place order: ' + error.message });
+    }
+  }
+  
+  // If the stock's market is closed, queue the order instead of rejecting it
+  if (!isMarketOpen(gameTime, stocks.getStockExchange(symbol))) {
     try {
       // Validate inputs first
       if (!symbol || !action || !shares || shares <= 0) {
@@ -2764,6 +4206,32 @@ app.post('/api/trade', (req, res) => {
         return res.status(400).json({ error: 'Invalid action' });
       }
       
+      // Orders that opt in to extended hours fill now during pre-market and after-hours
+      const session = marketHours.getTradingSession(stocks.getStockExchange(symbol), gameTime);
+      if (req.body.extendedHours === true && extendedHours.isExtendedSession(session)) {
+        const result = executeExtendedHoursOrder(symbol, action, shares, session, lotSelection);
+        if (!result.success) {
+          return res.status(result.status).json({ error: result.error, availableShares: result.availableShares });
+        }
+        
+        return res.json({
+          success: true,
+          message: `${session} order filled: ${action.toUpperCase()} ${shares} shares of ${symbol} at $${result.executionPrice.toFixed(2)}`,
+          symbol,
+          action,
+          shares,
+          session,
+          executionPrice: result.executionPrice,
+          lastPrice: result.lastPrice,
+          spread: result.spread,
+          priceImpact: result.priceImpact
+        });
+      }
+      
+      if (lotSelection.isOverride) {
+        return res.status(400).json({ error: RESTING_LOT_SELECTION_ERROR });
+      }
+      
       // For buy orders, validate share availability before queueing
       if (action === 'buy' || action === 'buy-margin') {
         const availabilityCheck = shareAvailability.canPurchaseShares(symbol, shares);
@@ -2776,13 +4244,22 @@ app.post('/api/trade', (req, res) => {
       }
       
       // Queue the order
-      const result = dbModule.insertPendingOrder.run(
+      const result = dbModule.insertTradeOrder.run(
+        req.user.id,
         symbol,
         action,
         shares,
         'stock',
         gameTime.toISOString(),
-        'pending'
+        'pending',
+        'market',
+        null,
+        null,
+        null,
+        null,
+        null,
+        terms.timeInForce,
+        expiresAt
       );
       
       return res.json({ 
@@ -2792,6 +4269,8 @@ app.post('/api/trade', (req, res) => {
         symbol,
         action,
         shares,
+        timeInForce: terms.timeInForce,
+        expiresAt,
         queuedAt: gameTime.toISOString()
       });
     } catch (error) {
@@ -2824,11 +4303,15 @@ app.post('/api/trade', (req, res) => {
     }
   }
   
-  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
-  if (!stockPrice) {
+  const lastPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  if (!lastPrice) {
     return res.status(404).json({ error: 'Stock not found' });
   }
   
+  // Market orders cross the spread, walk the book and pay their market impact
+  const impact = getOrderImpact(symbol, action, shares);
+  const stockPrice = { ...lastPrice, price: getMarketFillPrice(symbol, action, shares, lastPrice.price, impact) };
+  const fillDetails = getFillDetails(action, lastPrice.price, stockPrice.price);
   const totalCost = stockPrice.price * shares;
   const tradingFee = getTradingFee(totalCost, gameTime);
   
@@ -2908,14 +4391,7 @@ app.post('/api/trade', (req, res) => {
       userAccount.portfolio[symbol] = (userAccount.portfolio[symbol] || 0) + shares;
       
       // Track purchase for tax calculation
-      if (!userAccount.purchaseHistory[symbol]) {
-        userAccount.purchaseHistory[symbol] = [];
-      }
-      userAccount.purchaseHistory[symbol].push({
-        date: new Date(gameTime),
-        shares: shares,
-        pricePerShare: stockPrice.price
-      });
+      addTaxLot(symbol, 'stock', shares, stockPrice.price);
       
       // Update shareholder influence
       userAccount.shareholderInfluence[symbol] = (userAccount.shareholderInfluence[symbol] || 0) + shares;
@@ -2927,6 +4403,7 @@ app.post('/api/trade', (req, res) => {
         symbol,
         shares,
         pricePerShare: stockPrice.price,
+        ...fillDetails,
         tradingFee: tradingFee,
         total: totalWithFee,
         cashPaid: requiredCash,
@@ -2960,14 +4437,7 @@ app.post('/api/trade', (req, res) => {
       userAccount.portfolio[symbol] = (userAccount.portfolio[symbol] || 0) + shares;
       
       // Track purchase for tax calculation
-      if (!userAccount.purchaseHistory[symbol]) {
-        userAccount.purchaseHistory[symbol] = [];
-      }
-      userAccount.purchaseHistory[symbol].push({
-        date: new Date(gameTime),
-        shares: shares,
-        pricePerShare: stockPrice.price
-      });
+      addTaxLot(symbol, 'stock', shares, stockPrice.price);
       
       // Update shareholder influence
       userAccount.shareholderInfluence[symbol] = (userAccount.shareholderInfluence[symbol] || 0) + shares;
@@ -2979,6 +4449,7 @@ app.post('/api/trade', (req, res) => {
         symbol,
         shares,
         pricePerShare: stockPrice.price,
+        ...fillDetails,
         tradingFee: tradingFee,
         total: totalWithFee
       });
@@ -2999,52 +4470,17 @@ app.post('/api/trade', (req, res) => {
       return res.status(400).json({ error: 'Insufficient shares' });
     }
     
+    // Work out capital gains tax on the lots sold
+    const sale = taxLots.sellLots(userAccount.purchaseHistory[symbol] || [], shares, stockPrice.price, lotSelection, gameTime);
+    if (!sale.success) {
+      return res.status(400).json({ error: sale.error });
+    }
+    const taxAmount = sale.taxAmount;
+    
     // Record the share sale in availability tracking
     shareAvailability.recordSale(symbol, shares);
-    
-    // Calculate capital gains tax using FIFO method
-    let remainingShares = shares;
-    let totalCostBasis = 0;
-    let taxAmount = 0;
-    
-    if (userAccount.purchaseHistory[symbol]) {
-      const purchases = userAccount.purchaseHistory[symbol].slice();
-      
-      while (remainingShares > 0 && purchases.length > 0) {
-        const purchase = purchases[0];
-        const sharesToSell = Math.min(remainingShares, purchase.shares);
-        const costBasis = sharesToSell * purchase.pricePerShare;
-        totalCostBasis += costBasis;
-        
-        // Calculate holding period
-        const purchaseDate = new Date(purchase.date);
-        const currentDate = new Date(gameTime);
-        const holdingDays = (currentDate - purchaseDate) / (1000 * 60 * 60 * 24);
-        const isLongTerm = holdingDays >= 365;
-        
-        // Calculate gain/loss
-        const saleProceeds = sharesToSell * stockPrice.price;
-        const capitalGain = saleProceeds - costBasis;
-        
-        if (capitalGain > 0) {
-          const saleYear = currentDate.getFullYear();
-          const taxRates = constants.getTaxRates(saleYear);
-          const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
-          taxAmount += capitalGain * taxRate;
-        }
-        
-        // Update purchase history
-        purchase.shares -= sharesToSell;
-        if (purchase.shares <= 0) {
-          purchases.shift();
-        }
-        
-        remainingShares -= sharesToSell;
-      }
-      
-      // Update purchase history
-      userAccount.purchaseHistory[symbol] = purchases;
-    }
+    userAccount.purchaseHistory[symbol] = sale.lots;
+    washLossSale(symbol, 'stock', sale.sold);
     
     // Apply sale and deduct tax and fee
     const grossSaleAmount = stockPrice.price * shares;  // Fixed: use actual sale proceeds
@@ -3065,10 +4501,13 @@ app.post('/api/trade', (req, res) => {
       symbol,
       shares,
       pricePerShare: stockPrice.price,
+      ...fillDetails,
       total: grossSaleAmount,
       tax: taxAmount,
       tradingFee: tradingFee,
-      netProceeds: netSaleProceeds
+      netProceeds: netSaleProceeds,
+      lotMethod: lotSelection.method,
+      lots: sale.sold
     });
     
     // Record fee
@@ -3127,6 +4566,7 @@ app.post('/api/trade', (req, res) => {
       symbol,
       shares,
       pricePerShare: stockPrice.price,
+      ...fillDetails,
       tradingFee: tradingFee,
       netProceeds: totalWithFee
     });
@@ -3156,13 +4596,12 @@ app.post('/api/trade', (req, res) => {
     const position = userAccount.shortPositions[symbol];
     const borrowPrice = position.borrowPrice;
     const profit = (borrowPrice - stockPrice.price) * shares;
+    const holdingDays = (gameTime - new Date(position.borrowDate)) / (1000 * 60 * 60 * 24);
+    const isLongTerm = holdingDays >= 365;
     
     // Calculate tax on profit (if any)
     let taxAmount = 0;
     if (profit > 0) {
-      const borrowDate = new Date(position.borrowDate);
-      const holdingDays = (gameTime - borrowDate) / (1000 * 60 * 60 * 24);
-      const isLongTerm = holdingDays >= 365;
       const coverYear = gameTime.getFullYear();
       const taxRates = constants.getTaxRates(coverYear);
       const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
@@ -3183,8 +4622,10 @@ app.post('/api/trade', (req, res) => {
       symbol,
       shares,
       pricePerShare: stockPrice.price,
+      ...fillDetails,
       borrowPrice: borrowPrice,
       profit: profit,
+      isLongTerm,
       tax: taxAmount,
       tradingFee: tradingFee,
       total: totalWithFee
@@ -3211,10 +4652,14 @@ app.post('/api/trade', (req, res) => {
     }
   }
   
-  // Update last trade time for this symbol
+  // Update last trade time for this symbol and carry the order's impact into later prices
   userAccount.lastTradeTime[symbol] = new Date(gameTime);
+  marketImpact.recordTrade(symbol, impact, gameTime);
   
-  res.json(userAccount);
+  res.json({
+    ...userAccount,
+    fill: { averagePrice: stockPrice.price, ...fillDetails, marketImpact: impact.temporary * 100 }
+  });
 });
 
 // Loan API endpoints
@@ -3555,6 +5000,15 @@ app.get('/api/indexfunds/:symbol/history', (req, res) => {
 app.post('/api/indexfunds/trade', (req, res) => {
   const { symbol, action, shares } = req.body;
   
+  // Sells use the account's cost-basis method unless the order picks one (or specific lots)
+  const lotSelection = taxLots.validateLotSelection(req.body, userAccount.taxLotMethod);
+  if (!lotSelection.valid) {
+    return res.status(400).json({ error: lotSelection.error });
+  }
+  if (lotSelection.isOverride && action !== 'sell') {
+    return res.status(400).json({ error: 'Lot selection only applies to sell orders' });
+  }
+  
   // If market is closed, queue the order instead of rejecting it
   if (!isMarketOpen(gameTime)) {
     try {
@@ -3573,8 +5027,13 @@ app.post('/api/indexfunds/trade', (req, res) => {
         return res.status(400).json({ error: 'Invalid symbol' });
       }
       
+      if (lotSelection.isOverride) {
+        return res.status(400).json({ error: RESTING_LOT_SELECTION_ERROR });
+      }
+      
       // Queue the order
       const result = dbModule.insertPendingOrder.run(
+        req.user.id,
         symbol,
         action,
         shares,
@@ -3637,11 +5096,7 @@ app.post('/api/indexfunds/trade', (req, res) => {
     }
     
     userAccount.indexFundHoldings[symbol].shares += shares;
-    userAccount.indexFundHoldings[symbol].purchaseHistory.push({
-      date: new Date(gameTime),
-      shares: shares,
-      pricePerShare: fundPrice
-    });
+    addTaxLot(symbol, 'indexfund', shares, fundPrice);
     
     // Record transaction
     userAccount.transactions.push({
@@ -3676,52 +5131,19 @@ app.post('/api/indexfunds/trade', (req, res) => {
       return res.status(400).json({ error: 'Insufficient shares' });
     }
     
-    // Calculate capital gains tax using FIFO
-    let remainingShares = shares;
-    let totalCostBasis = 0;
-    let taxAmount = 0;
-    
-    const purchases = holding.purchaseHistory.slice();
-    
-    while (remainingShares > 0 && purchases.length > 0) {
-      const purchase = purchases[0];
-      const sharesToSell = Math.min(remainingShares, purchase.shares);
-      const costBasis = sharesToSell * purchase.pricePerShare;
-      totalCostBasis += costBasis;
-      
-      // Calculate holding period
-      const purchaseDate = new Date(purchase.date);
-      const currentDate = new Date(gameTime);
-      const holdingDays = (currentDate - purchaseDate) / (1000 * 60 * 60 * 24);
-      const isLongTerm = holdingDays >= 365;
-      
-      // Calculate gain/loss
-      const saleProceeds = sharesToSell * fundPrice;
-      const capitalGain = saleProceeds - costBasis;
-      
-      if (capitalGain > 0) {
-        const saleYear = currentDate.getFullYear();
-        const taxRates = constants.getTaxRates(saleYear);
-        const taxRate = isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate;
-        taxAmount += capitalGain * taxRate;
-      }
-      
-      // Update purchase history
-      purchase.shares -= sharesToSell;
-      if (purchase.shares <= 0) {
-        purchases.shift();
-      }
-      
-      remainingShares -= sharesToSell;
+    // Calculate capital gains tax on the lots sold
+    const sale = taxLots.sellLots(holding.purchaseHistory, shares, fundPrice, lotSelection, gameTime);
+    if (!sale.success) {
+      return res.status(400).json({ error: sale.error });
     }
-    
-    // Update holding purchase history
-    holding.purchaseHistory = purchases;
+    const taxAmount = sale.taxAmount;
+    holding.purchaseHistory = sale.lots;
+    washLossSale(symbol, 'indexfund', sale.sold);
     
     // Calculate expense ratio fee based on actual holding periods for shares sold
     let totalExpenseFee = 0;
     
-    purchasesUsedInSale.forEach(purchase => {
+    sale.sold.forEach(purchase => {
       const daysHeld = (gameTime - new Date(purchase.date)) / (1000 * 60 * 60 * 24);
       const dailyFeeRate = fund.expenseRatio / 365;
       const purchaseValue = purchase.shares * purchase.pricePerShare;
@@ -3760,7 +5182,9 @@ app.post('/api/indexfunds/trade', (req, res) => {
       total: grossSaleAmount,
       tax: taxAmount,
       tradingFee: tradingFee,
-      netProceeds: netSaleProceeds
+      netProceeds: netSaleProceeds,
+      lotMethod: lotSelection.method,
+      lots: sale.sold
     });
     
     // Record fee
@@ -3987,6 +5411,50 @@ app.get('/api/rebalancing/events', (req, res) => {
   res.json(formattedEvents);
 });
 
+// Current price of a stock or index fund for tax lot reports, or null
+function getTaxLotPrice(symbol, assetType) {
+  if (assetType === 'indexfund') {
+    const fund = indexFunds.indexFunds.find(f => f.symbol === symbol);
+    return fund ? indexFunds.calculateIndexPrice(fund, gameTime, timeMultiplier, isPaused) : null;
+  }
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  return stockPrice ? stockPrice.price : null;
+}
+
+// Stocks and index funds the bound account holds lots of
+function getTaxLotPositions() {
+  return [
+    ...Object.keys(userAccount.purchaseHistory).map(symbol => ({ symbol, assetType: 'stock' })),
+    ...Object.keys(userAccount.indexFundHoldings).map(symbol => ({ symbol, assetType: 'indexfund' }))
+  ].filter(position => getTaxLots(position.symbol, position.assetType).length > 0);
+}
+
+// Open tax lots of the bound account with their unrealized gain and holding period
+function getOpenTaxLots() {
+  const openLots = [];
+  const addLots = (symbol, assetType, lots, price) => {
+    for (const lot of taxLots.describeLots(lots, price, gameTime)) {
+      openLots.push({ symbol, assetType, price, ...lot });
+    }
+  };
+  
+  for (const { symbol, assetType } of getTaxLotPositions()) {
+    const price = getTaxLotPrice(symbol, assetType);
+    if (price) {
+      addLots(symbol, assetType, getTaxLots(symbol, assetType), price);
+    }
+  }
+  
+  for (const holding of dbModule.getCryptoHoldings.all(currentUserId)) {
+    const price = cryptoManager.getCryptoPrice(holding.symbol, gameTime);
+    if (price) {
+      addLots(holding.symbol, 'crypto', getCryptoLots(holding.symbol), price);
+    }
+  }
+  
+  return openLots;
+}
+
 // Tax summary API endpoint
 app.get('/api/taxes', (req, res) => {
   const { year } = req.query;
@@ -4004,6 +5472,7 @@ app.get('/api/taxes', (req, res) => {
     shortGains: 0,
     dividends: 0,
     wealth: 0,
+    taxReturn: 0,
     total: 0
   };
   
@@ -4018,6 +5487,8 @@ app.get('/api/taxes', (req, res) => {
       taxBreakdown.dividends += tax.amount;
     } else if (tax.type === 'wealth') {
       taxBreakdown.wealth += tax.amount;
+    } else if (tax.type === 'tax-return') {
+      taxBreakdown.taxReturn += tax.amount;
     }
     taxBreakdown.total += tax.amount;
     
@@ -4067,6 +5538,17 @@ app.get('/api/taxes', (req, res) => {
     capitalGainsSummary.totalTax += tx.tax || 0;
   });
   
+  getRealizedGains(targetYear).forEach(sale => {
+    if (sale.isLongTerm) {
+      capitalGainsSummary.longTermGains += sale.gain;
+    } else {
+      capitalGainsSummary.shortTermGains += sale.gain;
+    }
+  });
+  
+  // Losses on the year's sales disallowed by the wash-sale rule
+  const yearlyWashSales = userAccount.washSales.filter(wash => wash.date.getFullYear() === targetYear);
+  
   // Get all years with tax data
   const yearsWithTaxes = [...new Set(
     userAccount.taxes.map(tax => new Date(tax.date).getFullYear())
@@ -4082,6 +5564,10 @@ app.get('/api/taxes', (req, res) => {
     capitalGainsSummary,
     detailedTaxes,
     yearsWithTaxes,
+    lotMethod: userAccount.taxLotMethod,
+    openLots: getOpenTaxLots(),
+    washSales: yearlyWashSales,
+    disallowedLosses: yearlyWashSales.reduce((sum, wash) => sum + wash.disallowedLoss, 0),
     currentTaxRates: {
       shortTermCapitalGains: taxRatesForYear.shortTermTaxRate * 100,
       longTermCapitalGains: taxRatesForYear.longTermTaxRate * 100,
@@ -4092,25 +5578,132 @@ app.get('/api/taxes', (req, res) => {
   });
 });
 
+// Positions with lots at a loss that could be sold to harvest it, largest loss first,
+// with the wash-sale window a sale today would open
+app.get('/api/taxes/harvest-candidates', (req, res) => {
+  const candidates = [];
+  
+  for (const { symbol, assetType } of getTaxLotPositions()) {
+    const price = getTaxLotPrice(symbol, assetType);
+    const harvest = price
+      ? washSales.findHarvestableLots(getTaxLots(symbol, assetType), price, getReplacementLots(symbol, assetType), gameTime)
+      : null;
+    if (!harvest) continue;
+    
+    candidates.push({
+      symbol,
+      assetType,
+      price,
+      ...harvest,
+      substantiallyIdentical: assetType === 'indexfund'
+        ? indexFunds.indexFunds.map(f => f.symbol).filter(other => other !== symbol && isSubstantiallyIdentical(assetType, symbol, other))
+        : []
+    });
+  }
+  
+  candidates.sort((a, b) => b.harvestableLoss - a.harvestableLoss);
+  
+  res.json({
+    currentTime: gameTime,
+    windowDays: washSales.WASH_SALE_WINDOW_DAYS,
+    totalHarvestableLoss: candidates.reduce((sum, candidate) => sum + candidate.harvestableLoss, 0),
+    candidates
+  });
+});
+
+// Annual tax returns filed on Tax Day, newest first
+app.get('/api/taxes/returns', (req, res) => {
+  const returns = userAccount.taxReturns
+    .map(({ sales, ...summary }) => ({ ...summary, sales: sales.length }))
+    .sort((a, b) => b.year - a.year);
+  
+  res.json({
+    currentTime: gameTime,
+    nextTaxDay: RECURRENCES.taxDay(gameTime),
+    returns
+  });
+});
+
+// A year's return: the one filed, or a preview of the return as it stands
+function getTaxReturnForYear(year) {
+  const filed = userAccount.taxReturns.find(r => r.year === year);
+  return filed ? { ...filed, filed: true } : { ...prepareTaxReturn(year), filed: false };
+}
+
+app.get('/api/taxes/returns/:year', (req, res) => {
+  const year = parseInt(req.params.year);
+  if (isNaN(year)) {
+    return res.status(400).json({ error: 'Invalid tax year' });
+  }
+  
+  res.json(getTaxReturnForYear(year));
+});
+
+// Form 1099-B and Schedule D summary of a year's return as CSV
+app.get('/api/taxes/returns/:year/download', (req, res) => {
+  const year = parseInt(req.params.year);
+  if (isNaN(year)) {
+    return res.status(400).json({ error: 'Invalid tax year' });
+  }
+  
+  res.attachment(`stockfake-schedule-d-${year}.csv`);
+  res.type('text/csv');
+  res.send(taxReturn.formatScheduleD(getTaxReturnForYear(year)));
+});
+
+// Set the default cost-basis method sales use (fifo, lifo or hifo)
+app.post('/api/taxes/lot-method', (req, res) => {
+  const method = typeof req.body.method === 'string' ? req.body.method.toLowerCase() : null;
+  
+  if (!taxLots.isDefaultMethod(method)) {
+    return res.status(400).json({ error: 'Default lot method must be one of: fifo, lifo, hifo' });
+  }
+  
+  userAccount.taxLotMethod = method;
+  
+  res.json({ success: true, lotMethod: method });
+});
+
 // Pending Orders API endpoints
 
+// Format a pending_orders row for API responses
+function formatPendingOrder(order) {
+  return {
+    id: order.id,
+    symbol: order.symbol,
+    action: order.action,
+    shares: order.shares,
+    orderType: order.order_type,
+    priceType: order.price_type || 'market',
+    limitPrice: order.limit_price,
+    stopPrice: order.stop_price,
+    trailAmount: order.trail_amount,
+    trailPercent: order.trail_percent,
+    trailReference: order.trail_reference,
+    triggeredAt: order.triggered_at,
+    triggerState: orderBook.getTriggerState(order),
+    groupId: order.group_id,
+    parentId: order.parent_id,
+    groupRole: order.group_role,
+    timeInForce: order.time_in_force || 'DAY',
+    expiresAt: order.expires_at,
+    filledShares: order.filled_shares !== null && order.filled_shares !== undefined
+      ? order.filled_shares
+      : (order.status === 'executed' ? order.shares : 0),
+    createdAt: order.created_at,
+    status: order.status,
+    executedAt: order.executed_at,
+    executionPrice: order.execution_price,
+    error: order.error
+  };
+}
+
 // Get all pending orders
 app.get('/api/pendingorders', (req, res) => {
   try {
-    const pendingOrders = dbModule.getAllPendingOrders.all();
-    
-    const formattedOrders = pendingOrders.map(order => ({
-      id: order.id,
-      symbol: order.symbol,
-      action: order.action,
-      shares: order.shares,
-      orderType: order.order_type,
-      createdAt: order.created_at,
-      status: order.status,
-      executedAt: order.executed_at,
-      executionPrice: order.execution_price,
-      error: order.error
-    }));
+    const pendingOrders = dbModule.getAllPendingOrders.all(req.user.id);
+    
+    const formattedOrders = pendingOrders.map(formatPendingOrder);
     
     res.json(formattedOrders);
   } catch (error) {
@@ -4122,20 +5715,9 @@ app.get('/api/pendingorders', (req, res) => {
 app.get('/api/pendingorders/status/:status', (req, res) => {
   try {
     const { status } = req.params;
-    const pendingOrders = dbModule.getPendingOrders.all(status);
-    
-    const formattedOrders = pendingOrders.map(order => ({
-      id: order.id,
-      symbol: order.symbol,
-      action: order.action,
-      shares: order.shares,
-      orderType: order.order_type,
-      createdAt: order.created_at,
-      status: order.status,
-      executedAt: order.executed_at,
-      executionPrice: order.execution_price,
-      error: order.error
-    }));
+    const pendingOrders = dbModule.getUserPendingOrders.all(req.user.id, status);
+    
+    const formattedOrders = pendingOrders.map(formatPendingOrder);
     
     res.json(formattedOrders);
   } catch (error) {
@@ -4153,32 +5735,17 @@ app.post('/api/pendingorders/:id/cancel', (req, res) => {
       return res.status(400).json({ error: 'Invalid order ID' });
     }
     
-    // Get the order to check if it's pending
-    const order = dbModule.getPendingOrder.get(orderId);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-    
-    if (order.status !== 'pending') {
-      return res.status(400).json({ 
-        error: `Cannot cancel order with status '${order.status}'. Only pending orders can be cancelled.` 
-      });
+    // Cancelling any order in a bracket/OCO group cancels the rest of the group
+    const result = cancelPlayerOrder(orderId, req.user.id, 'Cancelled by user');
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    // Mark the order as cancelled
-    dbModule.updatePendingOrderStatus.run(
-      'cancelled',
-      gameTime.toISOString(),
-      null,
-      'Cancelled by user',
-      orderId
-    );
-    
     res.json({ 
       success: true,
       message: 'Order cancelled successfully',
-      orderId: orderId
+      orderId: orderId,
+      cancelledGroupOrders: result.cancelledGroupOrders
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to cancel order: ' + error.message });
@@ -4195,32 +5762,17 @@ app.delete('/api/pendingorders/:id', (req, res) => {
       return res.status(400).json({ error: 'Invalid order ID' });
     }
     
-    // Get the order to check if it's pending
-    const order = dbModule.getPendingOrder.get(orderId);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    // Cancelling any order in a bracket/OCO group cancels the rest of the group
+    const result = cancelPlayerOrder(orderId, req.user.id, 'Cancelled by user');
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    if (order.status !== 'pending') {
-      return res.status(400).json({ 
-        error: `Cannot cancel order with status '${order.status}'. Only pending orders can be cancelled.` 
-      });
-    }
-    
-    // Mark the order as cancelled
-    dbModule.updatePendingOrderStatus.run(
-      'cancelled',
-      gameTime.toISOString(),
-      null,
-      'Cancelled by user',
-      orderId
-    );
-    
     res.json({ 
       success: true,
       message: 'Order cancelled successfully',
-      orderId: orderId
+      orderId: orderId,
+      cancelledGroupOrders: result.cancelledGroupOrders
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to cancel order: ' + error.message });
@@ -4406,13 +5958,13 @@ app.get('/api/emails', (req, res) => {
     });
   });
   
-  // Add stock split notification emails from database
+  // Add stock split, expired order and competition emails from database
   try {
     const splitEmails = dbModule.db.prepare(`
       SELECT * FROM emails 
-      WHERE category = 'stock_split' 
+      WHERE user_id = ? AND category IN ('stock_split', 'order_expired', 'competition') 
       ORDER BY date DESC
-    `).all();
+    `).all(req.user.id);
     
     splitEmails.forEach((email, index) => {
       emails.push({
@@ -4814,248 +6366,1828 @@ app.post('/api/crash/dynamic/config', (req, res) => {
   }
 });
 
-// Get all dynamically generated events
-app.get('/api/crash/dynamic/events', (req, res) => {
-  const generatedEvents = dynamicEventGenerator.getGeneratedEvents();
+// Get all dynamically generated events
+app.get('/api/crash/dynamic/events', (req, res) => {
+  const generatedEvents = dynamicEventGenerator.getGeneratedEvents();
+  res.json({
+    count: generatedEvents.length,
+    events: generatedEvents.map(e => ({
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      severity: e.severity,
+      generatedAt: e.generatedAt,
+      impact: e.impact
+    }))
+  });
+});
+
+// Manually trigger dynamic event generation
+app.post('/api/crash/dynamic/generate', (req, res) => {
+  try {
+    const newEvents = dynamicEventGenerator.generateDynamicEvents(gameTime);
+    
+    // Auto-trigger the generated events
+    const triggeredEvents = [];
+    for (const event of newEvents) {
+      const result = marketCrashSim.triggerCrashEvent(event, gameTime);
+      if (result.success) {
+        triggeredEvents.push(result.event);
+      }
+    }
+    
+    res.json({
+      success: true,
+      generatedCount: newEvents.length,
+      triggeredCount: triggeredEvents.length,
+      events: triggeredEvents
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Debug/Cheat API Endpoints
+// These endpoints are for debugging and testing purposes only
+
+// Clock endpoints move time rather than money
+const CLOCK_DEBUG_ENDPOINTS = ['/settime', '/skiptime', '/reset'];
+
+// Record the net worth a cheat adds or removes so performance analytics can leave it out of returns
+app.use('/api/debug', (req, res, next) => {
+  if (req.method !== 'POST' || CLOCK_DEBUG_ENDPOINTS.includes(req.path)) {
+    return next();
+  }
+  
+  const before = calculateNetWorth();
+  next();
+  userAccount.externalFlows += calculateNetWorth() - before;
+});
+
+// Set game time to a specific date
+app.post('/api/debug/settime', (req, res) => {
+  const { time } = req.body;
+  if (!time) {
+    return res.status(400).json({ error: 'Time is required' });
+  }
+  
+  try {
+    gameTime = new Date(time);
+    tickHandler.setGameTime(gameTime); // Update tick handler
+    saveGameState(); // Save state after time change
+    res.json({ success: true, newTime: gameTime });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid time format' });
+  }
+});
+
+// Skip time forward
+app.post('/api/debug/skiptime', (req, res) => {
+  const { amount, unit } = req.body;
+  
+  if (!amount || !unit) {
+    return res.status(400).json({ error: 'Amount and unit are required' });
+  }
+  
+  const multipliers = {
+    'hour': 60 * 60 * 1000,
+    'day': 24 * 60 * 60 * 1000,
+    'week': 7 * 24 * 60 * 60 * 1000,
+    'month': 30 * 24 * 60 * 60 * 1000,
+    'year': 365 * 24 * 60 * 60 * 1000
+  };
+  
+  if (!multipliers[unit]) {
+    return res.status(400).json({ error: 'Invalid unit. Use: hour, day, week, month, year' });
+  }
+  
+  // Skipping forward runs every dividend, fee, tax and interest charge on the way
+  const newTime = new Date(gameTime.getTime() + (amount * multipliers[unit]));
+  if (newTime >= gameTime) {
+    tickHandler.advanceGameTime(newTime);
+  } else {
+    tickHandler.setGameTime(newTime);
+  }
+  gameTime = newTime;
+  saveGameState(); // Save state after time skip
+  res.json({ success: true, newTime: gameTime });
+});
+
+// Modify cash balance
+app.post('/api/debug/modifycash', (req, res) => {
+  const { amount } = req.body;
+  
+  if (typeof amount !== 'number') {
+    return res.status(400).json({ error: 'Amount must be a number' });
+  }
+  
+  userAccount.cash += amount;
+  res.json({ success: true, newCash: userAccount.cash });
+});
+
+// Set credit score
+app.post('/api/debug/setcreditscore', (req, res) => {
+  const { score } = req.body;
+  
+  if (typeof score !== 'number' || score < 300 || score > 850) {
+    return res.status(400).json({ error: 'Score must be between 300 and 850' });
+  }
+  
+  userAccount.creditScore = score;
+  res.json({ success: true, newScore: userAccount.creditScore });
+});
+
+// Add stock to portfolio
+app.post('/api/debug/addstock', (req, res) => {
+  const { symbol, shares } = req.body;
+  
+  if (!symbol || typeof shares !== 'number' || shares <= 0) {
+    return res.status(400).json({ error: 'Valid symbol and positive shares required' });
+  }
+  
+  // Check if stock exists
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  if (!stockPrice) {
+    return res.status(404).json({ error: 'Stock not found or not available at current time' });
+  }
+  
+  if (!userAccount.portfolio[symbol]) {
+    userAccount.portfolio[symbol] = 0;
+  }
+  
+  userAccount.portfolio[symbol] += shares;
+  
+  // Add to purchase history with current price (for tax purposes)
+  addTaxLot(symbol, 'stock', shares, stockPrice.price);
+  
+  res.json({ 
+    success: true, 
+    symbol, 
+    totalShares: userAccount.portfolio[symbol] 
+  });
+});
+
+// Remove stock from portfolio
+app.post('/api/debug/removestock', (req, res) => {
+  const { symbol } = req.body;
+  
+  if (!symbol) {
+    return res.status(400).json({ error: 'Symbol is required' });
+  }
+  
+  if (!userAccount.portfolio[symbol]) {
+    return res.status(404).json({ error: 'Stock not in portfolio' });
+  }
+  
+  delete userAccount.portfolio[symbol];
+  delete userAccount.purchaseHistory[symbol];
+  
+  res.json({ success: true, symbol });
+});
+
+// Clear all holdings
+app.post('/api/debug/clearholdings', (req, res) => {
+  userAccount.portfolio = {};
+  userAccount.indexFundHoldings = {};
+  userAccount.shortPositions = {};
+  userAccount.purchaseHistory = {};
+  userAccount.shareholderInfluence = {};
+  
+  res.json({ success: true });
+});
+
+// Set margin debt (debug)
+app.post('/api/debug/setmargindebt', (req, res) => {
+  const { amount } = req.body;
+  
+  if (typeof amount !== 'number' || amount < 0) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  
+  userAccount.marginAccount.marginBalance = amount;
+  res.json({ success: true, marginBalance: amount });
+});
+
+// Clear transactions (debug)
+app.post('/api/debug/cleartransactions', (req, res) => {
+  userAccount.transactions = [];
+  res.json({ success: true, message: 'All transactions cleared' });
+});
+
+// Clear loans (debug)
+app.post('/api/debug/clearloans', (req, res) => {
+  userAccount.loans = [];
+  userAccount.loanHistory = [];
+  res.json({ success: true, message: 'All loans cleared' });
+});
+
+// Clear taxes (debug)
+app.post('/api/debug/cleartaxes', (req, res) => {
+  userAccount.taxes = [];
+  res.json({ success: true, message: 'Tax history cleared' });
+});
+
+// Reset game to initial state
+app.post('/api/debug/reset', (req, res) => {
+  // Only the caller's account starts over; the clock is shared, so it stays where it
+  // is (POST /api/game/new restarts it for everyone)
+  resetUserGameData(req.user.id, 'Cancelled: game reset');
+  userAccounts.delete(req.user.id);
+  bindUserAccount(req.user.id);
+  
+  res.json({ success: true, message: 'Account reset to initial state' });
+});
+
+// Competition API Endpoints
+
+// Rank a competition's entrants by current net worth, restoring the caller's account afterwards
+function calculateCompetitionStandings(contest) {
+  const results = restoringUserBinding(() => contest.entries.map(entry => {
+    bindUserAccount(entry.userId);
+    return { userId: entry.userId, username: entry.username, netWorth: calculateNetWorth() };
+  }));
+  return competition.buildStandings(results, contest.startingCash);
+}
+
+// Close the running competition once the clock passes its end date
+function checkCompetitionEnd() {
+  const contest = competition.getActiveCompetition();
+  if (!contest || gameTime < new Date(contest.endDate)) {
+    return;
+  }
+  
+  const standings = calculateCompetitionStandings(contest);
+  competition.finishCompetition(contest.id, standings, gameTime);
+  
+  // Stop the clock so the final standings match the end date
+  isPaused = true;
+  pauseHandler.setIsPaused(true);
+  saveGameState();
+  
+  const podium = standings.slice(0, 3)
+    .map(s => `  #${s.rank} ${s.username}: $${s.netWorth.toFixed(2)} (${(s.return * 100).toFixed(2)}%)`)
+    .join('\n');
+  
+  for (const standing of standings) {
+    let body = `The competition "${contest.name}" has ended.\n\n`;
+    body += `You finished #${standing.rank} of ${standings.length} with a net worth of $${standing.netWorth.toFixed(2)} `;
+    body += `(${(standing.return * 100).toFixed(2)}% on $${contest.startingCash.toFixed(2)} starting cash).\n\n`;
+    body += `Top finishers:\n${podium}\n\n`;
+    body += `Contest Desk`;
+    
+    dbModule.insertEmail.run(
+      standing.userId,
+      'contests@stockfake.com',
+      `Final Standings: ${contest.name}`,
+      body,
+      gameTime.toISOString(),
+      'competition'
+    );
+  }
+  
+  console.log(`Competition "${contest.name}" finished with ${standings.length} player(s)`);
+}
+
+// Latest game time there is, for recurrences with nothing left to run
+const NO_OCCURRENCE = new Date(8640000000000000);
+
+// The running competition ends on its end date, or right away if the clock is already
+// past it. Starting a competition moves the clock, which reschedules this.
+function nextCompetitionEnd(after) {
+  const contest = competition.getActiveCompetition();
+  if (!contest) {
+    return NO_OCCURRENCE;
+  }
+  const endDate = new Date(contest.endDate);
+  return endDate > after ? endDate : new Date(after.getTime() + 1);
+}
+
+// Runs on game time, so the final standings are taken at the end date however fast the game runs
+tickHandler.schedule('competition end', nextCompetitionEnd, atOccurrence(checkCompetitionEnd));
+
+// List competitions
+app.get('/api/competitions', (req, res) => {
+  res.json(competition.listCompetitions());
+});
+
+// Create a competition
+app.post('/api/competitions', (req, res) => {
+  const result = competition.createCompetition(req.body, req.user.id, gameTime);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.status(201).json(result);
+});
+
+// Get a competition and its entrants
+app.get('/api/competitions/:id', (req, res) => {
+  const contest = competition.getCompetition(parseInt(req.params.id));
+  if (!contest) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+  res.json(contest);
+});
+
+// Enroll the current player
+app.post('/api/competitions/:id/enroll', (req, res) => {
+  const result = competition.enrollPlayer(parseInt(req.params.id), req.user.id, new Date());
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Start a competition: reset entrants and move the clock to the start date
+app.post('/api/competitions/:id/start', (req, res) => {
+  const result = competition.startCompetition(parseInt(req.params.id), req.user.id, (userId) => {
+    resetUserGameData(userId, 'Cancelled: competition started');
+  });
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  
+  const contest = result.competition;
+  for (const entry of contest.entries) {
+    const account = createUserAccount();
+    account.cash = contest.startingCash;
+    userAccounts.set(entry.userId, account);
+  }
+  bindUserAccount(req.user.id);
+  
+  gameTime = new Date(contest.startDate);
+  tickHandler.setGameTime(gameTime);
+  timeMultiplier = contest.timeMultiplier;
+  tickHandler.setTimeMultiplier(timeMultiplier);
+  isPaused = false;
+  pauseHandler.setIsPaused(false);
+  saveGameState();
+  
+  console.log(`Competition "${contest.name}" started with ${contest.entries.length} player(s)`);
+  res.json(result);
+});
+
+// Live standings for a running competition, or the final report once finished
+app.get('/api/competitions/:id/standings', (req, res) => {
+  const contest = competition.getCompetition(parseInt(req.params.id));
+  if (!contest) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+  
+  if (contest.status === 'scheduled') {
+    return res.status(400).json({ error: 'Competition has not started' });
+  }
+  
+  res.json({
+    id: contest.id,
+    name: contest.name,
+    status: contest.status,
+    startDate: contest.startDate,
+    endDate: contest.endDate,
+    startingCash: contest.startingCash,
+    allowedAssets: contest.allowedAssets,
+    asOf: contest.status === 'finished' ? contest.finishedAt : gameTime,
+    final: contest.status === 'finished',
+    standings: contest.status === 'finished' ? contest.standings : calculateCompetitionStandings(contest)
+  });
+});
+
+// Options Trading API Endpoints
+
+const OPTION_VOLATILITY_DAYS = 60; // Daily closes behind each stock's volatility forecast
+
+// Daily closes for a symbol over the last `days` trading days before asOf, oldest first
+function getDailyCloses(symbol, asOf, days) {
+  const closes = [];
+  const day = new Date(asOf);
+  day.setHours(MARKET_CLOSE_HOUR, MARKET_CLOSE_MINUTE, 0, 0);
+  while (closes.length < days) {
+    day.setDate(day.getDate() - 1);
+    if (!marketHours.isTradingDay(exchangeData.HOME_EXCHANGE, day)) {
+      continue;
+    }
+    const stockPrice = stocks.getStockPrice(symbol, day, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
+    if (!stockPrice) {
+      break;
+    }
+    closes.unshift(stockPrice.price);
+  }
+  return closes;
+}
+
+// Volatility forecasts by symbol, refreshed once per game day
+const optionVolatilityCache = new Map();
+
+function getOptionVolatility(symbol, asOf) {
+  const day = asOf.toDateString();
+  const cached = optionVolatilityCache.get(symbol);
+  if (cached && cached.day === day) {
+    return cached.volatility;
+  }
+  const volatility = optionsManager.estimateVolatility(getDailyCloses(symbol, asOf, OPTION_VOLATILITY_DAYS));
+  optionVolatilityCache.set(symbol, { day, volatility });
+  return volatility;
+}
+
+// Price an option contract ({ symbol, option_type, strike, expiration_date }) per share, or null without a stock price
+function priceOptionPosition(position, asOf) {
+  const stockPrice = getValuationStockPrice(position.symbol, asOf);
+  if (!stockPrice) {
+    return null;
+  }
+  return optionsManager.priceOption({
+    type: position.option_type,
+    spot: stockPrice.price,
+    strike: position.strike,
+    years: optionsManager.getYearsToExpiry(position.expiration_date, asOf),
+    rate: treasuryYields.getYield(asOf, '3M'),
+    volatility: getOptionVolatility(position.symbol, asOf)
+  });
+}
+
+function formatOptionPosition(position, asOf) {
+  const pricing = priceOptionPosition(position, asOf) || { price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  const multiplier = position.contracts * optionsManager.CONTRACT_SIZE;
+  return {
+    id: position.id,
+    symbol: position.symbol,
+    type: position.option_type,
+    strike: position.strike,
+    expiration: position.expiration_date,
+    contracts: position.contracts,
+    averagePremium: position.average_premium,
+    currentPremium: pricing.price,
+    marketValue: pricing.price * multiplier,
+    unrealizedGain: (pricing.price - position.average_premium) * multiplier,
+    greeks: {
+      delta: pricing.delta,
+      gamma: pricing.gamma,
+      theta: pricing.theta,
+      vega: pricing.vega,
+      rho: pricing.rho
+    },
+    daysToExpiry: Math.ceil(optionsManager.getYearsToExpiry(position.expiration_date, asOf) * 365),
+    openedAt: position.opened_at
+  };
+}
+
+// Fill an option trade for the bound account at the Black-Scholes premium (rounded to the cent)
+function executeOptionTrade(trade) {
+  const { symbol, type, strike, expiration, action, contracts } = trade;
+  const position = dbModule.getOptionPosition.get(currentUserId, symbol, type, strike, expiration) || null;
+  const pricing = priceOptionPosition({ symbol, option_type: type, strike, expiration_date: expiration }, gameTime);
+  if (!pricing) {
+    return { success: false, error: 'Stock not found' };
+  }
+  const premium = Math.round(pricing.price * 100) / 100;
+  if (premium < 0.01) {
+    return { success: false, error: 'No market for this option (premium below $0.01)' };
+  }
+  
+  const change = optionsManager.applyTrade(position, action, contracts, premium, gameTime);
+  const premiumTotal = premium * contracts * optionsManager.CONTRACT_SIZE;
+  const tradingFee = getTradingFee(premiumTotal, gameTime);
+  
+  // Gains on written options are always short-term
+  const isLongTerm = change.closedContracts > 0 && position.contracts > 0 &&
+    (gameTime - new Date(position.opened_at)) / MS_PER_DAY >= 365;
+  let tax = 0;
+  if (change.realizedGain > 0) {
+    const taxRates = constants.getTaxRates(gameTime.getFullYear());
+    tax = change.realizedGain * (isLongTerm ? taxRates.longTermTaxRate : taxRates.shortTermTaxRate);
+  }
+  
+  const cashChange = (action === 'buy' ? -premiumTotal : premiumTotal) - tradingFee - tax;
+  if (userAccount.cash + cashChange < 0) {
+    return { success: false, error: 'Insufficient funds (including trading fee)' };
+  }
+  
+  // Written options must be covered: calls by shares held, puts by cash to buy the shares
+  if (action === 'sell' && change.contracts < 0) {
+    const written = dbModule.getOptionPositions.all(currentUserId)
+      .filter(p => p.contracts < 0 && !(position && p.id === position.id))
+      .concat([{ symbol, option_type: type, strike, contracts: change.contracts }]);
+    
+    if (type === 'call') {
+      const sharesNeeded = written
+        .filter(p => p.symbol === symbol && p.option_type === 'call')
+        .reduce((sum, p) => sum - p.contracts * optionsManager.CONTRACT_SIZE, 0);
+      if ((userAccount.portfolio[symbol] || 0) < sharesNeeded) {
+        return { success: false, error: `Writing these calls requires ${sharesNeeded} shares of ${symbol} to cover them` };
+      }
+    } else {
+      const cashNeeded = written
+        .filter(p => p.option_type === 'put')
+        .reduce((sum, p) => sum - p.contracts * optionsManager.CONTRACT_SIZE * p.strike, 0);
+      if (userAccount.cash + cashChange < cashNeeded) {
+        return { success: false, error: `Writing these puts requires $${cashNeeded.toFixed(2)} in cash to secure them` };
+      }
+    }
+  }
+  
+  if (change.contracts === 0) {
+    dbModule.deleteOptionPosition.run(position.id, currentUserId);
+  } else {
+    dbModule.upsertOptionPosition.run(
+      currentUserId,
+      symbol,
+      type,
+      strike,
+      expiration,
+      change.contracts,
+      change.averagePremium,
+      change.openedAt,
+      gameTime.toISOString()
+    );
+  }
+  
+  const description = `${contracts} ${symbol} ${expiration} $${strike} ${type} contract${contracts === 1 ? '' : 's'}`;
+  userAccount.cash += cashChange;
+  userAccount.transactions.push({
+    date: new Date(gameTime),
+    type: `option-${action}`,
+    symbol,
+    optionType: type,
+    strike,
+    expiration,
+    contracts,
+    premium,
+    total: premiumTotal,
+    tradingFee,
+    tax,
+    realizedGain: change.realizedGain,
+    isLongTerm,
+    cashChange
+  });
+  
+  if (tradingFee > 0) {
+    userAccount.fees.push({
+      date: new Date(gameTime),
+      type: 'trading',
+      amount: tradingFee,
+      description: `Trading fee for ${action === 'buy' ? 'buying' : 'selling'} ${description}`
+    });
+  }
+  
+  if (tax > 0) {
+    userAccount.taxes.push({
+      date: new Date(gameTime),
+      type: 'capital-gains',
+      amount: tax,
+      description: `Capital gains tax on ${description}`
+    });
+  }
+  
+  return {
+    success: true,
+    premium,
+    premiumTotal,
+    tradingFee,
+    tax,
+    cashChange,
+    realizedGain: change.realizedGain,
+    position: change.contracts === 0
+      ? null
+      : formatOptionPosition(dbModule.getOptionPosition.get(currentUserId, symbol, type, strike, expiration), gameTime)
+  };
+}
+
+// Add shares received through an option exercise or assignment to the bound account
+function receiveOptionShares(symbol, shares, pricePerShare) {
+  shareAvailability.recordPurchase(symbol, shares);
+  userAccount.portfolio[symbol] = (userAccount.portfolio[symbol] || 0) + shares;
+  
+  addTaxLot(symbol, 'stock', shares, pricePerShare);
+  
+  userAccount.shareholderInfluence[symbol] = (userAccount.shareholderInfluence[symbol] || 0) + shares;
+}
+
+// Tax the premium kept on written contracts that close without being bought back (always short-term)
+function taxWrittenOptionPremium(position, contracts, description) {
+  const premiumKept = position.average_premium * contracts * optionsManager.CONTRACT_SIZE;
+  const tax = premiumKept * constants.getTaxRates(gameTime.getFullYear()).shortTermTaxRate;
+  if (tax > 0) {
+    userAccount.cash -= tax;
+    userAccount.taxes.push({
+      date: new Date(gameTime),
+      type: 'capital-gains',
+      amount: tax,
+      description: `Capital gains tax on premium kept from ${description}`
+    });
+  }
+  return tax;
+}
+
+// Remove `contracts` from a bound-account position, deleting it once none are left
+function reduceOptionPosition(position, contracts) {
+  const remaining = position.contracts > 0 ? position.contracts - contracts : position.contracts + contracts;
+  if (remaining === 0) {
+    dbModule.deleteOptionPosition.run(position.id, currentUserId);
+    return;
+  }
+  dbModule.upsertOptionPosition.run(
+    currentUserId,
+    position.symbol,
+    position.option_type,
+    position.strike,
+    position.expiration_date,
+    remaining,
+    position.average_premium,
+    position.opened_at,
+    gameTime.toISOString()
+  );
+}
+
+// Exercise (long positions) or take assignment on (short positions) `contracts` of a
+// bound-account position. Shares change hands at the strike: long calls and short puts
+// buy them, long puts and short calls deliver them from the portfolio. Whatever can't be
+// paid for or delivered is settled in cash at the intrinsic value against `spot`.
+// Returns { success, exercise } with the recorded transaction, or { success: false, error }
+// with nothing changed when the shares held can't be sold (a trading halt, say).
+function settleOptionContracts(position, contracts, spot, reason) {
+  const { symbol, option_type: type, strike } = position;
+  const isLong = position.contracts > 0;
+  const shares = contracts * optionsManager.CONTRACT_SIZE;
+  const intrinsic = optionsManager.getIntrinsicValue(type, strike, spot);
+  const description = `${contracts} ${symbol} ${position.expiration_date} $${strike} ${type} contract${contracts === 1 ? '' : 's'}`;
+  const cashBefore = userAccount.cash;
+  let sharesExchanged = 0;
+  let cashSettled = 0;
+  let tradingFee = 0;
+  
+  if ((type === 'call') === isLong) {
+    // Buy the shares at the strike. A long call the player can't pay for is settled in
+    // cash instead; a written put must take the shares even if it overdraws the account.
+    const cost = strike * shares;
+    tradingFee = getTradingFee(cost, gameTime);
+    if (isLong && userAccount.cash < cost + tradingFee) {
+      tradingFee = 0;
+      cashSettled = intrinsic * shares;
+    } else {
+      // The premium paid raises (long call) or the premium received lowers (short put) the cost basis
+      const costBasis = Math.max(0, isLong ? strike + position.average_premium : strike - position.average_premium);
+      receiveOptionShares(symbol, shares, costBasis);
+      userAccount.cash -= cost + tradingFee;
+      sharesExchanged = shares;
+      if (tradingFee > 0) {
+        userAccount.fees.push({
+          date: new Date(gameTime),
+          type: 'trading',
+          amount: tradingFee,
+          description: `Trading fee for buying ${shares} shares of ${symbol} on ${description}`
+        });
+      }
+    }
+  } else {
+    // Deliver shares held at the strike; settle any shortfall in cash
+    sharesExchanged = Math.min(userAccount.portfolio[symbol] || 0, shares);
+    if (sharesExchanged > 0) {
+      const sale = executeStockOrder(symbol, 'sell', sharesExchanged, { price: strike }, { atPrice: true });
+      if (!sale.success) {
+        return { success: false, error: `Could not deliver ${sharesExchanged} shares of ${symbol}: ${sale.error}` };
+      }
+    }
+    cashSettled = (isLong ? 1 : -1) * intrinsic * (shares - sharesExchanged);
+  }
+  userAccount.cash += cashSettled;
+  
+  // A written put's premium is already in the cost basis of the shares it bought
+  const tax = !isLong && type === 'call' ? taxWrittenOptionPremium(position, contracts, description) : 0;
+  reduceOptionPosition(position, contracts);
+  
+  // Gain or loss on the contracts themselves, for the annual tax return. A premium in the
+  // cost basis of shares bought (exercised calls, assigned puts) is realized when they are sold.
+  const premiumTotal = position.average_premium * shares;
+  let realizedGain = 0;
+  if (isLong && (type === 'put' || sharesExchanged === 0)) {
+    realizedGain = cashSettled - premiumTotal;
+  } else if (!isLong && type === 'call') {
+    realizedGain = premiumTotal + cashSettled;
+  }
+  
+  const exercise = {
+    date: new Date(gameTime),
+    type: isLong ? 'option-exercise' : 'option-assignment',
+    symbol,
+    optionType: type,
+    strike,
+    expiration: position.expiration_date,
+    contracts,
+    shares: sharesExchanged,
+    pricePerShare: strike,
+    underlyingPrice: spot,
+    cashSettled,
+    tradingFee,
+    tax,
+    realizedGain,
+    isLongTerm: isLong && (gameTime - new Date(position.opened_at)) / MS_PER_DAY >= 365,
+    cashChange: userAccount.cash - cashBefore,
+    reason
+  };
+  userAccount.transactions.push(exercise);
+  return { success: true, exercise };
+}
+
+// Email the bound account's owner about an exercise, assignment or expiry
+function sendOptionNotice(subject, lines) {
+  dbModule.insertEmail.run(
+    currentUserId,
+    'options@stockfake.com',
+    subject,
+    `${lines.join('\n')}\n\nOptions Desk`,
+    gameTime.toISOString(),
+    'options'
+  );
+}
+
+// Describe an exercise or assignment for an email
+function describeOptionSettlement(exercise) {
+  const verb = exercise.type === 'option-exercise' ? 'exercised' : 'assigned on';
+  const lines = [`You ${verb} ${exercise.contracts} ${exercise.symbol} ${exercise.expiration} $${exercise.strike} ${exercise.optionType} contract${exercise.contracts === 1 ? '' : 's'} (${exercise.reason}).`];
+  if (exercise.shares > 0) {
+    const bought = (exercise.optionType === 'call') === (exercise.type === 'option-exercise');
+    lines.push(`${exercise.shares} shares of ${exercise.symbol} were ${bought ? 'bought' : 'sold'} at $${exercise.strike.toFixed(2)}.`);
+  }
+  if (exercise.cashSettled !== 0) {
+    lines.push(`$${Math.abs(exercise.cashSettled).toFixed(2)} was ${exercise.cashSettled > 0 ? 'paid to you' : 'charged to you'} in cash at the intrinsic value, with ${exercise.symbol} at $${exercise.underlyingPrice.toFixed(2)}.`);
+  }
+  lines.push(`Net cash change: $${exercise.cashChange.toFixed(2)}`);
+  return lines;
+}
+
+// Settle every contract whose expiry has passed: exercise or assign those at least a cent
+// in the money at the 4 PM expiry price, let the rest expire worthless
+function processOptionExpirations(currentTime) {
+  restoringUserBinding(() => {
+    const dateKey = currentTime.toISOString().slice(0, 10);
+    const expiring = dbModule.getOptionPositionsExpiringBy.all(dateKey)
+      .filter(position => optionsManager.getExpiryTime(position.expiration_date) <= currentTime);
+    
+    for (const position of expiring) {
+      bindUserAccount(position.user_id);
+      const contracts = Math.abs(position.contracts);
+      const expiryTime = optionsManager.getExpiryTime(position.expiration_date);
+      const stockPrice = stocks.getStockPrice(position.symbol, expiryTime, timeMultiplier, false, BYPASS_CACHE_FOR_HISTORICAL);
+      const description = `${contracts} ${position.symbol} ${position.expiration_date} $${position.strike} ${position.option_type} contract${contracts === 1 ? '' : 's'}`;
+      
+      if (stockPrice && optionsManager.isAutoExercised(position.option_type, position.strike, stockPrice.price)) {
+        const settlement = settleOptionContracts(position, contracts, stockPrice.price, 'expiry');
+        if (!settlement.success) {
+          // Left open, so the next close tries again
+          sendOptionNotice(
+            `Option Settlement Delayed: ${position.symbol} ${position.expiration_date} $${position.strike} ${position.option_type.toUpperCase()}`,
+            [`Your expired ${description} could not be settled: ${settlement.error}. It will be settled at a later close.`]
+          );
+          continue;
+        }
+        sendOptionNotice(
+          `Option ${position.contracts > 0 ? 'Exercised' : 'Assigned'}: ${position.symbol} ${position.expiration_date} $${position.strike} ${position.option_type.toUpperCase()}`,
+          describeOptionSettlement(settlement.exercise)
+        );
+        continue;
+      }
+      
+      // Out of the money (or no price for the stock): the contracts lapse
+      const tax = position.contracts < 0 ? taxWrittenOptionPremium(position, contracts, description) : 0;
+      const premium = position.average_premium * contracts * optionsManager.CONTRACT_SIZE;
+      dbModule.deleteOptionPosition.run(position.id, currentUserId);
+      userAccount.transactions.push({
+        date: new Date(gameTime),
+        type: 'option-expired',
+        symbol: position.symbol,
+        optionType: position.option_type,
+        strike: position.strike,
+        expiration: position.expiration_date,
+        contracts,
+        underlyingPrice: stockPrice ? stockPrice.price : null,
+        tax,
+        realizedGain: position.contracts > 0 ? -premium : premium,
+        isLongTerm: position.contracts > 0 && (gameTime - new Date(position.opened_at)) / MS_PER_DAY >= 365,
+        cashChange: -tax
+      });
+      
+      sendOptionNotice(
+        `Option Expired: ${position.symbol} ${position.expiration_date} $${position.strike} ${position.option_type.toUpperCase()}`,
+        [
+          `Your ${position.contracts > 0 ? '' : 'written '}${description} expired worthless${stockPrice ? ` with ${position.symbol} at $${stockPrice.price.toFixed(2)}` : ''}.`,
+          position.contracts > 0
+            ? `The $${premium.toFixed(2)} premium paid is lost.`
+            : `You keep the $${premium.toFixed(2)} premium received${tax > 0 ? ` (less $${tax.toFixed(2)} tax)` : ''}.`
+        ]
+      );
+    }
+  });
+}
+
+// Exercise the bound account's calls (and take assignment on its written calls) where the
+// dividend about to be paid is worth more than the option's remaining time value
+function exerciseCallsBeforeDividend(year) {
+  for (const position of dbModule.getOptionPositions.all(currentUserId)) {
+    if (position.option_type !== 'call') {
+      continue;
+    }
+    const stockPrice = stocks.getStockPrice(position.symbol, gameTime, timeMultiplier, isPaused);
+    if (!stockPrice) {
+      continue;
+    }
+    const params = {
+      type: 'call',
+      spot: stockPrice.price,
+      strike: position.strike,
+      years: optionsManager.getYearsToExpiry(position.expiration_date, gameTime),
+      rate: treasuryYields.getYield(gameTime, '3M'),
+      volatility: getOptionVolatility(position.symbol, gameTime)
+    };
+    const dividend = constants.getDividendRate(position.symbol, year);
+    if (!optionsManager.isEarlyExerciseOptimal(params, dividend)) {
+      continue;
+    }
+    
+    const settlement = settleOptionContracts(position, Math.abs(position.contracts), stockPrice.price, 'early exercise before dividend');
+    if (!settlement.success) {
+      continue;
+    }
+    sendOptionNotice(
+      `Early ${position.contracts > 0 ? 'Exercise' : 'Assignment'}: ${position.symbol} ${position.expiration_date} $${position.strike} CALL`,
+      [
+        `The $${dividend.toFixed(2)} per share ${position.symbol} dividend was worth more than the call's remaining time value, so it was exercised before the dividend.`,
+        ...describeOptionSettlement(settlement.exercise)
+      ]
+    );
+  }
+}
+
+// Get the option chain for a stock
+app.get('/api/options/:symbol/chain', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
+  if (!stockPrice) {
+    return res.status(404).json({ error: 'Stock not found' });
+  }
+  if (optionsManager.getListedTypes(gameTime).length === 0) {
+    return res.status(400).json({ error: 'Listed options start trading on April 26, 1973' });
+  }
+  
+  const chain = optionsManager.buildChain(
+    symbol,
+    stockPrice.price,
+    gameTime,
+    treasuryYields.getYield(gameTime, '3M'),
+    getOptionVolatility(symbol, gameTime)
+  );
+  res.json({ ...chain, contractSize: optionsManager.CONTRACT_SIZE, marketOpen: isMarketOpen(gameTime) });
+});
+
+// Buy or sell option contracts
+app.post('/api/options/trade', (req, res) => {
+  const check = optionsManager.validateTradeParams(req.body, gameTime);
+  if (!check.valid) {
+    return res.status(400).json({ error: check.error });
+  }
+  const trade = check.trade;
+  
+  if (!isMarketOpen(gameTime)) {
+    return res.status(400).json({ error: 'Options only trade while the market is open' });
+  }
+  
+  const stockPrice = stocks.getStockPrice(trade.symbol, gameTime, timeMultiplier, isPaused);
+  if (!stockPrice) {
+    return res.status(404).json({ error: 'Stock not found' });
+  }
+  
+  // New positions must use a listed contract; held contracts can always be traded
+  const held = dbModule.getOptionPosition.get(req.user.id, trade.symbol, trade.type, trade.strike, trade.expiration);
+  const listed = optionsManager.getExpirations(gameTime).includes(trade.expiration) &&
+    optionsManager.getStrikes(stockPrice.price).includes(trade.strike);
+  if (!held && !listed) {
+    return res.status(400).json({ error: 'No listed option for that strike and expiration' });
+  }
+  
+  const result = executeOptionTrade(trade);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result, remainingCash: userAccount.cash });
+});
+
+// Exercise held contracts early (American style)
+app.post('/api/options/exercise', (req, res) => {
+  const position = dbModule.getOptionPositions.all(req.user.id).find(p => p.id === parseInt(req.body.id));
+  if (!position) {
+    return res.status(404).json({ error: 'Option position not found' });
+  }
+  if (position.contracts < 0) {
+    return res.status(400).json({ error: 'Only contracts you hold can be exercised' });
+  }
+  
+  const contracts = req.body.contracts === undefined ? position.contracts : req.body.contracts;
+  if (!Number.isInteger(contracts) || contracts <= 0 || contracts > position.contracts) {
+    return res.status(400).json({ error: `Contracts must be a whole number from 1 to ${position.contracts}` });
+  }
+  if (!isMarketOpen(gameTime)) {
+    return res.status(400).json({ error: 'Options can only be exercised while the market is open' });
+  }
+  
+  const stockPrice = stocks.getStockPrice(position.symbol, gameTime, timeMultiplier, isPaused);
+  if (!stockPrice) {
+    return res.status(404).json({ error: 'Stock not found' });
+  }
+  if (!optionsManager.isAutoExercised(position.option_type, position.strike, stockPrice.price)) {
+    return res.status(400).json({ error: 'Option is out of the money' });
+  }
+  
+  const settlement = settleOptionContracts(position, contracts, stockPrice.price, 'early exercise');
+  if (!settlement.success) {
+    return res.status(400).json({ error: settlement.error });
+  }
+  res.json({ success: true, exercise: settlement.exercise, remainingCash: userAccount.cash });
+});
+
+// Get the player's open option positions at current prices
+app.get('/api/options/positions', (req, res) => {
+  res.json(dbModule.getOptionPositions.all(req.user.id).map(position => formatOptionPosition(position, gameTime)));
+});
+
+// Futures Trading API Endpoints
+
+// Underlying price of a futures contract: its index fund's price or the commodity's spot price
+function getFuturesSpot(contract, asOf, bypassCache = false) {
+  if (contract.type === 'index') {
+    const fund = indexFunds.indexFunds.find(f => f.symbol === contract.underlying);
+    return fund ? indexFunds.calculateIndexPrice(fund, asOf, timeMultiplier, bypassCache ? false : isPaused, bypassCache) : null;
+  }
+  return futuresManager.getCommodityPrice(contract.symbol, asOf);
+}
+
+// Futures price for a contract month (rounded to the cent), or null without an underlying price.
+// Scheduled events price on their occurrence's date (see getValuationStockPrice).
+function getFuturesPrice(contract, contractMonth, asOf, bypassCache = isRunningOccurrence) {
+  const spot = getFuturesSpot(contract, asOf, bypassCache);
+  if (!spot) {
+    return null;
+  }
+  const price = futuresManager.priceFuture(
+    spot,
+    treasuryYields.getYield(asOf, '3M'),
+    contract.carryYield,
+    futuresManager.getYearsToExpiry(contractMonth, asOf)
+  );
+  return Math.round(price * 100) / 100;
+}
+
+// Margin the given futures positions require at current prices
+function getFuturesMarginRequired(positions, asOf) {
+  const total = { initial: 0, maintenance: 0 };
+  for (const position of positions) {
+    const contract = futuresData.getFuturesContract(position.symbol);
+    const price = getFuturesPrice(contract, position.contract_month, asOf) || position.settlement_price;
+    const margin = futuresManager.getMarginRequirement(contract, price, position.contracts);
+    total.initial += margin.initial;
+    total.maintenance += margin.maintenance;
+  }
+  return total;
+}
+
+function formatFuturesPosition(position, asOf) {
+  const contract = futuresData.getFuturesContract(position.symbol);
+  const price = getFuturesPrice(contract, position.contract_month, asOf) || position.settlement_price;
+  return {
+    id: position.id,
+    symbol: position.symbol,
+    name: contract.name,
+    code: futuresManager.getContractCode(position.symbol, position.contract_month),
+    contractMonth: position.contract_month,
+    expiration: futuresManager.getExpiration(position.contract_month),
+    contracts: position.contracts,
+    multiplier: contract.multiplier,
+    averagePrice: position.average_price,
+    settlementPrice: position.settlement_price,
+    currentPrice: price,
+    unsettledGain: futuresManager.getVariationMargin(position.settlement_price, price, position.contracts, contract.multiplier),
+    openGain: futuresManager.getVariationMargin(position.average_price, price, position.contracts, contract.multiplier),
+    margin: futuresManager.getMarginRequirement(contract, price, position.contracts),
+    autoRoll: position.auto_roll === 1,
+    daysToExpiry: Math.ceil(futuresManager.getYearsToExpiry(position.contract_month, asOf) * 365),
+    openedAt: position.opened_at
+  };
+}
+
+// Fill a futures trade for the bound account at the current futures price. Held contracts are
+// marked to the trade price first, so the variation since the last settlement is paid out.
+// Trades that add exposure need cash to cover initial margin on every futures position afterwards;
+// closing trades always go through.
+function executeFuturesTrade(trade) {
+  const { symbol, contractMonth, action, contracts } = trade;
+  const contract = futuresData.getFuturesContract(symbol);
+  const position = dbModule.getFuturesPosition.get(currentUserId, symbol, contractMonth) || null;
+  const price = getFuturesPrice(contract, contractMonth, gameTime);
+  if (!price) {
+    return { success: false, error: 'No price for this contract\'s underlying' };
+  }
+  
+  const change = futuresManager.applyTrade(position, action, contracts, price, contract.multiplier, gameTime);
+  const commission = futuresManager.getCommission(contracts, gameTime);
+  const variationMargin = position
+    ? futuresManager.getVariationMargin(position.settlement_price, price, position.contracts, contract.multiplier)
+    : 0;
+  
+  let tax = 0;
+  if (change.realizedGain > 0) {
+    const taxRates = constants.getTaxRates(gameTime.getFullYear());
+    tax = change.realizedGain * futuresManager.getTaxRate(taxRates, position.opened_at, gameTime);
+  }
+  
+  const cashChange = variationMargin - commission - tax;
+  if (Math.abs(change.contracts) > Math.abs(position ? position.contracts : 0)) {
+    const others = dbModule.getFuturesPositions.all(currentUserId).filter(p => !(position && p.id === position.id));
+    const marginRequired = getFuturesMarginRequired(others, gameTime).initial +
+      futuresManager.getMarginRequirement(contract, price, change.contracts).initial;
+    if (userAccount.cash + cashChange < marginRequired) {
+      return { success: false, error: `Insufficient margin: $${marginRequired.toFixed(2)} in cash is required as initial margin (including commission)` };
+    }
+  }
+  
+  const autoRoll = trade.autoRoll === undefined ? (position ? position.auto_roll : 0) : (trade.autoRoll ? 1 : 0);
+  if (change.contracts === 0) {
+    dbModule.deleteFuturesPosition.run(position.id, currentUserId);
+  } else {
+    dbModule.upsertFuturesPosition.run(
+      currentUserId,
+      symbol,
+      contractMonth,
+      change.contracts,
+      change.averagePrice,
+      price,
+      autoRoll,
+      change.openedAt,
+      gameTime.toISOString()
+    );
+  }
+  
+  const description = `${contracts} ${futuresManager.getContractCode(symbol, contractMonth)} contract${contracts === 1 ? '' : 's'}`;
+  userAccount.cash += cashChange;
+  userAccount.transactions.push({
+    date: new Date(gameTime),
+    type: `futures-${action}`,
+    symbol,
+    contractMonth,
+    contracts,
+    price,
+    multiplier: contract.multiplier,
+    commission,
+    tax,
+    variationMargin,
+    realizedGain: change.realizedGain,
+    longTermShare: position ? futuresManager.getLongTermShare(position.opened_at, gameTime) : 0,
+    cashChange
+  });
+  
+  if (commission > 0) {
+    userAccount.fees.push({
+      date: new Date(gameTime),
+      type: 'trading',
+      amount: commission,
+      description: `Commission for ${action === 'buy' ? 'buying' : 'selling'} ${description}`
+    });
+  }
+  
+  if (tax > 0) {
+    userAccount.taxes.push({
+      date: new Date(gameTime),
+      type: 'capital-gains',
+      amount: tax,
+      description: `Capital gains tax on ${description}`
+    });
+  }
+  
+  return {
+    success: true,
+    price,
+    commission,
+    tax,
+    variationMargin,
+    realizedGain: change.realizedGain,
+    cashChange,
+    position: change.contracts === 0
+      ? null
+      : formatFuturesPosition(dbModule.getFuturesPosition.get(currentUserId, symbol, contractMonth), gameTime)
+  };
+}
+
+// Close a bound-account position and reopen it in the contract's next month
+function rollFuturesPosition(position) {
+  const contract = futuresData.getFuturesContract(position.symbol);
+  const nextMonth = futuresManager.getNextContractMonth(contract, position.contract_month);
+  const contracts = Math.abs(position.contracts);
+  const close = executeFuturesTrade({
+    symbol: position.symbol,
+    contractMonth: position.contract_month,
+    action: position.contracts > 0 ? 'sell' : 'buy',
+    contracts
+  });
+  if (!close.success) {
+    return close;
+  }
+  const open = executeFuturesTrade({
+    symbol: position.symbol,
+    contractMonth: nextMonth,
+    action: position.contracts > 0 ? 'buy' : 'sell',
+    contracts,
+    autoRoll: position.auto_roll === 1
+  });
+  if (!open.success) {
+    return { success: false, error: `Closed the expiring contracts but could not reopen them: ${open.error}` };
+  }
+  return { ...open, closed: close, contractMonth: nextMonth };
+}
+
+// Settle an expired bound-account position against its final price (variation up to that
+// price already paid), then roll it forward if auto-roll is on. Returns lines for an email.
+function settleExpiredFutures(position, contract, finalPrice) {
+  const code = futuresManager.getContractCode(position.symbol, position.contract_month);
+  const contracts = Math.abs(position.contracts);
+  const realizedGain = futuresManager.getVariationMargin(position.average_price, finalPrice, position.contracts, contract.multiplier);
+  let tax = 0;
+  if (realizedGain > 0) {
+    const taxRates = constants.getTaxRates(gameTime.getFullYear());
+    tax = realizedGain * futuresManager.getTaxRate(taxRates, position.opened_at, gameTime);
+    userAccount.cash -= tax;
+    userAccount.taxes.push({
+      date: new Date(gameTime),
+      type: 'capital-gains',
+      amount: tax,
+      description: `Capital gains tax on ${contracts} expired ${code} contract${contracts === 1 ? '' : 's'}`
+    });
+  }
+  
+  dbModule.deleteFuturesPosition.run(position.id, currentUserId);
+  userAccount.transactions.push({
+    date: new Date(gameTime),
+    type: 'futures-expired',
+    symbol: position.symbol,
+    contractMonth: position.contract_month,
+    contracts: position.contracts,
+    price: finalPrice,
+    multiplier: contract.multiplier,
+    tax,
+    realizedGain,
+    longTermShare: futuresManager.getLongTermShare(position.opened_at, gameTime),
+    cashChange: -tax
+  });
+  
+  const lines = [
+    `${position.contracts > 0 ? 'Long' : 'Short'} ${contracts} ${code} expired and settled in cash at ${finalPrice.toFixed(2)}. ` +
+    `Gain/loss since you opened it: $${realizedGain.toFixed(2)}${tax > 0 ? ` (tax $${tax.toFixed(2)})` : ''}.`
+  ];
+  
+  if (position.auto_roll === 1) {
+    const nextMonth = futuresManager.getNextContractMonth(contract, position.contract_month);
+    const nextCode = futuresManager.getContractCode(position.symbol, nextMonth);
+    const roll = executeFuturesTrade({
+      symbol: position.symbol,
+      contractMonth: nextMonth,
+      action: position.contracts > 0 ? 'buy' : 'sell',
+      contracts,
+      autoRoll: true
+    });
+    lines.push(roll.success
+      ? `Auto-roll: reopened ${contracts} ${nextCode} at ${roll.price.toFixed(2)} (commission $${roll.commission.toFixed(2)}).`
+      : `Auto-roll into ${nextCode} failed: ${roll.error}`);
+  }
+  return lines;
+}
+
+// Close bound-account futures positions, largest margin first, until cash covers the
+// maintenance margin on those left. Returns lines for an email (none if margin was met).
+function enforceFuturesMargin(asOf) {
+  const positions = dbModule.getFuturesPositions.all(currentUserId).map(position => ({
+    position,
+    maintenance: getFuturesMarginRequired([position], asOf).maintenance
+  }));
+  let required = positions.reduce((sum, p) => sum + p.maintenance, 0);
+  if (userAccount.cash >= required) {
+    return [];
+  }
+  
+  const lines = [`Your cash of $${userAccount.cash.toFixed(2)} no longer covers the $${required.toFixed(2)} maintenance margin on your futures positions.`];
+  positions.sort((a, b) => b.maintenance - a.maintenance);
+  for (const { position, maintenance } of positions) {
+    if (userAccount.cash >= required) {
+      break;
+    }
+    const contracts = Math.abs(position.contracts);
+    const result = executeFuturesTrade({
+      symbol: position.symbol,
+      contractMonth: position.contract_month,
+      action: position.contracts > 0 ? 'sell' : 'buy',
+      contracts
+    });
+    if (result.success) {
+      required -= maintenance;
+      lines.push(`Liquidated ${contracts} ${futuresManager.getContractCode(position.symbol, position.contract_month)} at ${result.price.toFixed(2)}.`);
+    }
+  }
+  return lines;
+}
+
+// Mark every futures position to the close: pay variation margin against cash, settle (or roll)
+// expired contracts at the underlying's price at expiry, then enforce maintenance margin
+function processFuturesSettlement(closeTime) {
+  restoringUserBinding(() => {
+    const positionsByUser = new Map();
+    for (const position of dbModule.getAllFuturesPositions.all()) {
+      if (!positionsByUser.has(position.user_id)) {
+        positionsByUser.set(position.user_id, []);
+      }
+      positionsByUser.get(position.user_id).push(position);
+    }
+    
+    for (const [userId, positions] of positionsByUser) {
+      bindUserAccount(userId);
+      let variationTotal = 0;
+      const notices = [];
+      
+      for (const position of positions) {
+        const contract = futuresData.getFuturesContract(position.symbol);
+        const expiryTime = futuresManager.getExpiryTime(position.contract_month);
+        const expired = expiryTime <= closeTime;
+        const price = expired
+          ? getFuturesPrice(contract, position.contract_month, expiryTime, BYPASS_CACHE_FOR_HISTORICAL)
+          : getFuturesPrice(contract, position.contract_month, closeTime);
+        if (!price) {
+          continue;
+        }
+        
+        const variation = futuresManager.getVariationMargin(position.settlement_price, price, position.contracts, contract.multiplier);
+        userAccount.cash += variation;
+        variationTotal += variation;
+        
+        if (expired) {
+          notices.push(...settleExpiredFutures(position, contract, price));
+        } else {
+          dbModule.updateFuturesSettlement.run(price, gameTime.toISOString(), position.id);
+        }
+      }
+      
+      if (variationTotal !== 0) {
+        userAccount.transactions.push({
+          date: new Date(gameTime),
+          type: 'futures-settlement',
+          amount: variationTotal,
+          cashChange: variationTotal
+        });
+      }
+      
+      notices.push(...enforceFuturesMargin(closeTime));
+      if (notices.length > 0) {
+        dbModule.insertEmail.run(
+          userId,
+          'futures@stockfake.com',
+          `Futures Statement: ${closeTime.toLocaleDateString('en-US')}`,
+          `${notices.join('\n\n')}\n\nCash after today's settlement: $${userAccount.cash.toFixed(2)}\n\nFutures Desk`,
+          gameTime.toISOString(),
+          'futures'
+        );
+      }
+    }
+  });
+}
+
+// List the futures contracts trading now with quotes for each listed month
+app.get('/api/futures', (req, res) => {
+  const rate = treasuryYields.getYield(gameTime, '3M');
+  const contracts = [];
+  for (const contract of futuresData.getListedFutures(gameTime)) {
+    const spotPrice = getFuturesSpot(contract, gameTime);
+    if (!spotPrice) {
+      continue;
+    }
+    contracts.push({
+      symbol: contract.symbol,
+      name: contract.name,
+      type: contract.type,
+      exchange: contract.exchange,
+      description: contract.description,
+      multiplier: contract.multiplier,
+      spotPrice,
+      months: futuresManager.getContractMonths(contract, gameTime).map(contractMonth => {
+        const price = getFuturesPrice(contract, contractMonth, gameTime);
+        const margin = futuresManager.getMarginRequirement(contract, price, 1);
+        return {
+          contractMonth,
+          code: futuresManager.getContractCode(contract.symbol, contractMonth),
+          expiration: futuresManager.getExpiration(contractMonth),
+          daysToExpiry: Math.ceil(futuresManager.getYearsToExpiry(contractMonth, gameTime) * 365),
+          price,
+          initialMargin: margin.initial,
+          maintenanceMargin: margin.maintenance
+        };
+      })
+    });
+  }
+  res.json({ riskFreeRate: rate, marketOpen: isMarketOpen(gameTime), contracts });
+});
+
+// Buy or sell futures contracts
+app.post('/api/futures/trade', (req, res) => {
+  const check = futuresManager.validateTradeParams(req.body, gameTime);
+  if (!check.valid) {
+    return res.status(400).json({ error: check.error });
+  }
+  const trade = check.trade;
+  
+  if (!isMarketOpen(gameTime)) {
+    return res.status(400).json({ error: 'Futures only trade while the market is open' });
+  }
+  
+  // New positions must use a listed month; held contracts can always be traded
+  const contract = futuresData.getFuturesContract(trade.symbol);
+  const held = dbModule.getFuturesPosition.get(req.user.id, trade.symbol, trade.contractMonth);
+  if (!held && !futuresManager.getContractMonths(contract, gameTime).includes(trade.contractMonth)) {
+    return res.status(400).json({ error: 'That contract month is not listed yet' });
+  }
+  
+  const result = executeFuturesTrade(trade);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result, remainingCash: userAccount.cash });
+});
+
+// Get the player's open futures positions at current prices
+app.get('/api/futures/positions', (req, res) => {
+  res.json(dbModule.getFuturesPositions.all(req.user.id).map(position => formatFuturesPosition(position, gameTime)));
+});
+
+// Roll a position into the contract's next month now
+app.post('/api/futures/positions/:id/roll', (req, res) => {
+  const position = dbModule.getFuturesPositions.all(req.user.id).find(p => p.id === parseInt(req.params.id));
+  if (!position) {
+    return res.status(404).json({ error: 'Futures position not found' });
+  }
+  if (!isMarketOpen(gameTime)) {
+    return res.status(400).json({ error: 'Futures only trade while the market is open' });
+  }
+  
+  const result = rollFuturesPosition(position);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result, remainingCash: userAccount.cash });
+});
+
+// Turn automatic rollover at expiry on or off for a position
+app.post('/api/futures/positions/:id/auto-roll', (req, res) => {
+  if (typeof req.body.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+  const result = dbModule.updateFuturesAutoRoll.run(req.body.enabled ? 1 : 0, gameTime.toISOString(), parseInt(req.params.id), req.user.id);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Futures position not found' });
+  }
+  res.json({ success: true, autoRoll: req.body.enabled });
+});
+
+// Forex API Endpoints
+
+const FOREX_HISTORY_MAX_DAYS = 365;
+
+// Balance of one of the bound account's wallets (dollars are the account's cash)
+function getWalletBalance(code) {
+  if (code === forexManager.BASE_CURRENCY) {
+    return userAccount.cash;
+  }
+  const wallet = dbModule.getCurrencyBalance.get(currentUserId, code);
+  return wallet ? wallet.balance : 0;
+}
+
+// Add to (or take from) one of the bound account's wallets; empty wallets are removed
+function adjustWallet(code, amount) {
+  if (code === forexManager.BASE_CURRENCY) {
+    userAccount.cash += amount;
+    return;
+  }
+  const balance = Math.round((getWalletBalance(code) + amount) * 100) / 100;
+  if (balance === 0) {
+    dbModule.deleteCurrencyBalance.run(currentUserId, code);
+  } else {
+    dbModule.upsertCurrencyBalance.run(currentUserId, code, balance, gameTime.toISOString());
+  }
+}
+
+// Every wallet the bound account holds, dollars first, valued at mid rates
+function formatWallets(asOf) {
+  const wallets = [{
+    currency: forexManager.BASE_CURRENCY,
+    name: 'US Dollar',
+    symbol: '$',
+    balance: userAccount.cash,
+    rate: 1,
+    usdValue: userAccount.cash
+  }];
+  for (const wallet of dbModule.getCurrencyBalances.all(currentUserId)) {
+    const currency = currencyData.getCurrency(wallet.currency);
+    wallets.push({
+      currency: wallet.currency,
+      name: currency.name,
+      symbol: currency.symbol,
+      balance: wallet.balance,
+      rate: forexManager.getMidRate(wallet.currency, asOf),
+      usdValue: forexManager.toUsd(wallet.balance, wallet.currency, asOf)
+    });
+  }
+  return wallets;
+}
+
+// Convert wallets in a retired currency into its successor at the fixed rate, without a
+// spread (Deutsche Marks became euros at 1.95583 when euro cash arrived)
+function processCurrencyRedenominations(closeTime) {
+  restoringUserBinding(() => {
+    for (const currency of Object.values(currencyData.currencies)) {
+      const redenomination = forexManager.getRedenomination(currency.code, closeTime);
+      if (!redenomination) {
+        continue;
+      }
+      const successor = currencyData.getCurrency(redenomination.currency);
+      
+      for (const wallet of dbModule.getCurrencyBalancesByCurrency.all(currency.code)) {
+        bindUserAccount(wallet.user_id);
+        const converted = Math.round(wallet.balance / redenomination.rate * 100) / 100;
+        dbModule.deleteCurrencyBalance.run(wallet.user_id, currency.code);
+        adjustWallet(successor.code, converted);
+        userAccount.transactions.push({
+          date: new Date(gameTime),
+          type: 'forex-redenomination',
+          from: currency.code,
+          to: successor.code,
+          amount: wallet.balance,
+          received: converted,
+          rate: 1 / redenomination.rate,
+          cashChange: 0
+        });
+        
+        dbModule.insertEmail.run(
+          wallet.user_id,
+          'forex@stockfake.com',
+          `Your ${currency.name} Balance Is Now in ${successor.name}s`,
+          `The ${currency.name} has been withdrawn from circulation.\n\n` +
+          `Your balance of ${currency.symbol}${wallet.balance.toFixed(2)} was converted at the fixed rate of ` +
+          `${redenomination.rate} ${currency.code} per ${successor.code} into ${successor.symbol}${converted.toFixed(2)}. ` +
+          `No spread or fee was charged.\n\nForex Desk`,
+          gameTime.toISOString(),
+          'forex'
+        );
+      }
+    }
+  });
+}
+
+// Quote every currency that can be held now against the dollar
+app.get('/api/forex/rates', (req, res) => {
   res.json({
-    count: generatedEvents.length,
-    events: generatedEvents.map(e => ({
-      id: e.id,
-      name: e.name,
-      type: e.type,
-      severity: e.severity,
-      generatedAt: e.generatedAt,
-      impact: e.impact
-    }))
+    base: forexManager.BASE_CURRENCY,
+    marketOpen: forexManager.isForexOpen(gameTime),
+    currencies: currencyData.getAvailableCurrencies(gameTime).map(currency => {
+      const quote = forexManager.getQuote(currency.code, gameTime);
+      return {
+        code: currency.code,
+        name: currency.name,
+        symbol: currency.symbol,
+        ...quote,
+        usdPerUnit: 1 / quote.mid,
+        floating: gameTime >= new Date(currency.floatingFrom),
+        peggedTo: currency.peggedTo && gameTime >= new Date(currency.peggedTo.from) ? currency.peggedTo : null
+      };
+    })
   });
 });
 
-// Manually trigger dynamic event generation
-app.post('/api/crash/dynamic/generate', (req, res) => {
-  try {
-    const newEvents = dynamicEventGenerator.generateDynamicEvents(gameTime);
-    
-    // Auto-trigger the generated events
-    const triggeredEvents = [];
-    for (const event of newEvents) {
-      const result = marketCrashSim.triggerCrashEvent(event, gameTime);
-      if (result.success) {
-        triggeredEvents.push(result.event);
-      }
+// Daily closing mid rates for a currency
+app.get('/api/forex/rates/:code/history', (req, res) => {
+  const code = req.params.code.toUpperCase();
+  const currency = currencyData.getCurrency(code);
+  if (!currency) {
+    return res.status(404).json({ error: 'Currency not found' });
+  }
+  const days = Math.min(parseInt(req.query.days) || 30, FOREX_HISTORY_MAX_DAYS);
+  
+  const history = [];
+  const date = new Date(gameTime);
+  date.setHours(16, 0, 0, 0);
+  if (date > gameTime) {
+    date.setDate(date.getDate() - 1);
+  }
+  for (let i = 0; i < days; i++, date.setDate(date.getDate() - 1)) {
+    if (date.getDay() === 0 || date.getDay() === 6) {
+      continue;
     }
-    
-    res.json({
-      success: true,
-      generatedCount: newEvents.length,
-      triggeredCount: triggeredEvents.length,
-      events: triggeredEvents
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (!currencyData.isCurrencyAvailable(code, date)) {
+      break;
+    }
+    history.unshift({ date: accountHistory.getDateKey(date), rate: forexManager.getMidRate(code, date) });
   }
+  
+  res.json({ code, name: currency.name, history });
 });
 
-// Debug/Cheat API Endpoints
-// These endpoints are for debugging and testing purposes only
+// The player's cash in every currency
+app.get('/api/forex/wallets', (req, res) => {
+  const wallets = formatWallets(gameTime);
+  res.json({
+    wallets,
+    totalUsdValue: wallets.reduce((sum, wallet) => sum + wallet.usdValue, 0)
+  });
+});
 
-// Set game time to a specific date
-app.post('/api/debug/settime', (req, res) => {
-  const { time } = req.body;
-  if (!time) {
-    return res.status(400).json({ error: 'Time is required' });
+// Convert cash from one currency to another at the current rates
+app.post('/api/forex/convert', (req, res) => {
+  const check = forexManager.validateConversionParams(req.body, gameTime);
+  if (!check.valid) {
+    return res.status(400).json({ error: check.error });
   }
+  const { from, to, amount } = check.conversion;
   
-  try {
-    gameTime = new Date(time);
-    tickHandler.setGameTime(gameTime); // Update tick handler
-    saveGameState(); // Save state after time change
-    res.json({ success: true, newTime: gameTime });
-  } catch (error) {
-    res.status(400).json({ error: 'Invalid time format' });
+  if (!forexManager.isForexOpen(gameTime)) {
+    return res.status(400).json({ error: 'Currency markets are closed from Friday 17:00 until Sunday 17:00' });
   }
-});
-
-// Skip time forward
-app.post('/api/debug/skiptime', (req, res) => {
-  const { amount, unit } = req.body;
   
-  if (!amount || !unit) {
-    return res.status(400).json({ error: 'Amount and unit are required' });
+  const available = getWalletBalance(from);
+  if (available < amount) {
+    return res.status(400).json({ error: `Insufficient ${from}: ${available.toFixed(2)} available` });
   }
   
-  const multipliers = {
-    'hour': 60 * 60 * 1000,
-    'day': 24 * 60 * 60 * 1000,
-    'week': 7 * 24 * 60 * 60 * 1000,
-    'month': 30 * 24 * 60 * 60 * 1000,
-    'year': 365 * 24 * 60 * 60 * 1000
-  };
-  
-  if (!multipliers[unit]) {
-    return res.status(400).json({ error: 'Invalid unit. Use: hour, day, week, month, year' });
+  const result = forexManager.convert(amount, from, to, gameTime);
+  const received = Math.round(result.received * 100) / 100;
+  if (received <= 0) {
+    return res.status(400).json({ error: 'Amount is too small to convert' });
   }
+  // The cost of the spread on the amounts actually exchanged, to the cent like them
+  const spreadCost = Math.round((forexManager.toUsd(amount, from, gameTime) - forexManager.toUsd(received, to, gameTime)) * 100) / 100;
   
-  gameTime = new Date(gameTime.getTime() + (amount * multipliers[unit]));
-  tickHandler.setGameTime(gameTime); // Update tick handler
-  saveGameState(); // Save state after time skip
-  res.json({ success: true, newTime: gameTime });
-});
-
-// Modify cash balance
-app.post('/api/debug/modifycash', (req, res) => {
-  const { amount } = req.body;
+  adjustWallet(from, -amount);
+  adjustWallet(to, received);
   
-  if (typeof amount !== 'number') {
-    return res.status(400).json({ error: 'Amount must be a number' });
-  }
+  let cashChange = 0;
+  if (from === forexManager.BASE_CURRENCY) cashChange = -amount;
+  if (to === forexManager.BASE_CURRENCY) cashChange = received;
+  userAccount.transactions.push({
+    date: new Date(gameTime),
+    type: 'forex',
+    from,
+    to,
+    amount,
+    received,
+    rate: result.rate,
+    spreadCost,
+    cashChange
+  });
   
-  userAccount.cash += amount;
-  res.json({ success: true, newCash: userAccount.cash });
+  res.json({
+    success: true,
+    from,
+    to,
+    amount,
+    received,
+    rate: result.rate,
+    spreadCost,
+    wallets: formatWallets(gameTime)
+  });
 });
 
-// Set credit score
-app.post('/api/debug/setcreditscore', (req, res) => {
-  const { score } = req.body;
+// Trading Bot API Endpoints
+
+const BOT_HISTORY_DAYS = 60; // Daily closes handed to bots for their watched symbols
+const BOT_NEWS_ITEMS = 10;
+
+// Daily closes for a bot's watched symbols over the last BOT_HISTORY_DAYS trading days, oldest first
+function getBotPriceHistory(symbols, asOf) {
+  const history = {};
+  for (const symbol of symbols) {
+    history[symbol] = getDailyCloses(symbol, asOf, BOT_HISTORY_DAYS);
+  }
+  return history;
+}
+
+// Place an order requested by a bot for the bound account. Market orders fill right away
+// (as IOC) while the market is open and queue for the open otherwise; limit and stop
+// orders rest in the order book like those placed through /api/trade.
+function placeBotOrder(order) {
+  if (!order || typeof order !== 'object') {
+    return { success: false, error: 'Order must be an object' };
+  }
+  const { symbol, action, shares } = order;
   
-  if (typeof score !== 'number' || score < 300 || score > 850) {
-    return res.status(400).json({ error: 'Score must be between 300 and 850' });
+  if (typeof symbol !== 'string' || symbol === '__proto__' || symbol === 'constructor' || symbol === 'prototype') {
+    return { success: false, error: 'Invalid symbol' };
+  }
+  if (!['buy', 'sell', 'short', 'cover', 'buy-margin'].includes(action)) {
+    return { success: false, error: 'Invalid action' };
+  }
+  if (!Number.isInteger(shares) || shares <= 0) {
+    return { success: false, error: 'shares must be a positive whole number' };
   }
   
-  userAccount.creditScore = score;
-  res.json({ success: true, newScore: userAccount.creditScore });
-});
-
-// Add stock to portfolio
-app.post('/api/debug/addstock', (req, res) => {
-  const { symbol, shares } = req.body;
+  // Bots follow the same contest rules as their owners
+  const contest = competition.getActiveCompetition();
+  if (contest && contest.entries.some(entry => entry.userId === currentUserId)) {
+    const assetClass = competition.classifyRequest('POST', '/api/trade', { action });
+    if (!contest.allowedAssets.includes(assetClass)) {
+      return { success: false, error: `${assetClass} trading is not allowed in "${contest.name}"` };
+    }
+  }
   
-  if (!symbol || typeof shares !== 'number' || shares <= 0) {
-    return res.status(400).json({ error: 'Valid symbol and positive shares required' });
+  const terms = orderBook.validateTimeInForce(order, gameTime);
+  if (!terms.valid) {
+    return { success: false, error: terms.error };
+  }
+  const validation = orderBook.validateOrderParams(order, gameTime);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
   }
+  const orderParams = validation.order;
   
-  // Check if stock exists
   const stockPrice = stocks.getStockPrice(symbol, gameTime, timeMultiplier, isPaused);
   if (!stockPrice) {
-    return res.status(404).json({ error: 'Stock not found or not available at current time' });
+    return { success: false, error: 'Stock not found' };
   }
   
-  if (!userAccount.portfolio[symbol]) {
-    userAccount.portfolio[symbol] = 0;
+  if (orderParams.priceType === 'market' && isMarketOpen(gameTime, stocks.getStockExchange(symbol))) {
+    const result = executeImmediateOrder(symbol, action, shares, orderParams, 'IOC');
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    return {
+      success: true,
+      message: `${action.toUpperCase()} ${result.filledShares} ${symbol} at $${result.executionPrice}`,
+      pendingOrderId: result.pendingOrderId
+    };
   }
   
-  userAccount.portfolio[symbol] += shares;
-  
-  // Add to purchase history with current price (for tax purposes)
-  if (!userAccount.purchaseHistory[symbol]) {
-    userAccount.purchaseHistory[symbol] = [];
+  let trailReference = null;
+  let stopPrice = orderParams.stopPrice;
+  if (orderParams.priceType === 'trailing_stop') {
+    trailReference = stockPrice.price;
+    stopPrice = orderBook.calculateTrailingStop(action, trailReference, orderParams.trailAmount, orderParams.trailPercent, gameTime);
   }
-  userAccount.purchaseHistory[symbol].push({
+  
+  const result = dbModule.insertTradeOrder.run(
+    currentUserId,
+    symbol,
+    action,
     shares,
-    price: stockPrice.price,
-    date: gameTime
-  });
+    'stock',
+    gameTime.toISOString(),
+    'pending',
+    orderParams.priceType,
+    orderParams.limitPrice,
+    stopPrice,
+    orderParams.trailAmount,
+    orderParams.trailPercent,
+    trailReference,
+    terms.timeInForce,
+    terms.expiresAt ? terms.expiresAt.toISOString() : null
+  );
   
-  res.json({ 
-    success: true, 
-    symbol, 
-    totalShares: userAccount.portfolio[symbol] 
-  });
-});
+  return {
+    success: true,
+    message: `Queued ${orderParams.priceType.replace('_', '-')} ${action} of ${shares} ${symbol} (order #${result.lastInsertRowid})`,
+    pendingOrderId: result.lastInsertRowid
+  };
+}
 
-// Remove stock from portfolio
-app.post('/api/debug/removestock', (req, res) => {
-  const { symbol } = req.body;
-  
-  if (!symbol) {
-    return res.status(400).json({ error: 'Symbol is required' });
+// Run every enabled bot for a trigger against its owner's account, restoring the bound account afterwards
+function runTradingBots(trigger, currentGameTime) {
+  const bots = tradingBots.getEnabledBots(trigger);
+  if (bots.length === 0) {
+    return;
   }
   
-  if (!userAccount.portfolio[symbol]) {
-    return res.status(404).json({ error: 'Stock not in portfolio' });
+  const quotes = {};
+  for (const stock of stocks.getStockData(currentGameTime, timeMultiplier, isPaused)) {
+    quotes[stock.symbol] = { price: stock.price, change: stock.change, name: stock.name, sector: stock.sector };
   }
+  const headlines = news.getLatestNews(currentGameTime, BOT_NEWS_ITEMS).map(item => ({
+    date: item.date,
+    headline: item.headline,
+    body: item.body
+  }));
   
-  delete userAccount.portfolio[symbol];
-  delete userAccount.purchaseHistory[symbol];
-  
-  res.json({ success: true, symbol });
+  restoringUserBinding(() => {
+    for (const bot of bots) {
+      bindUserAccount(bot.userId);
+      
+      const breakdown = calculateNetWorthBreakdown(currentGameTime);
+      const input = {
+        time: currentGameTime.toISOString(),
+        trigger,
+        marketOpen: isMarketOpen(currentGameTime),
+        quotes,
+        history: getBotPriceHistory(bot.symbols, currentGameTime),
+        account: {
+          ...breakdown,
+          portfolio: userAccount.portfolio,
+          shortPositions: userAccount.shortPositions
+        },
+        orders: [
+          ...dbModule.getUserPendingOrders.all(bot.userId, 'pending'),
+          ...dbModule.getUserPendingOrders.all(bot.userId, 'held')
+        ].map(formatPendingOrder),
+        news: headlines
+      };
+      
+      const run = tradingBots.runBot(bot, input, currentGameTime);
+      if (!run.success) {
+        continue;
+      }
+      
+      for (const request of run.requests) {
+        let outcome;
+        try {
+          outcome = request.type === 'cancel'
+            ? cancelPlayerOrder(request.orderId, bot.userId, `Cancelled by bot "${bot.name}"`)
+            : placeBotOrder(request.order);
+        } catch (error) {
+          outcome = { success: false, error: error.message };
+        }
+        
+        if (request.type === 'cancel') {
+          tradingBots.addLog(bot.id, outcome.success ? 'order' : 'error',
+            outcome.success ? `Cancelled order #${request.orderId}` : `Cancel #${request.orderId} failed: ${outcome.error}`, currentGameTime);
+        } else {
+          tradingBots.addLog(bot.id, outcome.success ? 'order' : 'error',
+            outcome.success ? outcome.message : `Order rejected: ${outcome.error}`, currentGameTime);
+        }
+      }
+    }
+  });
+}
+
+// List the player's bots
+app.get('/api/bots', (req, res) => {
+  res.json(tradingBots.listBots(req.user.id));
 });
 
-// Clear all holdings
-app.post('/api/debug/clearholdings', (req, res) => {
-  userAccount.portfolio = {};
-  userAccount.indexFundHoldings = {};
-  userAccount.shortPositions = {};
-  userAccount.purchaseHistory = {};
-  userAccount.shareholderInfluence = {};
-  
-  res.json({ success: true });
+// Create a bot (disabled until switched on)
+app.post('/api/bots', (req, res) => {
+  const result = tradingBots.createBot(req.user.id, req.body, gameTime);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.status(201).json(result);
 });
 
-// Set margin debt (debug)
-app.post('/api/debug/setmargindebt', (req, res) => {
-  const { amount } = req.body;
-  
-  if (typeof amount !== 'number' || amount < 0) {
-    return res.status(400).json({ error: 'Invalid amount' });
+// Get a bot
+app.get('/api/bots/:id', (req, res) => {
+  const bot = tradingBots.getBot(req.user.id, parseInt(req.params.id));
+  if (!bot) {
+    return res.status(404).json({ error: 'Bot not found' });
   }
-  
-  userAccount.marginAccount.marginBalance = amount;
-  res.json({ success: true, marginBalance: amount });
+  res.json(bot);
 });
 
-// Clear transactions (debug)
-app.post('/api/debug/cleartransactions', (req, res) => {
-  userAccount.transactions = [];
-  res.json({ success: true, message: 'All transactions cleared' });
+// Update a bot's code or settings
+app.put('/api/bots/:id', (req, res) => {
+  const result = tradingBots.updateBot(req.user.id, parseInt(req.params.id), req.body, gameTime);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result);
 });
 
-// Clear loans (debug)
-app.post('/api/debug/clearloans', (req, res) => {
-  userAccount.loans = [];
-  userAccount.loanHistory = [];
-  res.json({ success: true, message: 'All loans cleared' });
+// Delete a bot
+app.delete('/api/bots/:id', (req, res) => {
+  if (!tradingBots.deleteBot(req.user.id, parseInt(req.params.id))) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+  res.json({ success: true });
 });
 
-// Clear taxes (debug)
-app.post('/api/debug/cleartaxes', (req, res) => {
-  userAccount.taxes = [];
-  res.json({ success: true, message: 'Tax history cleared' });
+// Switch a bot on or off
+app.post('/api/bots/:id/enable', (req, res) => {
+  const result = tradingBots.setBotEnabled(req.user.id, parseInt(req.params.id), true, gameTime);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result);
 });
 
-// Reset game to initial state
-app.post('/api/debug/reset', (req, res) => {
-  gameTime = new Date('1970-01-01T09:30:00Z'); // Use UTC timezone
-  isPaused = false;
-  timeMultiplier = 3600;
-  
-  userAccount = {
-    cash: 10000,
-    portfolio: {},
-    indexFundHoldings: {},
-    shortPositions: {},
-    purchaseHistory: {},
-    transactions: [],
-    dividends: [],
-    taxes: [],
-    fees: [],
-    lastTradeTime: {},
-    shareholderInfluence: {},
-    creditScore: 750,
-    loans: [],
-    loanHistory: [],
-    marginAccount: {
-      marginBalance: 0,
-      marginInterestRate: 0.08,
-      lastInterestDate: gameTime,
-      isEnabled: false,
-      marginCalls: []
-    }
-  };
-  
-  res.json({ success: true, message: 'Game reset to initial state' });
+app.post('/api/bots/:id/disable', (req, res) => {
+  const result = tradingBots.setBotEnabled(req.user.id, parseInt(req.params.id), false, gameTime);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result);
+});
+
+// Recent log lines; pass ?after=<last id> to poll for new ones
+app.get('/api/bots/:id/logs', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!tradingBots.getBot(req.user.id, id)) {
+    return res.status(404).json({ error: 'Bot not found' });
+  }
+  res.json(tradingBots.getLogs(id, parseInt(req.query.after) || 0));
 });
 
 // Stock Splits API Endpoints
@@ -5456,7 +8588,7 @@ app.get('/api/bonds/:symbol', (req, res) => {
 // Get user's bond holdings
 app.get('/api/bonds/holdings/all', (req, res) => {
   try {
-    const holdings = dbModule.getBondHoldings.all();
+    const holdings = dbModule.getBondHoldings.all(req.user.id);
     
     const holdingsWithCurrentValue = holdings.map(holding => {
       const bond = bondsData.getBond(`${holding.bond_type.toUpperCase()}-${holding.issuer}`);
@@ -5490,7 +8622,7 @@ app.get('/api/bonds/holdings/all', (req, res) => {
 // Get bond portfolio statistics
 app.get('/api/bonds/portfolio/stats', (req, res) => {
   try {
-    const stats = bondManager.getBondPortfolioStats(gameTime);
+    const stats = bondManager.getBondPortfolioStats(req.user.id, gameTime);
     res.json(stats);
   } catch (error) {
     console.error('Error fetching bond portfolio stats:', error);
@@ -5535,7 +8667,7 @@ app.post('/api/bonds/buy', (req, res) => {
     const totalAmount = totalCost + tradingFee;
     
     // Check if user has enough cash
-    const account = dbModule.getUserAccount.get();
+    const account = dbModule.getUserAccount.get(req.user.id);
     if (account.cash < totalAmount) {
       return res.status(400).json({ 
         error: 'Insufficient funds',
@@ -5554,6 +8686,7 @@ app.post('/api/bonds/buy', (req, res) => {
     
     // Insert bond holding
     const result = dbModule.insertBondHolding.run(
+      req.user.id,
       bond.type,
       bond.issuer || symbol,
       faceValue,
@@ -5568,11 +8701,13 @@ app.post('/api/bonds/buy', (req, res) => {
     // Update user's cash
     dbModule.updateUserAccount.run(
       account.cash - totalAmount,
-      account.credit_score
+      account.credit_score,
+      req.user.id
     );
     
     // Record transaction
     dbModule.insertTransaction.run(
+      req.user.id,
       gameTime.toISOString(),
       'bond_purchase',
       bond.issuer || symbol,
@@ -5593,6 +8728,7 @@ app.post('/api/bonds/buy', (req, res) => {
     
     // Record fee
     dbModule.insertFee.run(
+      req.user.id,
       gameTime.toISOString(),
       'trading',
       tradingFee,
@@ -5625,7 +8761,7 @@ app.post('/api/bonds/sell', (req, res) => {
       return res.status(400).json({ error: 'Invalid bond ID or quantity' });
     }
     
-    const holding = dbModule.getBondHolding.get(bondId);
+    const holding = dbModule.getBondHolding.get(req.user.id, bondId);
     if (!holding) {
       return res.status(404).json({ error: 'Bond holding not found' });
     }
@@ -5654,6 +8790,7 @@ app.post('/api/bonds/sell', (req, res) => {
     if (gainLoss > 0) {
       capitalGainsTax = gainLoss * 0.15; // 15% capital gains tax
       dbModule.insertTax.run(
+        req.user.id,
         gameTime.toISOString(),
         'capital_gains',
         capitalGainsTax,
@@ -5671,14 +8808,16 @@ app.post('/api/bonds/sell', (req, res) => {
     }
     
     // Update user's cash
-    const account = dbModule.getUserAccount.get();
+    const account = dbModule.getUserAccount.get(req.user.id);
     dbModule.updateUserAccount.run(
       account.cash + finalProceeds,
-      account.credit_score
+      account.credit_score,
+      req.user.id
     );
     
     // Record transaction
     dbModule.insertTransaction.run(
+      req.user.id,
       gameTime.toISOString(),
       'bond_sale',
       holding.issuer,
@@ -5697,6 +8836,7 @@ app.post('/api/bonds/sell', (req, res) => {
     
     // Record fee
     dbModule.insertFee.run(
+      req.user.id,
       gameTime.toISOString(),
       'trading',
       tradingFee,
@@ -5773,7 +8913,7 @@ app.get('/api/crypto/:symbol', (req, res) => {
 // Get user's crypto holdings
 app.get('/api/crypto/holdings/all', (req, res) => {
   try {
-    const holdings = dbModule.getCryptoHoldings.all();
+    const holdings = dbModule.getCryptoHoldings.all(req.user.id);
     
     const holdingsWithPrices = holdings.map(holding => {
       const price = cryptoManager.getCryptoPrice(holding.symbol, gameTime);
@@ -5826,7 +8966,7 @@ app.post('/api/crypto/buy', (req, res) => {
     const totalAmount = totalCost + tradingFee;
     
     // Check if user has enough cash
-    const account = dbModule.getUserAccount.get();
+    const account = dbModule.getUserAccount.get(req.user.id);
     if (account.cash < totalAmount) {
       return res.status(400).json({ 
         error: 'Insufficient funds',
@@ -5836,11 +8976,12 @@ app.post('/api/crypto/buy', (req, res) => {
     }
     
     // Get current holding
-    const currentHolding = dbModule.getCryptoHolding.get(symbol);
+    const currentHolding = dbModule.getCryptoHolding.get(req.user.id, symbol);
     const newQuantity = (currentHolding ? currentHolding.quantity : 0) + quantity;
     
     // Update or insert holding
     dbModule.upsertCryptoHolding.run(
+      req.user.id,
       symbol,
       newQuantity,
       currentHolding ? currentHolding.last_staking_reward_date : null,
@@ -5849,23 +8990,27 @@ app.post('/api/crypto/buy', (req, res) => {
     
     // Record transaction
     dbModule.insertCryptoTransaction.run(
+      req.user.id,
       symbol,
       'buy',
       quantity,
       price,
       tradingFee,
       totalAmount,
-      gameTime.toISOString()
+      gameTime.toISOString(),
+      null
     );
     
     // Update user's cash
     dbModule.updateUserAccount.run(
       account.cash - totalAmount,
-      account.credit_score
+      account.credit_score,
+      req.user.id
     );
     
     // Record in general transactions table
     dbModule.insertTransaction.run(
+      req.user.id,
       gameTime.toISOString(),
       'crypto_buy',
       symbol,
@@ -5904,13 +9049,18 @@ app.post('/api/crypto/sell', (req, res) => {
       return res.status(400).json({ error: 'Invalid cryptocurrency symbol or quantity' });
     }
     
+    const lotSelection = taxLots.validateLotSelection(req.body, userAccount.taxLotMethod);
+    if (!lotSelection.valid) {
+      return res.status(400).json({ error: lotSelection.error });
+    }
+    
     const crypto = cryptoData.getCrypto(symbol);
     if (!crypto) {
       return res.status(404).json({ error: 'Cryptocurrency not found' });
     }
     
     // Check if user has enough crypto
-    const holding = dbModule.getCryptoHolding.get(symbol);
+    const holding = dbModule.getCryptoHolding.get(req.user.id, symbol);
     if (!holding || holding.quantity < quantity) {
       return res.status(400).json({ 
         error: 'Insufficient cryptocurrency balance',
@@ -5926,10 +9076,12 @@ app.post('/api/crypto/sell', (req, res) => {
     const totalProceeds = price * quantity;
     const tradingFee = cryptoManager.getCryptoTradingFee(symbol, totalProceeds);
     
-    // Calculate capital gains tax (simplified - 20% on gains)
-    const avgCostBasis = calculateCryptoCostBasis(symbol);
-    const costBasis = avgCostBasis * quantity;
-    const capitalGain = totalProceeds - costBasis;
+    // Calculate capital gains tax on the lots sold (simplified - 20% on net gains)
+    const sale = calculateCryptoCostBasis(symbol, quantity, price, lotSelection);
+    if (!sale.success) {
+      return res.status(400).json({ error: sale.error });
+    }
+    const capitalGain = sale.gain;
     const capitalGainsTax = capitalGain > 0 ? capitalGain * 0.20 : 0;
     
     const finalProceeds = totalProceeds - tradingFee - capitalGainsTax;
@@ -5938,6 +9090,7 @@ app.post('/api/crypto/sell', (req, res) => {
     const newQuantity = holding.quantity - quantity;
     if (newQuantity > MIN_HOLDING_THRESHOLD) {
       dbModule.upsertCryptoHolding.run(
+        req.user.id,
         symbol,
         newQuantity,
         holding.last_staking_reward_date,
@@ -5945,30 +9098,34 @@ app.post('/api/crypto/sell', (req, res) => {
       );
     } else {
       // Quantity too small to keep - delete holding
-      dbModule.deleteCryptoHolding.run(symbol);
+      dbModule.deleteCryptoHolding.run(req.user.id, symbol);
     }
     
     // Record transaction
     dbModule.insertCryptoTransaction.run(
+      req.user.id,
       symbol,
       'sell',
       quantity,
       price,
       tradingFee,
       finalProceeds,
-      gameTime.toISOString()
+      gameTime.toISOString(),
+      JSON.stringify(sale.sold.map(lot => ({ lotId: lot.lotId, quantity: lot.shares })))
     );
     
     // Update user's cash
-    const account = dbModule.getUserAccount.get();
+    const account = dbModule.getUserAccount.get(req.user.id);
     dbModule.updateUserAccount.run(
       account.cash + finalProceeds,
-      account.credit_score
+      account.credit_score,
+      req.user.id
     );
     
     // Record tax if applicable
     if (capitalGainsTax > 0) {
       dbModule.insertTax.run(
+        req.user.id,
         gameTime.toISOString(),
         'capital-gains',
         capitalGainsTax,
@@ -5978,6 +9135,7 @@ app.post('/api/crypto/sell', (req, res) => {
     
     // Record in general transactions table
     dbModule.insertTransaction.run(
+      req.user.id,
       gameTime.toISOString(),
       'crypto_sell',
       symbol,
@@ -5988,7 +9146,8 @@ app.post('/api/crypto/sell', (req, res) => {
       finalProceeds,
       JSON.stringify({ 
         cryptocurrency: crypto.name,
-        capitalGain: capitalGain
+        capitalGain: capitalGain,
+        lotMethod: lotSelection.method
       })
     );
     
@@ -6003,6 +9162,9 @@ app.post('/api/crypto/sell', (req, res) => {
       capitalGainsTax,
       finalProceeds,
       gainLoss: capitalGain,
+      lotMethod: lotSelection.method,
+      // Crypto pays the flat rate on the net gain, not the per-lot stock rates
+      lots: sale.sold.map(lot => ({ ...lot, tax: undefined })),
       newQuantity,
       remainingCash: account.cash + finalProceeds
     });
@@ -6015,40 +9177,57 @@ app.post('/api/crypto/sell', (req, res) => {
 // Constants for crypto trading
 const MIN_HOLDING_THRESHOLD = 0.0001; // Minimum quantity threshold for keeping a crypto holding
 
-// Helper function to calculate average cost basis for crypto
 /**
- * Calculate the average cost basis for a cryptocurrency holding.
- * Uses average cost method: tracks total cost and quantity across all purchases,
- * adjusting proportionally for sales. This is a simplified tax calculation method.
+ * Open tax lots of a cryptocurrency holding, replayed from the bound player's
+ * crypto transactions. Each buy is a lot whose id is the transaction id, and
+ * each sale takes back the lots it recorded; sales from before lots were
+ * recorded consumed the oldest lots first.
  * 
  * @param {string} symbol - The cryptocurrency symbol (BTC, ETH, etc.)
- * @returns {number} The average cost per unit, or 0 if no holdings
+ * @returns {Array} Open lots { id, date, shares, pricePerShare }, shares being units
  */
-function calculateCryptoCostBasis(symbol) {
-  try {
-    const transactions = dbModule.getCryptoTransactions.all(symbol, 1000);
-    let totalCost = 0;
-    let totalQuantity = 0;
-    
-    for (const tx of transactions) {
-      if (tx.transaction_type === 'buy') {
-        totalCost += tx.price_per_unit * tx.quantity;
-        totalQuantity += tx.quantity;
-      } else if (tx.transaction_type === 'sell') {
-        // Reduce proportionally using average cost method
-        if (totalQuantity > 0) {
-          const proportion = tx.quantity / totalQuantity;
-          totalCost -= totalCost * proportion;
-          totalQuantity -= tx.quantity;
-        }
+function getCryptoLots(symbol) {
+  return replayCryptoLots(symbol).lots;
+}
+
+// Replay a cryptocurrency's transactions into its open lots and its sales, each sale
+// being { date, sold } with sold the lots it took (see taxLots.sellLots)
+function replayCryptoLots(symbol) {
+  let lots = [];
+  const sales = [];
+  
+  for (const tx of dbModule.getCryptoTransactionHistory.all(currentUserId, symbol)) {
+    const date = new Date(tx.transaction_date);
+    if (tx.transaction_type === 'buy') {
+      lots.push({ id: tx.id, date, shares: tx.quantity, pricePerShare: tx.price_per_unit });
+    } else if (tx.transaction_type === 'sell') {
+      const recorded = tx.lots ? JSON.parse(tx.lots) : [];
+      let sale = recorded.length > 0
+        ? taxLots.sellLots(lots, tx.quantity, tx.price_per_unit, { method: 'specific', lotIds: recorded.map(lot => lot.lotId) }, date)
+        : null;
+      if (!sale || !sale.success) {
+        sale = taxLots.sellLots(lots, tx.quantity, tx.price_per_unit, { method: 'fifo' }, date);
       }
+      lots = sale.lots;
+      sales.push({ date, sold: sale.sold });
     }
-    
-    return totalQuantity > 0 ? totalCost / totalQuantity : 0;
-  } catch (error) {
-    console.error('Error calculating cost basis:', error);
-    return 0;
   }
+  
+  return { lots, sales };
+}
+
+/**
+ * Calculate the cost basis of selling a cryptocurrency, taking its tax lots
+ * by the player's cost-basis method (see helpers/taxLots).
+ * 
+ * @param {string} symbol - The cryptocurrency symbol (BTC, ETH, etc.)
+ * @param {number} quantity - Units being sold
+ * @param {number} price - Price per unit of the sale
+ * @param {Object} lotSelection - { method, lotIds } from taxLots.validateLotSelection
+ * @returns {Object} Sale from taxLots.sellLots: { success, error, sold, costBasis, gain, ... }
+ */
+function calculateCryptoCostBasis(symbol, quantity, price, lotSelection) {
+  return taxLots.sellLots(getCryptoLots(symbol), quantity, price, lotSelection, gameTime);
 }
 
 // Get blockchain events
@@ -6074,7 +9253,7 @@ app.get('/api/crypto/events', (req, res) => {
 // Process staking rewards (should be called periodically)
 app.post('/api/crypto/process-staking', (req, res) => {
   try {
-    const holdings = dbModule.getCryptoHoldings.all();
+    const holdings = dbModule.getCryptoHoldings.all(req.user.id);
     let totalRewards = 0;
     const rewardDetails = [];
     
@@ -6102,6 +9281,7 @@ app.post('/api/crypto/process-staking', (req, res) => {
         // Update holding quantity
         const newQuantity = holding.quantity + rewards;
         dbModule.upsertCryptoHolding.run(
+          req.user.id,
           holding.symbol,
           newQuantity,
           gameTime.toISOString(),
@@ -6110,6 +9290,7 @@ app.post('/api/crypto/process-staking', (req, res) => {
         
         // Record staking reward
         dbModule.insertStakingReward.run(
+          req.user.id,
           holding.symbol,
           rewards,
           gameTime.toISOString(),
@@ -0,0 +1,40 @@
+/**
+ * Example backtest strategy: moving average crossover
+ * Buys when the 20-day SMA crosses above the 50-day SMA and sells the whole
+ * position when it crosses back below. Cash is split evenly across symbols.
+ *
+ * Usage:
+ *   node backtest.js strategies/sma-crossover.js --symbols IBM,XOM --from 1980-01-01 --to 1985-12-31
+ */
+
+const FAST_PERIOD = 20;
+const SLOW_PERIOD = 50;
+
+module.exports = function smaCrossover({ prices, history, indicators, account }) {
+  const orders = [];
+  const symbols = Object.keys(prices);
+  const budget = account.netWorth / symbols.length;
+  let cash = account.cash;
+
+  for (const symbol of symbols) {
+    const closes = history[symbol];
+    if (prices[symbol] === null || closes.length < SLOW_PERIOD) continue;
+
+    const fast = indicators.calculateSMA(closes.slice(-SLOW_PERIOD), FAST_PERIOD).pop();
+    const slow = indicators.calculateSMA(closes.slice(-SLOW_PERIOD), SLOW_PERIOD).pop();
+    const held = account.positions[symbol] || 0;
+
+    if (fast > slow && held === 0) {
+      // Leave 1% for the trading fee
+      const shares = Math.floor(Math.min(budget, cash) * 0.99 / prices[symbol]);
+      if (shares > 0) {
+        orders.push({ symbol, action: 'buy', shares });
+        cash -= shares * prices[symbol];
+      }
+    } else if (fast < slow && held > 0) {
+      orders.push({ symbol, action: 'sell', shares: held });
+    }
+  }
+
+  return orders;
+};
@@ -44,10 +44,11 @@ console.log('-------------------------------------------------------------------
 
 // Set up a test account with cash
 const testDate = new Date('2020-01-01');
-const account = db.getUserAccount.get();
-db.updateUserAccount.run(50000, account.credit_score); // Give user $50k
+const userId = db.LEGACY_USER_ID;
+const account = db.getUserAccount.get(userId);
+db.updateUserAccount.run(50000, account.credit_score, userId); // Give user $50k
 
-console.log(`Initial cash: $${db.getUserAccount.get().cash}`);
+console.log(`Initial cash: $${db.getUserAccount.get(userId).cash}`);
 console.log('');
 
 console.log('Test 1: Buying Treasury Bonds');
@@ -63,6 +64,7 @@ test('Should be able to buy T-Bills', () => {
   maturityDate.setDate(maturityDate.getDate() + (bond.maturityWeeks * 7));
   
   const result = db.insertBondHolding.run(
+    userId,
     bond.type,
     bond.issuer || 'T-BILL-52W',
     100,
@@ -74,7 +76,7 @@ test('Should be able to buy T-Bills', () => {
     quantity
   );
   
-  const holding = db.getBondHolding.get(result.lastInsertRowid);
+  const holding = db.getBondHolding.get(userId, result.lastInsertRowid);
   if (!holding) throw new Error('Bond holding not created');
   if (holding.quantity !== quantity) throw new Error('Incorrect quantity');
   if (holding.bond_type !== 'treasury') throw new Error('Incorrect bond type');
@@ -90,6 +92,7 @@ test('Should be able to buy T-Notes', () => {
   maturityDate.setFullYear(maturityDate.getFullYear() + bond.maturityYears);
   
   const result = db.insertBondHolding.run(
+    userId,
     bond.type,
     bond.issuer || 'T-NOTE-10Y',
     100,
@@ -101,7 +104,7 @@ test('Should be able to buy T-Notes', () => {
     quantity
   );
   
-  const holding = db.getBondHolding.get(result.lastInsertRowid);
+  const holding = db.getBondHolding.get(userId, result.lastInsertRowid);
   if (!holding) throw new Error('Bond holding not created');
   if (holding.coupon_rate !== bond.couponRate) throw new Error('Incorrect coupon rate');
 });
@@ -121,6 +124,7 @@ test('Should be able to buy investment grade corporate bonds', () => {
   maturityDate.setFullYear(maturityDate.getFullYear() + bond.maturityYears);
   
   const result = db.insertBondHolding.run(
+    userId,
     bond.type,
     bond.issuer,
     1000, // Corporate bonds typically $1000 face value
@@ -132,7 +136,7 @@ test('Should be able to buy investment grade corporate bonds', () => {
     quantity
   );
   
-  const holding = db.getBondHolding.get(result.lastInsertRowid);
+  const holding = db.getBondHolding.get(userId, result.lastInsertRowid);
   if (!holding) throw new Error('Bond holding not created');
   if (holding.bond_type !== 'corporate') throw new Error('Incorrect bond type');
   if (holding.credit_rating !== 'AAA') throw new Error('Incorrect credit rating');
@@ -148,6 +152,7 @@ test('Should be able to buy junk bonds', () => {
   maturityDate.setFullYear(maturityDate.getFullYear() + bond.maturityYears);
   
   const result = db.insertBondHolding.run(
+    userId,
     bond.type,
     bond.issuer,
     1000,
@@ -159,7 +164,7 @@ test('Should be able to buy junk bonds', () => {
     quantity
   );
   
-  const holding = db.getBondHolding.get(result.lastInsertRowid);
+  const holding = db.getBondHolding.get(userId, result.lastInsertRowid);
   if (!holding) throw new Error('Bond holding not created');
   if (holding.credit_rating !== 'BB') throw new Error('Incorrect credit rating');
 });
@@ -179,6 +184,7 @@ test('Should be able to buy municipal bonds', () => {
   maturityDate.setFullYear(maturityDate.getFullYear() + bond.maturityYears);
   
   const result = db.insertBondHolding.run(
+    userId,
     bond.type,
     bond.issuer,
     5000, // Muni bonds typically $5000 minimum
@@ -190,7 +196,7 @@ test('Should be able to buy municipal bonds', () => {
     quantity
   );
   
-  const holding = db.getBondHolding.get(result.lastInsertRowid);
+  const holding = db.getBondHolding.get(userId, result.lastInsertRowid);
   if (!holding) throw new Error('Bond holding not created');
   if (holding.bond_type !== 'municipal') throw new Error('Incorrect bond type');
 });
@@ -201,14 +207,14 @@ console.log('Test 4: Bond Holdings and Portfolio');
 console.log('----------------------------------------------------------------------');
 
 test('Should retrieve all bond holdings', () => {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getBondHoldings.all(userId);
   if (holdings.length === 0) throw new Error('No bond holdings found');
   // We should have 5 holdings from previous tests
   if (holdings.length !== 5) throw new Error(`Expected 5 holdings, got ${holdings.length}`);
 });
 
 test('Should calculate portfolio statistics', () => {
-  const stats = bondManager.getBondPortfolioStats(testDate);
+  const stats = bondManager.getBondPortfolioStats(userId, testDate);
   if (stats.totalHoldings !== 5) throw new Error('Incorrect total holdings');
   if (stats.totalValue <= 0) throw new Error('Portfolio value should be positive');
   if (!stats.byType) throw new Error('Missing type breakdown');
@@ -216,7 +222,7 @@ test('Should calculate portfolio statistics', () => {
 });
 
 test('Should have bonds of different types in portfolio', () => {
-  const stats = bondManager.getBondPortfolioStats(testDate);
+  const stats = bondManager.getBondPortfolioStats(userId, testDate);
   if (stats.byType.treasury <= 0) throw new Error('Should have treasury bonds');
   if (stats.byType.corporate <= 0) throw new Error('Should have corporate bonds');
   if (stats.byType.municipal <= 0) throw new Error('Should have municipal bonds');
@@ -256,7 +262,7 @@ test('Should process bond maturities', () => {
 });
 
 test('Matured bonds should be removed from holdings', () => {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getBondHoldings.all(userId);
   // Should have 4 holdings now (T-Bill matured)
   if (holdings.length !== 4) throw new Error(`Expected 4 holdings after maturity, got ${holdings.length}`);
 });
@@ -267,7 +273,7 @@ console.log('Test 7: Selling Bonds');
 console.log('----------------------------------------------------------------------');
 
 test('Should be able to sell partial bond holdings', () => {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getBondHoldings.all(userId);
   const corporateHolding = holdings.find(h => h.bond_type === 'corporate' && h.quantity > 1);
   
   if (!corporateHolding) {
@@ -280,14 +286,14 @@ test('Should be able to sell partial bond holdings', () => {
   
   db.updateBondQuantity.run(originalQuantity - sellQuantity, corporateHolding.id);
   
-  const updated = db.getBondHolding.get(corporateHolding.id);
+  const updated = db.getBondHolding.get(userId, corporateHolding.id);
   if (updated.quantity !== originalQuantity - sellQuantity) {
     throw new Error('Quantity not updated correctly');
   }
 });
 
 test('Should be able to delete bond holdings', () => {
-  const holdings = db.getBondHoldings.all();
+  const holdings = db.getBondHoldings.all(userId);
   if (holdings.length === 0) throw new Error('No holdings to delete');
   
   const initialCount = holdings.length;
@@ -295,7 +301,7 @@ test('Should be able to delete bond holdings', () => {
   
   db.deleteBondHolding.run(toDelete.id);
   
-  const afterDelete = db.getBondHoldings.all();
+  const afterDelete = db.getBondHoldings.all(userId);
   if (afterDelete.length !== initialCount - 1) {
     throw new Error('Holding not deleted');
   }
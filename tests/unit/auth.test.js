@@ -0,0 +1,85 @@
+/**
+ * Unit tests for player authentication and sessions
+ */
+
+const auth = require('../../helpers/auth');
+const dbModule = require('../../database');
+
+console.log('\n======================================================================');
+console.log('Authentication Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+// Unique per run so the test can share a database with a running game
+const suffix = Date.now().toString(36).slice(-6);
+const username = `tester_${suffix}`;
+
+console.log('Test 1: Credential Validation');
+console.log('----------------------------------------------------------------------');
+assert(auth.validateCredentials('alice', 'hunter22').valid, 'Accepts a valid username and password');
+assert(!auth.validateCredentials('al', 'hunter22').valid, 'Rejects short usernames');
+assert(!auth.validateCredentials('alice smith', 'hunter22').valid, 'Rejects usernames with spaces');
+assert(!auth.validateCredentials('alice', '12345').valid, 'Rejects short passwords');
+assert(!auth.validateCredentials(undefined, undefined).valid, 'Rejects missing credentials');
+
+console.log('\nTest 2: Cookies');
+console.log('----------------------------------------------------------------------');
+const cookies = auth.parseCookies('theme=dark; stockfake_session=abc123; note=a%20b');
+assert(cookies.stockfake_session === 'abc123' && cookies.note === 'a b', 'Parses and decodes cookie values');
+assert(Object.keys(auth.parseCookies(undefined)).length === 0, 'Handles a missing Cookie header');
+assert(auth.getSessionToken({ headers: { cookie: 'stockfake_session=tok' } }) === 'tok', 'Reads the session token from a request');
+assert(auth.getSessionToken({ headers: {} }) === null, 'Returns null without a session cookie');
+const cookie = auth.buildSessionCookie('tok');
+assert(cookie.startsWith('stockfake_session=tok;') && cookie.includes('HttpOnly'), 'Builds an HttpOnly session cookie');
+assert(auth.buildClearedSessionCookie().includes('Max-Age=0'), 'Builds an expiring cookie for logout');
+
+console.log('\nTest 3: Registration and Login');
+console.log('----------------------------------------------------------------------');
+const registered = auth.registerUser(username, 'secret-pass');
+assert(registered.success && registered.user.username === username, 'Registers a new player');
+assert(!auth.registerUser(username.toUpperCase(), 'secret-pass').success, 'Rejects duplicate usernames regardless of case');
+assert(dbModule.getUserAccount.get(registered.user.id).cash === 10000, 'Creates a starting cash account for the player');
+assert(auth.authenticate(username, 'secret-pass').id === registered.user.id, 'Logs in with the right password');
+assert(auth.authenticate(username, 'wrong-pass') === null, 'Rejects the wrong password');
+assert(auth.authenticate('nobody_here', 'secret-pass') === null, 'Rejects unknown usernames');
+assert(!('password_hash' in auth.authenticate(username, 'secret-pass')), 'Does not expose the password hash');
+
+console.log('\nTest 4: Sessions');
+console.log('----------------------------------------------------------------------');
+const token = auth.createSession(registered.user.id);
+assert(auth.getSessionUser(token).id === registered.user.id, 'Resolves a session to its player');
+assert(auth.getSessionUser('not-a-token') === null, 'Ignores unknown tokens');
+auth.destroySession(token);
+assert(auth.getSessionUser(token) === null, 'Logout ends the session');
+const staleToken = 'stale_' + suffix;
+dbModule.insertSession.run(staleToken, registered.user.id, '2000-01-01T00:00:00.000Z');
+assert(auth.getSessionUser(staleToken) === null, 'Expired sessions are rejected');
+
+// Clean up the test player (user 1 owns any pre-existing single-player save)
+dbModule.db.prepare('DELETE FROM sessions WHERE user_id = ?').run(registered.user.id);
+if (registered.user.id !== dbModule.LEGACY_USER_ID) {
+  for (const table of ['user_account', 'margin_account', 'risk_controls']) {
+    dbModule.db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(registered.user.id);
+  }
+}
+dbModule.db.prepare('DELETE FROM users WHERE id = ?').run(registered.user.id);
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} authentication test(s) failed`);
+}
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the backtester
+ * Prices come from a synthetic series, so no historical data or database is needed
+ */
+
+const backtester = require('../../helpers/backtester');
+const smaCrossover = require('../../strategies/sma-crossover');
+
+console.log('\n======================================================================');
+console.log('Backtester Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+// A slow sine wave around $100; 'NEW' lists in March 1985
+function syntheticPrice(symbol, date) {
+  if (symbol === 'NEW' && date < new Date(1985, 2, 1)) {
+    return null;
+  }
+  const days = (date - new Date(1985, 0, 1)) / (1000 * 60 * 60 * 24);
+  return 100 + 20 * Math.sin(days / 30);
+}
+
+const baseOptions = { symbols: ['ABC'], from: '1985-01-01', to: '1985-12-31', getPrice: syntheticPrice };
+
+console.log('Test 1: Options');
+console.log('----------------------------------------------------------------------');
+assert(!backtester.validateOptions({ ...baseOptions, symbols: [] }).valid, 'Requires symbols');
+assert(!backtester.validateOptions({ ...baseOptions, to: '1984-01-01' }).valid, 'Rejects reversed ranges');
+assert(!backtester.validateOptions({ ...baseOptions, startingCash: -5 }).valid, 'Rejects non-positive starting cash');
+assert(backtester.validateOptions(baseOptions).startingCash === 10000, 'Defaults to the game\'s starting cash');
+const days = backtester.getTradingDays(new Date(1985, 0, 4), new Date(1985, 0, 8));
+assert(days.length === 3 && days.every(d => d.getHours() === 16), 'Steps through weekdays at the close');
+
+console.log('\nTest 2: Fills');
+console.log('----------------------------------------------------------------------');
+const account = { cash: 10000, positions: {}, lots: {}, shortPositions: {}, feesPaid: 0, taxesPaid: 0 };
+const buy = backtester.fillOrder(account, { symbol: 'ABC', action: 'buy', shares: 10 }, 100, new Date(1985, 0, 2, 16));
+assert(buy.success && account.positions.ABC === 10, 'Buys shares');
+assert(buy.trade.tradingFee > 0 && Math.abs(account.cash - (9000 - buy.trade.tradingFee)) < 1e-9, 'Charges the period\'s trading fee');
+const sell = backtester.fillOrder(account, { symbol: 'ABC', action: 'sell', shares: 10 }, 120, new Date(1985, 5, 3, 16));
+assert(sell.success && sell.trade.tax > 0 && !account.positions.ABC, 'Taxes short-term gains on sale');
+assert(!backtester.fillOrder(account, { symbol: 'ABC', action: 'sell', shares: 1 }, 120, new Date(1985, 5, 4, 16)).success, 'Rejects selling shares not held');
+assert(!backtester.fillOrder(account, { symbol: 'ABC', action: 'buy', shares: 1000 }, 120, new Date(1985, 5, 4, 16)).success, 'Rejects buys beyond available cash');
+backtester.fillOrder(account, { symbol: 'ABC', action: 'short', shares: 5 }, 100, new Date(1985, 5, 5, 16));
+const cover = backtester.fillOrder(account, { symbol: 'ABC', action: 'cover', shares: 5 }, 90, new Date(1985, 5, 6, 16));
+assert(cover.success && cover.trade.tax > 0 && !account.shortPositions.ABC, 'Shorts and covers with tax on the profit');
+
+console.log('\nTest 3: Running a Strategy');
+console.log('----------------------------------------------------------------------');
+let calls = 0;
+const buyAndHold = ({ prices, account: acct, indicators, state }) => {
+  calls++;
+  state.seenIndicators = typeof indicators.calculateRSI === 'function';
+  if (acct.positions.ABC || prices.ABC === null) return [];
+  return [{ symbol: 'ABC', action: 'buy', shares: 50 }];
+};
+const held = backtester.runBacktest(buyAndHold, baseOptions);
+assert(held.success && calls === held.equityCurve.length, 'Calls the strategy once per trading day');
+assert(held.trades.length === 1 && held.trades[0].date === '1985-01-01', 'Fills orders at the day\'s close');
+const last = held.equityCurve[held.equityCurve.length - 1];
+assert(Math.abs(last.netWorth - (last.cash + 50 * syntheticPrice('ABC', new Date(1985, 11, 31, 16)))) < 1e-6, 'Marks positions to market in the equity curve');
+assert(held.stats.periods === held.equityCurve.length - 1 && held.stats.maxDrawdown > 0, 'Reports performance stats');
+assert(!backtester.runBacktest(null, baseOptions).success, 'Requires a strategy function');
+
+const bad = backtester.runBacktest(() => [{ symbol: 'NEW', action: 'buy', shares: 1 }, { symbol: 'XYZ', action: 'buy', shares: 1 }],
+  { ...baseOptions, symbols: ['ABC', 'NEW'], to: '1985-01-02' });
+assert(bad.trades.length === 0 && bad.rejectedOrders.length === 4, 'Rejects orders for unlisted or unknown symbols');
+
+const crossover = backtester.runBacktest(smaCrossover, { ...baseOptions, symbols: ['ABC', 'NEW'] });
+assert(crossover.success && crossover.trades.some(t => t.action === 'sell') && crossover.rejectedOrders.length === 0, 'Runs the example crossover strategy');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} backtester test(s) failed`);
+}
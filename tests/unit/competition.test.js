@@ -0,0 +1,108 @@
+/**
+ * Unit tests for competition mode
+ */
+
+const competition = require('../../helpers/competition');
+const dbModule = require('../../database');
+
+console.log('\n======================================================================');
+console.log('Competition Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+const baseParams = {
+  name: 'Crash of 87',
+  startDate: '1987-09-01T09:30:00Z',
+  endDate: '1987-12-31T16:00:00Z',
+  startingCash: 25000,
+  allowedAssets: ['stocks', 'shorting'],
+  timeMultiplier: 86400
+};
+
+console.log('Test 1: Validation');
+console.log('----------------------------------------------------------------------');
+const valid = competition.validateCompetitionParams(baseParams);
+assert(valid.valid && valid.competition.startingCash === 25000, 'Accepts valid settings');
+assert(competition.validateCompetitionParams({ ...baseParams, allowedAssets: undefined }).competition.allowedAssets.length === competition.ASSET_CLASSES.length, 'Allows every asset class by default');
+assert(!competition.validateCompetitionParams({ ...baseParams, name: ' ' }).valid, 'Requires a name');
+assert(!competition.validateCompetitionParams({ ...baseParams, endDate: '1987-08-01' }).valid, 'End date must follow start date');
+assert(!competition.validateCompetitionParams({ ...baseParams, startingCash: 0 }).valid, 'Starting cash must be positive');
+assert(!competition.validateCompetitionParams({ ...baseParams, allowedAssets: ['warrants'] }).valid, 'Rejects unknown asset classes');
+assert(!competition.validateCompetitionParams({ ...baseParams, timeMultiplier: 0 }).valid, 'Rejects invalid time speeds');
+
+console.log('\nTest 2: Request Rules');
+console.log('----------------------------------------------------------------------');
+assert(competition.classifyRequest('POST', '/api/trade', { action: 'buy' }) === 'stocks', 'Buying shares is stock trading');
+assert(competition.classifyRequest('POST', '/api/trade', { action: 'short' }) === 'shorting', 'Short sales are shorting');
+assert(competition.classifyRequest('POST', '/api/trade', { action: 'buy-margin' }) === 'margin', 'Margin buys are margin trading');
+assert(competition.classifyRequest('POST', '/api/crypto/buy', {}) === 'crypto', 'Crypto purchases are crypto trading');
+assert(competition.classifyRequest('POST', '/api/options/trade', {}) === 'options', 'Option trades are options trading');
+assert(competition.classifyRequest('POST', '/api/futures/positions/3/roll', {}) === 'futures', 'Futures rolls are futures trading');
+assert(competition.classifyRequest('POST', '/api/forex/convert', {}) === 'forex', 'Currency conversions are forex trading');
+assert(competition.classifyRequest('GET', '/api/trade', {}) === null, 'Reads are not trading');
+assert(competition.isLockedEndpoint('/api/debug/modifycash') && competition.isLockedEndpoint('/api/time/speed'), 'Locks cheat endpoints');
+assert(competition.isLockedEndpoint('/api/time/pause'), 'Locks pausing the shared clock');
+assert(!competition.isLockedEndpoint('/api/time/now') && !competition.isLockedEndpoint('/api/debugger'), 'Leaves other endpoints open');
+
+console.log('\nTest 3: Standings');
+console.log('----------------------------------------------------------------------');
+const standings = competition.buildStandings([
+  { userId: 1, username: 'alice', netWorth: 20000 },
+  { userId: 2, username: 'bob', netWorth: 30000 }
+], 25000);
+assert(standings[0].username === 'bob' && standings[0].rank === 1, 'Ranks by net worth');
+assert(Math.abs(standings[1].return - (-0.2)) < 1e-9, 'Reports return on starting cash');
+
+console.log('\nTest 4: Lifecycle');
+console.log('----------------------------------------------------------------------');
+const now = new Date('1985-01-02T15:00:00Z');
+const userId = 9000 + Math.floor(Math.random() * 1000);
+const created = competition.createCompetition(baseParams, userId, now);
+assert(created.success && created.competition.status === 'scheduled', 'Creates a scheduled competition');
+const id = created.competition.id;
+const resetEntrant = entrantId => dbModule.initializeUserAccount(entrantId);
+assert(competition.startCompetition(id, userId, resetEntrant).status === 400, 'Cannot start without entrants');
+assert(competition.enrollPlayer(id, userId, new Date()).success, 'Enrolls a player');
+assert(!competition.enrollPlayer(id, userId, new Date()).success, 'Rejects double enrollment');
+assert(competition.startCompetition(id, userId + 1, resetEntrant).status === 403, 'Only the creator can start it');
+const resetIds = [];
+const started = competition.startCompetition(id, userId, entrantId => {
+  resetIds.push(entrantId);
+  resetEntrant(entrantId);
+});
+assert(resetIds.length === 1 && resetIds[0] === userId, 'Resets each entrant\'s stored game data');
+assert(started.success && started.competition.status === 'active', 'Starts the competition');
+assert(dbModule.getUserAccount.get(userId).cash === 25000, 'Resets entrant cash to the starting amount');
+assert(competition.getActiveCompetition().id === id, 'Reports the active competition');
+assert(!competition.enrollPlayer(id, userId + 1, new Date()).success, 'Closes enrollment once started');
+const finished = competition.finishCompetition(id, competition.buildStandings([{ userId, username: 'tester', netWorth: 27500 }], 25000), new Date('1988-01-04T09:30:00Z'));
+assert(finished.status === 'finished' && finished.standings[0].netWorth === 27500, 'Stores the final standings report');
+assert(finished.entries[0].finalRank === 1, 'Records each entrant\'s final rank');
+assert(competition.getActiveCompetition() === null, 'No competition is active after it finishes');
+
+// Clean up
+dbModule.db.prepare('DELETE FROM competition_entries WHERE competition_id = ?').run(id);
+dbModule.db.prepare('DELETE FROM competitions WHERE id = ?').run(id);
+for (const table of ['user_account', 'margin_account', 'risk_controls']) {
+  dbModule.db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+}
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} competition test(s) failed`);
+}
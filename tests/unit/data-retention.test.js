@@ -522,6 +522,39 @@ if (beforeCount === afterCount) {
 
 console.log('\n');
 
+// Test 9: Pending Order Pruning
+console.log('Test 9: Pending Order Pruning - Expired Orders Age From Expiry');
+console.log('----------------------------------------------------------------------');
+
+db.exec('DELETE FROM pending_orders');
+
+const longAgo = new Date(currentDate);
+longAgo.setDate(longAgo.getDate() - 400);
+const lastWeek = new Date(currentDate);
+lastWeek.setDate(lastWeek.getDate() - 7);
+
+const insertOrder = db.prepare(`
+  INSERT INTO pending_orders (symbol, action, shares, created_at, status, executed_at)
+  VALUES ('TEST', 'buy', 10, ?, ?, ?)
+`);
+insertOrder.run(longAgo.toISOString(), 'expired', longAgo.toISOString());   // old expiry, prunable
+insertOrder.run(longAgo.toISOString(), 'expired', lastWeek.toISOString());  // old GTC order that just lapsed
+insertOrder.run(longAgo.toISOString(), 'pending', null);                    // still resting
+
+const prunedOrders = dataRetention.prunePendingOrders(currentDate, 30);
+const remainingStatuses = db.prepare('SELECT status FROM pending_orders ORDER BY id').all().map(o => o.status);
+
+console.log(`✓ Pruned ${prunedOrders} old pending order records`);
+console.log(`  Remaining orders: ${remainingStatuses.join(', ')}`);
+
+if (prunedOrders === 1 && remainingStatuses.length === 2 && remainingStatuses.includes('pending')) {
+  console.log('✓ PASS: Expired orders are pruned by expiry date and active orders are kept');
+} else {
+  console.log('✗ FAIL: Pending order pruning did not behave as expected');
+}
+
+console.log('\n');
+
 // Cleanup
 console.log('======================================================================');
 console.log('Test Summary');
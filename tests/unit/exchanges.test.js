@@ -0,0 +1,133 @@
+/**
+ * Unit tests for exchange trading hours, time zones and holiday calendars
+ */
+
+const marketHours = require('../../helpers/marketHours');
+const exchangeData = require('../../data/exchanges');
+const tradeHalts = require('../../data/trade-halts');
+const extendedHours = require('../../helpers/extendedHours');
+
+console.log('\n======================================================================');
+console.log('Exchanges Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function holidayDates(exchangeId, year) {
+  return marketHours.getHolidays(exchangeId, year).map(holiday => holiday.date);
+}
+
+console.log('Test 1: Listings');
+console.log('----------------------------------------------------------------------');
+assert(exchangeData.getStockExchange('IBM') === 'NYSE', 'Stocks trade on the NYSE by default');
+assert(exchangeData.getStockExchange('AAPL') === 'NASDAQ', 'Apple is listed on NASDAQ');
+assert(exchangeData.getStockExchange('TM') === 'TSE' && exchangeData.getStockExchange('BP') === 'LSE', 'Foreign companies trade at home');
+assert(exchangeData.getStockExchange('constructor') === 'NYSE', 'Ignores object prototype keys');
+assert(exchangeData.getExchange('XXX') === null, 'Unknown exchanges are null');
+
+console.log('\nTest 2: Time Zones and Sessions');
+console.log('----------------------------------------------------------------------');
+const london = marketHours.getLocalTime('LSE', new Date('1987-10-19T04:00:00'));
+assert(london.dateKey === '1987-10-19' && london.minutes === 9 * 60, 'London is five hours ahead of New York');
+assert(!marketHours.isExchangeOpen('LSE', new Date('1987-10-19T04:00:00')) && marketHours.isExchangeOpen('LSE', new Date('1987-10-19T05:00:00')), 'London opened at 9:30 before 1997');
+assert(marketHours.isExchangeOpen('LSE', new Date('2023-03-20T04:00:00')), 'Daylight saving gaps shift the London open to 4:00');
+assert(marketHours.isExchangeOpen('LSE', new Date('2023-03-27T03:00:00')), 'London opens at 3:00 once both zones are on summer time');
+const tokyo = marketHours.getLocalTime('TSE', new Date('1987-10-19T20:30:00'));
+assert(tokyo.dateKey === '1987-10-20' && tokyo.weekday === 2, 'Tokyo is already on the next day');
+assert(marketHours.isExchangeOpen('TSE', new Date('1987-10-19T20:30:00')), 'Tokyo trades during the New York evening');
+assert(!marketHours.isExchangeOpen('TSE', new Date('1987-10-19T23:30:00')), 'Tokyo closes for lunch');
+assert(!marketHours.hasClosedForDay('TSE', new Date('1987-10-19T23:30:00')), 'The lunch break does not end the trading day');
+assert(marketHours.hasClosedForDay('TSE', new Date('1987-10-20T03:00:00')), 'The trading day ends after the afternoon session');
+assert(marketHours.getNextDayClose('TSE', new Date('1987-10-19T21:00:00')).getTime() === new Date('1987-10-20T02:00:00').getTime(), 'The next day close is after the afternoon session');
+assert(marketHours.getNextDayClose('NYSE', new Date('1987-10-17T12:00:00')).getTime() === new Date('1987-10-19T16:00:00').getTime(), 'The next day close skips the weekend');
+assert(marketHours.isExchangeOpen('NYSE', new Date('1987-10-19T09:30:00')) && !marketHours.isExchangeOpen('NYSE', new Date('1987-10-19T16:00:00')), 'The NYSE trades 9:30 to 16:00');
+assert(!marketHours.isExchangeOpen('NASDAQ', new Date('1970-06-01T10:00:00')), 'NASDAQ does not trade before 1971');
+const roundTrip = marketHours.toGameTime('TSE', '1987-10-20', 9 * 60);
+assert(roundTrip.getTime() === new Date('1987-10-19T20:00:00').getTime(), 'Converts exchange times back to game time');
+
+console.log('\nTest 3: Holidays');
+console.log('----------------------------------------------------------------------');
+assert(!marketHours.isExchangeOpen('NYSE', new Date('1987-12-25T10:00:00')), 'The NYSE closes on Christmas');
+assert(holidayDates('NYSE', 2022).includes('2022-06-20') && holidayDates('NYSE', 2022).includes('2022-12-26'), 'Weekend US holidays move to the nearest weekday');
+assert(!holidayDates('NYSE', 2021).includes('2021-12-31') && !holidayDates('NYSE', 2022).includes('2021-12-31'), 'A Saturday New Year does not close the previous Friday');
+assert(holidayDates('NYSE', 1987).includes('1987-04-17'), 'Closes on Good Friday');
+assert(!holidayDates('NYSE', 1990).some(date => date.startsWith('1990-01-1')) && holidayDates('NYSE', 2000).includes('2000-01-17'), 'Martin Luther King Jr. Day from 1998');
+const uk2021 = holidayDates('LSE', 2021);
+assert(uk2021.includes('2021-12-27') && uk2021.includes('2021-12-28'), 'UK substitutes skip past each other at Christmas');
+assert(holidayDates('LSE', 2022).includes('2022-09-19'), 'Includes one-off closures');
+const japan = holidayDates('TSE', 2024);
+assert(japan.includes('2024-03-20') && japan.includes('2024-09-22'), 'Japanese equinox days');
+assert(japan.includes('2024-11-04') && !japan.includes('2024-11-03'), 'Sunday holidays in Japan move to Monday');
+assert(japan.includes('2024-01-02') && japan.includes('2024-12-31'), 'Tokyo closes for the New Year break');
+assert(holidayDates('EPA', 1995).includes('1995-07-14') && !holidayDates('EPA', 2005).includes('2005-07-14'), 'Paris dropped Bastille Day with the harmonized calendar');
+
+console.log('\nTest 4: Status and Halts');
+console.log('----------------------------------------------------------------------');
+const status = marketHours.getExchangeStatus('TSE', new Date('1987-10-19T17:00:00'));
+assert(!status.isOpen && status.localTime === '1987-10-20 06:00', 'Reports the local time');
+assert(status.nextOpen.getTime() === new Date('1987-10-19T20:00:00').getTime() && status.nextClose.getTime() === new Date('1987-10-19T22:00:00').getTime(), 'Finds the next open and close');
+assert(marketHours.getExchangeStatus('NYSE', new Date('1987-12-25T10:00:00')).holiday === 'Christmas Day', 'Names the holiday');
+const blackMonday = new Date('1987-10-19T15:00:00');
+assert(tradeHalts.isTradingHalted(blackMonday, 'IBM').isHalted && tradeHalts.isTradingHalted(blackMonday, 'AAPL').isHalted, 'US halts stop NYSE and NASDAQ stocks');
+assert(!tradeHalts.isTradingHalted(blackMonday, 'TM').isHalted, 'US halts do not stop foreign listings');
+assert(tradeHalts.isTradingHalted(blackMonday).isHalted, 'Reports the halt without a symbol');
+
+console.log('\nTest 5: Special Closures and Calendars');
+console.log('----------------------------------------------------------------------');
+assert(!marketHours.isTradingDay('NYSE', new Date('2001-09-13T12:00:00')) && marketHours.isTradingDay('NYSE', new Date('2001-09-17T12:00:00')), 'Closed from September 11 to 14, 2001');
+assert(!marketHours.isExchangeOpen('NASDAQ', new Date('2012-10-30T10:00:00')), 'NASDAQ shares the Hurricane Sandy closure');
+assert(marketHours.getHoliday('NYSE', new Date('1977-07-14T10:00:00')) === 'New York City Blackout', 'Names special closures');
+assert(marketHours.isExchangeOpen('LSE', new Date('2001-09-12T05:00:00')), 'Foreign exchanges ignore US closures');
+const calendar2012 = marketHours.getCalendar('NYSE', 2012);
+assert(calendar2012.tradingDays === 250, 'Counts 250 NYSE trading days in 2012');
+assert(calendar2012.holidays.filter(holiday => holiday.type === 'special').length === 2, 'Marks one-off closures as special');
+assert(marketHours.getCalendar('NYSE', 1976).holidays.some(holiday => holiday.name === 'Presidential Election Day'), 'Closed for presidential elections in the 1970s');
+const future = marketHours.getHolidays('NYSE', 2077).map(holiday => holiday.name);
+assert(future.some(name => name.startsWith('Juneteenth')) && future.includes('Thanksgiving Day'), 'Rules run into the far future');
+
+console.log('\nTest 6: Extended Hours');
+console.log('----------------------------------------------------------------------');
+assert(marketHours.getTradingSession('NYSE', new Date('1998-06-01T17:00:00')) === null, 'No extended sessions before 1999');
+assert(marketHours.getTradingSession('NYSE', new Date('2000-06-01T08:30:00')) === 'pre-market' && marketHours.getTradingSession('NYSE', new Date('2000-06-01T05:00:00')) === null, 'Pre-market started at 8:00');
+assert(marketHours.getTradingSession('NASDAQ', new Date('2010-06-01T04:30:00')) === 'pre-market', 'Pre-market reaches back to 4:00 later on');
+assert(marketHours.getTradingSession('NYSE', new Date('2010-06-01T12:00:00')) === 'regular' && !marketHours.isExchangeOpen('NYSE', new Date('2010-06-01T17:00:00')), 'After-hours does not open the exchange');
+assert(marketHours.getTradingSession('NYSE', new Date('2010-06-01T17:00:00')) === 'after-hours' && marketHours.getTradingSession('NYSE', new Date('2010-06-01T20:00:00')) === null, 'After-hours runs until 20:00');
+assert(marketHours.getTradingSession('NYSE', new Date('2010-12-24T17:00:00')) === null, 'No extended sessions on holidays');
+assert(marketHours.getTradingSession('LSE', new Date('2010-06-01T12:00:00')) === null, 'Foreign exchanges have no extended sessions');
+assert(marketHours.getExchangeStatus('NYSE', new Date('2010-06-01T17:00:00')).extendedSessions.length === 2, 'Lists the extended sessions');
+const floatShares = 100000000;
+const buy = extendedHours.getExtendedHoursFill('buy', 1000, 100, 'after-hours', floatShares);
+const sell = extendedHours.getExtendedHoursFill('sell', 1000, 100, 'after-hours', floatShares);
+assert(buy.executable && buy.price > 100.4 && sell.price < 99.6, 'Buys pay and sells give up half the spread');
+const early = extendedHours.getExtendedHoursFill('buy', 1000, 100, 'pre-market', floatShares);
+assert(early.price > buy.price, 'Pre-market spreads are wider');
+const large = extendedHours.getExtendedHoursFill('buy', 20000, 100, 'after-hours', floatShares);
+assert(large.priceImpact > buy.priceImpact, 'Larger orders move the price more');
+const tooLarge = extendedHours.getExtendedHoursFill('buy', 50000, 100, 'after-hours', floatShares);
+assert(!tooLarge.executable && tooLarge.availableShares === extendedHours.getExtendedLiquidity(floatShares), 'Rejects orders beyond the session liquidity');
+let rejected = false;
+try {
+  extendedHours.getExtendedHoursFill('buy', 100, 100, 'regular', floatShares);
+} catch (error) {
+  rejected = true;
+}
+assert(rejected, 'Only prices extended sessions');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} exchange test(s) failed`);
+}
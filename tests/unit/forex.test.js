@@ -0,0 +1,89 @@
+/**
+ * Unit tests for exchange rates, spreads and currency conversion
+ */
+
+const forexManager = require('../../helpers/forexManager');
+const currencyData = require('../../data/currencies');
+
+console.log('\n======================================================================');
+console.log('Forex Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const crashDay = new Date('1987-10-19T12:00:00');
+
+console.log('Test 1: Rates');
+console.log('----------------------------------------------------------------------');
+assert(forexManager.getMidRate('USD', crashDay) === 1, 'The dollar is the base currency');
+assert(forexManager.getMidRate('XXX', crashDay) === null, 'Unknown currencies have no rate');
+assert(near(forexManager.getMidRate('JPY', new Date('1970-06-01T12:00:00')), 360), 'The yen holds its Bretton Woods peg');
+assert(near(forexManager.getMidRate('GBP', new Date('1971-03-01T12:00:00')), 0.4167), 'Sterling holds $2.40 before the float');
+const yen = forexManager.getMidRate('JPY', crashDay);
+assert(yen > 110 && yen < 170, 'The yen floats near its 1987 level');
+assert(yen === forexManager.getMidRate('JPY', new Date(crashDay)), 'Rates are deterministic');
+assert(yen !== forexManager.getMidRate('JPY', new Date('1987-10-20T12:00:00')), 'Floating rates move from day to day');
+const euroDay = new Date('2000-06-01T12:00:00');
+assert(near(forexManager.getMidRate('DEM', euroDay), forexManager.getMidRate('EUR', euroDay) * 1.95583), 'The Mark is fixed to the euro from 1999');
+const future = forexManager.getMidRate('GBP', new Date('2035-06-01T12:00:00'));
+assert(future > 0 && future === forexManager.getMidRate('GBP', new Date('2035-06-01T12:00:00')), 'Rates continue past the historical data');
+
+console.log('\nTest 2: Availability and Hours');
+console.log('----------------------------------------------------------------------');
+assert(!currencyData.isCurrencyAvailable('EUR', crashDay) && currencyData.isCurrencyAvailable('EUR', euroDay), 'The euro is available from 1999');
+assert(currencyData.isCurrencyAvailable('DEM', new Date('2001-12-31T16:00:00')), 'The Mark trades until the end of 2001');
+assert(forexManager.getRedenomination('DEM', new Date('2001-12-31T16:00:00')) === null, 'The Mark is not retired before 2002');
+const redenomination = forexManager.getRedenomination('DEM', new Date('2002-01-02T16:00:00'));
+assert(redenomination && redenomination.currency === 'EUR' && redenomination.rate === 1.95583, 'The Mark converts into euros in 2002');
+assert(forexManager.isForexOpen(new Date('1987-10-19T03:00:00')), 'Trades overnight on weekdays');
+assert(!forexManager.isForexOpen(new Date('1987-10-17T12:00:00')), 'Closed on Saturday');
+assert(!forexManager.isForexOpen(new Date('1987-10-16T18:00:00')) && forexManager.isForexOpen(new Date('1987-10-18T18:00:00')), 'Closes Friday 17:00 and reopens Sunday 17:00');
+
+console.log('\nTest 3: Spreads and Conversion');
+console.log('----------------------------------------------------------------------');
+const quote = forexManager.getQuote('JPY', crashDay);
+assert(quote.bid < quote.mid && quote.mid < quote.ask, 'Bid is below mid and ask above');
+assert(forexManager.getSpread('JPY', crashDay) > forexManager.getSpread('JPY', euroDay), 'Spreads were wider before 2000');
+const toYen = forexManager.convert(1000, 'USD', 'JPY', crashDay);
+assert(near(toYen.received, 1000 * quote.bid) && near(toYen.rate, quote.bid), 'Buying yen gets the bid rate');
+assert(near(toYen.spreadCost, 1000 * quote.spread / 2), 'Pays half the spread on one leg');
+const back = forexManager.convert(toYen.received, 'JPY', 'USD', crashDay);
+assert(back.received < 1000 && near(1000 - back.received, 1000 * (1 - (1 - quote.spread / 2) / (1 + quote.spread / 2)), 1e-6), 'A round trip loses the full spread');
+const cross = forexManager.convert(1000, 'GBP', 'JPY', crashDay);
+const pound = forexManager.getQuote('GBP', crashDay);
+assert(near(cross.received, 1000 / pound.ask * quote.bid), 'Crosses go through the dollar');
+assert(near(forexManager.toUsd(yen, 'JPY', crashDay), 1), 'Values wallets at the mid rate');
+
+console.log('\nTest 4: Validation');
+console.log('----------------------------------------------------------------------');
+const check = forexManager.validateConversionParams({ from: 'usd', to: 'jpy', amount: '250' }, crashDay);
+assert(check.valid && check.conversion.from === 'USD' && check.conversion.amount === 250, 'Accepts a valid conversion');
+assert(!forexManager.validateConversionParams({ from: 'USD', to: 'EUR', amount: 10 }, crashDay).valid, 'Rejects currencies not yet available');
+assert(!forexManager.validateConversionParams({ from: 'USD', to: 'XXX', amount: 10 }, crashDay).valid, 'Rejects unknown currencies');
+assert(!forexManager.validateConversionParams({ from: 'GBP', to: 'GBP', amount: 10 }, crashDay).valid, 'Rejects converting a currency into itself');
+assert(!forexManager.validateConversionParams({ from: 'USD', to: 'GBP', amount: -5 }, crashDay).valid, 'Requires a positive amount');
+assert(forexManager.validateConversionParams({ from: 'USD', to: 'JPY', amount: 10.006 }, crashDay).conversion.amount === 10.01, 'Rounds the amount to the cent');
+assert(!forexManager.validateConversionParams({ from: 'USD', to: 'JPY', amount: 0.004 }, crashDay).valid, 'Rejects amounts under a cent');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} forex test(s) failed`);
+}
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for futures contract months, pricing, margin and position changes
+ */
+
+const futuresManager = require('../../helpers/futuresManager');
+const futuresData = require('../../data/futures');
+
+console.log('\n======================================================================');
+console.log('Futures Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const spx = futuresData.getFuturesContract('SPX500');
+const crude = futuresData.getFuturesContract('CL');
+
+console.log('Test 1: Contract Months');
+console.log('----------------------------------------------------------------------');
+assert(futuresManager.getExpiration('1987-12') === '1987-12-18', 'Expires on the third Friday (December 1987)');
+assert(futuresManager.getExpiration('1988-03') === '1988-03-18', 'Expires on the third Friday (March 1988)');
+assert(futuresManager.getContractCode('SPX500', '1987-12') === 'SPX500Z87', 'Builds contract codes from month letters');
+assert(futuresManager.getNextContractMonth(spx, '1987-12') === '1988-03', 'Index futures roll quarterly across year end');
+assert(futuresManager.getNextContractMonth(crude, '1990-05') === '1990-06', 'Crude oil rolls monthly');
+const months = futuresManager.getContractMonths(spx, new Date('1987-12-10T12:00:00'));
+assert(months.length === futuresManager.CONTRACTS_LISTED && months[0] === '1987-12', 'Lists the front month before it expires');
+assert(futuresManager.getContractMonths(spx, new Date('1987-12-21T12:00:00'))[0] === '1988-03', 'Drops the front month after expiry');
+assert(futuresManager.getYearsToExpiry('1987-12', new Date('1988-01-04T12:00:00')) === 0, 'Expired contracts have no time left');
+assert(futuresData.isFuturesListed('SPX500', new Date('1982-05-01')) && !futuresData.isFuturesListed('SPX500', new Date('1981-01-01')), 'S&P 500 futures list from 1982');
+
+console.log('\nTest 2: Pricing');
+console.log('----------------------------------------------------------------------');
+assert(near(futuresManager.priceFuture(100, 0.05, 0.03, 1), 100 * Math.exp(0.02)), 'Prices with cost of carry');
+assert(futuresManager.priceFuture(100, 0.05, 0.03, 0) === 100, 'Converges to spot at expiry');
+assert(futuresManager.priceFuture(100, 0.02, 0.04, 0.5) < 100, 'Trades below spot when the carry yield beats the rate');
+const gold = futuresManager.getCommodityPrice('GC', new Date('1987-10-19T12:00:00'));
+assert(gold > 300 && gold < 600, 'Gold prices near its 1987 level');
+assert(gold === futuresManager.getCommodityPrice('GC', new Date('1987-10-19T12:00:00')), 'Commodity prices are deterministic');
+assert(futuresManager.getCommodityPrice('XX', new Date()) === null, 'Unknown commodities have no price');
+
+console.log('\nTest 3: Margin, Variation and Costs');
+console.log('----------------------------------------------------------------------');
+const margin = futuresManager.getMarginRequirement(spx, 250, -2);
+assert(near(margin.initial, 50000) && near(margin.maintenance, 40000), 'Margin is a share of notional for either side');
+assert(near(futuresManager.getVariationMargin(250, 245, 2, 1000), -10000), 'Longs pay when the price falls');
+assert(near(futuresManager.getVariationMargin(250, 245, -2, 1000), 10000), 'Shorts collect when the price falls');
+assert(futuresManager.getCommission(4, new Date('1985-06-01')) === 100, 'Charges 1980s per-contract commissions');
+assert(futuresManager.getCommission(4, new Date('2015-06-01')) === 9, 'Charges modern per-contract commissions');
+const taxRates = { shortTermTaxRate: 0.4, longTermTaxRate: 0.2 };
+assert(near(futuresManager.getTaxRate(taxRates, '1987-10-01T00:00:00Z', new Date('1987-10-19')), 0.28), 'Taxes gains 60/40 long/short term');
+assert(futuresManager.getTaxRate(taxRates, '1980-01-01T00:00:00Z', new Date('1980-03-01')) === 0.4, 'Taxes by holding period before 1981');
+
+console.log('\nTest 4: Validation');
+console.log('----------------------------------------------------------------------');
+const date = new Date('1987-10-19T12:00:00');
+const base = { symbol: 'spx500', contractMonth: '1987-12', action: 'buy', contracts: 2 };
+const check = futuresManager.validateTradeParams(base, date);
+assert(check.valid && check.trade.symbol === 'SPX500', 'Accepts a valid trade');
+assert(!futuresManager.validateTradeParams({ ...base, symbol: 'NASDAQ100' }, date).valid, 'Rejects contracts not yet listed');
+assert(!futuresManager.validateTradeParams({ ...base, contractMonth: '1987-11' }, date).valid, 'Rejects months outside the cycle');
+assert(!futuresManager.validateTradeParams({ ...base, contractMonth: '1987-09' }, date).valid, 'Rejects expired months');
+assert(!futuresManager.validateTradeParams({ ...base, contracts: 1.5 }, date).valid, 'Requires whole contracts');
+assert(!futuresManager.validateTradeParams({ ...base, autoRoll: 'yes' }, date).valid, 'Requires a boolean autoRoll');
+
+console.log('\nTest 5: Position Changes');
+console.log('----------------------------------------------------------------------');
+const opened = futuresManager.applyTrade(null, 'sell', 2, 250, 1000, date);
+assert(opened.contracts === -2 && opened.averagePrice === 250 && opened.realizedGain === 0, 'Opens a short position');
+const position = { contracts: 2, average_price: 250, opened_at: '1987-10-01T00:00:00.000Z' };
+const added = futuresManager.applyTrade(position, 'buy', 2, 260, 1000, date);
+assert(added.contracts === 4 && added.averagePrice === 255 && added.openedAt === position.opened_at, 'Averages the entry price when adding');
+const partial = futuresManager.applyTrade(position, 'sell', 1, 240, 1000, date);
+assert(partial.contracts === 1 && partial.averagePrice === 250 && near(partial.realizedGain, -10000), 'Realizes losses on a partial close');
+const flipped = futuresManager.applyTrade(position, 'sell', 3, 270, 1000, date);
+assert(flipped.contracts === -1 && flipped.averagePrice === 270 && flipped.closedContracts === 2 && near(flipped.realizedGain, 40000), 'Closes then reverses through zero');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} futures test(s) failed`);
+}
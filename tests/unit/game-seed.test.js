@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the game seed and reproducible simulation runs
+ */
+
+const gameSeed = require('../../helpers/gameSeed');
+const marketCrashSim = require('../../helpers/marketCrashSimulation');
+const dynamicRatesGenerator = require('../../helpers/dynamicRatesGenerator');
+const shareAvailability = require('../../data/share-availability');
+const { generateStudentT } = require('../../helpers/volatilityModeling');
+
+console.log('\n======================================================================');
+console.log('Game Seed Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+const start = new Date('1987-10-12T09:30:00');
+const hour = 60 * 60 * 1000;
+
+// Prices of a stock every hour for a week of a fresh game on a seed
+function runMarket(seed) {
+  gameSeed.setSeed(seed);
+  marketCrashSim.resetSimulation();
+  const prices = [];
+  for (let i = 0; i < 7 * 24; i++) {
+    prices.push(marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, new Date(start.getTime() + i * hour)));
+  }
+  return prices;
+}
+
+console.log('Test 1: Seeds');
+console.log('----------------------------------------------------------------------');
+assert(gameSeed.getSeed() === gameSeed.DEFAULT_SEED, 'Games start on the default seed');
+assert(gameSeed.isValidSeed(0) && gameSeed.isValidSeed(gameSeed.MAX_SEED), 'Accepts 32-bit seeds');
+assert(!gameSeed.isValidSeed(-1) && !gameSeed.isValidSeed(1.5) && !gameSeed.isValidSeed('42') && !gameSeed.isValidSeed(gameSeed.MAX_SEED + 1), 'Rejects other values');
+let threw = false;
+try {
+  gameSeed.setSeed(-1);
+} catch (error) {
+  threw = error instanceof RangeError;
+}
+assert(threw && gameSeed.getSeed() === gameSeed.DEFAULT_SEED, 'setSeed refuses invalid seeds');
+assert(gameSeed.isValidSeed(gameSeed.generateSeed()), 'Generated seeds are valid');
+
+console.log('\nTest 2: Draws');
+console.log('----------------------------------------------------------------------');
+gameSeed.setSeed(42);
+const draw = gameSeed.random('price', 'IBM', 1000);
+assert(draw >= 0 && draw < 1, 'Draws are in [0, 1)');
+gameSeed.random('price', 'AAPL', 1000);
+assert(gameSeed.random('price', 'IBM', 1000) === draw, 'Keyed draws do not depend on order');
+assert(gameSeed.random('price', 'IBM', 1001) !== draw, 'Different keys draw differently');
+const streamStart = [gameSeed.next(), gameSeed.next()];
+const keyed = gameSeed.createRandom('ohlc', 5);
+const keyedStart = [keyed(), keyed()];
+gameSeed.setSeed(43);
+assert(gameSeed.random('price', 'IBM', 1000) !== draw, 'Another seed draws differently');
+gameSeed.setSeed(42);
+assert(gameSeed.next() === streamStart[0] && gameSeed.next() === streamStart[1], 'The stream restarts with the seed');
+const keyedAgain = gameSeed.createRandom('ohlc', 5);
+assert(keyedAgain() === keyedStart[0] && keyedAgain() === keyedStart[1], 'Keyed generators repeat');
+const samples = [];
+const sampleRandom = gameSeed.createRandom('samples');
+for (let i = 0; i < 1000; i++) {
+  samples.push(generateStudentT(5, sampleRandom));
+}
+assert(samples.every(Number.isFinite), 'Samplers stay finite on seeded draws');
+
+console.log('\nTest 3: Seeded Generators');
+console.log('----------------------------------------------------------------------');
+gameSeed.setSeed(0);
+assert(gameSeed.salt(31415) === 31415, 'Seed 0 leaves sin-based seeds alone');
+const legacy = Math.sin(2030 * 31415) * 10000;
+assert(dynamicRatesGenerator.seededRandom(2030 * 31415) === legacy - Math.floor(legacy), 'Seed 0 keeps the original post-2024 rates');
+const defaultRate = dynamicRatesGenerator.seededRandom(2030 * 31415);
+gameSeed.setSeed(42);
+assert(dynamicRatesGenerator.seededRandom(2030 * 31415) !== defaultRate, 'Other seeds generate other rates');
+const floatOn42 = shareAvailability.getAvailableShares('IBM').publicFloat;
+gameSeed.setSeed(43);
+assert(shareAvailability.getAvailableShares('IBM').publicFloat !== floatOn42, 'A new seed draws new public floats');
+gameSeed.setSeed(42);
+assert(shareAvailability.getAvailableShares('IBM').publicFloat === floatOn42, 'Public floats follow the seed');
+
+console.log('\nTest 4: Reproducible Markets');
+console.log('----------------------------------------------------------------------');
+const first = runMarket(42);
+const second = runMarket(42);
+assert(first.every((price, i) => price === second[i]), 'The same seed runs the same market');
+const other = runMarket(43);
+assert(other.some((price, i) => price !== first[i]), 'Another seed runs another market');
+gameSeed.setSeed(42);
+marketCrashSim.resetSimulation();
+const noon = new Date('1987-10-12T12:00:00');
+const price = marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, noon);
+for (let i = 0; i < 20; i++) {
+  marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, new Date(noon.getTime() + i * 60000));
+}
+assert(marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, noon) === price, 'Asking for prices does not move them');
+const weekLater = new Date(noon.getTime() + 7 * 24 * hour);
+const skipped = marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, weekLater);
+marketCrashSim.resetSimulation();
+for (let i = 0; i <= 7; i++) {
+  marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, new Date(noon.getTime() + i * 24 * hour));
+}
+assert(marketCrashSim.calculateStockPriceImpact('IBM', 'Technology', 100, weekLater) === skipped, 'Volatility does not depend on which days were played');
+
+gameSeed.setSeed(gameSeed.DEFAULT_SEED);
+marketCrashSim.resetSimulation();
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} game seed test(s) failed`);
+}
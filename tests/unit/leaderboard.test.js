@@ -0,0 +1,84 @@
+/**
+ * Unit tests for leaderboard rankings
+ */
+
+const leaderboard = require('../../helpers/leaderboard');
+
+console.log('\n======================================================================');
+console.log('Leaderboard Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function makeSnapshots(userId, username, startPeriod, netWorths, inflation = 1) {
+  let year = parseInt(startPeriod.slice(0, 4));
+  let month = parseInt(startPeriod.slice(5, 7));
+  return netWorths.map(netWorth => {
+    const row = {
+      user_id: userId,
+      username,
+      period: `${year}-${String(month).padStart(2, '0')}`,
+      net_worth: netWorth,
+      real_net_worth: netWorth / inflation,
+      cumulative_inflation: inflation,
+      risk_free_rate: 0.06
+    };
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+    return row;
+  });
+}
+
+console.log('Test 1: Periods');
+console.log('----------------------------------------------------------------------');
+assert(leaderboard.getPeriodKey(new Date(1987, 9, 19)) === '1987-10', 'Builds zero-padded month keys');
+assert(leaderboard.getDecade('1987-10') === 1980 && leaderboard.getDecade('1990-01') === 1990, 'Maps periods to decades');
+
+console.log('\nTest 2: Returns and Sharpe Ratio');
+console.log('----------------------------------------------------------------------');
+const steady = makeSnapshots(1, 'steady', '1985-01', [10000, 10100, 10200, 10300, 10400, 10500, 10600, 10700]);
+const returns = leaderboard.calculateMonthlyReturns(steady);
+assert(returns.length === 7 && Math.abs(returns[0].return - 0.01) < 1e-9, 'Calculates month-over-month returns');
+assert(Math.abs(returns[0].excessReturn - (0.01 - 0.005)) < 1e-9, 'Subtracts the monthly risk-free rate');
+assert(leaderboard.calculateSharpeRatio(steady.slice(0, 4)) === null, 'Requires a minimum history for a Sharpe ratio');
+assert(leaderboard.calculateSharpeRatio(steady) > 0, 'Steady gains above the risk-free rate have a positive Sharpe ratio');
+const underwater = makeSnapshots(2, 'broke', '1985-01', [-500, 1000]);
+assert(leaderboard.calculateMonthlyReturns(underwater).length === 0, 'Skips returns from a negative net worth');
+
+console.log('\nTest 3: Rankings');
+console.log('----------------------------------------------------------------------');
+const volatile = makeSnapshots(2, 'volatile', '1985-01', [10000, 13000, 9000, 14000, 10000, 15000, 11000, 16000]);
+const rankings = leaderboard.getLeaderboard([...steady, ...volatile]);
+assert(rankings.allTime[0].username === 'volatile' && rankings.allTime[0].rank === 1, 'All-time ranks by latest net worth');
+assert(rankings.riskAdjusted[0].username === 'steady', 'Risk-adjusted ranking rewards consistency');
+assert(rankings.riskAdjusted.every(e => typeof e.annualizedReturn === 'number'), 'Risk-adjusted entries include annualized returns');
+
+const inflated = makeSnapshots(3, 'late', '1999-11', [20000, 22000, 24000], 4);
+const decadeBoard = leaderboard.getLeaderboard([...steady, ...inflated]);
+assert(decadeBoard.allTime[0].username === 'steady', 'All-time ranking uses inflation-adjusted net worth');
+assert(decadeBoard.decades['1980s'].length === 1 && Math.abs(decadeBoard.decades['1980s'][0].realReturn - 0.07) < 1e-9, 'Decade return runs from first to last snapshot');
+const late2000s = decadeBoard.decades['2000s'][0];
+assert(late2000s.startPeriod === '1999-12' && Math.abs(late2000s.realReturn - (24000 / 22000 - 1)) < 1e-9, 'Decade return starts from the prior decade\'s last snapshot');
+assert(leaderboard.getLeaderboard([]).allTime.length === 0, 'Handles an empty leaderboard');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} leaderboard test(s) failed`);
+}
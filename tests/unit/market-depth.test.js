@@ -0,0 +1,96 @@
+/**
+ * Unit tests for bid/ask quotes, tick sizes and order book depth
+ */
+
+const marketDepth = require('../../helpers/marketDepth');
+const marketCrashSim = require('../../helpers/marketCrashSimulation');
+const tickSizes = require('../../data/tick-sizes');
+
+console.log('\n======================================================================');
+console.log('Market Depth Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+function onTick(price, tickSize) {
+  return near(price / tickSize, Math.round(price / tickSize));
+}
+
+const largeFloat = 500000000;
+const smallFloat = 20000000;
+const fractions = new Date('1987-10-16T12:00:00');
+const pennies = new Date('2010-10-15T12:00:00');
+
+marketCrashSim.resetForTesting();
+
+console.log('Test 1: Tick Sizes');
+console.log('----------------------------------------------------------------------');
+assert(tickSizes.getTickSize(fractions) === 1 / 8, 'Eighths before 1997');
+assert(tickSizes.getTickSize(new Date('1999-06-01T12:00:00')) === 1 / 16, 'Sixteenths from June 1997');
+assert(tickSizes.getTickSize(pennies) === 0.01, 'Pennies after decimalization');
+assert(tickSizes.getTickSize(new Date('1997-06-23T23:30:00Z')) === 1 / 8 && tickSizes.getTickSize(new Date('1997-06-24T00:00:00Z')) === 1 / 16, 'Eras start at midnight of the game date');
+assert(tickSizes.roundToTick(121.3, fractions) === 121.25 && tickSizes.roundToTick(50.95, new Date('1999-06-01T12:00:00')) === 50.9375, 'Rounds to the nearest fraction');
+assert(tickSizes.roundToTick(121.456, pennies) === 121.46, 'Rounds to the penny');
+assert(tickSizes.roundToTick(0.03, fractions) === 0.125, 'Never rounds a price down to zero');
+
+console.log('\nTest 2: Quotes');
+console.log('----------------------------------------------------------------------');
+const old = marketDepth.getQuote(121.5, fractions, largeFloat);
+assert(old.bid < 121.5 && old.ask > 121.5, 'The last price sits inside the quote');
+assert(onTick(old.bid, 1 / 8) && onTick(old.ask, 1 / 8), 'Fraction-era quotes are in eighths');
+const modern = marketDepth.getQuote(121.5, pennies, largeFloat);
+assert(onTick(modern.bid, 0.01) && onTick(modern.ask, 0.01) && modern.spread >= 0.01, 'Modern quotes are at least a penny wide');
+assert(modern.spread < old.spread, 'Spreads narrowed after decimalization');
+const thin = marketDepth.getQuote(121.5, pennies, smallFloat);
+assert(thin.spread > modern.spread && thin.askSize < modern.askSize, 'Thinly held stocks quote wider and smaller');
+assert(marketDepth.getQuote(121.5, pennies, largeFloat).ask === modern.ask, 'Quotes are deterministic');
+
+console.log('\nTest 3: Depth');
+console.log('----------------------------------------------------------------------');
+const depth = marketDepth.getDepth(modern);
+assert(depth.bids.length === marketDepth.DEPTH_LEVELS && depth.asks.length === marketDepth.DEPTH_LEVELS, 'Lists five levels per side');
+assert(depth.asks[0].price === modern.ask && depth.bids[0].price === modern.bid, 'The first level is the best quote');
+assert(depth.asks[1].price > depth.asks[0].price && depth.bids[1].price < depth.bids[0].price, 'Deeper levels are further away');
+assert(depth.asks[4].shares > depth.asks[0].shares, 'Deeper levels show more shares');
+
+console.log('\nTest 4: Walking the Book');
+console.log('----------------------------------------------------------------------');
+const small = marketDepth.walkBook(modern, 'buy', 100);
+assert(small.averagePrice === modern.ask && small.levels === 1, 'Small buys fill at the ask');
+assert(marketDepth.walkBook(modern, 'sell', 100).averagePrice === modern.bid, 'Small sells fill at the bid');
+assert(marketDepth.walkBook(modern, 'cover', 100).averagePrice === modern.ask, 'Covers buy at the ask');
+const large = marketDepth.walkBook(modern, 'buy', modern.askSize * 3);
+assert(large.levels > 1 && large.averagePrice > modern.ask && large.averagePrice < large.worstPrice, 'Large orders walk the book');
+const huge = marketDepth.walkBook(modern, 'sell', largeFloat);
+assert(huge.worstPrice >= modern.tickSize && huge.averagePrice > 0, 'Bids never fall below one tick');
+
+console.log('\nTest 5: Crashes');
+console.log('----------------------------------------------------------------------');
+marketCrashSim.triggerCrashEvent('black_monday_1987', fractions);
+const crash = marketDepth.getQuote(121.5, fractions, largeFloat);
+assert(crash.spread > old.spread, 'Spreads widen in a crash');
+assert(crash.askSize < old.askSize, 'Depth thins out in a crash');
+marketCrashSim.resetForTesting();
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} market depth test(s) failed`);
+}
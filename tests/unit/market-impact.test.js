@@ -0,0 +1,78 @@
+/**
+ * Unit tests for market impact and slippage of large orders
+ */
+
+const marketImpact = require('../../helpers/marketImpact');
+const marketCrashSim = require('../../helpers/marketCrashSimulation');
+
+console.log('\n======================================================================');
+console.log('Market Impact Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const floatShares = 500000000;
+const tradeTime = new Date('2010-10-15T12:00:00');
+const hour = 60 * 60 * 1000;
+
+marketCrashSim.resetForTesting();
+marketImpact.resetForTesting();
+
+console.log('Test 1: Estimating Impact');
+console.log('----------------------------------------------------------------------');
+assert(marketImpact.getAverageDailyVolume(floatShares) === 2500000, 'Daily volume is half a percent of the float');
+assert(marketImpact.getAverageDailyVolume(1000) === 10000, 'Daily volume has a floor');
+const small = marketImpact.estimateImpact('buy', 100, floatShares);
+const oneDay = marketImpact.estimateImpact('buy', 2500000, floatShares);
+assert(small.temporary < 0.0002, 'Small orders barely move the price');
+assert(near(oneDay.temporary, 0.02), "A day's volume costs a day's volatility");
+assert(near(marketImpact.estimateImpact('buy', 10000000, floatShares).temporary, 2 * oneDay.temporary), 'Impact grows with the square root of size');
+assert(near(oneDay.permanent, oneDay.temporary / 4), 'A quarter of the impact is permanent');
+assert(marketImpact.estimateImpact('buy', floatShares * 100, floatShares).temporary === 0.25, 'Impact is capped');
+
+console.log('\nTest 2: Fill Prices');
+console.log('----------------------------------------------------------------------');
+const sellDay = marketImpact.estimateImpact('sell', 2500000, floatShares);
+assert(near(marketImpact.applyImpact(100, oneDay), 102), 'Buys fill above the book');
+assert(near(marketImpact.applyImpact(100, sellDay), 98), 'Sells fill below the book');
+assert(marketImpact.estimateImpact('cover', 100, floatShares).direction === 1 && marketImpact.estimateImpact('short', 100, floatShares).direction === -1, 'Covers buy and shorts sell');
+
+console.log('\nTest 3: Price Feedback');
+console.log('----------------------------------------------------------------------');
+marketImpact.recordTrade('IBM', oneDay, tradeTime);
+assert(near(marketImpact.getPriceAdjustment('IBM', tradeTime), 0.025), 'Right after a fill the price carries the full impact');
+assert(near(marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() + hour)), 0.015), 'The temporary impact halves in an hour');
+assert(near(marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() + 100 * hour)), 0.005), 'The permanent impact stays');
+assert(marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() - hour)) === 0, 'Earlier prices are untouched');
+assert(marketImpact.getPriceAdjustment('AAPL', tradeTime) === 0, 'Other stocks are untouched');
+marketImpact.recordTrade('IBM', sellDay, new Date(tradeTime.getTime() + 100 * hour));
+assert(near(marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() + 200 * hour)), 0), 'Selling back undoes the permanent impact');
+const saved = JSON.parse(JSON.stringify(marketImpact.getState()));
+const savedAdjustment = marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() + 101 * hour));
+marketImpact.reset();
+assert(marketImpact.getPriceAdjustment('IBM', tradeTime) === 0, 'A reset forgets the impact');
+marketImpact.loadState(saved);
+assert(marketImpact.getPriceAdjustment('IBM', new Date(tradeTime.getTime() + 101 * hour)) === savedAdjustment, 'Saved impact is restored');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} market impact test(s) failed`);
+}
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for option pricing, chains and position changes
+ */
+
+const optionsManager = require('../../helpers/optionsManager');
+
+console.log('\n======================================================================');
+console.log('Options Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-4) {
+  return Math.abs(a - b) < tolerance;
+}
+
+console.log('Test 1: Black-Scholes Pricing');
+console.log('----------------------------------------------------------------------');
+const params = { spot: 100, strike: 100, years: 1, rate: 0.05, volatility: 0.2 };
+const call = optionsManager.priceOption({ type: 'call', ...params });
+const put = optionsManager.priceOption({ type: 'put', ...params });
+assert(near(call.price, 10.4506), 'Prices the textbook at-the-money call (10.4506)');
+assert(near(put.price, 5.5735), 'Prices the textbook at-the-money put (5.5735)');
+assert(near(call.price - put.price, 100 - 100 * Math.exp(-0.05)), 'Satisfies put-call parity');
+assert(near(call.delta, 0.6368) && near(put.delta, call.delta - 1), 'Call delta is N(d1) and put delta is N(d1) - 1');
+assert(call.gamma > 0 && near(call.gamma, put.gamma) && near(call.vega, put.vega), 'Calls and puts share gamma and vega');
+assert(call.theta < 0 && call.rho > 0 && put.rho < 0, 'Theta decays and rho has the right sign');
+const expired = optionsManager.priceOption({ type: 'put', spot: 90, strike: 100, years: 0, rate: 0.05, volatility: 0.2 });
+assert(expired.price === 10 && expired.delta === -1, 'Expired options are worth their intrinsic value');
+
+console.log('\nTest 2: Volatility');
+console.log('----------------------------------------------------------------------');
+assert(optionsManager.estimateVolatility([100]) === 0.30, 'Falls back to 30% without enough history');
+const calm = [];
+const wild = [];
+for (let i = 0; i < 60; i++) {
+  calm.push(100 * (1 + 0.005 * (i % 2)));
+  wild.push(100 * (1 + 0.05 * (i % 2)));
+}
+const calmVolatility = optionsManager.estimateVolatility(calm);
+const wildVolatility = optionsManager.estimateVolatility(wild);
+assert(calmVolatility < wildVolatility, 'Bigger daily moves forecast higher volatility');
+assert(calmVolatility >= 0.10 && wildVolatility <= 1.50, 'Keeps forecasts between 10% and 150%');
+
+console.log('\nTest 3: Listing');
+console.log('----------------------------------------------------------------------');
+assert(optionsManager.getListedTypes(new Date('1972-06-01T12:00:00')).length === 0, 'Nothing is listed before the CBOE opens');
+assert(optionsManager.getListedTypes(new Date('1975-06-01T12:00:00')).join(',') === 'call', 'Only calls are listed before June 1977');
+assert(optionsManager.getListedTypes(new Date('1980-06-01T12:00:00')).join(',') === 'call,put', 'Calls and puts are listed from June 1977');
+const expirations = optionsManager.getExpirations(new Date('1987-10-16T15:00:00'));
+assert(expirations.join(',') === '1987-10-16,1987-11-20,1987-12-18,1988-01-15', 'Lists the next four third-Friday expiries');
+assert(optionsManager.getExpirations(new Date('1987-10-16T16:30:00'), 1)[0] === '1987-11-20', 'Drops an expiry once its close has passed');
+assert(optionsManager.getStrikes(123.4).join(',') === '100,105,110,115,120,125,130,135,140,145,150', 'Lists $5 strikes around a $123 stock');
+assert(optionsManager.getStrikes(4)[0] === 2.5 && optionsManager.getStrikeIncrement(4) === 2.5, 'Uses $2.50 strikes and skips non-positive strikes for cheap stocks');
+
+const chain = optionsManager.buildChain('IBM', 120, new Date('1976-01-05T10:00:00'), 0.06, 0.25);
+assert(chain.expirations.length === 4 && chain.expirations[0].strikes.length === 11, 'Builds a chain for every expiry and strike');
+const row = chain.expirations[0].strikes.find(s => s.strike === 110);
+assert(row.call.inTheMoney && row.call.price > 10 && row.put === null, 'Prices calls and leaves puts unlisted in 1976');
+
+console.log('\nTest 4: Trade Validation');
+console.log('----------------------------------------------------------------------');
+const date = new Date('1987-10-02T12:00:00');
+const order = { symbol: 'ibm', type: 'call', strike: 120, expiration: '1987-10-16', action: 'buy', contracts: 2 };
+const valid = optionsManager.validateTradeParams(order, date);
+assert(valid.valid && valid.trade.symbol === 'IBM', 'Accepts a listed contract');
+assert(!optionsManager.validateTradeParams({ ...order, contracts: 1.5 }, date).valid, 'Rejects fractional contracts');
+assert(!optionsManager.validateTradeParams({ ...order, action: 'exercise' }, date).valid, 'Rejects unknown actions');
+assert(!optionsManager.validateTradeParams({ ...order, expiration: '1987-09-18' }, date).valid, 'Rejects expired contracts');
+assert(!optionsManager.validateTradeParams({ ...order, type: 'put' }, new Date('1975-01-02T12:00:00')).valid, 'Rejects puts before they were listed');
+
+console.log('\nTest 5: Position Changes');
+console.log('----------------------------------------------------------------------');
+const opened = optionsManager.applyTrade(null, 'buy', 2, 3, date);
+assert(opened.contracts === 2 && opened.averagePremium === 3 && opened.realizedGain === 0, 'Opens a long position');
+const position = { contracts: 2, average_premium: 3, opened_at: '1987-09-01T12:00:00.000Z' };
+const added = optionsManager.applyTrade(position, 'buy', 2, 5, date);
+assert(added.contracts === 4 && added.averagePremium === 4 && added.openedAt === position.opened_at, 'Averages the premium when adding to a position');
+const trimmed = optionsManager.applyTrade(position, 'sell', 1, 4.5, date);
+assert(trimmed.contracts === 1 && trimmed.averagePremium === 3 && near(trimmed.realizedGain, 150), 'Realizes the gain on contracts sold');
+const flipped = optionsManager.applyTrade(position, 'sell', 5, 4, date);
+assert(flipped.contracts === -3 && flipped.averagePremium === 4 && flipped.closedContracts === 2, 'Writes the contracts sold beyond the position');
+const covered = optionsManager.applyTrade({ contracts: -3, average_premium: 4, opened_at: position.opened_at }, 'buy', 3, 1, date);
+assert(covered.contracts === 0 && near(covered.realizedGain, 900), 'Buying back written options realizes the premium kept');
+
+console.log('\nTest 6: Exercise and Adjustments');
+console.log('----------------------------------------------------------------------');
+assert(optionsManager.getIntrinsicValue('call', 100, 112) === 12 && optionsManager.getIntrinsicValue('put', 100, 112) === 0, 'Intrinsic value is what exercising pays now');
+assert(optionsManager.isAutoExercised('put', 50, 49.99) && !optionsManager.isAutoExercised('put', 50, 49.995), 'Auto-exercises contracts at least a cent in the money');
+assert(!optionsManager.isAutoExercised('call', 50, 50), 'At-the-money contracts expire worthless');
+const deepCall = { type: 'call', spot: 150, strike: 100, years: 10 / 365, rate: 0.05, volatility: 0.2 };
+assert(optionsManager.isEarlyExerciseOptimal(deepCall, 1), 'Exercises a deep in-the-money call before a dividend bigger than its time value');
+assert(!optionsManager.isEarlyExerciseOptimal({ ...deepCall, strike: 150, years: 0.5 }, 1), 'Holds an at-the-money call through the dividend');
+assert(!optionsManager.isEarlyExerciseOptimal({ ...deepCall, type: 'put', strike: 200 }, 1), 'Never exercises puts for a dividend');
+const split = optionsManager.adjustForSplit({ contracts: -3, strike: 125, average_premium: 4.5 }, 2);
+assert(split.contracts === -6 && split.strike === 62.5 && split.averagePremium === 2.25, 'A 2-for-1 split doubles the contracts and halves the strike and premium');
+assert(optionsManager.adjustForSplit({ contracts: 1, strike: 100, average_premium: 3 }, 3).strike === 33.3333, 'Rounds split strikes to four decimals');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} options test(s) failed`);
+}
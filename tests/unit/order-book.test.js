@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the order book (order types, time-in-force and order groups)
+ */
+
+const orderBook = require('../../helpers/orderBook');
+
+console.log('\n======================================================================');
+console.log('Order Book Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function makeOrder(overrides) {
+  return Object.assign({
+    id: 1,
+    symbol: 'AAPL',
+    action: 'buy',
+    shares: 10,
+    order_type: 'stock',
+    status: 'pending',
+    price_type: 'market',
+    limit_price: null,
+    stop_price: null,
+    trail_amount: null,
+    trail_percent: null,
+    trail_reference: null,
+    triggered_at: null
+  }, overrides);
+}
+
+console.log('Test 1: Parameter Validation');
+console.log('----------------------------------------------------------------------');
+assert(orderBook.validateOrderParams({}).order.priceType === 'market', 'Defaults to market orders');
+assert(!orderBook.validateOrderParams({ priceType: 'iceberg' }).valid, 'Rejects unknown price types');
+assert(!orderBook.validateOrderParams({ priceType: 'limit' }).valid, 'Limit orders require a limit price');
+assert(!orderBook.validateOrderParams({ priceType: 'stop_limit', limitPrice: 10 }).valid, 'Stop-limit orders require a stop price');
+assert(!orderBook.validateOrderParams({ priceType: 'limit', limitPrice: -5 }).valid, 'Rejects negative prices');
+assert(!orderBook.validateOrderParams({ priceType: 'trailing_stop' }).valid, 'Trailing stops require a trail');
+assert(!orderBook.validateOrderParams({ priceType: 'trailing_stop', trailAmount: 1, trailPercent: 5 }).valid, 'Trailing stops reject both trail types');
+const validStopLimit = orderBook.validateOrderParams({ priceType: 'stop_limit', stopPrice: '95', limitPrice: '94.5' });
+assert(validStopLimit.valid && validStopLimit.order.stopPrice === 95 && validStopLimit.order.limitPrice === 94.5, 'Parses stop-limit prices from strings');
+
+console.log('\nTest 2: Limit Orders');
+console.log('----------------------------------------------------------------------');
+const buyLimit = makeOrder({ price_type: 'limit', limit_price: 90 });
+assert(!orderBook.evaluateOrder(buyLimit, 95).shouldFill, 'Buy limit waits above the limit price');
+assert(orderBook.evaluateOrder(buyLimit, 90).shouldFill, 'Buy limit fills at the limit price');
+assert(orderBook.evaluateOrder(buyLimit, 85).shouldFill, 'Buy limit fills below the limit price');
+const sellLimit = makeOrder({ action: 'sell', price_type: 'limit', limit_price: 110 });
+assert(!orderBook.evaluateOrder(sellLimit, 105).shouldFill, 'Sell limit waits below the limit price');
+assert(orderBook.evaluateOrder(sellLimit, 112).shouldFill, 'Sell limit fills above the limit price');
+
+console.log('\nTest 3: Stop and Stop-Limit Orders');
+console.log('----------------------------------------------------------------------');
+const sellStop = makeOrder({ action: 'sell', price_type: 'stop', stop_price: 90 });
+assert(!orderBook.evaluateOrder(sellStop, 95).shouldFill, 'Sell stop waits above the stop price');
+const sellStopHit = orderBook.evaluateOrder(sellStop, 89);
+assert(sellStopHit.triggered && sellStopHit.shouldFill, 'Sell stop triggers and fills below the stop price');
+const buyStop = makeOrder({ action: 'cover', price_type: 'stop', stop_price: 120 });
+assert(orderBook.evaluateOrder(buyStop, 121).shouldFill, 'Cover stop fills above the stop price');
+
+const stopLimit = makeOrder({ action: 'sell', price_type: 'stop_limit', stop_price: 90, limit_price: 88 });
+const gapDown = orderBook.evaluateOrder(stopLimit, 85);
+assert(gapDown.triggered && !gapDown.shouldFill, 'Stop-limit triggers but does not fill through its limit');
+const triggeredStopLimit = makeOrder({ action: 'sell', price_type: 'stop_limit', stop_price: 90, limit_price: 88, triggered_at: '1985-01-02T15:00:00.000Z' });
+const recovered = orderBook.evaluateOrder(triggeredStopLimit, 89);
+assert(!recovered.triggered && recovered.shouldFill, 'Triggered stop-limit fills once the limit is reachable');
+
+console.log('\nTest 4: Trailing Stops');
+console.log('----------------------------------------------------------------------');
+assert(orderBook.calculateTrailingStop('sell', 100, null, 10) === 90, 'Sell trailing stop sits below the reference');
+assert(orderBook.calculateTrailingStop('buy', 100, 5, null) === 105, 'Buy trailing stop sits above the reference');
+const trailing = makeOrder({ action: 'sell', price_type: 'trailing_stop', trail_percent: 10, trail_reference: 100, stop_price: 90 });
+const rally = orderBook.evaluateOrder(trailing, 120);
+assert(rally.updates && rally.updates.trailReference === 120 && rally.updates.stopPrice === 108, 'Trailing stop ratchets up with new highs');
+assert(!rally.shouldFill, 'Trailing stop does not fill on a rally');
+const dip = orderBook.evaluateOrder(trailing, 95);
+assert(dip.updates === null && !dip.shouldFill, 'Trailing stop holds its level on a small dip');
+const drop = orderBook.evaluateOrder(trailing, 89);
+assert(drop.triggered && drop.shouldFill, 'Trailing stop fills when price falls through the stop');
+
+console.log('\nTest 5: Trigger State');
+console.log('----------------------------------------------------------------------');
+assert(orderBook.getTriggerState(makeOrder({})) === 'n/a', 'Market orders have no trigger state');
+assert(orderBook.getTriggerState(sellStop) === 'waiting', 'Untriggered stops are waiting');
+assert(orderBook.getTriggerState(triggeredStopLimit) === 'triggered', 'Triggered stops report triggered');
+
+console.log('\nTest 6: Time In Force');
+console.log('----------------------------------------------------------------------');
+const now = new Date('1985-06-03T15:00:00.000Z');
+assert(orderBook.validateTimeInForce({}, now).timeInForce === 'DAY', 'Defaults to DAY orders');
+assert(orderBook.validateTimeInForce({ timeInForce: 'gtc' }, now).timeInForce === 'GTC', 'Accepts lowercase time in force');
+assert(!orderBook.validateTimeInForce({ timeInForce: 'GTX' }, now).valid, 'Rejects unknown time in force');
+assert(!orderBook.validateTimeInForce({ timeInForce: 'GTD' }, now).valid, 'GTD orders require an expiry');
+assert(!orderBook.validateTimeInForce({ timeInForce: 'GTD', expiresAt: '1985-06-01' }, now).valid, 'GTD expiry must be in the future');
+assert(!orderBook.validateTimeInForce({ timeInForce: 'IOC', priceType: 'trailing_stop' }, now).valid, 'Trailing stops cannot be IOC');
+const gtd = orderBook.validateTimeInForce({ timeInForce: 'GTD', expiresAt: '1985-06-10' }, now);
+assert(gtd.valid && gtd.expiresAt.getTime() === new Date('1985-06-10').getTime(), 'Parses GTD expiry dates');
+assert(orderBook.isImmediateOrder('IOC') && orderBook.isImmediateOrder('FOK') && !orderBook.isImmediateOrder('GTC'), 'Only IOC and FOK are immediate');
+const gtdOrder = makeOrder({ time_in_force: 'GTD', expires_at: '1985-06-10T00:00:00.000Z' });
+assert(!orderBook.isOrderExpired(gtdOrder, now), 'GTD order is live before its deadline');
+assert(orderBook.isOrderExpired(gtdOrder, new Date('1985-06-10T14:30:00.000Z')), 'GTD order expires after its deadline');
+assert(!orderBook.isOrderExpired(makeOrder({ time_in_force: 'GTC' }), new Date('2020-01-01')), 'GTC orders never lapse on their own');
+
+console.log('\nTest 7: Bracket and OCO Groups');
+console.log('----------------------------------------------------------------------');
+assert(orderBook.getExitAction('buy') === 'sell' && orderBook.getExitAction('buy-margin') === 'sell', 'Long entries exit with sell');
+assert(orderBook.getExitAction('short') === 'cover', 'Short entries exit with cover');
+const longBracket = orderBook.validateBracketParams('buy', { takeProfit: 120, stopLoss: '90' }, 100);
+assert(longBracket.valid && longBracket.isEntry && longBracket.exitAction === 'sell' && longBracket.stopLoss === 90, 'Accepts a long bracket');
+assert(!orderBook.validateBracketParams('buy', { takeProfit: 95 }, 100).valid, 'Rejects a long take-profit below entry');
+assert(!orderBook.validateBracketParams('buy', { stopLoss: 105 }, 100).valid, 'Rejects a long stop-loss above entry');
+const shortBracket = orderBook.validateBracketParams('short', { takeProfit: 80, stopLoss: 110 }, 100);
+assert(shortBracket.valid && shortBracket.exitAction === 'cover', 'Accepts a short bracket with inverted exits');
+const oco = orderBook.validateBracketParams('sell', { takeProfit: 120, stopLoss: 90 }, 100);
+assert(oco.valid && !oco.isEntry && oco.exitAction === 'sell', 'Sell with exits creates an OCO pair');
+assert(orderBook.validateBracketParams('buy', { takeProfit: 120 }, 100).stopLoss === null, 'Allows a single exit');
+assert(!orderBook.validateBracketParams('buy', {}, 100).valid, 'Requires at least one exit');
+
+console.log('\nTest 8: Tick Sizes');
+console.log('----------------------------------------------------------------------');
+const eighths = new Date('1987-10-16T12:00:00');
+const fractionLimit = orderBook.validateOrderParams({ priceType: 'stop_limit', limitPrice: 121.3, stopPrice: 121.1 }, eighths);
+assert(fractionLimit.order.limitPrice === 121.25 && fractionLimit.order.stopPrice === 121.125, 'Rounds limit and stop prices to eighths');
+const pennyLimit = orderBook.validateOrderParams({ priceType: 'limit', limitPrice: 121.337 }, new Date('2010-10-15T12:00:00'));
+assert(pennyLimit.order.limitPrice === 121.34, 'Rounds to pennies after decimalization');
+assert(orderBook.validateOrderParams({ priceType: 'limit', limitPrice: 121.3 }).order.limitPrice === 121.3, 'Leaves prices alone without a game time');
+const fractionBracket = orderBook.validateBracketParams('buy', { takeProfit: 110.3, stopLoss: 90.2 }, 100, eighths);
+assert(fractionBracket.takeProfit === 110.25 && fractionBracket.stopLoss === 90.25, 'Rounds exit prices');
+assert(orderBook.calculateTrailingStop('sell', 121.3, null, 10, eighths) === 109.125, 'Rounds trailing stops');
+const fractionTrail = orderBook.evaluateOrder(makeOrder({ action: 'sell', price_type: 'trailing_stop', trail_percent: 10, trail_reference: 100, stop_price: 90 }), 121.3, eighths);
+assert(fractionTrail.updates && fractionTrail.updates.stopPrice === 109.125, 'Rounds trailing stops as they move');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} order book test(s) failed`);
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for performance analytics
+ */
+
+const performanceAnalytics = require('../../helpers/performanceAnalytics');
+
+console.log('\n======================================================================');
+console.log('Performance Analytics Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(actual, expected, tolerance = 1e-6) {
+  return actual !== null && Math.abs(actual - expected) < tolerance;
+}
+
+console.log('Test 1: Time-Weighted Return');
+console.log('----------------------------------------------------------------------');
+// Grows 10%, then a $5,000 cheat lands alongside another 10% gain
+const points = [
+  { date: '1985-01-02', value: 10000, flow: 0 },
+  { date: '1986-01-02', value: 11000, flow: 0 },
+  { date: '1987-01-02', value: 17100, flow: 5000 }
+];
+const metrics = performanceAnalytics.analyze(points, 'month');
+assert(near(metrics.timeWeightedReturn, 0.21), 'Chains period returns net of external flows');
+assert(near(metrics.annualizedReturn, 0.1, 1e-3), 'Annualizes over calendar days');
+assert(metrics.netExternalFlows === 5000, 'Reports net external flows');
+const noFlows = performanceAnalytics.analyze(points.map(p => ({ ...p, flow: 0 })), 'month');
+assert(noFlows.timeWeightedReturn > 0.7, 'Without flow data the cheat would count as a gain');
+
+console.log('\nTest 2: Money-Weighted Return');
+console.log('----------------------------------------------------------------------');
+const irr = performanceAnalytics.calculateMoneyWeightedReturn([
+  { date: '1985-01-02', value: 10000, flow: 0 },
+  { date: '1986-01-02', value: 11000, flow: 0 }
+]);
+assert(near(irr, 0.1, 1e-3), 'Matches the simple return without flows');
+const lateDeposit = performanceAnalytics.calculateMoneyWeightedReturn(points);
+assert(lateDeposit !== null && lateDeposit > 0.09 && lateDeposit < 0.11, 'Weights returns by the money invested');
+assert(performanceAnalytics.calculateMoneyWeightedReturn(points.slice(0, 1)) === null, 'Needs at least two points');
+
+console.log('\nTest 3: Risk Measures');
+console.log('----------------------------------------------------------------------');
+const values = [10000, 11000, 9900, 10890, 8712, 9583.2, 11000];
+const weekly = values.map((value, i) => ({
+  date: `1987-0${Math.floor(i / 4) + 1}-${String((i % 4) * 7 + 1).padStart(2, '0')}`,
+  value,
+  flow: 0
+}));
+const risk = performanceAnalytics.analyze(weekly, 'week');
+assert(risk.periods === 6, 'Measures one return per period');
+assert(risk.volatility > 0, 'Annualizes the volatility of period returns');
+assert(risk.sharpeRatio !== null && risk.sortinoRatio !== null, 'Calculates Sharpe and Sortino ratios');
+assert(near(risk.maxDrawdown, 1 - 8712 / 11000), 'Finds the largest peak-to-trough fall');
+assert(risk.maxDrawdownPeak === weekly[1].date && risk.maxDrawdownTrough === weekly[4].date, 'Reports drawdown peak and trough dates');
+assert(near(risk.calmarRatio, risk.annualizedReturn / risk.maxDrawdown), 'Calmar is annualized return over max drawdown');
+const flat = performanceAnalytics.analyze(points.slice(0, 2), 'month');
+assert(flat.sharpeRatio === null && flat.calmarRatio === null, 'Ratios need enough history and a drawdown');
+
+console.log('\nTest 4: Benchmark Comparison');
+console.log('----------------------------------------------------------------------');
+const benchmark = weekly.map(p => ({ date: p.date, value: p.value / 100 }));
+const same = performanceAnalytics.compareToBenchmark(weekly, benchmark, 'week');
+assert(near(same.excessReturn, 0) && near(same.beta, 1), 'A portfolio tracking the benchmark has no excess return and a beta of 1');
+const partial = benchmark.map((p, i) => (i < 2 ? { ...p, value: null } : p));
+const late = performanceAnalytics.compareToBenchmark(weekly, partial, 'week');
+assert(late.startDate === weekly[2].date && near(late.excessReturn, 0), 'Compares over the dates the benchmark was priced');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} performance analytics test(s) failed`);
+}
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for tax lot selection on sales
+ */
+
+const taxLots = require('../../helpers/taxLots');
+const constants = require('../../helpers/constants');
+
+console.log('\n======================================================================');
+console.log('Tax Lots Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const saleDate = new Date('1990-06-01T12:00:00');
+const rates = constants.getTaxRates(1990);
+const lots = [
+  { id: 1, date: new Date('1988-01-04T10:00:00'), shares: 100, pricePerShare: 20 },
+  { id: 2, date: new Date('1989-08-01T10:00:00'), shares: 50, pricePerShare: 40 },
+  { id: 3, date: new Date('1990-03-01T10:00:00'), shares: 100, pricePerShare: 30 }
+];
+
+function soldIds(sale) {
+  return sale.sold.map(lot => lot.lotId).join();
+}
+
+console.log('Test 1: Validating Selections');
+console.log('----------------------------------------------------------------------');
+const none = taxLots.validateLotSelection({}, 'hifo');
+assert(none.valid && none.method === 'hifo' && !none.isOverride, 'Without a selection the default method applies');
+const lifo = taxLots.validateLotSelection({ lotMethod: 'LIFO' }, 'fifo');
+assert(lifo.valid && lifo.method === 'lifo' && lifo.isOverride, 'A method overrides the default');
+const specific = taxLots.validateLotSelection({ lotIds: [3, 1] });
+assert(specific.valid && specific.method === 'specific' && specific.lotIds.join() === '3,1', 'Lot ids imply specific lots');
+assert(!taxLots.validateLotSelection({ lotMethod: 'average' }).valid, 'Rejects unknown methods');
+assert(!taxLots.validateLotSelection({ lotMethod: 'specific' }).valid, 'Specific lots need lot ids');
+assert(!taxLots.validateLotSelection({ lotMethod: 'fifo', lotIds: [1] }).valid, 'Lot ids only go with specific lots');
+assert(!taxLots.validateLotSelection({ lotIds: [1, 1] }).valid && !taxLots.validateLotSelection({ lotIds: [0] }).valid, 'Rejects repeated and invalid lot ids');
+assert(taxLots.isDefaultMethod('hifo') && !taxLots.isDefaultMethod('specific'), 'Specific lots cannot be the default');
+
+console.log('\nTest 2: Lot Order');
+console.log('----------------------------------------------------------------------');
+const fifoSale = taxLots.sellLots(lots, 120, 50, { method: 'fifo' }, saleDate);
+assert(soldIds(fifoSale) === '1,2' && fifoSale.sold[1].shares === 20, 'FIFO sells the oldest lots first');
+assert(soldIds(taxLots.sellLots(lots, 120, 50, { method: 'lifo' }, saleDate)) === '3,2', 'LIFO sells the newest lots first');
+assert(soldIds(taxLots.sellLots(lots, 120, 50, { method: 'hifo' }, saleDate)) === '2,3', 'HIFO sells the most expensive lots first');
+const specificSale = taxLots.sellLots(lots, 120, 50, { method: 'specific', lotIds: [3, 1] }, saleDate);
+assert(soldIds(specificSale) === '3,1' && specificSale.sold[1].shares === 20, 'Specific lots sell in the order given');
+assert(fifoSale.lots.map(lot => `${lot.id}:${lot.shares}`).join() === '2:30,3:100', 'Sold lots are used up and the last is reduced');
+assert(lots[0].shares === 100 && lots.length === 3, 'The lots passed in are not modified');
+
+console.log('\nTest 3: Gains and Tax');
+console.log('----------------------------------------------------------------------');
+assert(fifoSale.sold[0].isLongTerm && !fifoSale.sold[1].isLongTerm, 'Holding periods are per lot');
+const fifoTax = 100 * 30 * rates.longTermTaxRate + 20 * 10 * rates.shortTermTaxRate;
+assert(near(fifoSale.taxAmount, fifoTax), 'Each lot is taxed at its own rate');
+assert(near(fifoSale.costBasis, 100 * 20 + 20 * 40) && near(fifoSale.gain, 120 * 50 - 2800), 'Reports cost basis and gain');
+const lossSale = taxLots.sellLots(lots, 150, 35, { method: 'hifo' }, saleDate);
+assert(near(lossSale.taxAmount, 100 * 5 * rates.shortTermTaxRate) && lossSale.sold[0].tax === 0, 'Losses are not taxed');
+const uncovered = taxLots.sellLots(lots, 300, 50, { method: 'fifo' }, saleDate);
+assert(uncovered.success && uncovered.uncoveredShares === 50 && uncovered.lots.length === 0, 'Shares beyond the lots have no basis');
+
+console.log('\nTest 4: Invalid Sales');
+console.log('----------------------------------------------------------------------');
+const missing = taxLots.sellLots(lots, 10, 50, { method: 'specific', lotIds: [9] }, saleDate);
+assert(!missing.success && missing.error === 'Lot 9 not found', 'Rejects lots that are not held');
+assert(!taxLots.sellLots(lots, 60, 50, { method: 'specific', lotIds: [2] }, saleDate).success, 'Rejects lots too small for the sale');
+const fractional = [{ id: 7, date: saleDate, shares: 0.3, pricePerShare: 100 }, { id: 8, date: saleDate, shares: 0.1, pricePerShare: 100 }];
+const fractionalSale = taxLots.sellLots(fractional, 0.4, 100, { method: 'specific', lotIds: [7, 8] }, saleDate);
+assert(fractionalSale.success && fractionalSale.lots.length === 0, 'Fractional lots sell out completely');
+
+console.log('\nTest 5: Describing Lots');
+console.log('----------------------------------------------------------------------');
+const described = taxLots.describeLots([lots[2], lots[0]], 45, saleDate);
+assert(described.map(lot => lot.id).join() === '1,3', 'Lots are listed oldest first');
+assert(near(described[0].unrealizedGain, 100 * 25) && near(described[1].unrealizedGain, 100 * 15), 'Shows unrealized gain per lot');
+assert(described[0].isLongTerm && !described[1].isLongTerm && described[1].holdingDays === 92, 'Shows the holding period');
+assert(described[1].longTermDate.getTime() === lots[2].date.getTime() + 365 * 24 * 60 * 60 * 1000, 'Shows when a lot turns long-term');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} tax lots test(s) failed`);
+}
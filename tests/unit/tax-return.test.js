@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the annual tax return
+ */
+
+const taxReturn = require('../../helpers/taxReturn');
+const constants = require('../../helpers/constants');
+
+console.log('\n======================================================================');
+console.log('Tax Return Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const rates = constants.getTaxRates(1990);
+const sold = new Date('1990-06-01T12:00:00');
+
+function sale(gain, isLongTerm, extra = {}) {
+  return {
+    description: `100 sh ${isLongTerm ? 'IBM' : 'XOM'}`,
+    dateAcquired: new Date(isLongTerm ? '1988-03-01T10:00:00' : '1990-02-01T10:00:00'),
+    dateSold: sold,
+    proceeds: 5000 + gain,
+    costBasis: 5000,
+    adjustment: 0,
+    gain,
+    isLongTerm,
+    ...extra
+  };
+}
+
+console.log('Test 1: Loss Limits');
+console.log('----------------------------------------------------------------------');
+assert(taxReturn.getOrdinaryLossLimit(1975) === 1000, 'Net losses offset $1,000 before 1977');
+assert(taxReturn.getOrdinaryLossLimit(1977) === 2000, 'Net losses offset $2,000 in 1977');
+assert(taxReturn.getOrdinaryLossLimit(1978) === 3000 && taxReturn.getOrdinaryLossLimit(2020) === 3000, 'Net losses offset $3,000 from 1978');
+
+console.log('\nTest 2: Netting');
+console.log('----------------------------------------------------------------------');
+const gains = taxReturn.computeReturn(1990, [sale(1000, false), sale(2000, true)], undefined, 1000 * rates.shortTermTaxRate + 2000 * rates.longTermTaxRate);
+assert(near(gains.tax, 1000 * rates.shortTermTaxRate + 2000 * rates.longTermTaxRate), 'Gains are taxed at the rate of their term');
+assert(gains.amountDue === 0, 'Nothing is owed when the tax withheld matches');
+const crossed = taxReturn.computeReturn(1990, [sale(-1500, false), sale(4000, true)], undefined, 4000 * rates.longTermTaxRate);
+assert(crossed.taxableShortTerm === 0 && near(crossed.taxableLongTerm, 2500), 'A short-term loss offsets a long-term gain');
+assert(near(crossed.amountDue, -1500 * rates.longTermTaxRate), 'Refunds tax withheld on gains that losses offset');
+const reversed = taxReturn.computeReturn(1990, [sale(3000, false), sale(-1000, true)], undefined, 0);
+assert(near(reversed.taxableShortTerm, 2000) && reversed.taxableLongTerm === 0, 'A long-term loss offsets a short-term gain');
+assert(near(reversed.netGain, 2000) && near(reversed.shortTerm.proceeds, 8000) && near(reversed.longTerm.gain, -1000), 'Totals each term');
+
+console.log('\nTest 3: Net Losses');
+console.log('----------------------------------------------------------------------');
+const loss = taxReturn.computeReturn(1990, [sale(-5000, false), sale(1000, true)], undefined, 1000 * rates.longTermTaxRate);
+assert(loss.ordinaryOffset === 3000 && near(loss.carryforward.shortTerm, 1000) && loss.carryforward.longTerm === 0, 'Offsets $3,000 and carries the rest forward');
+assert(near(loss.tax, -3000 * rates.shortTermTaxRate), 'The offset is credited at the short-term rate');
+assert(near(loss.amountDue, Math.round((-3000 * rates.shortTermTaxRate - 1000 * rates.longTermTaxRate) * 100) / 100), 'The credit and the tax withheld are refunded');
+const both = taxReturn.computeReturn(1990, [sale(-2000, false), sale(-5000, true)]);
+assert(both.carryforward.shortTerm === 0 && both.carryforward.longTerm === 4000, 'Short-term losses are used first and carry forwards keep their term');
+const early = taxReturn.computeReturn(1975, [sale(-5000, false)]);
+assert(early.ordinaryOffset === 1000 && early.carryforward.shortTerm === 4000, 'Uses the loss limit of the year');
+
+console.log('\nTest 4: Carryovers and Wash Sales');
+console.log('----------------------------------------------------------------------');
+const carried = taxReturn.computeReturn(1991, [sale(500, false)], { shortTerm: 1000, longTerm: 0 }, 500 * rates.shortTermTaxRate);
+assert(near(carried.shortTerm.net, -500) && carried.ordinaryOffset === 500, 'Losses carried over offset the next year first');
+assert(carried.carryforward.shortTerm === 0 && carried.carryforward.longTerm === 0, 'A used-up carryover is not carried again');
+const noLoss = taxReturn.computeReturn(1991, [], { shortTerm: 0, longTerm: 10000 });
+assert(noLoss.ordinaryOffset === 3000 && noLoss.carryforward.longTerm === 7000, 'A carryover offsets ordinary income without any sales');
+const washed = taxReturn.computeReturn(1990, [sale(-200, false, { proceeds: 4000, costBasis: 4800, adjustment: 600 })]);
+assert(near(washed.shortTerm.adjustments, 600) && near(washed.shortTerm.gain, -200) && near(washed.ordinaryOffset, 200), 'Wash sale adjustments reduce the loss');
+
+console.log('\nTest 5: Schedule D Summary');
+console.log('----------------------------------------------------------------------');
+const csv = taxReturn.formatScheduleD(taxReturn.computeReturn(1990, [
+  sale(-200, false, { description: 'XOM, Exxon', proceeds: 4000, costBasis: 4800, adjustment: 600 }),
+  sale(2000, true)
+], undefined, 100));
+const lines = csv.trim().split('\n');
+assert(lines[0] === 'StockFake Form 1099-B and Schedule D Summary,Tax Year 1990', 'Starts with the tax year');
+assert(lines.includes('"XOM, Exxon",1990-02-01,1990-06-01,4000.00,4800.00,W,600.00,-200.00'), 'Lists each sale with its wash sale adjustment');
+assert(lines.includes('100 sh IBM,1988-03-01,1990-06-01,7000.00,5000.00,,,2000.00'), 'Lists long-term sales in their part');
+assert(lines.indexOf('Part I - Short-Term (held less than one year)') < lines.indexOf('Part II - Long-Term (held one year or more)'), 'Short-term sales come first');
+assert(lines.some(line => line.startsWith('Amount owed,')) && lines.includes('Tax withheld on trades,100.00'), 'Ends with the tax owed');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} tax return test(s) failed`);
+}
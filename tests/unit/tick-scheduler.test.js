@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the tick handler's game-time scheduler
+ */
+
+const tickHandler = require('../../helpers/tickHandler');
+const pauseHandler = require('../../helpers/pauseHandler');
+
+console.log('\n======================================================================');
+console.log('Tick Scheduler Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+const { RECURRENCES } = tickHandler;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record every occurrence of the built-in recurrences
+let fired = [];
+function startAt(time) {
+  tickHandler.initialize(new Date(time), 3600, null);
+  tickHandler.clearSchedule();
+  fired = [];
+  for (const name of ['monthEnd', 'quarterEnd', 'newYear', 'dailyClose']) {
+    tickHandler.schedule(name, RECURRENCES[name], (occurrence) => fired.push({ name, time: occurrence }));
+  }
+}
+
+function count(name) {
+  return fired.filter(event => event.name === name).length;
+}
+
+console.log('Test 1: Recurrences');
+console.log('----------------------------------------------------------------------');
+const midday = new Date('1987-10-16T12:00:00');
+assert(RECURRENCES.dailyClose(midday).getTime() === new Date('1987-10-16T16:00:00').getTime(), 'Daily close is 4 PM the same day');
+assert(RECURRENCES.dailyClose(new Date('1987-10-16T16:00:00')).getTime() === new Date('1987-10-17T16:00:00').getTime(), 'The next daily close is strictly later');
+assert(RECURRENCES.monthEnd(midday).getTime() === new Date('1987-11-01T00:00:00').getTime(), 'Month end is midnight starting the next month');
+assert(RECURRENCES.quarterEnd(midday).getTime() === new Date('1988-01-01T00:00:00').getTime(), 'Quarter end is midnight starting the next quarter');
+assert(RECURRENCES.newYear(new Date('1987-12-31T23:00:00')).getTime() === new Date('1988-01-01T00:00:00').getTime(), 'New year is January 1st');
+assert(RECURRENCES.taxDay(midday).getTime() === new Date('1988-04-15T00:00:00').getTime() &&
+  RECURRENCES.taxDay(new Date('1988-04-14T12:00:00')).getTime() === new Date('1988-04-15T00:00:00').getTime(), 'Tax Day is April 15th');
+
+console.log('\nTest 2: Skipping Years');
+console.log('----------------------------------------------------------------------');
+startAt('1980-01-01T12:00:00');
+tickHandler.advanceGameTime(new Date('1990-01-01T12:00:00'));
+assert(count('newYear') === 10, 'Every new year fires once');
+assert(count('quarterEnd') === 40, 'Every quarter end fires once');
+assert(count('monthEnd') === 120, 'Every month end fires once');
+assert(count('dailyClose') === 3653, 'Every daily close fires once');
+assert(fired.every((event, i) => i === 0 || event.time >= fired[i - 1].time), 'Occurrences fire in time order');
+const newYear1985 = fired.filter(event => event.time.getTime() === new Date('1985-01-01T00:00:00').getTime()).map(event => event.name);
+assert(newYear1985.join() === 'monthEnd,quarterEnd,newYear', 'Simultaneous occurrences fire in registration order');
+assert(tickHandler.getGameTime().getTime() === new Date('1990-01-01T12:00:00').getTime(), 'The clock lands on the new time');
+tickHandler.advanceGameTime(new Date('1990-01-01T12:00:00'));
+assert(fired.length === 3653 + 120 + 40 + 10, 'Nothing fires twice');
+
+console.log('\nTest 3: Ticks');
+console.log('----------------------------------------------------------------------');
+startAt('1987-10-16T12:00:00');
+pauseHandler.setIsPaused(false);
+tickHandler.setTimeMultiplier(10 * 24 * 3600);
+tickHandler.tick();
+assert(count('dailyClose') === 10, 'A ten-day tick fires ten daily closes');
+pauseHandler.setIsPaused(true);
+tickHandler.tick();
+assert(count('dailyClose') === 10, 'Nothing fires while paused');
+
+console.log('\nTest 4: Setting the Clock');
+console.log('----------------------------------------------------------------------');
+startAt('1987-10-16T12:00:00');
+tickHandler.setGameTime(new Date('1995-06-01T12:00:00'));
+assert(fired.length === 0, 'Setting the clock skips occurrences');
+tickHandler.advanceGameTime(new Date(tickHandler.getGameTime().getTime() + DAY_MS));
+assert(count('dailyClose') === 1 && fired[0].time.getFullYear() === 1995, 'Recurrences continue from the new time');
+tickHandler.setGameTime(new Date('1980-01-01T12:00:00'));
+tickHandler.advanceGameTime(new Date('1980-01-02T12:00:00'));
+assert(count('dailyClose') === 2 && fired[1].time.getFullYear() === 1980, 'Moving the clock back reschedules');
+let threw = false;
+try {
+  tickHandler.advanceGameTime(new Date('1979-01-01T12:00:00'));
+} catch (error) {
+  threw = error instanceof RangeError;
+}
+assert(threw, 'advanceGameTime refuses to go backwards');
+
+console.log('\nTest 5: Failing Callbacks');
+console.log('----------------------------------------------------------------------');
+startAt('1987-10-16T12:00:00');
+let failures = 0;
+tickHandler.schedule('broken', RECURRENCES.dailyClose, () => {
+  failures++;
+  throw new Error('broken');
+});
+const originalError = console.error;
+console.error = () => {};
+tickHandler.advanceGameTime(new Date('1987-10-19T12:00:00'));
+console.error = originalError;
+assert(failures === 3 && count('dailyClose') === 3, 'A failing callback neither repeats nor blocks others');
+
+tickHandler.clearSchedule();
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} tick scheduler test(s) failed`);
+}
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the trading bot sandbox
+ */
+
+const tradingBots = require('../../helpers/tradingBots');
+const dbModule = require('../../database');
+
+console.log('\n======================================================================');
+console.log('Trading Bots Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+const gameTime = new Date('1980-03-03T10:00:00');
+const userId = 9000 + Math.floor(Math.random() * 1000);
+
+function makeInput(overrides = {}) {
+  return {
+    time: gameTime.toISOString(),
+    trigger: 'tick',
+    marketOpen: true,
+    quotes: { IBM: { price: 100, change: 1, name: 'IBM', sector: 'Technology' } },
+    history: { IBM: [95, 96, 97, 98, 99] },
+    account: { cash: 5000, netWorth: 5000, portfolio: {}, shortPositions: {} },
+    orders: [],
+    news: [],
+    ...overrides
+  };
+}
+
+// Create and enable a bot, returning it as runTradingBots sees it
+function makeBot(code, params = {}) {
+  const created = tradingBots.createBot(userId, { name: 'Test bot', code, ...params }, gameTime);
+  tradingBots.setBotEnabled(userId, created.bot.id, true, gameTime);
+  return tradingBots.getBot(userId, created.bot.id);
+}
+
+console.log('Test 1: Validation');
+console.log('----------------------------------------------------------------------');
+const code = 'function run(api) {}';
+assert(tradingBots.validateBotParams({ name: 'A', code }).valid, 'Accepts a name and code with default settings');
+assert(!tradingBots.validateBotParams({ name: '', code }).valid, 'Rejects a missing name');
+assert(!tradingBots.validateBotParams({ name: 'A', code: 'function run( {' }).valid, 'Rejects code with a syntax error');
+assert(!tradingBots.validateBotParams({ name: 'A', code, trigger: 'hourly' }).valid, 'Rejects an unknown trigger');
+assert(!tradingBots.validateBotParams({ name: 'A', code, symbols: ['ibm'] }).valid, 'Rejects malformed symbols');
+assert(!tradingBots.validateBotParams({ name: 'A', code, timeLimitMs: 5000 }).valid, 'Rejects a time limit over the maximum');
+assert(!tradingBots.validateBotParams({ name: 'A', code, maxOrdersPerRun: 0 }).valid, 'Rejects a zero order limit');
+
+console.log('\nTest 2: Creating and Updating');
+console.log('----------------------------------------------------------------------');
+const created = tradingBots.createBot(userId, { name: 'Dip buyer', code, symbols: ['IBM'] }, gameTime);
+assert(created.success && created.bot.enabled === false, 'New bots start disabled');
+assert(created.bot.trigger === 'tick' && created.bot.timeLimitMs === 50, 'Applies the default trigger and time limit');
+const updated = tradingBots.updateBot(userId, created.bot.id, { trigger: 'close' }, gameTime);
+assert(updated.success && updated.bot.trigger === 'close' && updated.bot.name === 'Dip buyer', 'Updates keep settings that are left out');
+assert(tradingBots.updateBot(userId + 1, created.bot.id, { trigger: 'open' }, gameTime).status === 404, 'Players cannot update another player\'s bot');
+assert(tradingBots.listBots(userId).length === 1, 'Lists the player\'s bots');
+
+console.log('\nTest 3: Running');
+console.log('----------------------------------------------------------------------');
+const trader = makeBot(`
+function run(api) {
+  const sma = api.indicators.calculateSMA(api.history('IBM'), 5).pop();
+  if (api.quote('IBM').price > sma) {
+    api.placeOrder({ symbol: 'IBM', action: 'buy', shares: 10 });
+  }
+  api.cancelOrder(42);
+  api.log('sma', sma);
+}`);
+const run = tradingBots.runBot(trader, makeInput(), gameTime);
+assert(run.success && run.requests.length === 2, 'Returns the run\'s order requests');
+assert(run.requests[0].type === 'place' && run.requests[0].order.shares === 10, 'Passes placed orders through');
+assert(run.requests[1].type === 'cancel' && run.requests[1].orderId === 42, 'Passes cancellations through');
+assert(tradingBots.getLogs(trader.id).some(entry => entry.message === 'sma 97'), 'Writes api.log lines to the bot log');
+
+const counter = makeBot('function run(api) { api.state.runs = (api.state.runs || 0) + 1; api.log(String(api.state.runs)); }');
+tradingBots.runBot(counter, makeInput(), gameTime);
+tradingBots.runBot(counter, makeInput(), gameTime);
+assert(tradingBots.getLogs(counter.id).pop().message === '2', 'Keeps api.state between runs');
+
+const greedy = makeBot('function run(api) { for (let i = 0; i < 10; i++) api.placeOrder({ symbol: \'IBM\', action: \'buy\', shares: 1 }); }', { maxOrdersPerRun: 3 });
+const greedyRun = tradingBots.runBot(greedy, makeInput(), gameTime);
+assert(!greedyRun.success && /Order limit/.test(greedyRun.error), 'Fails runs that exceed the order limit');
+
+console.log('\nTest 4: Limits and Failures');
+console.log('----------------------------------------------------------------------');
+const looper = makeBot('function run(api) { while (true) {} }', { timeLimitMs: 10 });
+const timedOut = tradingBots.runBot(looper, makeInput(), gameTime);
+assert(!timedOut.success && /longer than 10 ms/.test(timedOut.error), 'Stops runs that exceed the time limit');
+tradingBots.runBot(looper, makeInput(), gameTime);
+assert(tradingBots.getBot(userId, looper.id).enabled, 'Stays enabled after two failed runs');
+tradingBots.runBot(looper, makeInput(), gameTime);
+assert(!tradingBots.getBot(userId, looper.id).enabled, `Disables the bot after ${tradingBots.MAX_CONSECUTIVE_FAILURES} failed runs in a row`);
+
+const noRun = makeBot('const x = 1;');
+assert(/must define a function run/.test(tradingBots.runBot(noRun, makeInput(), gameTime).error), 'Reports code without a run function');
+
+console.log('\nTest 5: Sandbox');
+console.log('----------------------------------------------------------------------');
+const escaper = makeBot('function run(api) { api.log(typeof require, typeof process, typeof setTimeout); }');
+tradingBots.runBot(escaper, makeInput(), gameTime);
+assert(tradingBots.getLogs(escaper.id).pop().message === 'undefined undefined undefined', 'Hides require, process and timers');
+
+const constructorEscape = makeBot('function run(api) { api.quote.constructor(\'return process\')(); }');
+const escapeRun = tradingBots.runBot(constructorEscape, makeInput(), gameTime);
+assert(!escapeRun.success && /Code generation from strings disallowed/.test(escapeRun.error), 'Blocks the Function constructor');
+
+const mutator = makeBot('function run(api) { api.account().cash = 1e9; api.log(String(api.account().cash)); }');
+tradingBots.runBot(mutator, makeInput(), gameTime);
+assert(tradingBots.getLogs(mutator.id).pop().message === '5000', 'Bots cannot change the data they are given');
+
+console.log('\nTest 6: Deleting');
+console.log('----------------------------------------------------------------------');
+assert(!tradingBots.deleteBot(userId + 1, trader.id), 'Players cannot delete another player\'s bot');
+assert(tradingBots.deleteBot(userId, trader.id) && tradingBots.getLogs(trader.id).length === 0, 'Deletes the bot and its log');
+
+// Clean up
+dbModule.db.prepare('DELETE FROM trading_bots WHERE user_id = ?').run(userId);
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} trading bot test(s) failed`);
+}
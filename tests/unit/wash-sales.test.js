@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the wash-sale rule and tax-loss harvesting
+ */
+
+const washSales = require('../../helpers/washSales');
+const taxLots = require('../../helpers/taxLots');
+
+console.log('\n======================================================================');
+console.log('Wash Sales Unit Tests');
+console.log('======================================================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log('✓ PASS: ' + message);
+    passed++;
+  } else {
+    console.log('✗ FAIL: ' + message);
+    failed++;
+  }
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+const day = 24 * 60 * 60 * 1000;
+const saleDate = new Date('1990-06-01T12:00:00');
+
+function daysFromSale(days) {
+  return new Date(saleDate.getTime() + days * day);
+}
+
+console.log('Test 1: Identical Securities');
+console.log('----------------------------------------------------------------------');
+const broad = { symbol: 'BRD', constituents: ['AAPL', 'MSFT', 'IBM', 'XOM', 'GE'] };
+const broadClone = { symbol: 'BRC', constituents: ['AAPL', 'MSFT', 'IBM', 'XOM', 'GE'] };
+const tech = { symbol: 'TEC', constituents: ['AAPL', 'MSFT', 'IBM'] };
+assert(washSales.isSubstantiallyIdenticalFund(broad, broad), 'A fund is identical to itself');
+assert(washSales.isSubstantiallyIdenticalFund(broad, broadClone), 'Funds with the same holdings are identical');
+assert(!washSales.isSubstantiallyIdenticalFund(broad, tech), 'Funds sharing 60% of their holdings are not');
+
+console.log('\nTest 2: Wash-Sale Window');
+console.log('----------------------------------------------------------------------');
+const window = washSales.getWashSaleWindow(saleDate);
+assert(window.start.getTime() === daysFromSale(-30).getTime() && window.end.getTime() === daysFromSale(30).getTime(), 'The window runs 30 days either side');
+assert(washSales.isInWashSaleWindow(daysFromSale(-30), saleDate) && washSales.isInWashSaleWindow(daysFromSale(30), saleDate), 'The window includes its ends');
+assert(!washSales.isInWashSaleWindow(daysFromSale(31), saleDate) && !washSales.isInWashSaleWindow(daysFromSale(-31), saleDate), 'Purchases outside it do not count');
+
+console.log('\nTest 3: Matching Replacements');
+console.log('----------------------------------------------------------------------');
+const held = [{ id: 1, date: daysFromSale(-200), shares: 100, pricePerShare: 50 }];
+const sale = taxLots.sellLots(held, 100, 40, { method: 'fifo' }, saleDate);
+const replacement = { id: 2, date: daysFromSale(10), shares: 60, pricePerShare: 42 };
+const outside = { id: 3, date: daysFromSale(45), shares: 100, pricePerShare: 42 };
+const washes = washSales.matchReplacements(sale.sold, [outside, replacement], saleDate);
+assert(washes.length === 1 && washes[0].replacementLotId === 2 && washes[0].shares === 60, 'Matches replacement shares in the window only');
+assert(near(sale.sold[0].disallowedLoss, 600) && sale.sold[0].washedShares === 60, 'Disallows the loss of the shares replaced');
+assert(near(sale.sold[0].gain + sale.sold[0].disallowedLoss, -400), 'The loss of the other shares is allowed');
+assert(near(replacement.pricePerShare, 52) && near(replacement.disallowedLoss, 600), 'Adds the disallowed loss to the replacement basis');
+assert(outside.pricePerShare === 42 && !outside.washSaleShares, 'Leaves lots outside the window alone');
+const again = taxLots.sellLots([{ id: 4, date: daysFromSale(-5), shares: 100, pricePerShare: 60 }], 100, 40, { method: 'fifo' }, saleDate);
+assert(washSales.matchReplacements(again.sold, [replacement], saleDate).length === 0, 'A replacement share absorbs only one loss');
+const gainSale = taxLots.sellLots([{ id: 5, date: daysFromSale(-5), shares: 10, pricePerShare: 30 }], 10, 40, { method: 'fifo' }, saleDate);
+assert(washSales.matchReplacements(gainSale.sold, [outside], daysFromSale(20)).length === 0, 'Gains are never washed');
+assert(taxLots.describeLots([replacement], 45, saleDate)[0].washSaleAdjustment === 600, 'Open lots show their wash-sale adjustment');
+
+console.log('\nTest 4: Harvest Candidates');
+console.log('----------------------------------------------------------------------');
+const position = [
+  { id: 6, date: daysFromSale(-100), shares: 50, pricePerShare: 80 },
+  { id: 7, date: daysFromSale(-10), shares: 20, pricePerShare: 55 }
+];
+const harvest = washSales.findHarvestableLots(position, 60, position, saleDate);
+assert(harvest.lots.length === 1 && harvest.lots[0].id === 6 && near(harvest.harvestableLoss, 1000), 'Lists the lots below water');
+assert(harvest.recentPurchases.length === 1 && harvest.recentPurchases[0].id === 7, 'Recent purchases would wash the loss');
+assert(harvest.washSaleFreeDate.getTime() === daysFromSale(21).getTime(), 'Selling is wash-free 31 days after the last purchase');
+assert(washSales.findHarvestableLots(position, 90, position, saleDate) === null, 'Positions without losses are not candidates');
+const quiet = washSales.findHarvestableLots([position[0]], 60, [position[0]], saleDate);
+assert(quiet.recentPurchases.length === 0 && quiet.washSaleFreeDate.getTime() === saleDate.getTime(), 'Without recent purchases the loss can be harvested now');
+const underwater = [
+  { id: 8, date: daysFromSale(-100), shares: 50, pricePerShare: 80 },
+  { id: 9, date: daysFromSale(-10), shares: 20, pricePerShare: 70 }
+];
+const both = washSales.findHarvestableLots(underwater, 60, underwater, saleDate);
+assert(both.lots.length === 2 && both.recentPurchases.length === 1 && both.recentPurchases[0].id === 9, 'A recent purchase below water still washes the older loss');
+assert(both.washSaleFreeDate.getTime() === daysFromSale(21).getTime(), 'Selling is wash-free 31 days after the recent losing purchase');
+const onlyRecent = washSales.findHarvestableLots([underwater[1]], 60, [underwater[1]], saleDate);
+assert(onlyRecent.recentPurchases.length === 0, 'The lot being sold does not wash its own loss');
+
+console.log('\n======================================================================');
+console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+console.log('======================================================================\n');
+
+if (failed > 0) {
+  throw new Error(`${failed} wash sales test(s) failed`);
+}